@@ -0,0 +1,54 @@
+/**
+ * Schema migration CLI (see backend/src/storage/migrations/). Uses the same
+ * store as the server: PostgreSQL when DATABASE_URL is set, otherwise the
+ * JSON file.
+ *
+ *   npm run migrate                  apply every pending migration
+ *   npm run migrate -- --to 1        apply pending migrations up to version 1
+ *   npm run migrate:down             roll back the last applied migration
+ *   npm run migrate:down -- --to 0   roll back everything above version 0
+ *   npm run migrate:down -- --force  also when that drops tables holding data
+ *   npm run migrate:status           list applied and pending migrations
+ */
+require("dotenv").config();
+const { getConfig } = require("./src/config");
+const { JsonStore } = require("./src/storage/jsonStore");
+const { PostgresStore } = require("./src/storage/pgStore");
+const { MIGRATIONS } = require("./src/storage/migrations");
+const log = require("./src/utils/logger");
+
+function parseArgs(argv) {
+  const [command = "up", ...rest] = argv;
+  const toIndex = rest.indexOf("--to");
+  const to = toIndex === -1 ? undefined : Number(rest[toIndex + 1]);
+  if (to !== undefined && !Number.isInteger(to)) throw new Error("--to needs a migration version number");
+  return { command, to, force: rest.includes("--force") };
+}
+
+(async () => {
+  const { command, to, force } = parseArgs(process.argv.slice(2));
+  const config = getConfig();
+  const store = config.storage.databaseUrl
+    ? new PostgresStore(config.storage.databaseUrl)
+    : new JsonStore(config.storage.dataFilePath);
+
+  try {
+    if (command === "status") {
+      const applied = new Map((await store.migrationStatus()).map((m) => [m.version, m]));
+      for (const { version, name } of MIGRATIONS) {
+        const appliedAt = applied.get(version)?.appliedAt;
+        log.info({ version, migration: name, applied: applied.has(version), ...(appliedAt && { appliedAt }) }, "Migration");
+      }
+    } else if (command === "up" || command === "down") {
+      const versions = await store.migrate({ direction: command, to, force });
+      log.info({ direction: command, versions }, versions.length ? "Migrations complete" : "Nothing to migrate");
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await store.close?.();
+  }
+})().catch((err) => {
+  log.fatal({ err }, "Migration failed");
+  process.exitCode = 1;
+});
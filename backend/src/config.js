@@ -5,7 +5,7 @@ function getConfig() {
     shopify: {
       apiKey: process.env.SHOPIFY_API_KEY || "",
       apiSecretKey: process.env.SHOPIFY_API_SECRET || "",
-      scopes: (process.env.SHOPIFY_SCOPES || "read_products,write_products").split(","),
+      scopes: (process.env.SHOPIFY_SCOPES || "read_products,write_products,read_locales,read_translations,write_translations,read_publications,write_publications").split(","),
       hostName: (process.env.SHOPIFY_HOST_NAME || "").replace(/^https?:\/\//, ""),
       apiVersion: process.env.SHOPIFY_API_VERSION || "2025-10",
       adminAccessToken: process.env.SHOPIFY_ADMIN_ACCESS_TOKEN || "",
@@ -27,6 +27,19 @@ function getConfig() {
         process.env.APP_DATA_FILE || path.join(__dirname, "..", "data", "store.json"),
       uploadsDir:
         process.env.UPLOADS_DIR || path.join(__dirname, "..", "data", "uploads"),
+      // Largest image the image store saves or reads (bytes)
+      maxImageBytes: Number(process.env.MAX_IMAGE_BYTES) || 50 * 1024 * 1024,
+      // S3-compatible bucket for images (AWS S3, MinIO, R2, ...); unset = Postgres/uploads dir
+      s3: {
+        bucket: process.env.S3_BUCKET || "",
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || "",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || "",
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        prefix: process.env.S3_PREFIX || "",
+        signedUrlSeconds: Number(process.env.S3_SIGNED_URL_SECONDS) || 24 * 60 * 60,
+      },
     },
   };
 }
@@ -3,35 +3,22 @@ class AssetRepository {
     this.store = store;
   }
 
-  create(asset) {
-    const db = this.store.read();
-    db.assets.push(asset);
-    this.store.write(db);
-    return asset;
+  async create(asset) {
+    return this.store.insert("assets", asset);
   }
 
-  listByDesign(designId, shopDomain) {
-    const db = this.store.read();
-    const assets = db.assets.filter((item) => item.designId === designId);
-    if (shopDomain) return assets.filter((a) => a.shopDomain === shopDomain);
-    return assets;
+  async listByDesign(designId, shopDomain) {
+    return this.store.find("assets", shopDomain ? { designId, shopDomain } : { designId });
   }
 
-  findById(assetId, shopDomain) {
-    const db = this.store.read();
-    const asset = db.assets.find((item) => item.id === assetId) || null;
+  async findById(assetId, shopDomain) {
+    const asset = await this.store.get("assets", assetId);
     if (asset && shopDomain && asset.shopDomain !== shopDomain) return null;
     return asset;
   }
 
-  deleteByDesign(designId, shopDomain) {
-    const db = this.store.read();
-    if (shopDomain) {
-      db.assets = db.assets.filter((item) => !(item.designId === designId && item.shopDomain === shopDomain));
-    } else {
-      db.assets = db.assets.filter((item) => item.designId !== designId);
-    }
-    this.store.write(db);
+  async deleteByDesign(designId, shopDomain) {
+    await this.store.remove("assets", shopDomain ? { designId, shopDomain } : { designId });
   }
 }
 
@@ -0,0 +1,38 @@
+class BatchRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(batch) {
+    return this.store.insert("batches", batch);
+  }
+
+  async update(batchId, updater) {
+    return this.store.update("batches", batchId, (current) => {
+      const next = typeof updater === "function" ? updater(current) : { ...current, ...updater };
+      return {
+        ...next,
+        updatedAt: Date.now(),
+      };
+    });
+  }
+
+  async findById(batchId, shopDomain) {
+    const batch = await this.store.get("batches", batchId);
+    if (batch && shopDomain && batch.shopDomain !== shopDomain) return null;
+    return batch;
+  }
+
+  async listByShop(shopDomain) {
+    const batches = await this.store.find("batches", { shopDomain });
+    return batches.sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0));
+  }
+
+  async deleteByShop(shopDomain) {
+    return this.store.remove("batches", { shopDomain });
+  }
+}
+
+module.exports = {
+  BatchRepository,
+};
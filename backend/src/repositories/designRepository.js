@@ -3,56 +3,54 @@ class DesignRepository {
     this.store = store;
   }
 
-  create(design) {
-    const db = this.store.read();
-    db.designs.push(design);
-    this.store.write(db);
-    return design;
+  async create(design) {
+    return this.store.insert("designs", design);
   }
 
-  update(designId, updater, shopDomain) {
-    const db = this.store.read();
-    const index = db.designs.findIndex((item) => item.id === designId);
-    if (index === -1) return null;
-    const current = db.designs[index];
-    if (shopDomain && current.shopDomain !== shopDomain) return null;
-    const next = typeof updater === "function" ? updater(current) : { ...current, ...updater };
-    db.designs[index] = next;
-    this.store.write(db);
-    return next;
+  /**
+   * Apply changes (an object to merge, or a function of the current design).
+   * Pass `expectedVersion` — the design's `version` when the caller read it —
+   * to fail with a 409 conflict instead of overwriting a newer change.
+   */
+  async update(designId, updater, shopDomain, { expectedVersion } = {}) {
+    return this.store.update("designs", designId, (current) => {
+      if (shopDomain && current.shopDomain !== shopDomain) return null;
+      return typeof updater === "function" ? updater(current) : { ...current, ...updater };
+    }, { expectedVersion });
   }
 
-  findById(designId, shopDomain) {
-    const db = this.store.read();
-    const design = db.designs.find((item) => item.id === designId) || null;
+  async findById(designId, shopDomain) {
+    const design = await this.store.get("designs", designId);
     if (design && shopDomain && design.shopDomain !== shopDomain) return null;
     return design;
   }
 
-  listByShop(shopDomain) {
-    const db = this.store.read();
-    return db.designs.filter((item) => item.shopDomain === shopDomain);
+  async listByShop(shopDomain) {
+    return this.store.find("designs", { shopDomain });
   }
 
-  countByMember(shopDomain) {
-    const db = this.store.read();
+  async countByMember(shopDomain) {
     const counts = {};
-    for (const d of db.designs) {
-      if (d.shopDomain === shopDomain && d.createdBy) {
+    for (const d of await this.store.find("designs", { shopDomain })) {
+      if (d.createdBy) {
         counts[d.createdBy] = (counts[d.createdBy] || 0) + 1;
       }
     }
     return counts;
   }
 
-  delete(designId, shopDomain) {
-    const db = this.store.read();
-    const index = db.designs.findIndex((item) => item.id === designId);
-    if (index === -1) return false;
-    if (shopDomain && db.designs[index].shopDomain !== shopDomain) return false;
-    db.designs.splice(index, 1);
-    this.store.write(db);
-    return true;
+  /** Number of designs per shop, e.g. { "a.myshopify.com": 12 }. */
+  async countByShop() {
+    const counts = {};
+    for (const d of await this.store.find("designs")) {
+      counts[d.shopDomain] = (counts[d.shopDomain] || 0) + 1;
+    }
+    return counts;
+  }
+
+  async delete(designId, shopDomain) {
+    const where = shopDomain ? { id: designId, shopDomain } : { id: designId };
+    return (await this.store.remove("designs", where)) > 0;
   }
 }
 
@@ -0,0 +1,52 @@
+class JobRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(job) {
+    return this.store.insert("jobs", job);
+  }
+
+  /** `updater` is an object to merge or a function of the current job; a function returning null changes nothing (returns null). */
+  async update(jobId, updater) {
+    return this.store.update("jobs", jobId, (current) => {
+      const next = typeof updater === "function" ? updater(current) : { ...current, ...updater };
+      if (!next) return null; // updater declined: leave the job unchanged
+      return {
+        ...next,
+        updatedAt: Date.now(),
+      };
+    });
+  }
+
+  async findById(jobId, shopDomain) {
+    const job = await this.store.get("jobs", jobId);
+    if (job && shopDomain && job.shopDomain !== shopDomain) return null;
+    return job;
+  }
+
+  async findLatestByDesign(designId, type, shopDomain) {
+    const jobs = await this.store.find("jobs", { designId, type, shopDomain });
+    return jobs.sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))[0] || null;
+  }
+
+  async listByStatus(status) {
+    const jobs = await this.store.find("jobs", { status });
+    return jobs.sort((a, b) => Number(a.createdAt || 0) - Number(b.createdAt || 0));
+  }
+
+  async deleteByShop(shopDomain) {
+    return this.store.remove("jobs", { shopDomain });
+  }
+
+  async deleteFinishedBefore(cutoff) {
+    const finished = await this.store.find("jobs", { status: ["succeeded", "failed"] });
+    const ids = finished.filter((item) => item.finishedAt && item.finishedAt < cutoff).map((item) => item.id);
+    if (ids.length === 0) return 0;
+    return this.store.remove("jobs", { id: ids });
+  }
+}
+
+module.exports = {
+  JobRepository,
+};
@@ -5,34 +5,30 @@ class MemberRepository {
     this.store = store;
   }
 
-  list(shopDomain) {
-    const db = this.store.read();
-    let members = [...db.members];
-    if (shopDomain) members = members.filter((m) => m.shopDomain === shopDomain);
+  async list(shopDomain) {
+    const members = await this.store.find("members", shopDomain ? { shopDomain } : {});
     return members.sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0));
   }
 
-  findById(memberId) {
-    const db = this.store.read();
-    return db.members.find((item) => item.id === memberId) || null;
+  async findById(memberId) {
+    return this.store.get("members", memberId);
   }
 
-  findByEmail(email, shopDomain) {
+  async findByEmail(email, shopDomain) {
     const target = String(email || "").trim().toLowerCase();
     if (!target) {
       return null;
     }
 
-    const db = this.store.read();
-    return db.members.find((item) => {
-      if (String(item.email || "").toLowerCase() !== target) return false;
+    // Emails are stored lowercased (see create)
+    const members = await this.store.find("members", { email: target });
+    return members.find((item) => {
       if (shopDomain && item.shopDomain && item.shopDomain !== shopDomain) return false;
       return true;
     }) || null;
   }
 
-  create({ email, fullName, passwordHash, passwordSalt, shopDomain }) {
-    const db = this.store.read();
+  async create({ email, fullName, passwordHash, passwordSalt, shopDomain }) {
     const now = Date.now();
 
     const member = {
@@ -48,36 +44,27 @@ class MemberRepository {
       lastLoginAt: null,
     };
 
-    db.members.push(member);
-    this.store.write(db);
-    return member;
+    return this.store.insert("members", member);
   }
 
-  update(memberId, updater) {
-    const db = this.store.read();
-    const index = db.members.findIndex((item) => item.id === memberId);
-    if (index === -1) {
-      return null;
-    }
-
-    const current = db.members[index];
-    const next = typeof updater === "function" ? updater(current) : { ...current, ...updater };
-    db.members[index] = {
-      ...next,
-      updatedAt: Date.now(),
-    };
-    this.store.write(db);
-    return db.members[index];
+  async update(memberId, updater) {
+    return this.store.update("members", memberId, (current) => {
+      const next = typeof updater === "function" ? updater(current) : { ...current, ...updater };
+      return {
+        ...next,
+        updatedAt: Date.now(),
+      };
+    });
   }
 
-  findByAuthToken(token) {
+  async findByAuthToken(token) {
     const target = String(token || "").trim();
     if (!target) {
       return null;
     }
 
-    const db = this.store.read();
-    return db.members.find((item) => item.authToken === target) || null;
+    const [member] = await this.store.find("members", { authToken: target });
+    return member || null;
   }
 }
 
@@ -3,34 +3,36 @@ class ProductRepository {
     this.store = store;
   }
 
-  upsertByDesign(designId, productRecord, shopDomain) {
-    const db = this.store.read();
-    const existingIndex = db.products.findIndex((item) => item.designId === designId);
-    if (existingIndex === -1) {
-      db.products.push(productRecord);
-    } else {
-      if (shopDomain && db.products[existingIndex].shopDomain && db.products[existingIndex].shopDomain !== shopDomain) return null;
-      db.products[existingIndex] = productRecord;
-    }
-    this.store.write(db);
-    return productRecord;
+  async upsertByDesign(designId, productRecord, shopDomain) {
+    const existing = await this.store.get("products", designId);
+    if (existing && shopDomain && existing.shopDomain && existing.shopDomain !== shopDomain) return null;
+    return this.store.put("products", { ...productRecord, designId });
   }
 
-  findByDesign(designId, shopDomain) {
-    const db = this.store.read();
-    const product = db.products.find((item) => item.designId === designId) || null;
+  /** Merge fields into an existing product record. */
+  async updateByDesign(designId, changes, shopDomain) {
+    return this.store.update("products", designId, (existing) => {
+      if (shopDomain && existing.shopDomain && existing.shopDomain !== shopDomain) return null;
+      return { ...existing, ...changes, designId };
+    });
+  }
+
+  async findByDesign(designId, shopDomain) {
+    const product = await this.store.get("products", designId);
     if (product && shopDomain && product.shopDomain && product.shopDomain !== shopDomain) return null;
     return product;
   }
 
-  deleteByDesign(designId, shopDomain) {
-    const db = this.store.read();
-    if (shopDomain) {
-      db.products = db.products.filter((item) => !(item.designId === designId && item.shopDomain === shopDomain));
-    } else {
-      db.products = db.products.filter((item) => item.designId !== designId);
-    }
-    this.store.write(db);
+  /** Product records for several designs at once, keyed by design id. */
+  async mapByDesigns(designIds, shopDomain) {
+    const products = designIds.length ? await this.store.find("products", { designId: designIds }) : [];
+    return new Map(products
+      .filter((product) => !(shopDomain && product.shopDomain && product.shopDomain !== shopDomain))
+      .map((product) => [product.designId, product]));
+  }
+
+  async deleteByDesign(designId, shopDomain) {
+    await this.store.remove("products", shopDomain ? { designId, shopDomain } : { designId });
   }
 }
 
@@ -3,61 +3,64 @@ class SettingsRepository {
     this.store = store;
   }
 
-  findByShop(shopDomain) {
-    const db = this.store.read();
-    return db.settings.find((item) => item.shopDomain === shopDomain) || null;
+  async findByShop(shopDomain) {
+    return this.store.get("settings", shopDomain);
   }
 
-  upsertByShop(shopDomain, nextValues) {
-    const db = this.store.read();
-    const index = db.settings.findIndex((item) => item.shopDomain === shopDomain);
+  /** Every settings record, including internal ones (`_nonce:*`, `_analytics`). */
+  async listAll() {
+    return this.store.find("settings");
+  }
 
-    const current =
-      index === -1
-        ? {
-            shopDomain,
-            keiAiApiKey: "",
-            openAiApiKey: "",
-            kieGenerateUrl: "https://api.kie.ai/api/v1/gpt4o-image/generate",
-            kieEditUrl: "https://api.kie.ai/api/v1/gpt4o-image/generate",
-            createdAt: Date.now(),
-            updatedAt: Date.now(),
-          }
-        : db.settings[index];
+  /**
+   * Merge values into the shop's settings, creating them from the defaults on
+   * first write. Pass `expectedVersion` (the `version` the caller read) to
+   * fail with a 409 conflict instead of overwriting a newer change.
+   */
+  async upsertByShop(shopDomain, nextValues, { expectedVersion, keepVersion } = {}) {
+    return this.updateByShop(shopDomain, () => nextValues, { expectedVersion, keepVersion });
+  }
 
-    const merged = {
+  /**
+   * Like upsertByShop, but the values are computed from the current settings
+   * (the defaults on first write) inside the store's atomic update. Use it
+   * when the new values depend on the old ones, e.g. counters and logs, so
+   * concurrent writers don't lose each other's changes. `changes` must be
+   * synchronous and may run more than once. Pass `keepVersion` for usage
+   * bookkeeping so it doesn't make a merchant's open settings form conflict.
+   */
+  async updateByShop(shopDomain, changes, { expectedVersion, keepVersion = false } = {}) {
+    const merge = (current) => ({
       ...current,
-      ...nextValues,
+      ...changes(current),
       shopDomain,
       updatedAt: Date.now(),
-    };
+    });
 
-    if (index === -1) {
-      db.settings.push(merged);
-    } else {
-      db.settings[index] = merged;
-    }
+    const updated = await this.store.update("settings", shopDomain, merge, { expectedVersion, keepVersion });
+    if (updated) return updated;
 
-    this.store.write(db);
-    return merged;
-  }
-
-  deleteByShop(shopDomain) {
-    const db = this.store.read();
-    const before = db.settings.length;
-    db.settings = db.settings.filter((item) => item.shopDomain !== shopDomain);
-    this.store.write(db);
-    return before - db.settings.length;
+    // First write for this shop: start from the defaults
+    try {
+      return await this.store.insert("settings", merge({
+        shopDomain,
+        keiAiApiKey: "",
+        openAiApiKey: "",
+        kieGenerateUrl: "https://api.kie.ai/api/v1/gpt4o-image/generate",
+        kieEditUrl: "https://api.kie.ai/api/v1/gpt4o-image/generate",
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      }));
+    } catch (err) {
+      // Another request created them first; merge onto theirs
+      const retried = await this.store.update("settings", shopDomain, merge, { expectedVersion, keepVersion });
+      if (retried) return retried;
+      throw err;
+    }
   }
 
-  /**
-   * Explicitly flush cached data to the persistent backend (PostgreSQL).
-   * Returns a resolved promise for JsonStore (no-op).
-   */
-  async flush() {
-    if (typeof this.store.flush === "function") {
-      await this.store.flush();
-    }
+  async deleteByShop(shopDomain) {
+    return this.store.remove("settings", { shopDomain });
   }
 }
 
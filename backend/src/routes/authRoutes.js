@@ -11,22 +11,17 @@ function createAuthRouter({ config, authService, settingsRepository }) {
   const shopify = authService.shopify;
 
   // ── Nonce helpers (database-backed for multi-instance safety) ──────────
-  function _saveNonce(nonce, shop) {
-    settingsRepository.upsertByShop(`_nonce:${nonce}`, {
+  async function _saveNonce(nonce, shop) {
+    await settingsRepository.upsertByShop(`_nonce:${nonce}`, {
       shop,
       createdAt: Date.now(),
     });
-    // Flush nonce to Postgres so it survives a restart between
-    // redirect → callback (fire-and-forget is fine for nonces)
-    settingsRepository.flush().catch((e) =>
-      log.error({ err: e }, "OAuth nonce flush error")
-    );
   }
 
-  function _consumeNonce(nonce) {
-    const entry = settingsRepository.findByShop(`_nonce:${nonce}`);
+  async function _consumeNonce(nonce) {
+    const entry = await settingsRepository.findByShop(`_nonce:${nonce}`);
     if (!entry) return null;
-    settingsRepository.deleteByShop(`_nonce:${nonce}`);
+    await settingsRepository.deleteByShop(`_nonce:${nonce}`);
     // Reject nonces older than 10 minutes
     if (Date.now() - (entry.createdAt || 0) > 10 * 60 * 1000) return null;
     return entry;
@@ -34,23 +29,20 @@ function createAuthRouter({ config, authService, settingsRepository }) {
 
   // ── GET /auth/reinstall ──────────────────────────────────────────────────
   // Clears any stale token for the shop and forces a fresh OAuth flow.
-  router.get("/auth/reinstall", (req, res) => {
+  router.get("/auth/reinstall", async (req, res) => {
     const shop = String(req.query.shop || "").trim();
     if (!shop || !/^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/.test(shop)) {
       return res.status(400).send("Missing or invalid shop parameter.");
     }
 
     // Clear old token so install detection and OAuth starts fresh
-    const existing = settingsRepository.findByShop(shop);
+    const existing = await settingsRepository.findByShop(shop);
     if (existing?.shopifyAccessToken) {
       log.info({ shop }, "Reinstall: clearing stale access token");
-      settingsRepository.upsertByShop(shop, {
+      await settingsRepository.upsertByShop(shop, {
         shopifyAccessToken: "",
         shopifyScopes: "",
       });
-      settingsRepository.flush().catch((e) =>
-        log.error({ err: e }, "Reinstall flush error")
-      );
     }
 
     return res.redirect(`/auth?shop=${encodeURIComponent(shop)}`);
@@ -58,14 +50,14 @@ function createAuthRouter({ config, authService, settingsRepository }) {
 
   // ── GET /auth ──────────────────────────────────────────────────────────────
   // Redirect merchant to Shopify consent screen
-  router.get("/auth", (req, res) => {
+  router.get("/auth", async (req, res) => {
     const shop = String(req.query.shop || "").trim();
     if (!shop || !/^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/.test(shop)) {
       return res.status(400).send("Missing or invalid shop parameter.");
     }
 
     const nonce = crypto.randomBytes(16).toString("hex");
-    _saveNonce(nonce, shop);
+    await _saveNonce(nonce, shop);
 
     const scopes = Array.isArray(config.shopify.scopes)
       ? config.shopify.scopes.join(",")
@@ -94,7 +86,7 @@ function createAuthRouter({ config, authService, settingsRepository }) {
     }
 
     // Verify nonce (database-backed, consumed on use)
-    const nonceEntry = _consumeNonce(state);
+    const nonceEntry = await _consumeNonce(state);
     if (!nonceEntry || nonceEntry.shop !== shop) {
       return res.status(403).send("Invalid state / nonce.");
     }
@@ -172,40 +164,20 @@ function createAuthRouter({ config, authService, settingsRepository }) {
       }
 
       // Store the access token in settings for this shop
-      settingsRepository.upsertByShop(shop, {
+      await settingsRepository.upsertByShop(shop, {
         shopifyAccessToken: accessToken,
         shopifyScopes: grantedScopes,
         installedAt: Date.now(),
       });
 
-      // ── CRITICAL: flush to PostgreSQL BEFORE redirecting ──
-      try {
-        await settingsRepository.flush();
-        log.info({ shop, storeType: settingsRepository.store?.constructor?.name || "unknown" }, "OAuth token flushed to persistent store");
-
-        // Verify token was actually persisted
-        const verifyAfterFlush = settingsRepository.findByShop(shop);
-        log.info({ shop, tokenSaved: Boolean(verifyAfterFlush?.shopifyAccessToken), scopes: verifyAfterFlush?.shopifyScopes || "none" }, "OAuth post-flush verify (in-memory)");
-
-        // Double-check: read directly from Postgres to confirm
-        if (settingsRepository.store?.pool) {
-          const pgResult = await settingsRepository.store.pool.query("SELECT data FROM app_data WHERE id = 1");
-          if (pgResult.rows.length > 0) {
-            const pgSettings = pgResult.rows[0].data?.settings || [];
-            const match = pgSettings.find(s => s.shopDomain === shop);
-            log.info({ shop, found: Boolean(match), hasToken: Boolean(match?.shopifyAccessToken), scopes: match?.shopifyScopes || "none" }, "OAuth Postgres direct verify");
-          }
-        } else {
-          log.warn({ shop }, "No Postgres pool — token stored in ephemeral JSON (will be lost on redeploy!)");
-        }
-      } catch (flushErr) {
-        log.error({ shop, err: flushErr }, "OAuth flush to PostgreSQL failed");
+      if (!settingsRepository.store?.pool) {
+        log.warn({ shop }, "No Postgres pool — token stored in ephemeral JSON (will be lost on redeploy!)");
       }
 
       log.info({ shop, scopes: grantedScopes }, "OAuth app installed");
 
       // Verify it was saved
-      const verify = settingsRepository.findByShop(shop);
+      const verify = await settingsRepository.findByShop(shop);
       log.debug({ shop, tokenFound: Boolean(verify?.shopifyAccessToken) }, "OAuth verify save");
 
       // Redirect into embedded app
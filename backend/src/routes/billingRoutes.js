@@ -38,7 +38,7 @@ function createBillingRouter({ authService, billingService, settingsRepository,
       // Continue — show cached data
     }
 
-    const billing = billingService.getShopBilling(session.shopDomain);
+    const billing = await billingService.getShopBilling(session.shopDomain);
     res.json(billing);
   });
 
@@ -81,12 +81,11 @@ function createBillingRouter({ authService, billingService, settingsRepository,
 
     try {
       const result = await billingService.syncSubscriptionStatus(session.shopDomain);
-      await settingsRepository.flush();
 
       res.json({
         ok: true,
         ...result,
-        billing: billingService.getShopBilling(session.shopDomain),
+        billing: await billingService.getShopBilling(session.shopDomain),
       });
     } catch (err) {
       log.error({ err: err.message }, "Confirm error");
@@ -101,12 +100,11 @@ function createBillingRouter({ authService, billingService, settingsRepository,
 
     try {
       const result = await billingService.cancelSubscription(session.shopDomain);
-      await settingsRepository.flush();
 
       res.json({
         ok: true,
         ...result,
-        billing: billingService.getShopBilling(session.shopDomain),
+        billing: await billingService.getShopBilling(session.shopDomain),
       });
     } catch (err) {
       log.error({ err: err.message }, "Cancel error");
@@ -121,13 +119,12 @@ function createBillingRouter({ authService, billingService, settingsRepository,
 
     try {
       const result = await billingService.cancelSubscription(session.shopDomain);
-      await settingsRepository.flush();
 
       res.json({
         ok: true,
         message: "Downgraded to Free plan.",
         ...result,
-        billing: billingService.getShopBilling(session.shopDomain),
+        billing: await billingService.getShopBilling(session.shopDomain),
       });
     } catch (err) {
       log.error({ err: err.message }, "Downgrade error");
@@ -143,13 +140,13 @@ function createBillingRouter({ authService, billingService, settingsRepository,
     try {
       const now = new Date();
       const periodStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
-      settingsRepository.upsertByShop(session.shopDomain, {
+      await settingsRepository.upsertByShop(session.shopDomain, {
         billingUsage: { credits: 0, periodStart },
       });
       log.info({ shop: session.shopDomain }, "Usage credits reset to 0");
       res.json({
         ok: true,
-        billing: billingService.getShopBilling(session.shopDomain),
+        billing: await billingService.getShopBilling(session.shopDomain),
       });
     } catch (err) {
       log.error({ err: err.message }, "Reset usage error");
@@ -163,7 +160,7 @@ function createBillingRouter({ authService, billingService, settingsRepository,
     if (!session) return;
 
     const creditsNeeded = Math.max(1, Math.floor(Number(req.body?.creditsNeeded) || 1));
-    const result = billingService.canAfford(session.shopDomain, creditsNeeded);
+    const result = await billingService.canAfford(session.shopDomain, creditsNeeded);
     res.json(result);
   });
 
@@ -172,8 +169,8 @@ function createBillingRouter({ authService, billingService, settingsRepository,
     const session = await requireShopifySession(req, res);
     if (!session) return;
 
-    const log = billingService.getUsageLog(session.shopDomain);
-    const billing = billingService.getShopBilling(session.shopDomain);
+    const log = await billingService.getUsageLog(session.shopDomain);
+    const billing = await billingService.getShopBilling(session.shopDomain);
     res.json({
       log: log.reverse(), // newest first
       usage: billing.usage,
@@ -1,8 +1,12 @@
 ﻿const express = require("express");
 const { randomUUID } = require("crypto");
-const fs = require("fs");
-const path = require("path");
 const log = require("../utils/logger");
+const { parseBatchRows, creditsForRow } = require("../utils/batchInput");
+const { buildVariantMatrix } = require("../utils/variantMatrix");
+const { applyListingCopyEdits, fallbackListingCopy, sanitizeDescriptionHtml, normalizeLocales } = require("../utils/listingCopy");
+const { normalizeBrandVoice, applyBrandVoice } = require("../utils/brandVoice");
+const { imageAltText, categoryForProductType } = require("../utils/productTaxonomy");
+const { normalizePricingRules, computePrice, describeMargin } = require("../utils/pricingRules");
 
 /**
  * Sanitize user input: strip HTML tags and limit length.
@@ -16,39 +20,46 @@ function sanitize(input, maxLength = 2000) {
     .slice(0, maxLength);
 }
 
-function createPodRouter({ authService, memberAuthService, memberRepository, analyticsService, designRepository, productRepository, settingsRepository, pipelineService, assetStorageService, publishService, printfulMockupService, billingService, config }) {
+/**
+ * Validate a list of Shopify GIDs of one type, e.g. "Collection" →
+ * ["gid://shopify/Collection/123"]. Anything else is dropped.
+ */
+function normalizeGids(list, type, max = 20) {
+  const pattern = new RegExp(`^gid://shopify/${type}/\\d+$`);
+  const ids = (Array.isArray(list) ? list : []).map((id) => String(id || "").trim()).filter((id) => pattern.test(id));
+  return [...new Set(ids)].slice(0, max);
+}
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_DESIGN_VARIATIONS = 4;
+const MAX_CLONE_TARGETS = 10;
+
+/**
+ * Parse a scheduled go-live time (ISO string or epoch ms).
+ * @returns {{ publishAt?: number|null, error?: string }} publishAt is null when none was given
+ */
+function parsePublishAt(value) {
+  if (value === undefined || value === null || value === "") return { publishAt: null };
+  const publishAt = typeof value === "number" ? value : Date.parse(String(value));
+  if (!Number.isFinite(publishAt)) return { error: "publishAt must be an ISO date/time or a timestamp in milliseconds" };
+  if (publishAt <= Date.now()) return { error: "publishAt must be in the future" };
+  if (publishAt > Date.now() + MAX_SCHEDULE_AHEAD_MS) return { error: "publishAt must be within a year" };
+  return { publishAt };
+}
+
+function createPodRouter({ authService, memberAuthService, memberRepository, analyticsService, designRepository, productRepository, settingsRepository, pipelineService, assetStorageService, publishService, printfulMockupService, printFileService, billingService, jobQueueService, batchRepository, imageStore, config }) {
   const router = express.Router();
-  const uploadsDir = config?.storage?.uploadsDir || path.join(__dirname, "..", "..", "data", "uploads");
 
-  /** Download an external http(s) URL to DB (or local uploads dir as fallback) and return an image path. */
+  /** Download an external http(s) URL into the image store and return its app path. */
   async function persistImageUrl(imageUrl, shopDomain) {
     if (!imageUrl || typeof imageUrl !== "string") return imageUrl;
-    // Already persisted to DB or local uploads
+    // Already stored (database, bucket or local uploads)
     if (imageUrl.startsWith("/images/") || imageUrl.startsWith("/uploads/")) return imageUrl;
     if (!imageUrl.startsWith("http://") && !imageUrl.startsWith("https://")) return imageUrl;
     try {
-      // Try DB storage first
-      if (pipelineService?.store?.saveImage && shopDomain) {
-        const resp = await fetch(imageUrl);
-        if (!resp.ok) return imageUrl;
-        const ct = resp.headers.get("content-type") || "image/png";
-        const buffer = Buffer.from(await resp.arrayBuffer());
-        const id = randomUUID();
-        await pipelineService.store.saveImage({ id, shopDomain, data: buffer, mimeType: ct });
-        log.info({ id }, "Persisted external image to database");
-        return `/images/${id}`;
-      }
-      // Fallback: local disk
-      if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-      const resp = await fetch(imageUrl);
-      if (!resp.ok) return imageUrl;
-      const ct = resp.headers.get("content-type") || "image/png";
-      const ext = ct.includes("webp") ? "webp" : ct.includes("jpeg") || ct.includes("jpg") ? "jpg" : "png";
-      const filename = `${randomUUID()}.${ext}`;
-      const filePath = path.join(uploadsDir, filename);
-      fs.writeFileSync(filePath, Buffer.from(await resp.arrayBuffer()));
-      log.info({ filename }, "Persisted external image to local uploads");
-      return `/uploads/${filename}`;
+      const savedUrl = await imageStore.putFromUrl(shopDomain, imageUrl);
+      if (savedUrl) log.info({ savedUrl }, "Persisted external image");
+      return savedUrl || imageUrl;
     } catch (err) {
       log.error({ err: err?.message, imageUrl }, "Failed to persist image URL");
       return imageUrl;
@@ -64,8 +75,8 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
   }
 
   /** Get effective settings for a shop, merging env defaults */
-  function getEffectiveSettings(shopDomain) {
-    const s = settingsRepository.findByShop(shopDomain) || {};
+  async function getEffectiveSettings(shopDomain) {
+    const s = await settingsRepository.findByShop(shopDomain) || {};
     return {
       ...s,
       openAiApiKey: effectiveKey(s.openAiApiKey, envDefaults.openAiApiKey),
@@ -75,6 +86,233 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     };
   }
 
+  /**
+   * `expectedVersion` from the request body: the `version` of the design (or
+   * settings) the client is editing. Undefined when not sent.
+   */
+  function readExpectedVersion(req) {
+    const value = req.body?.expectedVersion;
+    if (value === undefined || value === null) return undefined;
+    const version = Number(value);
+    return Number.isInteger(version) && version >= 0 ? version : undefined;
+  }
+
+  /**
+   * Version to compare-and-swap against when saving an edit to `record`: the
+   * one the client sent, else the one just read (so work done between the
+   * read and the write can't overwrite a concurrent change). Null when the
+   * client's copy is already stale.
+   */
+  function expectedVersionFor(req, record) {
+    const current = record.version || 0;
+    const expected = readExpectedVersion(req) ?? current;
+    return expected === current ? expected : null;
+  }
+
+  /** 409 when a record changed since the client loaded it; it should reload and retry. */
+  function sendVersionConflict(res, current, what = "design") {
+    return res.status(409).json({
+      error: `The ${what} changed elsewhere (another tab or request) since you loaded it. Reload and try again.`,
+      conflict: true,
+      currentVersion: current?.version || 0,
+    });
+  }
+
+  /**
+   * Absolute URL for an app-served image, for services that fetch it
+   * (Printful): a signed bucket URL for S3 images, else one on our own host.
+   */
+  function toPublicAppUrl(url) {
+    if (!url || /^(https?:|data:)/.test(url)) return url || null;
+    const signedUrl = imageStore.toPublicUrl(url);
+    if (signedUrl) return signedUrl;
+    const host = String(config?.shopify?.hostName || "").replace(/^https?:\/\//, "").replace(/\/+$/, "");
+    return host && url.startsWith("/") ? `https://${host}${url}` : null;
+  }
+
+  /** Latest transparent version of the design's current artwork, if one was made. */
+  async function findTransparentArtwork(design, shopDomain) {
+    const source = design.rawArtworkUrl || design.previewImageUrl;
+    return (await assetStorageService.assetRepository.listByDesign(design.id, shopDomain))
+      .filter((asset) => asset.type === "artwork-transparent" && asset.metadata?.sourceUrl === source)
+      .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))[0] || null;
+  }
+
+  /**
+   * Transparent artwork for print: the one already made from the current
+   * artwork, else remove the background now and save it as the
+   * artwork-transparent asset.
+   * @returns {Promise<{ url: string, method: string }|null>} null when the background couldn't be removed
+   */
+  async function ensureTransparentArtwork(design, shopDomain, settings) {
+    const existing = await findTransparentArtwork(design, shopDomain);
+    if (existing) return { url: existing.url, method: existing.metadata.method };
+
+    const source = design.rawArtworkUrl || design.previewImageUrl;
+    if (!source) return null;
+    const result = await pipelineService.removeBackground({ imageUrl: source, settings, shopDomain });
+    if (!result) return null;
+
+    await assetStorageService.saveAsset({
+      designId: design.id,
+      shopDomain,
+      type: "artwork-transparent",
+      role: "final",
+      url: result.url,
+      promptSnapshot: result.method === "local" ? "White background removed locally" : "Isolated artwork with transparent background",
+      metadata: { sourceUrl: source, method: result.method },
+    });
+    return result;
+  }
+
+  /**
+   * Create the Printful sync product for a published design and return the
+   * record stored on the product (sync product id + Shopify → Printful variant map).
+   */
+  async function syncPrintfulProduct({ shopDomain, design, productId, variants, title, settings }) {
+    const result = await printfulMockupService.createSyncProduct({
+      printfulApiKey: settings.printfulApiKey,
+      productType: design.productType,
+      title,
+      printFileUrl: toPublicAppUrl((await findTransparentArtwork(design, shopDomain))?.url || design.rawArtworkUrl || design.previewImageUrl),
+      thumbnailUrl: toPublicAppUrl(design.mockupImageUrl || design.previewImageUrl),
+      shopifyProductId: productId,
+      shopifyVariants: variants,
+    });
+    if (result.error) {
+      log.warn({ designId: design.id, shopDomain, err: result.error }, "Printful sync product not created");
+    }
+    return { ...result, syncedAt: Date.now() };
+  }
+
+  /** Alt text for the mockup followed by each lifestyle image, in publish order. */
+  function listingImageAlts(title, productType, lifestyleCount) {
+    return [
+      imageAltText({ title, productType, kind: "mockup" }),
+      ...Array.from({ length: lifestyleCount }, (_, i) => imageAltText({ title, productType, kind: "lifestyle", detail: i + 1 })),
+    ];
+  }
+
+  /**
+   * Listing copy stored on the design, generating and storing it first when
+   * the design has none. Finalize and retry-publish publish it verbatim so
+   * merchant edits are never replaced by freshly generated copy.
+   * @returns {Promise<{ copy: Object, generated: boolean, provider: string, designVersion?: number }>}
+   */
+  async function ensureListingCopy(design, shopDomain, settings) {
+    if (design.listingCopy?.title) {
+      return { copy: design.listingCopy, generated: false, provider: design.listingCopy.provider || "saved" };
+    }
+
+    let result;
+    try {
+      result = await pipelineService.generateListingCopy({
+        prompt: design.prompt,
+        productType: design.productType,
+        openAiApiKey: settings?.openAiApiKey || "",
+        brandVoice: settings?.brandVoice,
+      });
+    } catch (err) {
+      log.error({ err: err?.message, designId: design.id }, "Listing copy generation error (using fallback)");
+      result = { copy: applyBrandVoice(fallbackListingCopy(design), settings?.brandVoice, design), provider: "fallback-error" };
+    }
+
+    const copy = { ...result.copy, provider: result.provider, generatedAt: Date.now(), editedAt: null };
+    const updated = await designRepository.update(design.id, { listingCopy: copy, updatedAt: Date.now() }, shopDomain);
+    design.listingCopy = copy;
+    return { copy, generated: true, provider: result.provider, providerMessage: result.providerMessage, designVersion: updated?.version };
+  }
+
+  /** Validated translation fields (same limits as the source copy). */
+  function cleanTranslation(fields) {
+    const { copy, error } = applyListingCopyEdits({}, {
+      title: fields.title,
+      descriptionHtml: fields.descriptionHtml,
+      seoTitle: fields.seoTitle,
+      seoDescription: fields.seoDescription,
+    });
+    if (error) return { error };
+    const { title, descriptionHtml, seoTitle, seoDescription } = copy;
+    return { fields: { title, descriptionHtml, seoTitle, seoDescription } };
+  }
+
+  /**
+   * Draft translations of a design's listing copy, stored per locale on the
+   * design (design.listingTranslations) for review. Drafts are only sent to
+   * Shopify once approved. Only `locales` are replaced, merged into the
+   * stored translations in one atomic update so edits and approvals of
+   * other locales made while translating are kept.
+   * @returns {Promise<{ translations: Object, designVersion?: number }>}
+   */
+  async function generateListingTranslations(design, shopDomain, settings, locales) {
+    const { copy } = await ensureListingCopy(design, shopDomain, settings);
+    const drafts = {};
+
+    for (const locale of locales) {
+      const result = await pipelineService.translateListingCopy({
+        copy,
+        locale,
+        openAiApiKey: settings?.openAiApiKey || "",
+        brandVoice: settings?.brandVoice,
+      });
+      const { fields } = cleanTranslation(result.copy);
+      drafts[locale] = {
+        locale,
+        ...(fields || cleanTranslation(copy).fields),
+        provider: result.provider,
+        providerMessage: result.providerMessage || "",
+        status: "draft",
+        generatedAt: Date.now(),
+        editedAt: null,
+        registeredAt: null,
+        registerError: null,
+      };
+    }
+
+    const updated = await designRepository.update(design.id, (current) => ({
+      ...current,
+      listingTranslations: { ...(current.listingTranslations || {}), ...drafts },
+      updatedAt: Date.now(),
+    }), shopDomain);
+    if (!updated) throw new Error("Design not found");
+    design.listingTranslations = updated.listingTranslations;
+    return { translations: updated.listingTranslations, designVersion: updated.version };
+  }
+
+  /**
+   * Register a design's approved translations on its Shopify product and
+   * record the outcome per locale. Throws only on 401 (reconnect needed).
+   */
+  async function registerApprovedTranslations(design, shopDomain, productId) {
+    const approved = Object.values(design.listingTranslations || {}).filter((t) => t.status === "approved");
+    if (approved.length === 0) return [];
+
+    let results;
+    try {
+      results = await publishService.registerTranslations({ shopDomain, productId, translations: approved });
+    } catch (err) {
+      if (err?.status === 401) throw err;
+      log.warn({ designId: design.id, err: err?.message }, "Registering translations failed");
+      results = approved.map((t) => ({ locale: t.locale, ok: false, keys: [], error: err?.message || "Failed to register translations" }));
+    }
+
+    const now = Date.now();
+    const updated = await designRepository.update(design.id, (current) => {
+      const translations = { ...(current.listingTranslations || {}) };
+      for (const result of results) {
+        if (!translations[result.locale]) continue;
+        translations[result.locale] = {
+          ...translations[result.locale],
+          registeredAt: result.ok ? now : translations[result.locale].registeredAt,
+          registerError: result.error || null,
+        };
+      }
+      return { ...current, listingTranslations: translations };
+    }, shopDomain);
+    if (updated) design.listingTranslations = updated.listingTranslations;
+    return results;
+  }
+
   async function resolveSession(req) {
     const shopifySession = await authService.validateRequest(req);
     if (shopifySession?.shopDomain) {
@@ -128,7 +366,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       return res.status(401).json({ error: "No session", hint: "Open this from within Shopify admin" });
     }
 
-    const shopSettings = settingsRepository.findByShop(session.shopDomain);
+    const shopSettings = await settingsRepository.findByShop(session.shopDomain);
     const token = shopSettings?.shopifyAccessToken;
 
     const result = {
@@ -177,7 +415,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       return res.status(401).json({ error: "No session" });
     }
 
-    const shopSettings = settingsRepository.findByShop(session.shopDomain);
+    const shopSettings = await settingsRepository.findByShop(session.shopDomain);
     const token = shopSettings?.shopifyAccessToken;
     if (!token) {
       return res.json({ error: "No token stored", shopDomain: session.shopDomain });
@@ -199,6 +437,8 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
         grantedScopes: scopes,
         hasWriteProducts: scopes.includes("write_products"),
         hasReadProducts: scopes.includes("read_products"),
+        hasWriteTranslations: scopes.includes("write_translations"),
+        hasWritePublications: scopes.includes("write_publications"),
         configuredScopes: config.shopify.scopes,
         raw: data,
       });
@@ -225,26 +465,23 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       pgDirect.storeType = store?.constructor?.name || typeof store;
       pgDirect.hasPool = Boolean(store?.pool);
       if (store?.pool) {
-        const result = await store.pool.query("SELECT data FROM app_data WHERE id = 1");
-        pgDirect.rowCount = result.rows.length;
-        if (result.rows.length > 0) {
-          const pgSettings = result.rows[0].data?.settings || [];
-          const realShops = pgSettings.filter(s => !s.shopDomain?.startsWith("_nonce:"));
-          pgDirect.totalSettings = pgSettings.length;
-          pgDirect.shops = realShops.map(s => ({
-            domain: s.shopDomain,
-            hasToken: Boolean(s.shopifyAccessToken),
-            tokenPrefix: s.shopifyAccessToken ? s.shopifyAccessToken.slice(0, 8) + "..." : "none",
-            scopes: s.shopifyScopes || "none",
-          }));
-        }
+        const result = await store.pool.query("SELECT data FROM shop_settings ORDER BY seq");
+        const pgSettings = result.rows.map((row) => row.data);
+        const realShops = pgSettings.filter(s => !s.shopDomain?.startsWith("_nonce:"));
+        pgDirect.totalSettings = pgSettings.length;
+        pgDirect.shops = realShops.map(s => ({
+          domain: s.shopDomain,
+          hasToken: Boolean(s.shopifyAccessToken),
+          tokenPrefix: s.shopifyAccessToken ? s.shopifyAccessToken.slice(0, 8) + "..." : "none",
+          scopes: s.shopifyScopes || "none",
+        }));
       }
     } catch (pgErr) {
       pgDirect.error = pgErr.message;
     }
 
-    const shopSettings = settingsRepository.findByShop(session.shopDomain);
-    const allSettings = settingsRepository.store?.read?.()?.settings || [];
+    const shopSettings = await settingsRepository.findByShop(session.shopDomain);
+    const allSettings = await settingsRepository.listAll();
     const shopDomains = allSettings
       .filter(s => !s.shopDomain?.startsWith("_nonce:"))
       .map(s => ({
@@ -292,21 +529,13 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       return res.status(400).json({ error: "Missing 'token' in body" });
     }
 
-    settingsRepository.upsertByShop(targetShop, {
+    await settingsRepository.upsertByShop(targetShop, {
       shopifyAccessToken: accessToken,
       installedAt: Date.now(),
     });
 
-    // Flush to Postgres so it survives restarts
-    try {
-      await settingsRepository.flush();
-      log.info({ shop: targetShop }, "Token flushed to PostgreSQL");
-    } catch (flushErr) {
-      log.error({ shop: targetShop, err: flushErr.message }, "Token flush to PostgreSQL FAILED");
-    }
-
     // Verify
-    const saved = settingsRepository.findByShop(targetShop);
+    const saved = await settingsRepository.findByShop(targetShop);
     res.json({
       ok: true,
       shop: targetShop,
@@ -329,20 +558,14 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       return res.status(403).json({ error: "Cannot reset OAuth for a different shop." });
     }
 
-    const before = settingsRepository.findByShop(targetShop);
+    const before = await settingsRepository.findByShop(targetShop);
 
     // Clear token + scopes but keep other settings
-    settingsRepository.upsertByShop(targetShop, {
+    await settingsRepository.upsertByShop(targetShop, {
       shopifyAccessToken: "",
       shopifyScopes: "",
     });
 
-    try {
-      await settingsRepository.flush();
-    } catch (e) {
-      log.error({ err: e.message }, "reset-oauth flush error");
-    }
-
     const oauthUrl = `https://${config.shopify.hostName.replace(/^https?:\/\//, "")}/auth?shop=${encodeURIComponent(targetShop)}`;
 
     res.json({
@@ -387,7 +610,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       return res.status(401).json({ error: "Invalid or missing member token" });
     }
 
-    const member = memberRepository.findById(memberSession.memberId);
+    const member = await memberRepository.findById(memberSession.memberId);
     if (!member) {
       return res.status(404).json({ error: "Member not found" });
     }
@@ -404,12 +627,12 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
 
     // Only show members that belong to this shop (by shopDomain on their designs)
-    const allDesigns = designRepository.listByShop(shopSession.shopDomain);
+    const allDesigns = await designRepository.listByShop(shopSession.shopDomain);
     const published = allDesigns.filter((item) => item.status === "published").length;
-    const designCountsByMember = designRepository.countByMember(shopSession.shopDomain);
+    const designCountsByMember = await designRepository.countByMember(shopSession.shopDomain);
 
     // Scope members to only those who belong to this shop
-    const allMembers = memberRepository.list(shopSession.shopDomain);
+    const allMembers = await memberRepository.list(shopSession.shopDomain);
 
     return res.json({
       visitors: analyticsService.getSummary(),
@@ -432,16 +655,32 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     return k.slice(0, 4) + "****" + k.slice(-4);
   }
 
+  // "auto" is stored as an empty value: cost-optimised whenever a Stability key is set
+  const LIFESTYLE_MODES = ["standard", "cost-optimised"];
+
+  /** Provider ordering fields shared by GET and PUT /settings. */
+  function describeImageProviders(settings) {
+    const registry = pipelineService.imageProviders;
+    return {
+      imageProviderDefault: registry.rank({ operation: "generate", settings })[0]?.id || "openai",
+      imageProviderPriority: registry.normalizePriority(settings.imageProviderPriority),
+      imageProviderStrategy: registry.normalizeStrategy(settings.imageProviderStrategy),
+      imageProviders: registry.describe(settings),
+      lifestyleMode: LIFESTYLE_MODES.includes(settings.lifestyleMode) ? settings.lifestyleMode : "auto",
+      lifestyleModeEffective: pipelineService.resolveLifestyleMode(settings),
+    };
+  }
+
   router.get("/settings", async (req, res) => {
     const session = await requireSession(req, res);
     if (!session) {
       return;
     }
 
-    const settings = getEffectiveSettings(session.shopDomain);
+    const settings = await getEffectiveSettings(session.shopDomain);
     const isAdmin = session.subject === "setup-admin";
     return res.json({
-      imageProviderDefault: "openai",
+      ...describeImageProviders(settings),
       // Only expose masked keys to admin users
       ...(isAdmin ? {
         keiAiApiKey: maskKey(settings.keiAiApiKey),
@@ -449,13 +688,21 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
         kieGenerateUrl: settings.kieGenerateUrl || "https://api.kie.ai/api/v1/gpt4o-image/generate",
         kieEditUrl: settings.kieEditUrl || "https://api.kie.ai/api/v1/gpt4o-image/generate",
         printfulApiKey: maskKey(settings.printfulApiKey),
+        stabilityApiKey: maskKey(settings.stabilityApiKey),
       } : {}),
       // Tell the frontend which keys are configured (without exposing them)
       hasOpenAiKey: Boolean(settings.openAiApiKey),
       hasKeiAiKey: Boolean(settings.keiAiApiKey),
       hasPrintfulKey: Boolean(settings.printfulApiKey),
+      hasStabilityKey: Boolean(settings.stabilityApiKey),
       hasShopifyToken: Boolean(settings.shopifyAccessToken),
+      printfulSyncProducts: Boolean(settings.printfulSyncProducts),
+      brandVoice: normalizeBrandVoice(settings.brandVoice),
+      targetLocales: normalizeLocales(settings.targetLocales),
+      vendor: settings.vendor || "",
+      pricingRules: normalizePricingRules(settings.pricingRules),
       isAdmin,
+      version: settings.version || 0,
       updatedAt: settings.updatedAt || null,
     });
   });
@@ -466,7 +713,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       return;
     }
 
-    const existing = settingsRepository.findByShop(session.shopDomain);
+    const existing = await settingsRepository.findByShop(session.shopDomain);
 
     // Helper: if the submitted value looks like a masked key (contains ****),
     // keep the existing stored value instead of overwriting with the mask.
@@ -483,6 +730,35 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     const keiAiApiKey = resolveKey("keiAiApiKey", req.body?.keiAiApiKey, existing?.keiAiApiKey);
     const openAiApiKey = resolveKey("openAiApiKey", req.body?.openAiApiKey, existing?.openAiApiKey);
     const printfulApiKey = resolveKey("printfulApiKey", req.body?.printfulApiKey, existing?.printfulApiKey);
+    const stabilityApiKey = resolveKey("stabilityApiKey", req.body?.stabilityApiKey, existing?.stabilityApiKey);
+
+    // Image provider order: explicit priority list and/or "cheapest" strategy
+    const registry = pipelineService.imageProviders;
+    const imageProviderPriority = Object.prototype.hasOwnProperty.call(req.body || {}, "imageProviderPriority")
+      ? registry.normalizePriority(req.body.imageProviderPriority)
+      : registry.normalizePriority(existing?.imageProviderPriority);
+    const imageProviderStrategy = registry.normalizeStrategy(req.body?.imageProviderStrategy || existing?.imageProviderStrategy);
+    const submittedLifestyleMode = Object.prototype.hasOwnProperty.call(req.body || {}, "lifestyleMode")
+      ? req.body.lifestyleMode
+      : existing?.lifestyleMode;
+    const lifestyleMode = LIFESTYLE_MODES.includes(submittedLifestyleMode) ? submittedLifestyleMode : "";
+    const printfulSyncProducts = typeof req.body?.printfulSyncProducts === "boolean"
+      ? req.body.printfulSyncProducts
+      : Boolean(existing?.printfulSyncProducts);
+    // Listing copy tone, banned words, disclaimers, default tags and description template
+    const brandVoice = normalizeBrandVoice(Object.prototype.hasOwnProperty.call(req.body || {}, "brandVoice")
+      ? req.body.brandVoice
+      : existing?.brandVoice);
+    const targetLocales = normalizeLocales(Object.prototype.hasOwnProperty.call(req.body || {}, "targetLocales")
+      ? req.body.targetLocales
+      : existing?.targetLocales);
+    // Shopify product vendor; empty leaves Shopify's default (the store name)
+    const vendor = sanitize(Object.prototype.hasOwnProperty.call(req.body || {}, "vendor")
+      ? req.body.vendor
+      : existing?.vendor, 255);
+    const pricingRules = normalizePricingRules(Object.prototype.hasOwnProperty.call(req.body || {}, "pricingRules")
+      ? req.body.pricingRules
+      : existing?.pricingRules);
 
     const hasKieGenerateUrl = Object.prototype.hasOwnProperty.call(req.body || {}, "kieGenerateUrl");
     const hasKieEditUrl = Object.prototype.hasOwnProperty.call(req.body || {}, "kieEditUrl");
@@ -493,25 +769,48 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       ? String(req.body?.kieEditUrl || "").trim()
       : String(existing?.kieEditUrl || "").trim()) || "https://api.kie.ai/api/v1/gpt4o-image/generate";
 
-    const settings = settingsRepository.upsertByShop(session.shopDomain, {
-      keiAiApiKey,
-      openAiApiKey,
-      kieGenerateUrl,
-      kieEditUrl,
-      printfulApiKey,
-    });
+    let settings;
+    try {
+      settings = await settingsRepository.upsertByShop(session.shopDomain, {
+        keiAiApiKey,
+        openAiApiKey,
+        kieGenerateUrl,
+        kieEditUrl,
+        printfulApiKey,
+        stabilityApiKey,
+        imageProviderPriority,
+        imageProviderStrategy,
+        lifestyleMode,
+        printfulSyncProducts,
+        brandVoice,
+        targetLocales,
+        vendor,
+        pricingRules,
+      }, { expectedVersion: readExpectedVersion(req) });
+    } catch (err) {
+      if (err.code === "VERSION_CONFLICT") return sendVersionConflict(res, err.current, "settings");
+      return res.status(500).json({ error: err.message || "Failed to save settings" });
+    }
 
     return res.json({
-      imageProviderDefault: "openai",
+      ...describeImageProviders(await getEffectiveSettings(session.shopDomain)),
       keiAiApiKey: maskKey(settings.keiAiApiKey),
       openAiApiKey: maskKey(settings.openAiApiKey),
       kieGenerateUrl: settings.kieGenerateUrl,
       kieEditUrl: settings.kieEditUrl,
       printfulApiKey: maskKey(settings.printfulApiKey),
+      stabilityApiKey: maskKey(settings.stabilityApiKey),
       hasOpenAiKey: Boolean(settings.openAiApiKey),
       hasKeiAiKey: Boolean(settings.keiAiApiKey),
       hasPrintfulKey: Boolean(settings.printfulApiKey),
+      hasStabilityKey: Boolean(settings.stabilityApiKey),
       hasShopifyToken: Boolean(settings.shopifyAccessToken),
+      printfulSyncProducts: Boolean(settings.printfulSyncProducts),
+      brandVoice: settings.brandVoice,
+      targetLocales: settings.targetLocales,
+      vendor: settings.vendor || "",
+      pricingRules: settings.pricingRules,
+      version: settings.version,
       updatedAt: settings.updatedAt,
     });
   });
@@ -523,13 +822,13 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
 
     try {
-      const settings = getEffectiveSettings(session.shopDomain);
+      const settings = await getEffectiveSettings(session.shopDomain);
       const keiAiApiKey = String(req.body?.keiAiApiKey || settings?.keiAiApiKey || "").trim();
       const kieGenerateUrl = String(req.body?.kieGenerateUrl || settings?.kieGenerateUrl || "").trim();
       const result = await pipelineService.generateDesignImage({
         artworkPrompt: "test image prompt for connectivity",
-        keiAiApiKey,
-        kieGenerateUrl,
+        settings: { ...settings, keiAiApiKey, kieGenerateUrl },
+        providerIds: ["kie"],
         maxWaitMs: 15000,
         pollIntervalMs: 2000,
         shopDomain: session.shopDomain,
@@ -555,13 +854,14 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
 
     try {
-      const settings = getEffectiveSettings(session.shopDomain);
+      const settings = await getEffectiveSettings(session.shopDomain);
       const openAiApiKey = String(req.body?.openAiApiKey || settings?.openAiApiKey || "").trim();
 
       const copyResult = await pipelineService.generateListingCopy({
         prompt: "test listing copy for shamrock mug",
         productType: "mug",
         openAiApiKey,
+        brandVoice: settings?.brandVoice,
       });
 
       // Also probe whether image generation is available on this key
@@ -618,7 +918,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
 
     // ── Billing enforcement ──────────────────────────────────────────
     if (billingService) {
-      const check = billingService.canPerformAction(session.shopDomain, "analyze");
+      const check = await billingService.canPerformAction(session.shopDomain, "analyze");
       if (!check.allowed) {
         return res.status(403).json({
           error: check.isOnTrial
@@ -635,33 +935,148 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
 
     try {
-      const settings = getEffectiveSettings(session.shopDomain);
+      const settings = await getEffectiveSettings(session.shopDomain);
       const result = await pipelineService.analyzeProductImage({
         imageBase64,
         openAiApiKey: settings?.openAiApiKey || "",
       });
 
       // Record credit usage for image analysis
-      if (billingService) billingService.recordUsage(session.shopDomain, "analyze-image");
+      if (billingService) await billingService.recordUsage(session.shopDomain, "analyze-image");
 
       return res.json({ description: result.description });
     } catch (error) {
-      if (billingService) billingService.recordError(session.shopDomain, "analyze-image", error?.message);
+      if (billingService) await billingService.recordError(session.shopDomain, "analyze-image", error?.message);
       return res.status(500).json({
         error: error instanceof Error ? error.message : "Failed to analyze image",
       });
     }
   });
 
+  /**
+   * Credits are charged when a job finishes, so the check made when it was
+   * queued may be stale: several jobs for one shop can be queued and pass it
+   * together. Jobs re-check right before calling any provider.
+   */
+  async function assertCanAfford(shopDomain, creditsNeeded) {
+    if (!billingService) return;
+    const check = await billingService.canAfford(shopDomain, creditsNeeded);
+    if (!check.allowed) {
+      const err = new Error(`Not enough credits (${Math.max(0, check.remaining)} remaining, need ${creditsNeeded}). Upgrade for more.`);
+      err.details = { limitReached: true, isOnTrial: check.isOnTrial || false, creditsNeeded, remaining: check.remaining };
+      throw err;
+    }
+  }
+
+  /** Job: generate the raw isolated artwork for a new design. */
+  async function runDesignPreviewJob(job, { progress }) {
+    const shopDomain = job.shopDomain;
+    const { prompt, productType, imageShape, publishImmediately, customProductImageUrl, createdBy } = job.payload;
+    const variationCount = job.payload.variations || 1;
+
+    try {
+      await assertCanAfford(shopDomain, variationCount);
+      const settings = await getEffectiveSettings(shopDomain);
+
+      // Generate ONLY the raw isolated artwork (mockup comes later when user approves)
+      progress(variationCount > 1 ? `Generating ${variationCount} artwork variations` : "Generating artwork");
+      const artworkPrompt = await pipelineService.buildArtworkPrompt({ prompt, productType });
+      const results = await Promise.all(Array.from({ length: variationCount }, () => pipelineService.generateDesignImage({
+        artworkPrompt,
+        settings,
+        imageShape,
+        maxWaitMs: 30000,
+        pollIntervalMs: 2500,
+        shopDomain,
+      })));
+      // Placeholders from failed generations are only kept when nothing else came back
+      const generated = results.filter((result) => !String(result.provider).startsWith("fallback"));
+      const candidates = generated.length > 0 ? generated : results.slice(0, 1);
+      const designResult = candidates[0];
+      const rawArtworkUrl = designResult.imageUrl;
+
+      progress("Saving design");
+      const design = pipelineService.createDesignRecord({
+        shopDomain,
+        prompt,
+        productType,
+        publishImmediately,
+        artworkPrompt,
+        designImageUrl: rawArtworkUrl,
+        createdBy,
+      });
+      design.rawArtworkUrl = rawArtworkUrl;
+      if (customProductImageUrl) {
+        design.customProductImageUrl = customProductImageUrl;
+      }
+
+      // Every candidate is kept; the first is current until the merchant picks another
+      const assets = [];
+      for (const candidate of candidates) {
+        assets.push(await assetStorageService.saveAsset({
+          designId: design.id,
+          shopDomain,
+          type: "artwork-raw",
+          role: candidates.length > 1 ? "variation" : "base",
+          url: candidate.imageUrl,
+          promptSnapshot: artworkPrompt,
+        }));
+      }
+
+      const savedDesign = await designRepository.create({
+        ...design,
+        currentDesignAssetId: assets[0].id,
+      });
+
+      // Record credit usage: one credit per image returned
+      if (billingService) {
+        for (let index = 0; index < candidates.length; index++) {
+          await billingService.recordUsage(shopDomain, "design-preview", candidates.length > 1 ? { variation: index + 1 } : {});
+        }
+      }
+
+      return {
+        designId: savedDesign.id,
+        designVersion: savedDesign.version,
+        rawArtworkUrl,
+        variations: candidates.length > 1
+          ? assets.map((asset, index) => ({ assetId: asset.id, url: asset.url, provider: candidates[index].provider }))
+          : [],
+        provider: {
+          designImage: designResult.provider,
+          message: designResult.providerMessage,
+        },
+      };
+    } catch (error) {
+      log.error({ err: error?.message, stack: error?.stack?.split?.('\n')?.slice(0, 5) }, "design-preview job error");
+      if (billingService) await billingService.recordError(shopDomain, "design-preview", error?.message);
+      throw error;
+    }
+  }
+  jobQueueService.register("design-preview", runDesignPreviewJob);
+
   router.post("/design-preview", async (req, res) => {
     const session = await requireSession(req, res);
     if (!session) {
       return;
     }
 
+    // Up to MAX_DESIGN_VARIATIONS candidates per prompt, one credit each
+    const variations = Math.max(1, Math.min(MAX_DESIGN_VARIATIONS, Math.floor(Number(req.body?.variations)) || 1));
+
     // ── Billing enforcement: check design quota ──────────────────────
-    if (billingService) {
-      const check = billingService.canPerformAction(session.shopDomain, "design");
+    if (billingService && variations > 1) {
+      const check = await billingService.canAfford(session.shopDomain, variations);
+      if (!check.allowed) {
+        return res.status(403).json({
+          error: check.isOnTrial
+            ? `Trial credit limit reached (${check.current}/${check.limit}). Need ${variations} credits but only ${check.remaining} remaining.`
+            : `Not enough credits for ${variations} variations (${check.remaining} remaining). Generate fewer or upgrade for more.`,
+          limitReached: true, isOnTrial: check.isOnTrial || false, creditsNeeded: variations, remaining: check.remaining, usage: check,
+        });
+      }
+    } else if (billingService) {
+      const check = await billingService.canPerformAction(session.shopDomain, "design");
       if (!check.allowed) {
         const msg = check.isOnTrial
           ? `Trial credit limit reached (${check.current}/${check.limit}). Your full ${check.fullLimit} credits unlock after the trial.`
@@ -686,82 +1101,37 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
 
     try {
-      const settings = getEffectiveSettings(session.shopDomain);
-
-      // If user uploaded a custom product image, save it to DB
+      // If user uploaded a custom product image, store it now so the
+      // (potentially large) data URL is not copied into the job payload
       let customProductImageUrl = null;
       if (customProductImage && typeof customProductImage === "string" && customProductImage.startsWith("data:image/")) {
-        const match = customProductImage.match(/^data:(image\/\w+);base64,(.+)$/);
+        const match = customProductImage.match(/^data:image\/[\w+.-]+;base64,(.+)$/);
         if (match) {
-          const mimeType = match[1];
-          const base64Data = match[2];
-          const imgId = require("crypto").randomUUID();
-          await pipelineService.store.saveImage({ id: imgId, shopDomain: session.shopDomain, data: Buffer.from(base64Data, "base64"), mimeType });
-          customProductImageUrl = `/images/${imgId}`;
-          log.info({ customProductImageUrl, mimeType }, "Saved custom product image to DB");
+          customProductImageUrl = await imageStore.put({ shopDomain: session.shopDomain, data: Buffer.from(match[1], "base64") });
+          log.info({ customProductImageUrl }, "Saved custom product image");
         }
       }
 
-      // Generate ONLY the raw isolated artwork (mockup comes later when user approves)
-      const artworkPrompt = await pipelineService.buildArtworkPrompt({ prompt, productType });
-      let designResult = await pipelineService.generateDesignImage({
-        artworkPrompt,
-        openAiApiKey: settings?.openAiApiKey || "",
-        keiAiApiKey: settings?.keiAiApiKey || "",
-        kieGenerateUrl: settings?.kieGenerateUrl,
-        imageShape,
-        maxWaitMs: 30000,
-        pollIntervalMs: 2500,
-        shopDomain: session.shopDomain,
-      });
-      const rawArtworkUrl = designResult.imageUrl;
-
-      const design = pipelineService.createDesignRecord({
-        shopDomain: session.shopDomain,
-        prompt,
-        productType,
-        publishImmediately,
-        artworkPrompt,
-        designImageUrl: rawArtworkUrl,
-        createdBy: session.subject || session.memberId || null,
-      });
-      design.rawArtworkUrl = rawArtworkUrl;
-      if (customProductImageUrl) {
-        design.customProductImageUrl = customProductImageUrl;
-      }
-
-      const previewAsset = assetStorageService.saveAsset({
-        designId: design.id,
+      const job = await jobQueueService.enqueue({
+        type: "design-preview",
         shopDomain: session.shopDomain,
-        type: "artwork-raw",
-        role: "base",
-        url: rawArtworkUrl,
-        promptSnapshot: artworkPrompt,
-      });
-
-      const savedDesign = designRepository.create({
-        ...design,
-        currentDesignAssetId: previewAsset.id,
-      });
-
-      // Record credit usage
-      if (billingService) {
-        billingService.recordUsage(session.shopDomain, "design-preview");
-      }
-
-      return res.json({
-        designId: savedDesign.id,
-        rawArtworkUrl,
-        provider: {
-          designImage: designResult.provider,
-          message: designResult.providerMessage,
+        payload: {
+          prompt,
+          productType,
+          imageShape,
+          publishImmediately,
+          customProductImageUrl,
+          variations,
+          createdBy: session.subject || session.memberId || null,
         },
       });
+
+      return res.status(202).json({ jobId: job.id, status: job.status });
     } catch (error) {
+      if (error.code === "INVALID_IMAGE") return res.status(error.status).json({ error: error.message });
       log.error({ err: error?.message, stack: error?.stack?.split?.('\n')?.slice(0, 5) }, "design-preview route error");
-      if (billingService) billingService.recordError(session.shopDomain, "design-preview", error?.message);
       return res.status(500).json({
-        error: error instanceof Error ? error.message : "Failed to generate design preview",
+        error: error instanceof Error ? error.message : "Failed to queue design preview",
       });
     }
   });
@@ -774,7 +1144,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
 
     try {
-      const settings = getEffectiveSettings(session.shopDomain);
+      const settings = await getEffectiveSettings(session.shopDomain);
       if (!settings?.printfulApiKey) {
         return res.json({ products: [], source: "no-key" });
       }
@@ -787,60 +1157,115 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
   });
 
-  // Generate product mockup from approved artwork
-  router.post("/generate-mockup", async (req, res) => {
+  // ── Collections and sales channels for the publish picker ──
+  router.get("/shopify/collections", async (req, res) => {
     const session = await requireSession(req, res);
-    if (!session) {
-      return;
+    if (!session) return;
+    try {
+      const collections = await publishService.listCollections({ shopDomain: session.shopDomain });
+      return res.json({ collections });
+    } catch (err) {
+      return respondShopifyError(res, err, session.shopDomain, "Failed to load collections from Shopify");
     }
+  });
 
-    // ── Billing enforcement ──────────────────────────────────────────
-    if (billingService) {
-      const check = billingService.canPerformAction(session.shopDomain, "mockup");
-      if (!check.allowed) {
-        return res.status(403).json({
-          error: check.isOnTrial
-            ? `Trial credit limit reached (${check.current}/${check.limit}).`
-            : `Monthly credit limit reached (${check.current}/${check.limit}). Upgrade for more.`,
-          limitReached: true, isOnTrial: check.isOnTrial || false, usage: check,
-        });
-      }
+  router.get("/shopify/publications", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    try {
+      const publications = await publishService.listPublications({ shopDomain: session.shopDomain });
+      return res.json({ publications });
+    } catch (err) {
+      return respondShopifyError(res, err, session.shopDomain, "Failed to load sales channels from Shopify");
     }
+  });
 
-    const designId = String(req.body?.designId || "").trim();
-    if (!designId) {
-      return res.status(400).json({ error: "designId is required" });
+  // ── Pricing rules ──
+  // Base cost from Printful's catalog (when chosen and available), else the shop's own cost table
+  async function resolveBaseCost(productType, settings, rules) {
+    if (rules.baseCostSource === "printful" && printfulMockupService && settings?.printfulApiKey) {
+      const printful = await printfulMockupService.getBaseCost({ printfulApiKey: settings.printfulApiKey, productType });
+      if (printful) return { baseCost: printful.baseCost, baseCostSource: "printful" };
     }
-
-    const design = designRepository.findById(designId, session.shopDomain);
-    if (!design) {
-      return res.status(404).json({ error: "Design not found" });
+    if (rules.baseCosts[productType]) {
+      return { baseCost: rules.baseCosts[productType], baseCostSource: "manual" };
     }
+    return null;
+  }
 
-    const rawArtworkUrl = design.rawArtworkUrl || design.previewImageUrl;
-    if (!rawArtworkUrl) {
-      return res.status(400).json({ error: "No artwork found to create mockup from" });
-    }
+  /** Rule-based price for a product type, or null when rules are off or there is no base cost. */
+  async function resolvePricing(productType, settings) {
+    const rules = normalizePricingRules(settings?.pricingRules);
+    if (!rules.enabled) return null;
+    const cost = await resolveBaseCost(productType, settings, rules);
+    if (!cost) return null;
+    return { ...computePrice(rules, cost.baseCost), baseCostSource: cost.baseCostSource };
+  }
 
-    // Check if the reference file actually exists on disk
-    if (rawArtworkUrl.startsWith("/uploads/")) {
-      const localPath = path.join(uploadsDir, path.basename(rawArtworkUrl));
-      const fileExists = fs.existsSync(localPath);
-      const fileSize = fileExists ? fs.statSync(localPath).size : 0;
-      log.info({ rawArtworkUrl, localPath, fileExists, fileSizeKB: Math.round(fileSize / 1024) }, "Mockup: reference file check");
-      if (!fileExists) {
-        log.error({ rawArtworkUrl, localPath }, "Mockup: reference artwork file NOT FOUND on disk");
-        return res.status(400).json({ error: "Artwork file no longer exists on server. Please regenerate your design." });
-      }
-    }
+  // Shown before publish: the rule-based price, or the margin at the merchant's own price
+  router.get("/pricing/preview", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const productType = sanitize(req.query.productType, 40);
+    if (!productType) return res.status(400).json({ error: "productType is required" });
+    const settings = await getEffectiveSettings(session.shopDomain);
+    const rules = normalizePricingRules(settings.pricingRules);
+    const cost = await resolveBaseCost(productType, settings, rules);
+    const manualPrice = Number(req.query.price);
+    const hasManualPrice = req.query.price !== undefined && req.query.price !== "" && Number.isFinite(manualPrice) && manualPrice > 0;
+
+    return res.json({
+      enabled: rules.enabled,
+      baseCost: cost ? cost.baseCost.toFixed(2) : null,
+      baseCostSource: cost?.baseCostSource || null,
+      suggested: rules.enabled && cost ? computePrice(rules, cost.baseCost) : null,
+      manual: hasManualPrice && cost ? { price: manualPrice.toFixed(2), ...describeMargin(manualPrice, cost.baseCost) } : null,
+    });
+  });
+
+  /** Job: render a product mockup from a design's approved artwork. */
+  async function runGenerateMockupJob(job, { progress }) {
+    const shopDomain = job.shopDomain;
+    const designId = job.designId;
+    const { imageShape } = job.payload;
 
     try {
-      const settings = getEffectiveSettings(session.shopDomain);
-      const imageShape = String(req.body?.imageShape || "square").trim().toLowerCase();
-      const printfulProductId = req.body?.printfulProductId || null;
+      const design = await designRepository.findById(designId, shopDomain);
+      if (!design) throw new Error("Design not found");
+      // Clones made for a Printful catalog product keep rendering on it
+      const printfulProductId = job.payload.printfulProductId || design.printfulProductId || null;
+      const rawArtworkUrl = design.rawArtworkUrl || design.previewImageUrl;
+      await assertCanAfford(shopDomain, 1);
+      const settings = await getEffectiveSettings(shopDomain);
+
+      // The mockup is only saved if the artwork it was rendered from is still
+      // current; other edits made meanwhile (listing copy, translations) are
+      // fine. Its asset record is written once the design has taken it.
+      const saveMockup = async (mockupUrl, promptSnapshot) => {
+        const updated = await designRepository.update(designId, (current) => {
+          if ((current.rawArtworkUrl || null) !== (design.rawArtworkUrl || null)) {
+            const err = new Error("The artwork changed while the mockup was being generated. Generate the mockup again.");
+            err.code = "ARTWORK_CHANGED";
+            throw err;
+          }
+          return { ...current, previewImageUrl: mockupUrl, mockupImageUrl: mockupUrl, updatedAt: Date.now() };
+        }, shopDomain);
+        if (!updated) throw new Error("Design not found");
+        await assetStorageService.saveAsset({
+          designId,
+          shopDomain,
+          type: "design-preview",
+          role: "mockup",
+          url: mockupUrl,
+          promptSnapshot,
+        });
+        return updated;
+      };
 
       // If user uploaded a custom product image, use dual-image mockup generation
       if (design.customProductImageUrl) {
+        progress("Placing artwork on your product photo");
         log.info({ customProductImageUrl: design.customProductImageUrl, rawArtworkUrl }, "Mockup: using custom product image");
         const mockupPrompt = `Place the artwork design from the first image onto the product shown in the second image. Create a realistic, professional product mockup. The design should appear naturally on the product surface, with proper perspective and lighting that matches the product photo.`;
         const customMockupUrl = await pipelineService.generateMockupWithCustomProduct({
@@ -849,41 +1274,30 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
           prompt: mockupPrompt,
           openAiApiKey: settings?.openAiApiKey || "",
           imageShape,
-          shopDomain: session.shopDomain,
+          shopDomain,
         });
 
         if (customMockupUrl) {
-          assetStorageService.saveAsset({
-            designId,
-            shopDomain: session.shopDomain,
-            type: "design-preview",
-            role: "mockup",
-            url: customMockupUrl,
-            promptSnapshot: mockupPrompt,
-          });
-
-          designRepository.update(designId, {
-            previewImageUrl: customMockupUrl,
-            mockupImageUrl: customMockupUrl,
-            updatedAt: Date.now(),
-          }, session.shopDomain);
+          const updated = await saveMockup(customMockupUrl, mockupPrompt);
 
-          if (billingService) billingService.recordUsage(session.shopDomain, "mockup-custom");
+          if (billingService) await billingService.recordUsage(shopDomain, "mockup-custom");
 
-          return res.json({
+          return {
             designId,
+            designVersion: updated?.version,
             designImageUrl: customMockupUrl,
             provider: {
               designImage: "openai",
               message: "Custom product mockup generated with OpenAI.",
             },
-          });
+          };
         }
         log.warn({}, "Custom product mockup failed, falling back to standard flow");
       }
 
       // Try Printful first (free, professional mockups)
       if (printfulMockupService && settings?.printfulApiKey) {
+        progress("Rendering Printful mockup");
         log.info({ productType: design.productType, printfulProductId: printfulProductId || undefined }, "Trying Printful for mockup generation");
         const printfulResult = await printfulMockupService.generateMockup({
           printfulApiKey: settings.printfulApiKey,
@@ -896,88 +1310,122 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
 
         if (printfulResult.provider === "printful" && printfulResult.mockupUrls.length > 0) {
           const designImageUrl = printfulResult.mockupUrls[0];
-
-          assetStorageService.saveAsset({
-            designId,
-            shopDomain: session.shopDomain,
-            type: "design-preview",
-            role: "mockup",
-            url: designImageUrl,
-            promptSnapshot: "Printful mockup",
-          });
-
-          designRepository.update(designId, {
-            previewImageUrl: designImageUrl,
-            mockupImageUrl: designImageUrl,
-            updatedAt: Date.now(),
-          }, session.shopDomain);
+          const updated = await saveMockup(designImageUrl, "Printful mockup");
 
           // Record credit usage for Printful mockup
-          if (billingService) billingService.recordUsage(session.shopDomain, "mockup-printful");
+          if (billingService) await billingService.recordUsage(shopDomain, "mockup-printful");
 
-          return res.json({
+          return {
             designId,
+            designVersion: updated?.version,
             designImageUrl,
             allMockupUrls: printfulResult.mockupUrls,
             provider: {
               designImage: printfulResult.provider,
               message: printfulResult.providerMessage,
             },
-          });
+          };
         }
         log.warn({ providerMessage: printfulResult.providerMessage }, "Printful unavailable, falling back to AI");
       }
 
       // Fallback: AI-generated mockup
+      progress("Generating AI mockup");
       log.info({ rawArtworkUrl, productType: design.productType, imageShape }, "Mockup: attempting AI-generated mockup with reference image");
       const mockupPrompt = pipelineService.buildMockupPrompt({ productType: design.productType, designConcept: design.prompt });
 
       let mockupResult = await pipelineService.generateDesignImage({
         artworkPrompt: mockupPrompt,
-        openAiApiKey: settings?.openAiApiKey || "",
-        keiAiApiKey: settings?.keiAiApiKey || "",
-        kieGenerateUrl: settings?.kieGenerateUrl,
+        settings,
         referenceImageUrl: rawArtworkUrl,
         imageShape,
         maxWaitMs: 30000,
         pollIntervalMs: 2500,
-        shopDomain: session.shopDomain,
+        shopDomain,
       });
 
       const designImageUrl = mockupResult.imageUrl;
+      const updated = await saveMockup(designImageUrl, mockupPrompt);
 
-      assetStorageService.saveAsset({
-        designId,
-        shopDomain: session.shopDomain,
-        type: "design-preview",
-        role: "mockup",
-        url: designImageUrl,
-        promptSnapshot: mockupPrompt,
-      });
+      // Record credit usage for mockup generation
+      if (billingService) await billingService.recordUsage(shopDomain, "mockup-ai");
 
-      designRepository.update(designId, {
-        previewImageUrl: designImageUrl,
-        mockupImageUrl: designImageUrl,
-        updatedAt: Date.now(),
-      }, session.shopDomain);
-
-      // Record credit usage for mockup generation
-      if (billingService) billingService.recordUsage(session.shopDomain, "mockup-ai");
-
-      return res.json({
+      return {
         designId,
+        designVersion: updated?.version,
         designImageUrl,
         provider: {
           designImage: mockupResult.provider,
           message: mockupResult.providerMessage,
         },
-      });
+      };
     } catch (error) {
-      if (billingService) billingService.recordError(session?.shopDomain, "generate-mockup", error?.message);
-      return res.status(500).json({
-        error: error instanceof Error ? error.message : "Failed to generate product mockup",
-      });
+      if (billingService) await billingService.recordError(shopDomain, "generate-mockup", error?.message);
+      throw error;
+    }
+  }
+  jobQueueService.register("generate-mockup", runGenerateMockupJob, { restartable: true });
+
+  // Generate product mockup from approved artwork
+  router.post("/generate-mockup", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    // ── Billing enforcement ──────────────────────────────────────────
+    if (billingService) {
+      const check = await billingService.canPerformAction(session.shopDomain, "mockup");
+      if (!check.allowed) {
+        return res.status(403).json({
+          error: check.isOnTrial
+            ? `Trial credit limit reached (${check.current}/${check.limit}).`
+            : `Monthly credit limit reached (${check.current}/${check.limit}). Upgrade for more.`,
+          limitReached: true, isOnTrial: check.isOnTrial || false, usage: check,
+        });
+      }
     }
+
+    const designId = String(req.body?.designId || "").trim();
+    if (!designId) {
+      return res.status(400).json({ error: "designId is required" });
+    }
+
+    const design = await designRepository.findById(designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+
+    const rawArtworkUrl = design.rawArtworkUrl || design.previewImageUrl;
+    if (!rawArtworkUrl) {
+      return res.status(400).json({ error: "No artwork found to create mockup from" });
+    }
+
+    // Stored artwork can be lost (e.g. a local disk wiped by a redeploy); say so now rather than failing in the job
+    if (imageStore.backendFor(rawArtworkUrl)) {
+      let artwork;
+      try {
+        artwork = await imageStore.get(rawArtworkUrl);
+      } catch (err) {
+        log.warn({ rawArtworkUrl, err: err?.message }, "Mockup: could not check the reference artwork");
+      }
+      if (artwork === null) {
+        log.error({ rawArtworkUrl }, "Mockup: reference artwork not found in the image store");
+        return res.status(400).json({ error: "Artwork file no longer exists on server. Please regenerate your design." });
+      }
+    }
+
+    const job = await jobQueueService.enqueue({
+      type: "generate-mockup",
+      shopDomain: session.shopDomain,
+      designId,
+      payload: {
+        imageShape: String(req.body?.imageShape || "square").trim().toLowerCase(),
+        printfulProductId: req.body?.printfulProductId || null,
+      },
+    });
+
+    return res.status(202).json({ jobId: job.id, status: job.status });
   });
 
   router.post("/revise-design", async (req, res) => {
@@ -988,7 +1436,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
 
     // ── Billing enforcement ──────────────────────────────────────────
     if (billingService) {
-      const check = billingService.canPerformAction(session.shopDomain, "revision");
+      const check = await billingService.canPerformAction(session.shopDomain, "revision");
       if (!check.allowed) {
         return res.status(403).json({
           error: check.isOnTrial
@@ -1006,13 +1454,15 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       return res.status(400).json({ error: "designId and amendment are required" });
     }
 
-    const design = designRepository.findById(designId, session.shopDomain);
+    const design = await designRepository.findById(designId, session.shopDomain);
     if (!design) {
       return res.status(404).json({ error: "Design not found" });
     }
+    const expectedVersion = expectedVersionFor(req, design);
+    if (expectedVersion === null) return sendVersionConflict(res, design);
 
     try {
-      const settings = getEffectiveSettings(session.shopDomain);
+      const settings = await getEffectiveSettings(session.shopDomain);
       const artworkPrompt = await pipelineService.buildArtworkPrompt({
         prompt: design.prompt,
         productType: design.productType,
@@ -1023,16 +1473,14 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       const revisionPrompt = `Edit the provided artwork design. Keep the same overall composition, subject, and visual style. Apply only this change: ${amendment}`;
       let designResult = await pipelineService.generateDesignImage({
         artworkPrompt: revisionPrompt,
-        openAiApiKey: settings?.openAiApiKey || "",
-        keiAiApiKey: settings?.keiAiApiKey || "",
-        kieGenerateUrl: settings?.kieEditUrl || settings?.kieGenerateUrl,
+        settings,
         referenceImageUrl: referenceUrl,
         maxWaitMs: 20000,
         pollIntervalMs: 2500,
         shopDomain: session.shopDomain,
       });
 
-      if (designResult.provider !== "openai" && designResult.provider !== "kie") {
+      if (designResult.provider.startsWith("fallback")) {
         const providerMessage = String(designResult.providerMessage || "").toLowerCase();
         const shouldRetryWithoutReference =
           providerMessage.includes("size exceeds limit") ||
@@ -1040,9 +1488,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
 
         designResult = await pipelineService.generateDesignImage({
           artworkPrompt: revisionPrompt,
-          openAiApiKey: settings?.openAiApiKey || "",
-          keiAiApiKey: settings?.keiAiApiKey || "",
-          kieGenerateUrl: settings?.kieEditUrl || settings?.kieGenerateUrl,
+          settings,
           referenceImageUrl: shouldRetryWithoutReference ? undefined : referenceUrl,
           maxWaitMs: 70000,
           pollIntervalMs: 3000,
@@ -1050,7 +1496,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
         });
       }
 
-      if (designResult.provider !== "openai" && designResult.provider !== "kie") {
+      if (designResult.provider.startsWith("fallback")) {
         return res.status(504).json({
           error: "Revision image generation did not complete in time. Please retry.",
           provider: {
@@ -1062,16 +1508,17 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
 
       const designImageUrl = designResult.imageUrl;
 
-      const revisedAsset = assetStorageService.saveAsset({
+      const revisedAsset = await assetStorageService.saveAsset({
         designId,
         shopDomain: session.shopDomain,
         type: "design-preview",
         role: "revision",
         url: designImageUrl,
         promptSnapshot: artworkPrompt,
+        amendment,
       });
 
-      designRepository.update(designId, {
+      const updated = await designRepository.update(designId, {
         artworkPrompt,
         previewImageUrl: designImageUrl,
         rawArtworkUrl: designImageUrl,
@@ -1079,13 +1526,14 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
         revisionCount: Number(design.revisionCount || 0) + 1,
         status: "preview_ready",
         updatedAt: Date.now(),
-      }, session.shopDomain);
+      }, session.shopDomain, { expectedVersion });
 
       // Record credit usage for revision
-      if (billingService) billingService.recordUsage(session.shopDomain, "revise-design");
+      if (billingService) await billingService.recordUsage(session.shopDomain, "revise-design");
 
       return res.json({
         designId,
+        designVersion: updated?.version,
         designImageUrl,
         rawArtworkUrl: designImageUrl,
         provider: {
@@ -1094,7 +1542,8 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
         },
       });
     } catch (error) {
-      if (billingService) billingService.recordError(session?.shopDomain, "revise-design", error?.message);
+      if (error.code === "VERSION_CONFLICT") return sendVersionConflict(res, error.current);
+      if (billingService) await billingService.recordError(session?.shopDomain, "revise-design", error?.message);
       return res.status(500).json({
         error: error instanceof Error ? error.message : "Failed to revise design",
       });
@@ -1113,40 +1562,27 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       return res.status(400).json({ error: "designId and imageData are required" });
     }
 
-    const design = designRepository.findById(designId, session.shopDomain);
+    const design = await designRepository.findById(designId, session.shopDomain);
     if (!design) {
       return res.status(404).json({ error: "Design not found" });
     }
+    const expectedVersion = expectedVersionFor(req, design);
+    if (expectedVersion === null) return sendVersionConflict(res, design);
 
     try {
       // Strip data URL prefix: "data:image/png;base64,..."
-      const base64Match = imageData.match(/^data:image\/(\w+);base64,(.+)$/);
+      const base64Match = imageData.match(/^data:image\/[\w+.-]+;base64,(.+)$/);
       if (!base64Match) {
         return res.status(400).json({ error: "Invalid image data format. Expected base64 data URL." });
       }
-      const ext = base64Match[1] === "jpeg" ? "jpg" : base64Match[1];
-      const mimeType = ext === "jpg" ? "image/jpeg" : `image/${base64Match[1]}`;
-      const buffer = Buffer.from(base64Match[2], "base64");
-
-      let editedUrl;
-      // Try DB storage first
-      if (pipelineService?.store?.saveImage) {
-        const id = randomUUID();
-        await pipelineService.store.saveImage({ id, shopDomain: session.shopDomain, data: buffer, mimeType });
-        editedUrl = `/images/${id}`;
-        log.info({ id, sizeKB: (buffer.length / 1024).toFixed(1) }, "Saved edited artwork from canvas editor to database");
-      } else {
-        // Fallback: local disk
-        if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-        const filename = `${randomUUID()}-edited.${ext}`;
-        const filePath = path.join(uploadsDir, filename);
-        fs.writeFileSync(filePath, buffer);
-        editedUrl = `/uploads/${filename}`;
-        log.info({ filename, sizeKB: (buffer.length / 1024).toFixed(1) }, "Saved edited artwork from canvas editor");
-      }
+      const buffer = Buffer.from(base64Match[1], "base64");
+
+      // The store sniffs the bytes, so the declared image/* type is not trusted
+      const editedUrl = await imageStore.put({ shopDomain: session.shopDomain, data: buffer });
+      log.info({ editedUrl, sizeKB: (buffer.length / 1024).toFixed(1) }, "Saved edited artwork from canvas editor");
 
       // Save as asset
-      const editedAsset = assetStorageService.saveAsset({
+      const editedAsset = await assetStorageService.saveAsset({
         designId,
         shopDomain: session.shopDomain,
         type: "design-preview",
@@ -1156,22 +1592,25 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       });
 
       // Update design record
-      designRepository.update(designId, {
+      const updated = await designRepository.update(designId, {
         previewImageUrl: editedUrl,
         rawArtworkUrl: editedUrl,
         currentDesignAssetId: editedAsset.id,
         mockupImageUrl: null, // Clear mockup since artwork changed
         status: "preview_ready",
         updatedAt: Date.now(),
-      }, session.shopDomain);
+      }, session.shopDomain, { expectedVersion });
 
       return res.json({
         designId,
+        designVersion: updated?.version,
         rawArtworkUrl: editedUrl,
         designImageUrl: editedUrl,
         message: "Edited artwork saved successfully",
       });
     } catch (error) {
+      if (error.code === "VERSION_CONFLICT") return sendVersionConflict(res, error.current);
+      if (error.code === "INVALID_IMAGE") return res.status(error.status).json({ error: error.message });
       log.error({ err: error?.message || error }, "Canvas editor save error");
       return res.status(500).json({
         error: error instanceof Error ? error.message : "Failed to save edited artwork",
@@ -1179,75 +1618,27 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
   });
 
-  router.post("/finalize-product", async (req, res) => {
-    const session = await requireSession(req, res);
-    if (!session) {
-      return;
-    }
-
-    // ── Billing enforcement ──────────────────────────────────────────
-    if (billingService) {
-      const lifestyleCount = Array.isArray(req.body?.lifestylePrompts) && req.body.lifestylePrompts.filter(Boolean).length > 0
-        ? req.body.lifestylePrompts.filter(Boolean).length
-        : 3; // default 3 lifestyle images
-      const creditsNeeded = lifestyleCount;
-      const check = billingService.canAfford(session.shopDomain, creditsNeeded);
-      if (!check.allowed) {
-        return res.status(403).json({
-          error: check.isOnTrial
-            ? `Trial credit limit reached (${check.current}/${check.limit}). Need ${creditsNeeded} credits but only ${check.remaining} remaining.`
-            : `Not enough credits (${check.remaining} remaining, need ${creditsNeeded}). Upgrade for more.`,
-          limitReached: true, isOnTrial: check.isOnTrial || false, creditsNeeded, remaining: check.remaining, usage: check,
-        });
-      }
-    }
-
-    const designId = String(req.body?.designId || "").trim();
-    if (!designId) {
-      return res.status(400).json({ error: "designId is required" });
-    }
-
-    const design = designRepository.findById(designId, session.shopDomain);
-    if (!design) {
-      return res.status(404).json({ error: "Design not found" });
-    }
-
-    // â”€â”€ Idempotency: if already published, return existing product â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-    if (design.status === "published" && design.shopifyProductId) {
-      return res.json({
-        productId: design.shopifyProductId,
-        adminUrl: design.adminUrl,
-        lifestyleImages: [],
-        transparentArtworkUrl: design.rawArtworkUrl || null,
-        provider: { lifestyleImages: "cached", listingCopy: "cached", message: "Product was already published." },
-        listingCopy: null,
-        alreadyPublished: true,
-      });
-    }
-
-    const publishImmediately =
-      typeof req.body?.publishImmediately === "boolean"
-        ? req.body.publishImmediately
-        : Boolean(design.publishImmediately);
-    const requestedLifestylePrompts = Array.isArray(req.body?.lifestylePrompts)
-      ? req.body.lifestylePrompts
-          .map((item) => String(item || "").trim())
-          .filter(Boolean)
-      : [];
-
-    // Optional pricing — merchant can set price or leave blank
-    const price = req.body?.price ? String(req.body.price).trim() : null;
-    const compareAtPrice = req.body?.compareAtPrice ? String(req.body.compareAtPrice).trim() : null;
+  /** Job: product images, listing copy and Shopify publish for a design. */
+  async function runFinalizeProductJob(job, { progress }) {
+    const shopDomain = job.shopDomain;
+    const designId = job.designId;
+    const { publishImmediately, requestedLifestylePrompts, price, compareAtPrice, variantOptions, collectionIds, publicationIds, publishAt } = job.payload;
 
     try {
-      log.info({ designId, shop: session.shopDomain, productType: design.productType }, "Finalize starting");
-      const settings = getEffectiveSettings(session.shopDomain);
+      const design = await designRepository.findById(designId, shopDomain);
+      if (!design) throw new Error("Design not found");
+      log.info({ designId, shop: shopDomain, productType: design.productType }, "Finalize starting");
+      progress("Finalize started", { event: "started", totalSteps: 6 });
+      // One credit per product image, as checked by the finalize route
+      await assertCanAfford(shopDomain, requestedLifestylePrompts?.length || 3);
+      const settings = await getEffectiveSettings(shopDomain);
       const hasOpenAi = Boolean(settings?.openAiApiKey && settings.openAiApiKey.length > 5);
       const hasKie = Boolean(settings?.keiAiApiKey && settings.keiAiApiKey.length > 5);
       const hasStability = Boolean(settings?.stabilityApiKey && settings.stabilityApiKey.length > 10);
       log.debug({ hasOpenAi, hasKie, hasStability }, "Finalize API key availability");
 
       // ── Step 1: Generate product images ─────────────────────────────────
+      progress("Generating product images", { event: "step", step: 1 });
       let lifestyleResult;
       try {
         log.debug({}, "Finalize step 1: generating product images");
@@ -1255,14 +1646,17 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
           productType: design.productType,
           baseDesignImageUrl: design.previewImageUrl,
           designConcept: design.prompt,
-          keiAiApiKey: settings?.keiAiApiKey || "",
-          kieEditUrl: settings?.kieEditUrl,
-          openAiApiKey: settings?.openAiApiKey || "",
-          stabilityApiKey: settings?.stabilityApiKey || "",
+          settings,
           lifestylePrompts: requestedLifestylePrompts,
           maxWaitMs: 30000,
           pollIntervalMs: 2500,
-          shopDomain: session.shopDomain,
+          shopDomain,
+          onImage: ({ index, total, ok, provider }) => progress(
+            ok
+              ? `Image ${index} of ${total} done${provider ? ` (${pipelineService.imageProviders.get(provider)?.label || provider})` : ""}`
+              : `Image ${index} of ${total} failed`,
+            { event: "image", step: 1, index, total, ok, provider: provider || null },
+          ),
         });
         log.info({ provider: lifestyleResult.provider, imageCount: lifestyleResult.imageUrls?.length || 0 }, "Finalize step 1 complete");
       } catch (imgErr) {
@@ -1281,7 +1675,7 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       // ── Step 1c: Persist external URLs to disk ──────────────────────────
       try {
         for (let i = 0; i < lifestyleImages.length; i++) {
-          lifestyleImages[i] = await persistImageUrl(lifestyleImages[i], session.shopDomain);
+          lifestyleImages[i] = await persistImageUrl(lifestyleImages[i], shopDomain);
         }
       } catch (persistErr) {
         log.warn({ err: persistErr?.message }, "Image persistence warning");
@@ -1289,143 +1683,278 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       // Filter out any URLs that failed to persist or resolve
       lifestyleImages = lifestyleImages.filter(Boolean);
 
+      // Pricing rules fill in the price when none was given
+      const pricing = price ? null : await resolvePricing(design.productType, settings);
+      const listPrice = price || pricing?.price || null;
+      const listCompareAtPrice = compareAtPrice || pricing?.compareAtPrice || null;
+
+      // ── Step 1d: Size/Color variants and a mockup per color ─────────────
+      const variantMatrix = buildVariantMatrix({
+        productType: design.productType,
+        variantOptions: variantOptions ?? design.variantOptions,
+        price: listPrice,
+        compareAtPrice: listCompareAtPrice,
+        skuPrefix: `POD-${designId.slice(0, 8).toUpperCase()}`,
+      });
+      let colorImages = {};
+      if (variantMatrix && printfulMockupService && settings?.printfulApiKey) {
+        progress("Rendering color mockups", { event: "image", step: 1 });
+        try {
+          colorImages = await printfulMockupService.generateColorMockups({
+            printfulApiKey: settings.printfulApiKey,
+            artworkUrl: design.rawArtworkUrl || design.previewImageUrl,
+            productType: design.productType,
+            colors: variantMatrix.options.find((o) => o.name === "Color").values,
+          });
+          for (const [color, url] of Object.entries(colorImages)) {
+            colorImages[color] = await persistImageUrl(url, shopDomain);
+          }
+        } catch (colorErr) {
+          log.warn({ err: colorErr?.message }, "Color mockups failed (non-fatal)");
+        }
+      }
+
       // ── Step 2: Transparent artwork ─────────────────────────────────────
+      progress("Preparing transparent artwork", { event: "step", step: 2 });
       let transparentArtworkUrl = design.rawArtworkUrl || null;
       try {
-        if (transparentArtworkUrl) {
-          assetStorageService.saveAsset({
-            designId,
-            shopDomain: session.shopDomain,
-            type: "artwork-transparent",
-            role: "final",
-            url: transparentArtworkUrl,
-            promptSnapshot: "Raw artwork (generated before product mockup)",
-          });
+        const transparent = await ensureTransparentArtwork(design, shopDomain, settings);
+        if (transparent) {
+          transparentArtworkUrl = transparent.url;
         } else {
-          transparentArtworkUrl = await pipelineService.extractArtwork({
-            designImageUrl: design.previewImageUrl,
-            openAiApiKey: settings?.openAiApiKey || "",
-          });
-          if (transparentArtworkUrl) {
-            assetStorageService.saveAsset({
-              designId,
-              shopDomain: session.shopDomain,
-              type: "artwork-transparent",
-              role: "final",
-              url: transparentArtworkUrl,
-              promptSnapshot: "Isolated artwork with transparent background",
-            });
-          }
+          log.warn({ designId }, "Finalize step 2: background could not be removed, using the raw artwork");
         }
       } catch (artworkErr) {
-        log.warn({ err: artworkErr?.message }, "Finalize step 2 extractArtwork error (non-fatal)");
+        log.warn({ err: artworkErr?.message }, "Finalize step 2 background removal error (non-fatal)");
       }
 
-      // ── Step 3: Generate listing copy ───────────────────────────────────
-      let listingCopy;
-      try {
-        log.debug({}, "Finalize step 3: generating listing copy");
-        const listingCopyResult = await pipelineService.generateListingCopy({
-          prompt: design.prompt,
-          productType: design.productType,
-          openAiApiKey: settings?.openAiApiKey || "",
-        });
-        listingCopy = listingCopyResult.copy;
-        log.info({ provider: listingCopyResult.provider }, "Finalize step 3 complete");
-      } catch (copyErr) {
-        log.error({ err: copyErr?.message }, "Finalize step 3 listing copy error (using fallback)");
-        listingCopy = {
-          title: `${design.productType.toUpperCase()} - ${design.prompt.slice(0, 45)}`,
-          descriptionHtml: `<p>${design.prompt}</p>`,
-          descriptionText: design.prompt,
-          tags: ["ai-generated", "pod", design.productType],
-        };
+      // ── Step 3: Listing copy (reviewed copy is used as-is) ──────────────
+      progress("Writing listing copy", { event: "step", step: 3 });
+      log.debug({}, "Finalize step 3: listing copy");
+      const listingCopyResult = await ensureListingCopy(design, shopDomain, settings);
+      const listingCopy = listingCopyResult.copy;
+      log.info({ provider: listingCopyResult.provider, generated: listingCopyResult.generated }, "Finalize step 3 complete");
+      progress(listingCopyResult.generated ? "Listing copy ready" : "Using reviewed listing copy", {
+        event: "copy",
+        step: 3,
+        title: listingCopy.title,
+        reviewed: !listingCopyResult.generated,
+      });
+
+      // Draft translations for the shop's markets (reviewed and approved before they go live)
+      const missingLocales = normalizeLocales(settings?.targetLocales)
+        .filter((locale) => !design.listingTranslations?.[locale]);
+      if (missingLocales.length > 0) {
+        progress("Translating listing copy", { event: "translations", step: 3, locales: missingLocales });
+        try {
+          await generateListingTranslations(design, shopDomain, settings, missingLocales);
+        } catch (translateErr) {
+          log.warn({ err: translateErr?.message }, "Finalize step 3 translation error (non-fatal)");
+        }
       }
 
       // ── Step 4: Save asset records ──────────────────────────────────────
+      progress("Saving assets", { event: "step", step: 4 });
       try {
         for (const imageUrl of lifestyleImages) {
-          assetStorageService.saveAsset({
+          await assetStorageService.saveAsset({
             designId,
-            shopDomain: session.shopDomain,
+            shopDomain,
             type: "lifestyle",
             role: "final",
             url: imageUrl,
             promptSnapshot: design.artworkPrompt,
           });
         }
+        for (const [color, url] of Object.entries(colorImages)) {
+          await assetStorageService.saveAsset({
+            designId,
+            shopDomain,
+            type: "variant-mockup",
+            role: color,
+            url,
+            promptSnapshot: `Printful mockup (${color})`,
+          });
+        }
       } catch (assetErr) {
         log.warn({ err: assetErr?.message }, "Finalize step 4 asset save error (non-fatal)");
       }
 
       // ── Step 5: Shopify publish (non-fatal) ─────────────────────────────
+      progress("Publishing to Shopify", { event: "step", step: 5 });
+      if (pricing) {
+        progress("Priced by your pricing rules", { event: "pricing", step: 5, ...pricing });
+      }
       let publishedProduct = null;
       let publishError = null;
       try {
         log.debug({}, "Finalize step 5: publishing to Shopify");
         publishedProduct = await publishService.publish({
-          shopDomain: session.shopDomain,
+          shopDomain,
           title: listingCopy.title,
           descriptionHtml: listingCopy.descriptionHtml,
           tags: listingCopy.tags,
+          seo: { title: listingCopy.seoTitle, description: listingCopy.seoDescription },
+          handle: listingCopy.handle,
+          vendor: settings?.vendor,
           imageUrls: [design.previewImageUrl, ...lifestyleImages],
+          imageAlts: listingImageAlts(listingCopy.title, design.productType, lifestyleImages.length),
           publishImmediately,
-          price,
-          compareAtPrice,
+          price: listPrice,
+          compareAtPrice: listCompareAtPrice,
           productType: design.productType,
+          variants: variantMatrix,
+          colorImages,
+          collectionIds,
+          publicationIds,
         });
       } catch (pubErr) {
         log.error({ err: pubErr?.message }, "Finalize step 5 Shopify publish failed (non-fatal)");
         publishError = pubErr?.message || "Shopify publish failed";
       }
+      progress(publishedProduct ? "Published to Shopify" : "Shopify publish skipped", {
+        event: "publish",
+        step: 5,
+        ok: Boolean(publishedProduct),
+        productId: publishedProduct?.productId || null,
+        adminUrl: publishedProduct?.adminUrl || null,
+        variantCount: publishedProduct?.variants?.length || 0,
+        publishError,
+      });
+      const merchandising = [...(publishedProduct?.collections || []), ...(publishedProduct?.publications || [])];
+      if (merchandising.length > 0) {
+        progress("Added to collections and sales channels", {
+          event: "merchandising",
+          step: 5,
+          collections: publishedProduct.collections.filter((c) => c.ok).length,
+          publications: publishedProduct.publications.filter((p) => p.ok).length,
+          failed: merchandising.filter((m) => !m.ok).map((m) => m.error),
+        });
+      }
+
+      // Optional: matching Printful sync product so orders can be fulfilled
+      let printfulSync = null;
+      if (publishedProduct && settings?.printfulSyncProducts && settings?.printfulApiKey && printfulMockupService) {
+        progress("Creating Printful product", { event: "printful", step: 5 });
+        printfulSync = await syncPrintfulProduct({
+          shopDomain,
+          design,
+          productId: publishedProduct.productId,
+          variants: publishedProduct.variants || [],
+          title: listingCopy.title,
+          settings,
+        });
+        progress(printfulSync.error ? "Printful product not created" : "Printful product created", {
+          event: "printful",
+          step: 5,
+          ok: !printfulSync.error,
+          syncProductId: printfulSync.syncProductId,
+          mapped: printfulSync.variants.length,
+          error: printfulSync.error,
+        });
+      }
+
+      // Approved translations go live with the product; drafts wait for review
+      let translationResults = [];
+      if (publishedProduct) {
+        try {
+          translationResults = await registerApprovedTranslations(design, shopDomain, publishedProduct.productId);
+        } catch (translationErr) {
+          log.warn({ err: translationErr?.message }, "Finalize translations not registered (non-fatal)");
+        }
+        if (translationResults.length > 0) {
+          progress("Translations registered", {
+            event: "translations",
+            step: 5,
+            registered: translationResults.filter((r) => r.ok).map((r) => r.locale),
+            failed: translationResults.filter((r) => !r.ok).map((r) => r.locale),
+          });
+        }
+      }
+
+      // Scheduled drops stay drafts until the scheduled-publish job flips them to ACTIVE
+      let publishSchedule = null;
+      if (publishedProduct && publishAt) {
+        publishSchedule = await schedulePublish(designId, shopDomain, publishedProduct.productId, publishAt);
+        progress("Go-live scheduled", { event: "schedule", step: 5, publishAt });
+      }
 
       // ── Step 6: Update design status ────────────────────────────────────
+      progress("Updating design status", { event: "step", step: 6 });
       try {
+        // Kept so a retried publish rebuilds the same variants and merchandising
+        const variantFields = {
+          ...(variantOptions !== undefined ? { variantOptions } : {}),
+          ...(collectionIds ? { collectionIds } : {}),
+          ...(publicationIds ? { publicationIds } : {}),
+          ...(publishAt ? { publishAt } : {}),
+        };
         if (publishedProduct) {
-          designRepository.update(designId, {
+          await designRepository.update(designId, {
             status: "published",
             shopifyProductId: publishedProduct.productId,
             adminUrl: publishedProduct.adminUrl,
+            ...variantFields,
+            ...(publishSchedule ? { publishSchedule } : {}),
             updatedAt: Date.now(),
             finalizedAt: Date.now(),
-          }, session.shopDomain);
+          }, shopDomain);
 
-          productRepository.upsertByDesign(designId, {
+          await productRepository.upsertByDesign(designId, {
             designId,
-            shopDomain: session.shopDomain,
+            shopDomain,
             productId: publishedProduct.productId,
             adminUrl: publishedProduct.adminUrl,
             publishImmediately,
+            variants: publishedProduct.variants || [],
+            ...(printfulSync ? { printful: printfulSync } : {}),
             updatedAt: Date.now(),
-          }, session.shopDomain);
+          }, shopDomain);
 
           // Publishing is free — credits are only used for AI generation
         } else {
-          designRepository.update(designId, {
+          await designRepository.update(designId, {
             status: "finalized",
+            ...variantFields,
             updatedAt: Date.now(),
             finalizedAt: Date.now(),
-          }, session.shopDomain);
+          }, shopDomain);
         }
       } catch (statusErr) {
         log.warn({ err: statusErr?.message }, "Finalize step 6 status update error (non-fatal)");
       }
 
       const providerMessages = [lifestyleResult.providerMessage];
+      if (printfulSync?.error) {
+        providerMessages.push(`Printful product not created: ${printfulSync.error}`);
+      }
+      if (publishedProduct?.variantError) {
+        providerMessages.push(`Variants could not be created: ${publishedProduct.variantError}`);
+      }
+      const merchandisingErrors = [...(publishedProduct?.collections || []), ...(publishedProduct?.publications || [])]
+        .filter((m) => !m.ok);
+      if (merchandisingErrors.length > 0) {
+        providerMessages.push(`Not added to every collection/sales channel: ${[...new Set(merchandisingErrors.map((m) => m.error))].join("; ")}`);
+      }
       if (publishError) {
         providerMessages.push(`Shopify publish skipped: ${publishError}. You can publish later once OAuth is configured.`);
       }
 
-      // Record credit usage — 1 credit per lifestyle image generated
+      // Record credit usage — 1 credit per lifestyle image generated,
+      // tagged with the provider that rendered it and its estimated cost
+      const lifestyleBreakdown = lifestyleResult.breakdown || [];
       if (billingService) {
         const creditCount = lifestyleImages.length || 1;
         for (let i = 0; i < creditCount; i++) {
-          billingService.recordUsage(session.shopDomain, "finalize-product-image");
+          const entry = lifestyleBreakdown[i];
+          await billingService.recordUsage(shopDomain, "finalize-product-image", entry
+            ? { provider: entry.provider, estimatedCost: entry.estimatedCost }
+            : {});
         }
       }
       // Log publish error (non-fatal) so it shows in usage log
       if (billingService && publishError) {
-        billingService.recordError(session.shopDomain, "finalize-publish", publishError);
+        await billingService.recordError(shopDomain, "finalize-publish", publishError);
       }
 
       // If publish failed with 401, include reauth URL so frontend can auto-redirect
@@ -1434,127 +1963,810 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
       if (publishError && (publishError.includes("401") || publishError.includes("access token"))) {
         try {
           const host = config.shopify.hostName.replace(/^https?:\/\//, "");
-          authUrl = `https://${host}/auth/reinstall?shop=${encodeURIComponent(session.shopDomain)}`;
+          authUrl = `https://${host}/auth/reinstall?shop=${encodeURIComponent(shopDomain)}`;
           needsReauth = true;
         } catch (_) { /* ignore */ }
       }
 
       log.info({ imageCount: lifestyleImages.length, published: !!publishedProduct }, "Finalize complete");
-      return res.json({
+      return {
         productId: publishedProduct?.productId || null,
         adminUrl: publishedProduct?.adminUrl || null,
         lifestyleImages,
+        lifestyleImageProviders: lifestyleBreakdown,
+        colorImages,
+        variants: publishedProduct?.variants || [],
+        collections: publishedProduct?.collections || [],
+        publications: publishedProduct?.publications || [],
+        publishSchedule,
+        pricing,
+        printful: printfulSync,
+        translations: translationResults,
         transparentArtworkUrl,
         publishError: publishError || null,
         needsReauth,
         authUrl,
         provider: {
           lifestyleImages: lifestyleResult.provider,
-          listingCopy: "ok",
+          lifestyleMix: lifestyleResult.providerMix || null,
+          lifestyleCost: lifestyleResult.estimatedCost ?? null,
+          listingCopy: listingCopyResult.generated ? listingCopyResult.provider : "reviewed",
           message: providerMessages.filter(Boolean).join(" | "),
         },
-        listingCopy: {
-          title: listingCopy.title,
-          descriptionText: listingCopy.descriptionText,
-          tags: listingCopy.tags,
-        },
-      });
+        listingCopy,
+      };
     } catch (error) {
       log.error({ err: error?.message || error, stack: error?.stack }, "Finalize FATAL error");
-      if (billingService) billingService.recordError(session?.shopDomain, "finalize-product", error?.message);
-      return res.status(500).json({
-        error: error instanceof Error ? error.message : "Failed to finalize product",
+      if (billingService) await billingService.recordError(shopDomain, "finalize-product", error?.message);
+      throw error;
+    }
+  }
+  jobQueueService.register("finalize-product", runFinalizeProductJob);
+
+  /**
+   * Queue the go-live of a draft product for publishAt. The job lives in the
+   * store, so a schedule survives restarts; the record is kept on the design
+   * as `publishSchedule` (status scheduled → published | failed | cancelled).
+   * It is saved before the job is queued: a publishAt already in the past
+   * runs the job at once, and the job skips unless it finds its own schedule.
+   */
+  async function schedulePublish(designId, shopDomain, productId, publishAt) {
+    const schedule = { status: "scheduled", publishAt, jobId: randomUUID(), productId, publishedAt: null, error: null };
+    await designRepository.update(designId, { publishSchedule: schedule, updatedAt: Date.now() }, shopDomain);
+    try {
+      await jobQueueService.enqueue({
+        id: schedule.jobId,
+        type: "scheduled-publish",
+        shopDomain,
+        designId,
+        payload: { productId },
+        runAt: publishAt,
       });
+    } catch (err) {
+      await designRepository.update(designId, {
+        publishSchedule: { ...schedule, status: "failed", error: err?.message || "Could not schedule publish" },
+        updatedAt: Date.now(),
+      }, shopDomain);
+      throw err;
     }
-  });
+    log.info({ designId, productId, publishAt: new Date(publishAt).toISOString() }, "Product go-live scheduled");
+    return schedule;
+  }
 
-  // ── Retry publishing a finalized design to Shopify ──────────────────────
-  router.post("/retry-publish", async (req, res) => {
+  /** Job: set a scheduled product ACTIVE once its publishAt has passed. */
+  async function runScheduledPublishJob(job) {
+    const shopDomain = job.shopDomain;
+    const { productId } = job.payload;
+    const design = await designRepository.findById(job.designId, shopDomain);
+    const schedule = design?.publishSchedule;
+    if (!schedule || schedule.jobId !== job.id || schedule.status !== "scheduled") {
+      log.info({ jobId: job.id, designId: job.designId }, "Scheduled publish no longer current, skipping");
+      return { designId: job.designId, skipped: true };
+    }
+
+    try {
+      await publishService.updateProduct({ shopDomain, productId, status: "ACTIVE" });
+    } catch (err) {
+      await designRepository.update(design.id, {
+        publishSchedule: { ...schedule, status: "failed", error: err?.message || "Publish failed" },
+        updatedAt: Date.now(),
+      }, shopDomain);
+      if (billingService) await billingService.recordError(shopDomain, "scheduled-publish", err?.message);
+      throw err;
+    }
+
+    const now = Date.now();
+    await designRepository.update(design.id, {
+      publishSchedule: { ...schedule, status: "published", publishedAt: now, error: null },
+      updatedAt: now,
+    }, shopDomain);
+    await productRepository.updateByDesign(design.id, { publishImmediately: true, updatedAt: now }, shopDomain);
+    log.info({ designId: design.id, productId }, "Scheduled product is now live");
+    return { designId: design.id, productId, publishedAt: now };
+  }
+  jobQueueService.register("scheduled-publish", runScheduledPublishJob, { restartable: true });
+
+  router.post("/finalize-product", async (req, res) => {
     const session = await requireSession(req, res);
-    if (!session) return;
+    if (!session) {
+      return;
+    }
+
+    // ── Billing enforcement ──────────────────────────────────────────
+    if (billingService) {
+      const lifestyleCount = Array.isArray(req.body?.lifestylePrompts) && req.body.lifestylePrompts.filter(Boolean).length > 0
+        ? req.body.lifestylePrompts.filter(Boolean).length
+        : 3; // default 3 lifestyle images
+      const creditsNeeded = lifestyleCount;
+      const check = await billingService.canAfford(session.shopDomain, creditsNeeded);
+      if (!check.allowed) {
+        return res.status(403).json({
+          error: check.isOnTrial
+            ? `Trial credit limit reached (${check.current}/${check.limit}). Need ${creditsNeeded} credits but only ${check.remaining} remaining.`
+            : `Not enough credits (${check.remaining} remaining, need ${creditsNeeded}). Upgrade for more.`,
+          limitReached: true, isOnTrial: check.isOnTrial || false, creditsNeeded, remaining: check.remaining, usage: check,
+        });
+      }
+    }
 
     const designId = String(req.body?.designId || "").trim();
-    if (!designId) return res.status(400).json({ error: "designId is required" });
+    if (!designId) {
+      return res.status(400).json({ error: "designId is required" });
+    }
 
-    const design = designRepository.findById(designId, session.shopDomain);
+    const design = await designRepository.findById(designId, session.shopDomain);
     if (!design) {
       return res.status(404).json({ error: "Design not found" });
     }
 
-    // Already published?
+    // â”€â”€ Idempotency: if already published, return existing product â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
     if (design.status === "published" && design.shopifyProductId) {
       return res.json({
         productId: design.shopifyProductId,
         adminUrl: design.adminUrl,
+        lifestyleImages: [],
+        transparentArtworkUrl: (await findTransparentArtwork(design, session.shopDomain))?.url || design.rawArtworkUrl || null,
+        provider: { lifestyleImages: "cached", listingCopy: "cached", message: "Product was already published." },
+        listingCopy: design.listingCopy || null,
         alreadyPublished: true,
       });
     }
 
-    const publishImmediately = typeof req.body?.publishImmediately === "boolean"
-      ? req.body.publishImmediately
-      : Boolean(design.publishImmediately);
+    // A scheduled product is created as a draft and goes live at publishAt
+    const { publishAt, error: publishAtError } = parsePublishAt(req.body?.publishAt);
+    if (publishAtError) {
+      return res.status(400).json({ error: publishAtError });
+    }
+    const publishImmediately = !publishAt && (
+      typeof req.body?.publishImmediately === "boolean"
+        ? req.body.publishImmediately
+        : Boolean(design.publishImmediately));
+    const requestedLifestylePrompts = Array.isArray(req.body?.lifestylePrompts)
+      ? req.body.lifestylePrompts
+          .map((item) => String(item || "").trim())
+          .filter(Boolean)
+      : [];
 
-    // Gather images — from assets if available, otherwise use previewImageUrl
-    const assets = assetStorageService.listDesignAssets(designId);
-    const lifestyleUrls = assets
-      .filter((a) => a.type === "lifestyle")
-      .map((a) => a.url);
-    const imageUrls = [design.previewImageUrl, ...lifestyleUrls].filter(Boolean);
+    // Optional pricing — merchant can set price or leave blank
+    const price = req.body?.price ? String(req.body.price).trim() : null;
+    const compareAtPrice = req.body?.compareAtPrice ? String(req.body.compareAtPrice).trim() : null;
 
-    // Build listing copy from design data
-    const settings = getEffectiveSettings(session.shopDomain);
-    let listingCopy;
-    try {
-      const result = await pipelineService.generateListingCopy({
-        prompt: design.prompt,
-        productType: design.productType,
-        openAiApiKey: settings?.openAiApiKey || "",
-      });
-      listingCopy = result.copy;
-    } catch {
-      listingCopy = {
-        title: `${design.productType.toUpperCase()} - ${design.prompt.slice(0, 45)}`,
-        descriptionHtml: `<p>${design.prompt}</p>`,
-        tags: ["ai-generated", "pod", design.productType],
-      };
-    }
+    // Size/Color matrix (see utils/variantMatrix.js); false keeps a single variant
+    const variantOptions = req.body?.variantOptions === false || (req.body?.variantOptions && typeof req.body.variantOptions === "object")
+      ? req.body.variantOptions
+      : undefined;
 
-    // Optional pricing from request
-    const retryPrice = req.body?.price ? String(req.body.price).trim() : null;
-    const retryCompareAtPrice = req.body?.compareAtPrice ? String(req.body.compareAtPrice).trim() : null;
+    // Collections and sales channels to add the product to once it is created
+    const collectionIds = req.body?.collectionIds !== undefined ? normalizeGids(req.body.collectionIds, "Collection") : undefined;
+    const publicationIds = req.body?.publicationIds !== undefined ? normalizeGids(req.body.publicationIds, "Publication") : undefined;
 
-    try {
-      const publishedProduct = await publishService.publish({
-        shopDomain: session.shopDomain,
-        title: listingCopy.title,
-        descriptionHtml: listingCopy.descriptionHtml,
-        tags: listingCopy.tags,
+    const job = await jobQueueService.enqueue({
+      type: "finalize-product",
+      shopDomain: session.shopDomain,
+      designId,
+      payload: { publishImmediately, requestedLifestylePrompts, price, compareAtPrice, variantOptions, collectionIds, publicationIds, publishAt },
+    });
+
+    return res.status(202).json({ jobId: job.id, status: job.status });
+  });
+
+  // ── Background job status (polled by the frontend) ──────────────────────
+  router.get("/jobs/:jobId", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const job = await jobQueueService.getJob(String(req.params.jobId || ""), session.shopDomain);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    return res.json(jobQueueService.toResponse(job));
+  });
+
+  // ── Live finalize progress (Server-Sent Events) ─────────────────────────
+  // Replays the events already logged on the design's latest finalize job,
+  // then streams new ones until the job finishes. Clients read it with
+  // fetch() so the session token header can be sent.
+  router.get("/designs/:designId/finalize-events", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const designId = String(req.params.designId || "");
+    const job = await jobQueueService.getLatestForDesign(designId, "finalize-product", session.shopDomain);
+    if (!job) {
+      return res.status(404).json({ error: "No finalize run found for this design" });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    // Set once the stream has ended (job finished or client gone); nothing is written after that
+    let closed = false;
+    const send = (eventName, data) => {
+      if (!closed) res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const finish = (finishedJob) => {
+      if (closed) return;
+      send("done", jobQueueService.toResponse(finishedJob));
+      cleanup();
+      res.end();
+    };
+
+    const onEvent = ({ jobId, event }) => {
+      if (jobId === job.id) send("progress", event);
+    };
+    const onFinished = (finishedJob) => {
+      if (finishedJob?.id === job.id) finish(finishedJob);
+    };
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+    function cleanup() {
+      closed = true;
+      clearInterval(keepAlive);
+      jobQueueService.off("job-event", onEvent);
+      jobQueueService.off("job-finished", onFinished);
+    }
+
+    // Subscribe before replaying so nothing emitted in between is lost
+    jobQueueService.on("job-event", onEvent);
+    jobQueueService.on("job-finished", onFinished);
+    req.on("close", cleanup);
+
+    const current = await jobQueueService.getJob(job.id, session.shopDomain) || job;
+    // The job may have finished, or the client left, while it was loading
+    if (closed) return;
+    for (const event of current.events || []) send("progress", event);
+    if (jobQueueService.isFinished(current)) finish(current);
+  });
+
+  // ── Bulk design batches ─────────────────────────────────────────────────
+  // Each row runs design-preview → mockup → finalize by calling the same job
+  // handlers in sequence. Row state is saved after every step, so a batch
+  // interrupted by a restart resumes from the last completed step.
+  async function updateBatchRow(batchId, index, changes) {
+    const batch = await batchRepository.update(batchId, (current) => ({
+      ...current,
+      rows: current.rows.map((row, i) => (i === index ? { ...row, ...changes, updatedAt: Date.now() } : row)),
+    }));
+    return batch.rows[index];
+  }
+
+  async function runBatchRow(batch, index, { progress }) {
+    const shopDomain = batch.shopDomain;
+    let row = await updateBatchRow(batch.id, index, { status: "running", error: null });
+    const rowProgress = (message) => {
+      updateBatchRow(batch.id, index, { message })
+        .catch((err) => log.warn({ batchId: batch.id, err: err?.message }, "Batch row progress update failed"));
+      progress(`Row ${index + 1} of ${batch.rows.length}: ${message}`, { event: "row", row: index + 1, designId: row.designId || null });
+    };
+
+    if (!row.completedSteps.includes("design")) {
+      const result = await runDesignPreviewJob({
+        shopDomain,
+        payload: {
+          prompt: row.prompt,
+          productType: row.productType,
+          imageShape: row.imageShape,
+          publishImmediately: batch.publishImmediately,
+          createdBy: batch.createdBy,
+        },
+      }, { progress: rowProgress });
+      row = await updateBatchRow(batch.id, index, { designId: result.designId, completedSteps: [...row.completedSteps, "design"] });
+      // A placeholder design must not flow on into a published product
+      if (String(result.provider?.designImage || "").startsWith("fallback")) {
+        throw new Error(result.provider?.message || "Design generation failed");
+      }
+    }
+
+    if (!row.completedSteps.includes("mockup")) {
+      await runGenerateMockupJob({
+        shopDomain,
+        designId: row.designId,
+        payload: { imageShape: row.imageShape, printfulProductId: null },
+      }, { progress: rowProgress });
+      row = await updateBatchRow(batch.id, index, { completedSteps: [...row.completedSteps, "mockup"] });
+    }
+
+    if (!row.completedSteps.includes("finalize")) {
+      const result = await runFinalizeProductJob({
+        shopDomain,
+        designId: row.designId,
+        payload: {
+          publishImmediately: batch.publishImmediately,
+          requestedLifestylePrompts: row.lifestylePrompts,
+          price: row.price,
+          compareAtPrice: row.compareAtPrice,
+        },
+      }, { progress: (message, details = {}) => { if (details.event === "step") rowProgress(message); } });
+      row = await updateBatchRow(batch.id, index, {
+        completedSteps: [...row.completedSteps, "finalize"],
+        productId: result.productId,
+        adminUrl: result.adminUrl,
+        publishError: result.publishError,
+      });
+    }
+
+    return updateBatchRow(batch.id, index, { status: "succeeded", message: "Done", finishedAt: Date.now() });
+  }
+
+  async function runBatchJob(job, { progress }) {
+    const shopDomain = job.shopDomain;
+    const batch = await batchRepository.findById(job.payload.batchId, shopDomain);
+    if (!batch) throw new Error("Batch not found");
+    await batchRepository.update(batch.id, { status: "running", startedAt: batch.startedAt || Date.now() });
+    progress("Batch started", { event: "started", totalRows: batch.rows.length });
+
+    for (let index = 0; index < batch.rows.length; index++) {
+      const row = (await batchRepository.findById(batch.id, shopDomain)).rows[index];
+      if (row.status === "succeeded" || row.status === "failed") continue;
+      try {
+        await runBatchRow(batch, index, { progress });
+      } catch (rowErr) {
+        log.warn({ batchId: batch.id, row: index + 1, err: rowErr?.message }, "Batch row failed");
+        await updateBatchRow(batch.id, index, { status: "failed", error: rowErr?.message || "Row failed", finishedAt: Date.now() });
+      }
+    }
+
+    const finished = await batchRepository.update(batch.id, { status: "completed", finishedAt: Date.now() });
+    const summary = summarizeBatchRows(finished.rows);
+    log.info({ batchId: batch.id, ...summary }, "Batch complete");
+    return { batchId: batch.id, ...summary };
+  }
+  jobQueueService.register("batch", runBatchJob);
+
+  function summarizeBatchRows(rows) {
+    const count = (status) => rows.filter((row) => row.status === status).length;
+    return { total: rows.length, succeeded: count("succeeded"), failed: count("failed"), pending: count("pending") + count("running") };
+  }
+
+  /** Batch status view; a batch whose job gave up after restarts is reported as failed. */
+  async function toBatchResponse(batch, { includeRows = true } = {}) {
+    let status = batch.status;
+    let error = null;
+    if (status !== "completed") {
+      const job = await jobQueueService.getJob(batch.jobId, batch.shopDomain);
+      if (!job || job.status === "failed") {
+        status = "failed";
+        error = job?.error?.message || "Batch job is no longer available";
+      }
+    }
+    return {
+      batchId: batch.id,
+      jobId: batch.jobId,
+      name: batch.name,
+      status,
+      error,
+      publishImmediately: batch.publishImmediately,
+      creditsReserved: batch.creditsNeeded,
+      summary: summarizeBatchRows(batch.rows),
+      createdAt: batch.createdAt,
+      startedAt: batch.startedAt || null,
+      finishedAt: batch.finishedAt || null,
+      ...(includeRows ? {
+        rows: batch.rows.map((row, index) => ({
+          row: index + 1,
+          prompt: row.prompt,
+          productType: row.productType,
+          status: row.status,
+          message: row.message || null,
+          designId: row.designId || null,
+          productId: row.productId || null,
+          adminUrl: row.adminUrl || null,
+          publishError: row.publishError || null,
+          error: row.error || null,
+        })),
+      } : {}),
+    };
+  }
+
+  router.post("/batches", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const { rows, errors } = parseBatchRows({ rows: req.body?.rows, csv: req.body?.csv });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    // ── Billing enforcement: the whole batch must be affordable up front ──
+    const creditsNeeded = rows.reduce((sum, row) => sum + creditsForRow(row), 0);
+    if (billingService) {
+      const check = await billingService.canAfford(session.shopDomain, creditsNeeded);
+      if (!check.allowed) {
+        return res.status(403).json({
+          error: `Not enough credits for this batch (${check.remaining} remaining, need ${creditsNeeded}).`,
+          limitReached: true, isOnTrial: check.isOnTrial || false, creditsNeeded, remaining: check.remaining, usage: check,
+        });
+      }
+    }
+
+    const now = Date.now();
+    const batch = await batchRepository.create({
+      id: randomUUID(),
+      shopDomain: session.shopDomain,
+      name: sanitize(req.body?.name, 120) || `Batch of ${rows.length}`,
+      status: "queued",
+      publishImmediately: Boolean(req.body?.publishImmediately),
+      creditsNeeded,
+      createdBy: session.subject || session.memberId || null,
+      rows: rows.map((row) => ({
+        ...row,
+        prompt: sanitize(row.prompt, 5000),
+        status: "pending",
+        completedSteps: [],
+        designId: null,
+        error: null,
+      })),
+      jobId: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    const job = await jobQueueService.enqueue({
+      type: "batch",
+      shopDomain: session.shopDomain,
+      payload: { batchId: batch.id },
+    });
+    const saved = await batchRepository.update(batch.id, { jobId: job.id });
+
+    return res.status(202).json(await toBatchResponse(saved));
+  });
+
+  router.get("/batches", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const batches = await Promise.all((await batchRepository.listByShop(session.shopDomain))
+      .map((batch) => toBatchResponse(batch, { includeRows: false })));
+    return res.json({ batches });
+  });
+
+  router.get("/batches/:batchId", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const batch = await batchRepository.findById(String(req.params.batchId || ""), session.shopDomain);
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    return res.json(await toBatchResponse(batch));
+  });
+
+  // ── Listing copy review ─────────────────────────────────────────────────
+  // Copy is generated once, edited by the merchant and then published as-is
+  // by finalize-product and retry-publish.
+  router.get("/designs/:designId/listing-copy", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(String(req.params.designId || ""), session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    return res.json({ listingCopy: design.listingCopy || null, designVersion: design.version || 0 });
+  });
+
+  router.post("/designs/:designId/listing-copy", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(String(req.params.designId || ""), session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    if (design.status === "published") {
+      return res.status(409).json({ error: "This design is already published. Use Edit listing to change the Shopify product." });
+    }
+
+    // Generating again replaces any saved copy, including edits
+    try {
+      const settings = await getEffectiveSettings(session.shopDomain);
+      const result = await ensureListingCopy({ ...design, listingCopy: null }, session.shopDomain, settings);
+      log.info({ designId: design.id, provider: result.provider }, "Listing copy generated");
+      return res.json({
+        listingCopy: result.copy,
+        designVersion: result.designVersion,
+        provider: result.provider,
+        message: result.providerMessage || "",
+      });
+    } catch (err) {
+      log.error({ err: err?.message, designId: design.id }, "Listing copy generation failed");
+      return res.status(500).json({ error: err.message || "Failed to generate listing copy" });
+    }
+  });
+
+  router.put("/designs/:designId/listing-copy", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(String(req.params.designId || ""), session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    if (design.status === "published") {
+      return res.status(409).json({ error: "This design is already published. Use Edit listing to change the Shopify product." });
+    }
+    const expectedVersion = expectedVersionFor(req, design);
+    if (expectedVersion === null) return sendVersionConflict(res, design);
+
+    const brandVoice = (await getEffectiveSettings(session.shopDomain)).brandVoice;
+    const current = design.listingCopy
+      || { ...applyBrandVoice(fallbackListingCopy(design), brandVoice, design), provider: "manual", generatedAt: null };
+    const { copy, error } = applyListingCopyEdits(current, req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const now = Date.now();
+    const listingCopy = { ...copy, editedAt: now };
+    try {
+      const updated = await designRepository.update(design.id, { listingCopy, updatedAt: now }, session.shopDomain, { expectedVersion });
+      return res.json({ listingCopy, designVersion: updated?.version });
+    } catch (err) {
+      if (err.code === "VERSION_CONFLICT") return sendVersionConflict(res, err.current);
+      return res.status(500).json({ error: err.message || "Failed to save listing copy" });
+    }
+  });
+
+  // ── Listing copy translations ───────────────────────────────────────────
+  // Drafts per locale, reviewed and approved before translationsRegister
+  // puts them live on the Shopify product.
+  function toTranslationList(design) {
+    return Object.values(design.listingTranslations || {}).sort((a, b) => a.locale.localeCompare(b.locale));
+  }
+
+  router.get("/designs/:designId/listing-copy/translations", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    try {
+      const design = await designRepository.findById(String(req.params.designId || ""), session.shopDomain);
+      if (!design) {
+        return res.status(404).json({ error: "Design not found" });
+      }
+      return res.json({
+        targetLocales: normalizeLocales((await getEffectiveSettings(session.shopDomain)).targetLocales),
+        translations: toTranslationList(design),
+        designVersion: design.version || 0,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message || "Failed to load translations" });
+    }
+  });
+
+  router.post("/designs/:designId/listing-copy/translations", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    try {
+      const design = await designRepository.findById(String(req.params.designId || ""), session.shopDomain);
+      if (!design) {
+        return res.status(404).json({ error: "Design not found" });
+      }
+
+      const settings = await getEffectiveSettings(session.shopDomain);
+      const locales = normalizeLocales(req.body?.locales || settings.targetLocales);
+      if (locales.length === 0) {
+        return res.status(400).json({ error: "No target languages. Add them under Admin → Brand Voice & Languages." });
+      }
+
+      // Re-translating replaces the drafts (and approvals) for these locales
+      const { designVersion } = await generateListingTranslations(design, session.shopDomain, settings, locales);
+      log.info({ designId: design.id, locales }, "Listing copy translated");
+      return res.json({ translations: toTranslationList(design), designVersion });
+    } catch (err) {
+      log.error({ err: err?.message }, "Listing copy translation failed");
+      return res.status(500).json({ error: err.message || "Failed to translate listing copy" });
+    }
+  });
+
+  router.put("/designs/:designId/listing-copy/translations/:locale", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    try {
+      const design = await designRepository.findById(String(req.params.designId || ""), session.shopDomain);
+      if (!design) {
+        return res.status(404).json({ error: "Design not found" });
+      }
+      const [locale] = normalizeLocales([req.params.locale]);
+      if (!locale || !design.listingTranslations?.[locale]) {
+        return res.status(404).json({ error: "Translation not found" });
+      }
+
+      const body = req.body || {};
+      const { fields, error } = cleanTranslation({ ...design.listingTranslations[locale], ...body });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      // Applied to the stored locale inside the update, so a concurrent
+      // re-translation or registration result isn't overwritten
+      const now = Date.now();
+      const updated = await designRepository.update(design.id, (d) => {
+        const current = d.listingTranslations?.[locale];
+        if (!current) return null;
+        const status = body.approved === true ? "approved" : body.approved === false ? "draft" : current.status;
+        return {
+          ...d,
+          listingTranslations: { ...d.listingTranslations, [locale]: { ...current, ...fields, status, editedAt: now } },
+          updatedAt: now,
+        };
+      }, session.shopDomain);
+      if (!updated) {
+        return res.status(404).json({ error: "Translation not found" });
+      }
+      const translation = updated.listingTranslations[locale];
+
+      // Already published: approved translations go live straight away
+      const product = await productRepository.findByDesign(design.id, session.shopDomain);
+      let registration = null;
+      if (translation.status === "approved" && updated.status === "published" && product?.productId) {
+        try {
+          [registration] = await registerApprovedTranslations(
+            { ...updated, listingTranslations: { [locale]: translation } },
+            session.shopDomain,
+            product.productId
+          );
+        } catch (err) {
+          return respondShopifyError(res, err, session.shopDomain, "Failed to register translation");
+        }
+      }
+
+      const saved = await designRepository.findById(design.id, session.shopDomain);
+      return res.json({ translation: saved.listingTranslations[locale], registration, designVersion: saved.version });
+    } catch (err) {
+      log.error({ err: err?.message }, "Saving translation failed");
+      return res.status(500).json({ error: err.message || "Failed to save translation" });
+    }
+  });
+
+  // ── Retry publishing a finalized design to Shopify ──────────────────────
+  router.post("/retry-publish", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const designId = String(req.body?.designId || "").trim();
+    if (!designId) return res.status(400).json({ error: "designId is required" });
+
+    const design = await designRepository.findById(designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+
+    // Already published?
+    if (design.status === "published" && design.shopifyProductId) {
+      return res.json({
+        productId: design.shopifyProductId,
+        adminUrl: design.adminUrl,
+        alreadyPublished: true,
+      });
+    }
+
+    // Requested now, else the go-live time chosen at finalize if it hasn't passed
+    const { publishAt, error: publishAtError } = parsePublishAt(
+      req.body?.publishAt !== undefined ? req.body.publishAt : (design.publishAt > Date.now() ? design.publishAt : null)
+    );
+    if (publishAtError) {
+      return res.status(400).json({ error: publishAtError });
+    }
+    const publishImmediately = !publishAt && (typeof req.body?.publishImmediately === "boolean"
+      ? req.body.publishImmediately
+      : Boolean(design.publishImmediately));
+
+    // Gather images — from assets if available, otherwise use previewImageUrl
+    const assets = await assetStorageService.listDesignAssets(designId);
+    const lifestyleUrls = assets
+      .filter((a) => a.type === "lifestyle")
+      .map((a) => a.url);
+    const imageUrls = [design.previewImageUrl, ...lifestyleUrls].filter(Boolean);
+    const colorImages = Object.fromEntries(assets
+      .filter((a) => a.type === "variant-mockup")
+      .map((a) => [a.role, a.url]));
+
+    // Same copy finalize used (or the merchant's edits since)
+    const settings = await getEffectiveSettings(session.shopDomain);
+    const { copy: listingCopy } = await ensureListingCopy(design, session.shopDomain, settings);
+
+    // Collections and sales channels: as requested now, else as chosen at finalize
+    const collectionIds = normalizeGids(req.body?.collectionIds ?? design.collectionIds, "Collection");
+    const publicationIds = normalizeGids(req.body?.publicationIds ?? design.publicationIds, "Publication");
+
+    // Optional pricing from request
+    const requestedPrice = req.body?.price ? String(req.body.price).trim() : null;
+    const pricing = requestedPrice ? null : await resolvePricing(design.productType, settings);
+    const retryPrice = requestedPrice || pricing?.price || null;
+    const retryCompareAtPrice = (req.body?.compareAtPrice ? String(req.body.compareAtPrice).trim() : null)
+      || pricing?.compareAtPrice || null;
+
+    try {
+      const publishedProduct = await publishService.publish({
+        shopDomain: session.shopDomain,
+        title: listingCopy.title,
+        descriptionHtml: listingCopy.descriptionHtml,
+        tags: listingCopy.tags,
+        seo: { title: listingCopy.seoTitle, description: listingCopy.seoDescription },
+        handle: listingCopy.handle,
+        vendor: settings.vendor,
         imageUrls,
+        imageAlts: listingImageAlts(listingCopy.title, design.productType, lifestyleUrls.length)
+          .slice(design.previewImageUrl ? 0 : 1),
         publishImmediately,
         price: retryPrice,
         compareAtPrice: retryCompareAtPrice,
         productType: design.productType,
+        variants: buildVariantMatrix({
+          productType: design.productType,
+          variantOptions: design.variantOptions,
+          price: retryPrice,
+          compareAtPrice: retryCompareAtPrice,
+          skuPrefix: `POD-${designId.slice(0, 8).toUpperCase()}`,
+        }),
+        colorImages,
+        collectionIds,
+        publicationIds,
       });
 
-      designRepository.update(designId, {
+      const publishSchedule = publishAt
+        ? await schedulePublish(designId, session.shopDomain, publishedProduct.productId, publishAt)
+        : null;
+
+      await designRepository.update(designId, {
         status: "published",
         shopifyProductId: publishedProduct.productId,
         adminUrl: publishedProduct.adminUrl,
+        collectionIds,
+        publicationIds,
+        publishAt,
+        ...(publishSchedule ? { publishSchedule } : {}),
         updatedAt: Date.now(),
       }, session.shopDomain);
 
-      productRepository.upsertByDesign(designId, {
+      let printfulSync = null;
+      if (settings?.printfulSyncProducts && settings?.printfulApiKey && printfulMockupService) {
+        printfulSync = await syncPrintfulProduct({
+          shopDomain: session.shopDomain,
+          design,
+          productId: publishedProduct.productId,
+          variants: publishedProduct.variants || [],
+          title: listingCopy.title,
+          settings,
+        });
+      }
+
+      await productRepository.upsertByDesign(designId, {
         designId,
         shopDomain: session.shopDomain,
         productId: publishedProduct.productId,
         adminUrl: publishedProduct.adminUrl,
         publishImmediately,
+        variants: publishedProduct.variants || [],
+        ...(printfulSync ? { printful: printfulSync } : {}),
         updatedAt: Date.now(),
       }, session.shopDomain);
 
+      let translations = [];
+      try {
+        translations = await registerApprovedTranslations(design, session.shopDomain, publishedProduct.productId);
+      } catch (translationErr) {
+        log.warn({ err: translationErr?.message }, "Retry publish translations not registered (non-fatal)");
+      }
+      const saved = await designRepository.findById(designId, session.shopDomain);
+
       return res.json({
         productId: publishedProduct.productId,
         adminUrl: publishedProduct.adminUrl,
+        variants: publishedProduct.variants || [],
+        variantError: publishedProduct.variantError || null,
+        collections: publishedProduct.collections || [],
+        publications: publishedProduct.publications || [],
+        publishSchedule,
+        pricing,
+        printful: printfulSync,
+        translations,
+        designVersion: saved?.version,
       });
     } catch (pubErr) {
       log.error({ err: pubErr?.message }, "Retry publish failed");
@@ -1584,67 +2796,606 @@ function createPodRouter({ authService, memberAuthService, memberRepository, ana
     }
   });
 
-  router.get("/designs", async (req, res) => {
+  // ── Edit a published product ────────────────────────────────────────────
+  // Published designs short-circuit finalize and retry-publish, so listing
+  // changes after publishing go through these endpoints instead.
+  async function requirePublishedProduct(req, res, session) {
+    const designId = String(req.params.designId || "");
+    const design = await designRepository.findById(designId, session.shopDomain);
+    if (!design) {
+      res.status(404).json({ error: "Design not found" });
+      return null;
+    }
+    const product = await productRepository.findByDesign(designId, session.shopDomain);
+    if (design.status !== "published" || !product?.productId) {
+      res.status(400).json({ error: "This design has not been published to Shopify" });
+      return null;
+    }
+    return { design, product };
+  }
+
+  function respondShopifyError(res, err, shopDomain, fallbackMessage) {
+    log.error({ err: err?.message, shopDomain }, fallbackMessage);
+    if (err?.status === 401 || String(err?.message || "").includes("401")) {
+      const host = String(config?.shopify?.hostName || "").replace(/^https?:\/\//, "");
+      return res.status(401).json({
+        error: "Store connection expired. Please reconnect and try again.",
+        needsReauth: true,
+        authUrl: `https://${host}/auth/reinstall?shop=${encodeURIComponent(shopDomain)}`,
+      });
+    }
+    return res.status(502).json({ error: err?.message || fallbackMessage });
+  }
+
+  router.get("/designs/:designId/product", async (req, res) => {
     const session = await requireSession(req, res);
-    if (!session) {
-      return;
+    if (!session) return;
+    const found = await requirePublishedProduct(req, res, session);
+    if (!found) return;
+
+    try {
+      const listing = await publishService.getProduct({ shopDomain: session.shopDomain, productId: found.product.productId });
+      if (!listing) {
+        return res.status(404).json({ error: "The product no longer exists in Shopify" });
+      }
+      const assets = (await assetStorageService.listDesignAssets(found.design.id))
+        .filter((a) => a.url && !String(a.url).startsWith("data:"))
+        .map((a) => ({ id: a.id, type: a.type, role: a.role, url: a.url }));
+      return res.json({ adminUrl: found.product.adminUrl, listing, assets });
+    } catch (err) {
+      return respondShopifyError(res, err, session.shopDomain, "Failed to load product from Shopify");
     }
+  });
 
-    const designs = designRepository.listByShop(session.shopDomain).map((design) => {
-      // Validate local preview images still exist on disk (Railway ephemeral FS)
-      let previewUrl = design.previewImageUrl || null;
-      if (previewUrl && previewUrl.startsWith("/uploads/")) {
-        const localPath = path.join(uploadsDir, path.basename(previewUrl));
-        if (!fs.existsSync(localPath)) {
-          previewUrl = null; // File was lost (redeploy / cleanup)
-        }
+  router.put("/designs/:designId/product", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const found = await requirePublishedProduct(req, res, session);
+    if (!found) return;
+    const { design, product } = found;
+    const body = req.body || {};
+
+    const update = {};
+    if (body.title !== undefined) {
+      update.title = sanitize(body.title, 255);
+      if (!update.title) return res.status(400).json({ error: "Title cannot be empty" });
+    }
+    if (body.descriptionHtml !== undefined) {
+      update.descriptionHtml = sanitizeDescriptionHtml(body.descriptionHtml);
+    }
+    if (body.tags !== undefined) {
+      const tags = Array.isArray(body.tags) ? body.tags : String(body.tags || "").split(",");
+      update.tags = [...new Set(tags.map((t) => sanitize(t, 60)).filter(Boolean))].slice(0, 50);
+    }
+    if (body.status !== undefined) {
+      update.status = String(body.status).toUpperCase();
+      if (!["ACTIVE", "DRAFT"].includes(update.status)) {
+        return res.status(400).json({ error: "status must be ACTIVE or DRAFT" });
       }
-      return {
-        id: design.id,
-        prompt: design.prompt,
+    }
+
+    // Prices follow the same Size/Color upcharges used when the product was published
+    let priceVariants = null;
+    if (body.price !== undefined && body.price !== null && body.price !== "") {
+      const price = Number(body.price);
+      const compareAtPrice = body.compareAtPrice ? Number(body.compareAtPrice) : null;
+      if (!Number.isFinite(price) || price < 0 || (compareAtPrice !== null && !Number.isFinite(compareAtPrice))) {
+        return res.status(400).json({ error: "Invalid price" });
+      }
+      const matrix = buildVariantMatrix({
         productType: design.productType,
-        status: design.status,
-        previewImageUrl: previewUrl,
-        adminUrl: design.adminUrl,
-        shopifyProductId: design.shopifyProductId,
-        createdAt: design.createdAt,
-        updatedAt: design.updatedAt,
-      };
+        variantOptions: design.variantOptions,
+        price,
+        compareAtPrice,
+      });
+      priceVariants = (variants) => variants.map((variant) => {
+        const priced = matrix?.variants.find((m) => m.size === variant.size && m.color === variant.color);
+        return {
+          id: variant.id,
+          price: priced?.price || price.toFixed(2),
+          compareAtPrice: priced ? priced.compareAtPrice : (compareAtPrice !== null ? compareAtPrice.toFixed(2) : null),
+        };
+      });
+    }
+
+    // Images: remove by Shopify media id, add from this design's own assets only
+    if (Array.isArray(body.removeMediaIds)) {
+      update.removeMediaIds = body.removeMediaIds.map((id) => String(id)).filter((id) => id.startsWith("gid://shopify/"));
+    }
+    if (Array.isArray(body.addImageUrls)) {
+      const assetUrls = new Set((await assetStorageService.listDesignAssets(design.id)).map((a) => a.url));
+      if (design.previewImageUrl) assetUrls.add(design.previewImageUrl);
+      update.addImageUrls = body.addImageUrls.filter((url) => assetUrls.has(url));
+      const assetsByUrl = new Map((await assetStorageService.listDesignAssets(design.id)).map((a) => [a.url, a]));
+      const altTitle = update.title || design.listingCopy?.title || design.prompt;
+      update.addImageAlts = update.addImageUrls.map((url) => {
+        const asset = assetsByUrl.get(url);
+        if (asset?.type === "lifestyle") return imageAltText({ title: altTitle, productType: design.productType, kind: "lifestyle" });
+        if (asset?.type === "variant-mockup") return imageAltText({ title: altTitle, productType: design.productType, kind: "color", detail: asset.role });
+        return imageAltText({ title: altTitle, productType: design.productType, kind: "mockup" });
+      });
+    }
+
+    try {
+      if (priceVariants) {
+        // Products published before variant ids were stored are priced from the live listing
+        const variants = product.variants?.length
+          ? product.variants
+          : (await publishService.getProduct({ shopDomain: session.shopDomain, productId: product.productId }))?.variants || [];
+        update.variantPrices = priceVariants(variants);
+      }
+
+      const listing = await publishService.updateProduct({
+        shopDomain: session.shopDomain,
+        productId: product.productId,
+        ...update,
+      });
+
+      const now = Date.now();
+      await productRepository.updateByDesign(design.id, {
+        ...(update.status ? { publishImmediately: update.status === "ACTIVE" } : {}),
+        ...(listing ? {
+          variants: listing.variants.map(({ id, size, color, sku, price }) => ({ id, size, color, sku, price })),
+        } : {}),
+        listingUpdatedAt: now,
+        updatedAt: now,
+      }, session.shopDomain);
+      // Setting the status by hand replaces a pending scheduled go-live
+      const cancelSchedule = update.status && design.publishSchedule?.status === "scheduled";
+      if (cancelSchedule) {
+        await jobQueueService.cancel(design.publishSchedule.jobId, "Replaced by a manual status change");
+      }
+      const updated = await designRepository.update(design.id, {
+        ...(cancelSchedule ? { publishSchedule: { ...design.publishSchedule, status: "cancelled" } } : {}),
+        updatedAt: now,
+      }, session.shopDomain);
+
+      log.info({ designId: design.id, productId: product.productId, fields: Object.keys(update) }, "Published product updated");
+      return res.json({ adminUrl: product.adminUrl, listing, designVersion: updated?.version });
+    } catch (err) {
+      return respondShopifyError(res, err, session.shopDomain, "Failed to update product in Shopify");
+    }
+  });
+
+  // ── Create (or re-create) the Printful sync product for a published design ──
+  router.post("/designs/:designId/printful-sync", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const designId = String(req.params.designId || "");
+    const design = await designRepository.findById(designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    const product = await productRepository.findByDesign(designId, session.shopDomain);
+    if (!product?.productId) {
+      return res.status(400).json({ error: "Publish the design to Shopify first" });
+    }
+    const settings = await getEffectiveSettings(session.shopDomain);
+    if (!settings.printfulApiKey || !printfulMockupService) {
+      return res.status(400).json({ error: "Printful API key is not configured" });
+    }
+    if (product.printful?.syncProductId && !req.body?.force) {
+      return res.status(409).json({ error: "A Printful product already exists for this design", printful: product.printful });
+    }
+
+    const printful = await syncPrintfulProduct({
+      shopDomain: session.shopDomain,
+      design,
+      productId: product.productId,
+      variants: product.variants || [],
+      title: design.prompt.slice(0, 120),
+      settings,
     });
+    await productRepository.updateByDesign(designId, { printful, updatedAt: Date.now() }, session.shopDomain);
+
+    if (printful.error) {
+      return res.status(502).json({ error: printful.error, printful });
+    }
+    return res.json({ printful });
+  });
+
+  /** Library entry for a design; `version` is what edits send back as `expectedVersion`. */
+  function toDesignSummary(design, product) {
+    return {
+      id: design.id,
+      version: design.version || 0,
+      prompt: design.prompt,
+      productType: design.productType,
+      status: design.status,
+      previewImageUrl: design.previewImageUrl || null,
+      adminUrl: design.adminUrl,
+      shopifyProductId: design.shopifyProductId,
+      publishSchedule: design.publishSchedule || null,
+      parentDesignId: design.parentDesignId || null,
+      printfulProductId: design.printfulProductId || null,
+      printfulSyncProductId: product?.printful?.syncProductId || null,
+      createdAt: design.createdAt,
+      updatedAt: design.updatedAt,
+    };
+  }
+
+  router.get("/designs", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    const shopDesigns = await designRepository.listByShop(session.shopDomain);
+    const products = await productRepository.mapByDesigns(shopDesigns.map((design) => design.id), session.shopDomain);
+    const designs = shopDesigns.map((design) => toDesignSummary(design, products.get(design.id)));
 
     return res.json({ designs });
   });
 
+  // The latest state of one design, e.g. to reload it after a 409 conflict
+  router.get("/designs/:designId", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    return res.json({
+      design: {
+        ...toDesignSummary(design, await productRepository.findByDesign(design.id, session.shopDomain)),
+        rawArtworkUrl: design.rawArtworkUrl || design.previewImageUrl || null,
+        mockupImageUrl: design.mockupImageUrl || null,
+        currentDesignAssetId: design.currentDesignAssetId || null,
+        listingCopy: design.listingCopy || null,
+      },
+    });
+  });
+
   router.delete("/designs/:designId", async (req, res) => {
     const session = await requireSession(req, res);
     if (!session) return;
 
-    const design = designRepository.findById(req.params.designId, session.shopDomain);
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
     if (!design) {
       return res.status(404).json({ error: "Design not found" });
     }
 
+    if (design.publishSchedule?.status === "scheduled") {
+      await jobQueueService.cancel(design.publishSchedule.jobId, "Design deleted");
+    }
+
     // Remove associated assets
-    assetStorageService.assetRepository.deleteByDesign(design.id, session.shopDomain);
-    designRepository.delete(design.id, session.shopDomain);
+    await assetStorageService.assetRepository.deleteByDesign(design.id, session.shopDomain);
+    await designRepository.delete(design.id, session.shopDomain);
 
     return res.json({ success: true });
   });
 
+  // ── Print-ready files ──
+
+  function toPrintFileResponse(asset) {
+    return { assetId: asset.id, url: asset.url, createdAt: asset.createdAt, ...asset.metadata };
+  }
+
+  /** Job: upscale a design's current artwork to its Printful print area. */
+  async function runPrintFileJob(job, { progress }) {
+    const shopDomain = job.shopDomain;
+    const design = await designRepository.findById(job.designId, shopDomain);
+    if (!design) throw new Error("Design not found");
+
+    const settings = await getEffectiveSettings(shopDomain);
+    // Print on the transparent artwork so dark garments don't get a white box
+    progress("Removing the artwork background");
+    const transparent = await ensureTransparentArtwork(design, shopDomain, settings);
+    const printFile = await printFileService.createPrintFile({
+      artworkUrl: transparent?.url || design.rawArtworkUrl || design.previewImageUrl,
+      productType: design.productType,
+      printfulProductId: job.payload.printfulProductId,
+      settings,
+      shopDomain,
+      onProgress: progress,
+    });
+    const { url, ...metadata } = printFile;
+    metadata.transparent = Boolean(transparent);
+    const asset = await assetStorageService.saveAsset({
+      designId: design.id,
+      shopDomain,
+      type: "print-file",
+      role: metadata.placement,
+      url,
+      metadata: { ...metadata, sourceAssetId: design.currentDesignAssetId || null },
+    });
+    return { designId: design.id, printFile: toPrintFileResponse(asset) };
+  }
+  jobQueueService.register("print-file", runPrintFileJob, { restartable: true });
+
+  router.post("/designs/:designId/print-file", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    if (!design.rawArtworkUrl && !design.previewImageUrl) {
+      return res.status(400).json({ error: "This design has no artwork yet" });
+    }
+    if (!(await getEffectiveSettings(session.shopDomain))?.printfulApiKey) {
+      return res.status(400).json({ error: "Connect Printful to create print files at its print-area size" });
+    }
+
+    const job = await jobQueueService.enqueue({
+      type: "print-file",
+      shopDomain: session.shopDomain,
+      designId: design.id,
+      payload: { printfulProductId: Number(req.body?.printfulProductId) || design.printfulProductId || null },
+    });
+    return res.status(202).json({ jobId: job.id, status: job.status });
+  });
+
+  router.get("/designs/:designId/print-file", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    const latest = (await assetStorageService.assetRepository.listByDesign(design.id, session.shopDomain))
+      .filter((asset) => asset.type === "print-file")
+      .sort((a, b) => Number(b.createdAt || 0) - Number(a.createdAt || 0))[0];
+    if (!latest) {
+      return res.status(404).json({ error: "No print file has been created for this design yet" });
+    }
+    return res.json({
+      designId: design.id,
+      printFile: toPrintFileResponse(latest),
+      // A print file made from an earlier artwork version no longer matches the design
+      stale: Boolean(latest.metadata?.sourceAssetId && latest.metadata.sourceAssetId !== design.currentDesignAssetId),
+    });
+  });
+
+  // ── Clone a design onto other product types ──
+  router.post("/designs/:designId/clone", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    const rawArtworkUrl = design.rawArtworkUrl || design.previewImageUrl;
+    if (!rawArtworkUrl) {
+      return res.status(400).json({ error: "This design has no artwork to clone yet" });
+    }
+
+    // Targets are product type keys ("mug") or Printful catalog product ids (71)
+    const targets = Array.isArray(req.body?.targets) ? req.body.targets.slice(0, MAX_CLONE_TARGETS) : [];
+    if (targets.length === 0) {
+      return res.status(400).json({ error: "targets must list at least one product type or Printful product id" });
+    }
+
+    const settings = await getEffectiveSettings(session.shopDomain);
+    const resolved = [];
+    for (const target of targets) {
+      const value = String(target ?? "").trim().toLowerCase();
+      if (/^\d+$/.test(value)) {
+        if (!settings?.printfulApiKey) {
+          return res.status(400).json({ error: "Connect Printful to clone onto Printful catalog products" });
+        }
+        const product = await printfulMockupService.resolveCatalogProduct({
+          printfulApiKey: settings.printfulApiKey,
+          printfulProductId: value,
+        });
+        if (!product) {
+          return res.status(400).json({ error: `Printful product ${value} was not found in the catalog` });
+        }
+        resolved.push({ productType: product.productType, printfulProductId: Number(value) });
+      } else if (categoryForProductType(value)) {
+        resolved.push({ productType: value, printfulProductId: null });
+      } else {
+        return res.status(400).json({ error: `Unknown product type: ${sanitize(value, 50)}` });
+      }
+    }
+
+    // Every clone links to the family's root so the library groups them together
+    const parentDesignId = design.parentDesignId || design.id;
+    const seen = new Set();
+    const newTargets = resolved.filter(({ productType, printfulProductId }) => {
+      const key = printfulProductId ? `printful:${printfulProductId}` : productType;
+      if (seen.has(key) || (!printfulProductId && productType === design.productType)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const clones = [];
+    for (const { productType, printfulProductId } of newTargets) {
+      const clone = pipelineService.createDesignRecord({
+        shopDomain: session.shopDomain,
+        prompt: design.prompt,
+        productType,
+        publishImmediately: design.publishImmediately,
+        artworkPrompt: design.artworkPrompt,
+        designImageUrl: rawArtworkUrl,
+        createdBy: session.subject || session.memberId || null,
+      });
+      const asset = await assetStorageService.saveAsset({
+        designId: clone.id,
+        shopDomain: session.shopDomain,
+        type: "artwork-raw",
+        role: "base",
+        url: rawArtworkUrl,
+        promptSnapshot: design.artworkPrompt,
+      });
+      clones.push(await designRepository.create({
+        ...clone,
+        currentDesignAssetId: asset.id,
+        parentDesignId,
+        ...(printfulProductId ? { printfulProductId } : {}),
+      }));
+    }
+
+    if (clones.length === 0) {
+      return res.status(400).json({ error: "Every target matches this design's own product type" });
+    }
+    log.info({ designId: design.id, parentDesignId, count: clones.length }, "Design cloned onto other product types");
+
+    return res.status(201).json({
+      parentDesignId,
+      designs: clones.map((clone) => ({
+        designId: clone.id,
+        productType: clone.productType,
+        printfulProductId: clone.printfulProductId || null,
+        rawArtworkUrl: clone.rawArtworkUrl,
+      })),
+    });
+  });
+
+  // ── Artwork version history ──
+  router.get("/designs/:designId/versions", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+
+    const versions = (await assetStorageService.listArtworkVersions(design.id, session.shopDomain))
+      .map((version) => ({ ...version, current: version.assetId === design.currentDesignAssetId }));
+    return res.json({ designId: design.id, currentAssetId: design.currentDesignAssetId || null, versions });
+  });
+
+  // Makes an earlier version the current artwork again; the mockup is cleared
+  // like after a canvas edit, and the newer versions stay in the history.
+  router.post("/designs/:designId/versions/:version/restore", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    if (design.status === "published") {
+      return res.status(409).json({ error: "This design is already published; its artwork can no longer be changed." });
+    }
+    const expectedVersion = expectedVersionFor(req, design);
+    if (expectedVersion === null) return sendVersionConflict(res, design);
+
+    const versionNumber = Number(req.params.version);
+    const target = (await assetStorageService.listArtworkVersions(design.id, session.shopDomain))
+      .find((version) => version.version === versionNumber);
+    if (!target) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
+    }
+
+    let updated;
+    try {
+      updated = await setCurrentArtwork(design, target, session.shopDomain, { expectedVersion });
+    } catch (err) {
+      if (err.code === "VERSION_CONFLICT") return sendVersionConflict(res, err.current);
+      return res.status(500).json({ error: err.message || "Failed to restore version" });
+    }
+    log.info({ designId: design.id, version: target.version, assetId: target.assetId }, "Artwork version restored");
+
+    return res.json({
+      designId: design.id,
+      designVersion: updated?.version,
+      version: target.version,
+      rawArtworkUrl: target.url,
+      designImageUrl: target.url,
+    });
+  });
+
+  // ── Design variations ──
+
+  /**
+   * Make an artwork asset the design's current artwork; the mockup is
+   * regenerated from it. Throws a 409 conflict when the design is no longer
+   * at `expectedVersion`.
+   */
+  async function setCurrentArtwork(design, { assetId, url }, shopDomain, { expectedVersion } = {}) {
+    return designRepository.update(design.id, {
+      previewImageUrl: url,
+      rawArtworkUrl: url,
+      currentDesignAssetId: assetId,
+      mockupImageUrl: null,
+      status: "preview_ready",
+      updatedAt: Date.now(),
+    }, shopDomain, { expectedVersion });
+  }
+
+  async function listVariations(design, shopDomain) {
+    return (await assetStorageService.listArtworkVersions(design.id, shopDomain))
+      .filter((version) => version.role === "variation")
+      .map((version, index) => ({
+        assetId: version.assetId,
+        url: version.url,
+        variation: index + 1,
+        current: version.assetId === design.currentDesignAssetId,
+        createdAt: version.createdAt,
+      }));
+  }
+
+  router.get("/designs/:designId/variations", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    return res.json({ designId: design.id, variations: await listVariations(design, session.shopDomain) });
+  });
+
+  router.post("/designs/:designId/variations/:assetId/select", async (req, res) => {
+    const session = await requireSession(req, res);
+    if (!session) return;
+
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
+    if (!design) {
+      return res.status(404).json({ error: "Design not found" });
+    }
+    if (design.status === "published") {
+      return res.status(409).json({ error: "This design is already published; its artwork can no longer be changed." });
+    }
+    const expectedVersion = expectedVersionFor(req, design);
+    if (expectedVersion === null) return sendVersionConflict(res, design);
+
+    const target = (await listVariations(design, session.shopDomain)).find((variation) => variation.assetId === req.params.assetId);
+    if (!target) {
+      return res.status(404).json({ error: "Variation not found" });
+    }
+
+    let updated;
+    try {
+      updated = await setCurrentArtwork(design, target, session.shopDomain, { expectedVersion });
+    } catch (err) {
+      if (err.code === "VERSION_CONFLICT") return sendVersionConflict(res, err.current);
+      return res.status(500).json({ error: err.message || "Failed to select variation" });
+    }
+    log.info({ designId: design.id, variation: target.variation, assetId: target.assetId }, "Design variation selected");
+
+    return res.json({
+      designId: design.id,
+      designVersion: updated?.version,
+      assetId: target.assetId,
+      rawArtworkUrl: target.url,
+      designImageUrl: target.url,
+    });
+  });
+
   router.get("/designs/:designId/assets", async (req, res) => {
     const session = await requireSession(req, res);
     if (!session) {
       return;
     }
 
-    const design = designRepository.findById(req.params.designId, session.shopDomain);
+    const design = await designRepository.findById(req.params.designId, session.shopDomain);
     if (!design) {
       return res.status(404).json({ error: "Design not found" });
     }
 
     return res.json({
       designId: design.id,
-      assets: assetStorageService.listDesignAssets(design.id),
+      assets: await assetStorageService.listDesignAssets(design.id),
     });
   });
 
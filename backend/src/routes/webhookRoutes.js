@@ -1,7 +1,5 @@
 const express = require("express");
 const crypto = require("crypto");
-const fs = require("fs");
-const path = require("path");
 const log = require("../utils/logger");
 
 /**
@@ -95,22 +93,14 @@ function createWebhookRouter(deps) {
       const settingsRepository = deps.settingsRepository;
       // Revoke stored access token immediately
       if (settingsRepository) {
-        const settings = settingsRepository.findByShop(shopDomain);
+        const settings = await settingsRepository.findByShop(shopDomain);
         if (settings) {
-          settingsRepository.upsertByShop(shopDomain, {
+          await settingsRepository.upsertByShop(shopDomain, {
             shopifyAccessToken: "",
             shopifyScopes: "",
             uninstalledAt: Date.now(),
           });
           log.info({ shopDomain }, "Revoked access token");
-
-          // Persist to Postgres so revocation survives restarts
-          try {
-            await settingsRepository.flush();
-            log.info({ shopDomain }, "Token revocation flushed to Postgres");
-          } catch (flushErr) {
-            log.error({ shopDomain, err: flushErr?.message }, "Flush failed after token revocation");
-          }
         }
       }
     } catch (err) {
@@ -126,44 +116,42 @@ function createWebhookRouter(deps) {
    */
   async function _purgeShopData(shopDomain, deps) {
     if (!shopDomain) return;
-    const { designRepository, assetRepository, productRepository, settingsRepository, memberRepository } = deps;
-    const uploadsDir = deps.uploadsDir;
+    const { designRepository, assetRepository, productRepository, settingsRepository, memberRepository, imageStore } = deps;
 
-    // Delete all designs + their assets + products + uploaded files
+    // Delete all designs + their assets + products + stored images
     if (designRepository) {
-      const designs = designRepository.listByShop(shopDomain);
+      const designs = await designRepository.listByShop(shopDomain);
       for (const design of designs) {
         // Delete associated assets
         try {
-          const assets = assetRepository ? assetRepository.listByDesign(design.id) : [];
-          // Delete uploaded files referenced by assets
+          const assets = assetRepository ? await assetRepository.listByDesign(design.id) : [];
+          // Delete images referenced by assets
           for (const asset of assets) {
-            if (asset.url && asset.url.startsWith("/uploads/")) {
-              const filePath = path.join(uploadsDir, path.basename(asset.url));
-              try { fs.unlinkSync(filePath); } catch (_) { /* already deleted */ }
+            if (asset.url && imageStore) {
+              try { await imageStore.delete(asset.url); } catch (_) { /* already deleted */ }
             }
           }
-          if (assetRepository) assetRepository.deleteByDesign(design.id);
+          if (assetRepository) await assetRepository.deleteByDesign(design.id);
         } catch (err) {
           log.warn({ err: err?.message, designId: design.id }, "Error purging assets");
         }
 
         // Delete associated products
         try {
-          if (productRepository) productRepository.deleteByDesign(design.id);
+          if (productRepository) await productRepository.deleteByDesign(design.id);
         } catch (err) {
           log.warn({ err: err?.message, designId: design.id }, "Error purging products");
         }
 
-        // Delete uploaded files referenced by the design itself
+        // Delete images referenced by the design itself
         for (const urlField of ["previewImageUrl", "rawArtworkUrl", "mockupImageUrl"]) {
           const url = design[urlField];
-          if (url && url.startsWith("/uploads/")) {
-            try { fs.unlinkSync(path.join(uploadsDir, path.basename(url))); } catch (_) { /* ok */ }
+          if (url && imageStore) {
+            try { await imageStore.delete(url); } catch (_) { /* ok */ }
           }
         }
 
-        designRepository.delete(design.id);
+        await designRepository.delete(design.id);
       }
       log.info({ shopDomain, count: designs.length }, "Purged designs, assets, products, and files");
     }
@@ -171,9 +159,9 @@ function createWebhookRouter(deps) {
     // Delete members associated with this shop
     if (memberRepository) {
       try {
-        const shopMembers = memberRepository.list(shopDomain);
+        const shopMembers = await memberRepository.list(shopDomain);
         for (const member of shopMembers) {
-          memberRepository.update(member.id, { authToken: "", email: "deleted", fullName: "deleted", passwordHash: "", passwordSalt: "" });
+          await memberRepository.update(member.id, { authToken: "", email: "deleted", fullName: "deleted", passwordHash: "", passwordSalt: "" });
         }
         log.info({ shopDomain, count: shopMembers.length }, "Purged member data");
       } catch (err) {
@@ -181,19 +169,31 @@ function createWebhookRouter(deps) {
       }
     }
 
+    // Delete background jobs (payloads hold prompts and results)
+    if (deps.jobRepository) {
+      const deleted = await deps.jobRepository.deleteByShop(shopDomain);
+      log.info({ shopDomain, deleted }, "Purged jobs");
+    }
+
+    // Delete bulk design batches
+    if (deps.batchRepository) {
+      const deleted = await deps.batchRepository.deleteByShop(shopDomain);
+      log.info({ shopDomain, deleted }, "Purged batches");
+    }
+
     // Delete shop settings (API keys, access tokens)
     if (settingsRepository) {
-      settingsRepository.deleteByShop(shopDomain);
+      await settingsRepository.deleteByShop(shopDomain);
       log.info({ shopDomain }, "Purged settings");
     }
 
-    // Delete all DB-backed images for this shop
-    if (deps.store?.deleteShopImages) {
+    // Delete every other stored image for this shop (database rows, bucket objects)
+    if (imageStore) {
       try {
-        const deleted = await deps.store.deleteShopImages(shopDomain);
-        log.info({ shopDomain, deleted }, "Purged DB images");
+        const deleted = await imageStore.deleteShop(shopDomain);
+        log.info({ shopDomain, deleted }, "Purged stored images");
       } catch (err) {
-        log.warn({ shopDomain, err: err?.message }, "Error purging DB images");
+        log.warn({ shopDomain, err: err?.message }, "Error purging stored images");
       }
     }
   }
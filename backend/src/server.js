@@ -8,11 +8,14 @@ const cors = require("cors");
 const { getConfig } = require("./config");
 const { JsonStore } = require("./storage/jsonStore");
 const { PostgresStore } = require("./storage/pgStore");
+const { createImageStore } = require("./storage/imageBackends");
 const { DesignRepository } = require("./repositories/designRepository");
 const { AssetRepository } = require("./repositories/assetRepository");
 const { ProductRepository } = require("./repositories/productRepository");
 const { SettingsRepository } = require("./repositories/settingsRepository");
 const { MemberRepository } = require("./repositories/memberRepository");
+const { JobRepository } = require("./repositories/jobRepository");
+const { BatchRepository } = require("./repositories/batchRepository");
 const { AuthService } = require("./services/authService");
 const { MemberAuthService } = require("./services/memberAuthService");
 const { AnalyticsService } = require("./services/analyticsService");
@@ -20,11 +23,13 @@ const { PodPipelineService } = require("./services/podPipelineService");
 const { AssetStorageService } = require("./services/assetStorageService");
 const { ShopifyPublishService } = require("./services/shopifyPublishService");
 const { PrintfulMockupService } = require("./services/printfulMockupService");
+const { PrintFileService } = require("./services/printFileService");
 const { createPodRouter } = require("./routes/podRoutes");
 const { createAuthRouter } = require("./routes/authRoutes");
 const { createWebhookRouter } = require("./routes/webhookRoutes");
 const { createBillingRouter } = require("./routes/billingRoutes");
 const { BillingService } = require("./services/billingService");
+const { JobQueueService } = require("./services/jobQueueService");
 const { startUploadsCleaner } = require("./utils/uploadsCleaner");
 const log = require("./utils/logger");
 
@@ -75,6 +80,7 @@ async function createServer() {
   // ── Health check (responds even while DB is still initialising) ────────
   let dbReady = false;
   let storeType = "unknown";
+  let imageStore = null; // populated after DB init
   app.get("/health", (_req, res) => {
     res.json({ ok: true, dbReady, storeType });
   });
@@ -93,17 +99,15 @@ async function createServer() {
       // We need settingsRepository — it may not be wired yet at boot
       if (!_settingsRepository) return res.status(503).json({ error: "App still initialising" });
 
-      const db = _settingsRepository.store.read();
       const now = new Date();
       const periodStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
       let resetCount = 0;
-      for (const s of db.settings) {
+      for (const s of await _settingsRepository.listAll()) {
         if (s.billingUsage) {
-          s.billingUsage = { credits: 0, periodStart };
+          await _settingsRepository.upsertByShop(s.shopDomain, { billingUsage: { credits: 0, periodStart } }, { keepVersion: true });
           resetCount++;
         }
       }
-      _settingsRepository.store.write(db);
       log.info({ resetCount }, "Admin: billing credits reset for all shops");
       return res.json({ ok: true, resetCount, message: `Reset credits to 0 for ${resetCount} shop(s)` });
     } catch (err) {
@@ -132,8 +136,7 @@ async function createServer() {
   app.get("/admin/api/shops", adminAuth, async (req, res) => {
     if (!_settingsRepository) return res.status(503).json({ error: "App still initialising" });
     try {
-      const db = _settingsRepository.store.read();
-      const shops = (db.settings || [])
+      const shops = (await _settingsRepository.listAll())
         .filter(s => s.shopDomain && !s.shopDomain.startsWith("_nonce:") && s.shopDomain !== "_analytics")
         .map(s => ({
           domain: s.shopDomain,
@@ -144,9 +147,9 @@ async function createServer() {
         }));
 
       // Count designs per shop
-      const designs = db.designs || [];
+      const designCounts = await _designRepository.countByShop();
       for (const shop of shops) {
-        shop.designCount = designs.filter(d => d.shopDomain === shop.domain).length;
+        shop.designCount = designCounts[shop.domain] || 0;
       }
 
       return res.json({ shops });
@@ -179,8 +182,7 @@ async function createServer() {
 
     // Test Shopify tokens
     if (_settingsRepository) {
-      const db = _settingsRepository.store.read();
-      const shops = (db.settings || []).filter(s => s.shopDomain && !s.shopDomain.startsWith("_nonce:") && s.shopDomain !== "_analytics" && s.shopifyAccessToken);
+      const shops = (await _settingsRepository.listAll()).filter(s => s.shopDomain && !s.shopDomain.startsWith("_nonce:") && s.shopDomain !== "_analytics" && s.shopifyAccessToken);
       results.checks.shopifyTokens = [];
       for (const s of shops) {
         try {
@@ -226,17 +228,15 @@ async function createServer() {
     if (!_settingsRepository) return res.status(503).json({ error: "App still initialising" });
     try {
       const shopDomain = String(req.body?.shopDomain || "").trim();
-      const db = _settingsRepository.store.read();
       const periodStart = new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString();
       let resetCount = 0;
-      for (const s of db.settings) {
+      for (const s of await _settingsRepository.listAll()) {
         if (shopDomain && s.shopDomain !== shopDomain) continue;
         if (s.billingUsage) {
-          s.billingUsage = { credits: 0, periodStart };
+          await _settingsRepository.upsertByShop(s.shopDomain, { billingUsage: { credits: 0, periodStart } }, { keepVersion: true });
           resetCount++;
         }
       }
-      _settingsRepository.store.write(db);
       return res.json({ ok: true, resetCount });
     } catch (err) {
       return res.status(500).json({ error: err.message });
@@ -248,8 +248,8 @@ async function createServer() {
     try {
       const shopDomain = String(req.body?.shopDomain || "").trim();
       if (!shopDomain) return res.status(400).json({ error: "shopDomain is required" });
-      if (!store?.deleteShopImages) return res.status(400).json({ error: "No database storage" });
-      const deleted = await store.deleteShopImages(shopDomain);
+      if (!imageStore) return res.status(503).json({ error: "Image storage is not ready yet" });
+      const deleted = await imageStore.deleteShop(shopDomain);
       return res.json({ ok: true, deleted });
     } catch (err) {
       return res.status(500).json({ error: err.message });
@@ -276,23 +276,24 @@ async function createServer() {
     next();
   }, express.static(uploadsDir, { maxAge: "7d" }));
 
-  // ── Serve DB-backed images ────────────────────────────────────────────────
-  app.get("/images/:id", async (req, res) => {
+  // ── Serve stored images (Postgres rows or S3 objects) ─────────────────────
+  app.get("/images/*", async (req, res) => {
     try {
-      if (!store?.getImage) return res.status(404).send("Not found");
-      const id = req.params.id;
-      // Validate UUID format to prevent injection
-      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+      if (!imageStore) return res.status(404).send("Not found");
+      const ref = `/images/${req.params[0]}`;
+      // Only paths a storage backend issued (UUIDs, <shop>/<uuid>.<ext>) are looked up
+      const backend = imageStore.backendFor(ref);
+      if (!backend || backend.id === "disk") {
         return res.status(400).send("Invalid image ID");
       }
-      const image = await store.getImage(id);
+      const image = await backend.load(ref);
       if (!image) return res.status(404).send("Not found");
       res.setHeader("Content-Type", image.mimeType || "image/png");
       res.setHeader("Cache-Control", "public, max-age=604800");
       res.setHeader("Access-Control-Allow-Origin", "*");
       res.send(image.data);
     } catch (err) {
-      log.error({ err: err?.message }, "Error serving image from DB");
+      log.error({ err: err?.message }, "Error serving stored image");
       res.status(500).send("Internal error");
     }
   });
@@ -316,6 +317,7 @@ async function createServer() {
   // If a ?shop= param is present AND we have a DB with no valid token for that shop,
   // redirect to the OAuth install flow so the token is obtained before the app loads.
   let _settingsRepository = null; // populated after DB init
+  let _designRepository = null;
   app.get("*", async (req, res, next) => {
     if (req.path.startsWith("/api") || req.path.startsWith("/webhooks") || req.path.startsWith("/auth") || req.path.startsWith("/uploads") || req.path.startsWith("/images/") || req.path.startsWith("/admin") || req.path === "/health" || req.path === "/privacy" || req.path === "/terms") {
       return next();
@@ -324,15 +326,8 @@ async function createServer() {
     // ── Install detection: redirect to OAuth if shop has no token ──────────
     const shopParam = String(req.query.shop || "").trim();
     if (shopParam && /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/.test(shopParam) && _settingsRepository) {
-      // If coming from Shopify admin (hmac present), refresh cache from DB
-      // and validate the stored token — it may have been revoked by an uninstall.
-      if (req.query.hmac && typeof store?.refreshCacheFromDb === "function") {
-        try {
-          await store.refreshCacheFromDb();
-        } catch (_) { /* logged inside */ }
-      }
-
-      const existing = _settingsRepository.findByShop(shopParam);
+      // The stored token may have been revoked by an uninstall
+      const existing = await _settingsRepository.findByShop(shopParam);
       if (!existing?.shopifyAccessToken) {
         log.info({ shop: shopParam }, "Install detection: no token for shop — redirecting to OAuth");
         return res.redirect(`/auth?shop=${encodeURIComponent(shopParam)}`);
@@ -348,7 +343,7 @@ async function createServer() {
   });
 
   // ── GDPR + uninstall webhooks (register early so compliance checks never 404) ──
-  const webhookDeps = { config, settingsRepository: null, designRepository: null, memberRepository: null, assetRepository: null, productRepository: null, uploadsDir };
+  const webhookDeps = { config, settingsRepository: null, designRepository: null, memberRepository: null, assetRepository: null, productRepository: null, jobRepository: null, batchRepository: null, imageStore: null };
   app.use("/webhooks", createWebhookRouter(webhookDeps));
 
   // ── Start listening IMMEDIATELY so Railway health-checks pass ─────────
@@ -371,6 +366,7 @@ async function createServer() {
     } else {
       log.warn({ path: config.storage.dataFilePath }, "DATABASE_URL not set — using ephemeral JSON file (dev only)");
       store = new JsonStore(config.storage.dataFilePath);
+      await store.waitForReady();
       storeType = "JsonStore";
     }
   } catch (err) {
@@ -380,14 +376,21 @@ async function createServer() {
   dbReady = true;
   log.info("DB ready, finishing route setup…");
 
+  // ── Image storage (S3 bucket, Postgres images table or uploads dir) ───────
+  imageStore = createImageStore({ config, store, uploadsDir });
+  log.info({ backend: imageStore.writer.id }, "Image storage ready");
+
   const designRepository = new DesignRepository(store);
   const assetRepository = new AssetRepository(store);
   const productRepository = new ProductRepository(store);
   const settingsRepository = new SettingsRepository(store);
   const memberRepository = new MemberRepository(store);
+  const jobRepository = new JobRepository(store);
+  const batchRepository = new BatchRepository(store);
 
   // Enable install detection in the SPA catch-all now that DB is ready
   _settingsRepository = settingsRepository;
+  _designRepository = designRepository;
 
   // Populate webhook deps now that DB is ready
   webhookDeps.settingsRepository = settingsRepository;
@@ -395,16 +398,24 @@ async function createServer() {
   webhookDeps.memberRepository = memberRepository;
   webhookDeps.assetRepository = assetRepository;
   webhookDeps.productRepository = productRepository;
-  webhookDeps.store = store;
+  webhookDeps.jobRepository = jobRepository;
+  webhookDeps.batchRepository = batchRepository;
+  webhookDeps.imageStore = imageStore;
 
   const authService = new AuthService(config);
   const memberAuthService = new MemberAuthService(memberRepository);
   const analyticsService = new AnalyticsService(settingsRepository);
-  const pipelineService = new PodPipelineService(uploadsDir, store);
+  const pipelineService = new PodPipelineService(imageStore);
   const assetStorageService = new AssetStorageService(assetRepository);
-  const publishService = new ShopifyPublishService(config, settingsRepository);
-  const printfulMockupService = new PrintfulMockupService(uploadsDir);
+  const publishService = new ShopifyPublishService(config, settingsRepository, imageStore);
+  const printfulMockupService = new PrintfulMockupService(imageStore);
+  const printFileService = new PrintFileService({
+    printfulMockupService,
+    imageProviders: pipelineService.imageProviders,
+    imageStore,
+  });
   const billingService = new BillingService(settingsRepository, config);
+  const jobQueueService = new JobQueueService(jobRepository);
 
   // ── OAuth install/callback ────────────────────────────────────────────────
   app.use(createAuthRouter({ config, authService, settingsRepository }));
@@ -467,11 +478,19 @@ async function createServer() {
       assetStorageService,
       publishService,
       printfulMockupService,
+      printFileService,
       billingService,
+      jobQueueService,
+      batchRepository,
+      imageStore,
       config,
     })
   );
 
+  // Start the background job worker once every handler is registered;
+  // this also resumes jobs interrupted by a previous restart.
+  jobQueueService.start();
+
   log.info("All routes registered — app fully ready.");
 
   // ── Scheduled cleanup of old uploaded files ───────────────────────────────
@@ -182,7 +182,7 @@ class AnalyticsService {
    * Persist cumulative counters to the data store so they survive restarts.
    * Stores under the special shop domain "_analytics".
    */
-  _persist() {
+  async _persist() {
     if (!this._settingsRepo) return;
     try {
       const snapshot = {
@@ -192,8 +192,7 @@ class AnalyticsService {
         apiCalls: this.apiCalls.slice(-500), // keep last 500 for cost summary
         savedAt: Date.now(),
       };
-      this._settingsRepo.upsertByShop("_analytics", { analyticsSnapshot: snapshot });
-      // Don't flush on every persist — the normal write cycle handles it
+      await this._settingsRepo.upsertByShop("_analytics", { analyticsSnapshot: snapshot });
     } catch (err) {
       log.warn({ err: err?.message }, "Failed to persist analytics snapshot");
     }
@@ -202,10 +201,10 @@ class AnalyticsService {
   /**
    * Restore cumulative counters from the data store on startup.
    */
-  _restore() {
+  async _restore() {
     if (!this._settingsRepo) return;
     try {
-      const record = this._settingsRepo.findByShop("_analytics");
+      const record = await this._settingsRepo.findByShop("_analytics");
       const snap = record?.analyticsSnapshot;
       if (!snap) return;
 
@@ -1,11 +1,14 @@
 const { randomUUID } = require("crypto");
 
+// Asset roles that replace the design's artwork, in the order they can occur
+const ARTWORK_VERSION_ROLES = ["base", "variation", "revision", "canvas-edit"];
+
 class AssetStorageService {
   constructor(assetRepository) {
     this.assetRepository = assetRepository;
   }
 
-  saveAsset({ designId, shopDomain, type, role, url, promptSnapshot }) {
+  async saveAsset({ designId, shopDomain, type, role, url, promptSnapshot, amendment, metadata }) {
     const asset = {
       id: randomUUID(),
       designId,
@@ -14,16 +17,38 @@ class AssetStorageService {
       role,
       url,
       promptSnapshot: promptSnapshot || "",
+      ...(amendment ? { amendment } : {}),
+      ...(metadata ? { metadata } : {}),
       createdAt: Date.now(),
     };
 
-    this.assetRepository.create(asset);
+    await this.assetRepository.create(asset);
     return asset;
   }
 
-  listDesignAssets(designId) {
+  async listDesignAssets(designId) {
     return this.assetRepository.listByDesign(designId);
   }
+
+  /**
+   * Artwork versions of a design, oldest first and numbered from 1: the
+   * original artwork (or each of its variations), each revision and each
+   * canvas edit.
+   */
+  async listArtworkVersions(designId, shopDomain) {
+    return (await this.assetRepository.listByDesign(designId, shopDomain))
+      .filter((asset) => ARTWORK_VERSION_ROLES.includes(asset.role))
+      .sort((a, b) => Number(a.createdAt || 0) - Number(b.createdAt || 0))
+      .map((asset, index) => ({
+        version: index + 1,
+        assetId: asset.id,
+        role: asset.role,
+        url: asset.url,
+        amendment: asset.amendment || null,
+        prompt: asset.promptSnapshot || "",
+        createdAt: asset.createdAt,
+      }));
+  }
 }
 
 module.exports = {
@@ -44,8 +44,8 @@ class BillingService {
   }
 
   /* ── Current plan & usage for a shop ───────────────────────────────── */
-  getShopBilling(shopDomain) {
-    const settings = this.settingsRepository.findByShop(shopDomain) || {};
+  async getShopBilling(shopDomain) {
+    const settings = (await this.settingsRepository.findByShop(shopDomain)) || {};
     const planId = settings.billingPlan || "free";
     const plan = this.getPlan(planId);
 
@@ -83,8 +83,8 @@ class BillingService {
   }
 
   /* ── Check if an action is within limits ───────────────────────────── */
-  canPerformAction(shopDomain, action) {
-    const billing = this.getShopBilling(shopDomain);
+  async canPerformAction(shopDomain, action) {
+    const billing = await this.getShopBilling(shopDomain);
     const { credits } = billing.usage;
     const { effectiveLimit, creditsPerMonth } = billing.limits;
 
@@ -100,8 +100,8 @@ class BillingService {
   }
 
   /* ── Pre-flight check: can the shop afford N credits? ──────────────── */
-  canAfford(shopDomain, creditsNeeded) {
-    const billing = this.getShopBilling(shopDomain);
+  async canAfford(shopDomain, creditsNeeded) {
+    const billing = await this.getShopBilling(shopDomain);
     const { credits } = billing.usage;
     const { effectiveLimit, creditsPerMonth } = billing.limits;
     const remaining = effectiveLimit - credits;
@@ -119,47 +119,50 @@ class BillingService {
   }
 
   /* ── Increment usage counter ───────────────────────────────────────── */
-  recordUsage(shopDomain, action = "unknown") {
-    const settings = this.settingsRepository.findByShop(shopDomain) || {};
-    const usage = this._getCurrentUsage(settings);
-
-    usage.credits += 1;
-
-    // Append to usage log
-    const log = this._getUsageLog(settings);
-    log.push({
-      type: "credit",
-      action,
-      credits: 1,
-      total: usage.credits,
-      ts: new Date().toISOString(),
-    });
+  // The increment and log append happen inside one atomic settings update,
+  // so jobs charging the same shop concurrently don't overwrite each other.
+  // Usage writes keep the settings version, so they never conflict with a
+  // settings form the merchant has open.
+  async recordUsage(shopDomain, action = "unknown", details = {}) {
+    await this.settingsRepository.updateByShop(shopDomain, (settings) => {
+      const usage = this._getCurrentUsage(settings);
+      usage.credits += 1;
+
+      // Append to usage log
+      const log = this._getUsageLog(settings);
+      log.push({
+        type: "credit",
+        action,
+        credits: 1,
+        total: usage.credits,
+        ...details,
+        ts: new Date().toISOString(),
+      });
 
-    this.settingsRepository.upsertByShop(shopDomain, {
-      billingUsage: usage,
-      billingUsageLog: log.slice(-200), // keep last 200 entries
-    });
+      return {
+        billingUsage: usage,
+        billingUsageLog: log.slice(-200), // keep last 200 entries
+      };
+    }, { keepVersion: true });
   }
 
   /* ── Log an error (no credit charged) ──────────────────────────────── */
-  recordError(shopDomain, action, errorMessage) {
-    const settings = this.settingsRepository.findByShop(shopDomain) || {};
-    const log = this._getUsageLog(settings);
-    log.push({
-      type: "error",
-      action,
-      error: String(errorMessage || "Unknown error").slice(0, 500),
-      ts: new Date().toISOString(),
-    });
-
-    this.settingsRepository.upsertByShop(shopDomain, {
-      billingUsageLog: log.slice(-200),
-    });
+  async recordError(shopDomain, action, errorMessage) {
+    await this.settingsRepository.updateByShop(shopDomain, (settings) => {
+      const log = this._getUsageLog(settings);
+      log.push({
+        type: "error",
+        action,
+        error: String(errorMessage || "Unknown error").slice(0, 500),
+        ts: new Date().toISOString(),
+      });
+      return { billingUsageLog: log.slice(-200) };
+    }, { keepVersion: true });
   }
 
   /* ── Get the usage log for a shop ──────────────────────────────────── */
-  getUsageLog(shopDomain) {
-    const settings = this.settingsRepository.findByShop(shopDomain) || {};
+  async getUsageLog(shopDomain) {
+    const settings = (await this.settingsRepository.findByShop(shopDomain)) || {};
     return this._getUsageLog(settings);
   }
 
@@ -174,7 +177,7 @@ class BillingService {
       throw new Error("Cannot create a subscription for the free plan.");
     }
 
-    const accessToken = this._getAccessToken(shopDomain);
+    const accessToken = await this._getAccessToken(shopDomain);
     if (!accessToken) {
       throw new Error("No access token found for this shop. Please reinstall the app.");
     }
@@ -236,7 +239,7 @@ class BillingService {
       ? new Date(Date.now() + plan.trialDays * 24 * 60 * 60 * 1000).toISOString()
       : null;
 
-    this.settingsRepository.upsertByShop(shopDomain, {
+    await this.settingsRepository.upsertByShop(shopDomain, {
       billingPendingPlan: planId,
       billingSubscriptionId: data.appSubscription?.id || null,
       billingTrialStartedAt: plan.trialDays > 0 ? new Date().toISOString() : null,
@@ -251,7 +254,7 @@ class BillingService {
 
   /* ── Check & sync active subscription status from Shopify ──────────── */
   async syncSubscriptionStatus(shopDomain) {
-    const accessToken = this._getAccessToken(shopDomain);
+    const accessToken = await this._getAccessToken(shopDomain);
     if (!accessToken) return null;
 
     const query = `
@@ -284,7 +287,7 @@ class BillingService {
 
     if (subs.length === 0) {
       // No active subscription — set to free
-      this.settingsRepository.upsertByShop(shopDomain, {
+      await this.settingsRepository.upsertByShop(shopDomain, {
         billingPlan: "free",
         billingSubscriptionId: null,
         billingSubscriptionStatus: null,
@@ -308,7 +311,7 @@ class BillingService {
     }
 
     // Calculate trial end date
-    const existingSettings = this.settingsRepository.findByShop(shopDomain) || {};
+    const existingSettings = (await this.settingsRepository.findByShop(shopDomain)) || {};
     let trialEndsAt = existingSettings.billingTrialEndsAt || null;
 
     if (sub.trialDays > 0 && sub.status === "ACTIVE") {
@@ -324,7 +327,7 @@ class BillingService {
       trialEndsAt = null;
     }
 
-    this.settingsRepository.upsertByShop(shopDomain, {
+    await this.settingsRepository.upsertByShop(shopDomain, {
       billingPlan: planId,
       billingSubscriptionId: sub.id,
       billingSubscriptionStatus: sub.status,
@@ -343,12 +346,12 @@ class BillingService {
 
   /* ── Cancel subscription ──────────────────────────────────────────── */
   async cancelSubscription(shopDomain) {
-    const settings = this.settingsRepository.findByShop(shopDomain) || {};
+    const settings = (await this.settingsRepository.findByShop(shopDomain)) || {};
     const subscriptionId = settings.billingSubscriptionId;
 
     if (!subscriptionId) {
       // Just reset to free with fresh credits
-      this.settingsRepository.upsertByShop(shopDomain, {
+      await this.settingsRepository.upsertByShop(shopDomain, {
         billingPlan: "free",
         billingSubscriptionId: null,
         billingSubscriptionStatus: null,
@@ -358,7 +361,7 @@ class BillingService {
       return { ok: true, plan: "free" };
     }
 
-    const accessToken = this._getAccessToken(shopDomain);
+    const accessToken = await this._getAccessToken(shopDomain);
     if (!accessToken) {
       throw new Error("No access token found.");
     }
@@ -386,7 +389,7 @@ class BillingService {
       throw new Error(`Cancel error: ${msg}`);
     }
 
-    this.settingsRepository.upsertByShop(shopDomain, {
+    await this.settingsRepository.upsertByShop(shopDomain, {
       billingPlan: "free",
       billingSubscriptionId: null,
       billingSubscriptionStatus: "CANCELLED",
@@ -399,8 +402,8 @@ class BillingService {
 
   /* ── Private helpers ──────────────────────────────────────────────── */
 
-  _getAccessToken(shopDomain) {
-    const settings = this.settingsRepository.findByShop(shopDomain) || {};
+  async _getAccessToken(shopDomain) {
+    const settings = (await this.settingsRepository.findByShop(shopDomain)) || {};
     if (settings.shopifyAccessToken) return settings.shopifyAccessToken;
     // Dev/test fallback only — never use a global token in production
     if (process.env.NODE_ENV !== "production" && this.config.shopify.adminAccessToken) {
@@ -413,7 +416,8 @@ class BillingService {
     const now = new Date();
     const periodStart = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
 
-    let usage = settings.billingUsage || {};
+    // Copy: this runs inside store updaters, which must not mutate the current record
+    let usage = { ...(settings.billingUsage || {}) };
 
     // Reset if we are in a new period
     if (usage.periodStart !== periodStart) {
@@ -0,0 +1,130 @@
+const log = require("../utils/logger");
+
+/**
+ * ImageProviderRegistry — picks which image provider handles each step.
+ *
+ * A provider is a plain object/class instance with:
+ *   id            short identifier stored in settings ("openai", "kie", ...)
+ *   label         human readable name
+ *   capabilities  { generate, edit, sceneEdit, referenceImage, transparency, upscale }
+ *   isConfigured(settings)          → boolean (has usable credentials)
+ *   estimateCost(operation)         → approx. USD per image
+ *   generate({ prompt, imageShape, settings, shopDomain, ... })  → image URL or null
+ *   edit({ prompt, referenceImageUrl, imageShape, settings, shopDomain, ... }) → image URL or null
+ *                 a change to the design itself (revisions, mockups): must keep the artwork
+ *   sceneEdit({ ...same as edit })  → image URL or null (only with capabilities.sceneEdit)
+ *                 the design placed into a scene (lifestyle images); img2img is enough
+ *   upscale({ imageUrl, settings, shopDomain })  → larger image URL or null (only with capabilities.upscale)
+ *
+ * Per-shop settings control the order providers are tried in:
+ *   imageProviderPriority  ["openai", "kie", "stability"] — explicit order
+ *   imageProviderStrategy  "priority" (default) or "cheapest" — cheapest
+ *                          capable provider first, priority breaks ties
+ */
+const DEFAULT_PRIORITY = ["openai", "kie", "stability"];
+const STRATEGIES = ["priority", "cheapest"];
+
+class ImageProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /** Drop unknown ids and duplicates from a submitted priority list. */
+  normalizePriority(priority) {
+    const ids = Array.isArray(priority) ? priority.map((id) => String(id || "").trim()) : [];
+    return [...new Set(ids)].filter((id) => this.providers.has(id));
+  }
+
+  normalizeStrategy(strategy) {
+    return STRATEGIES.includes(strategy) ? strategy : "priority";
+  }
+
+  /** Settings-page view of every provider for a shop. */
+  describe(settings) {
+    return this.list().map((provider) => ({
+      id: provider.id,
+      label: provider.label,
+      capabilities: provider.capabilities,
+      configured: provider.isConfigured(settings || {}),
+      costs: {
+        generate: provider.capabilities.generate ? provider.estimateCost("generate") : null,
+        edit: provider.capabilities.edit ? provider.estimateCost("edit") : null,
+        sceneEdit: provider.capabilities.sceneEdit ? provider.estimateCost("sceneEdit") : null,
+      },
+    }));
+  }
+
+  /**
+   * Ordered list of configured providers able to perform an operation.
+   * @param {Object} opts
+   * @param {"generate"|"edit"|"sceneEdit"|"upscale"} opts.operation
+   * @param {Object} [opts.requires] - capability flags that must be true, e.g. { transparency: true }
+   * @param {Object} opts.settings - effective shop settings (keys + priority/strategy)
+   * @param {string[]} [opts.only] - restrict to these provider ids (connection tests)
+   */
+  rank({ operation, requires = {}, settings = {}, only }) {
+    const saved = this.normalizePriority(settings.imageProviderPriority);
+    const priority = [...saved, ...DEFAULT_PRIORITY.filter((id) => !saved.includes(id))];
+    const position = (id) => {
+      const index = priority.indexOf(id);
+      return index === -1 ? priority.length : index;
+    };
+
+    const candidates = this.list().filter((provider) => {
+      if (only && !only.includes(provider.id)) return false;
+      if (!provider.capabilities[operation]) return false;
+      for (const [flag, needed] of Object.entries(requires)) {
+        if (needed && !provider.capabilities[flag]) return false;
+      }
+      return provider.isConfigured(settings);
+    });
+
+    const byPriority = (a, b) => position(a.id) - position(b.id);
+    if (this.normalizeStrategy(settings.imageProviderStrategy) === "cheapest") {
+      return candidates.sort((a, b) => a.estimateCost(operation) - b.estimateCost(operation) || byPriority(a, b));
+    }
+    return candidates.sort(byPriority);
+  }
+
+  /**
+   * Try each ranked provider in turn until one returns an image.
+   * @returns {Promise<{ imageUrl: string|null, provider: Object|null, attempted: string[] }>}
+   */
+  async run({ operation, requires, settings, only, ...params }) {
+    const ranked = this.rank({ operation, requires, settings, only });
+    const attempted = [];
+
+    for (const provider of ranked) {
+      attempted.push(provider.id);
+      try {
+        const imageUrl = await provider[operation]({ ...params, settings });
+        if (imageUrl) {
+          return { imageUrl, provider, attempted };
+        }
+        log.warn({ provider: provider.id, operation }, "Image provider returned no image — trying next");
+      } catch (err) {
+        log.warn({ provider: provider.id, operation, err: err?.message }, "Image provider failed — trying next");
+      }
+    }
+
+    return { imageUrl: null, provider: null, attempted };
+  }
+}
+
+module.exports = {
+  ImageProviderRegistry,
+  DEFAULT_PRIORITY,
+};
@@ -0,0 +1,16 @@
+const { ImageProviderRegistry } = require("../imageProviderRegistry");
+const { OpenAiImageProvider } = require("./openAiProvider");
+const { KieImageProvider } = require("./kieProvider");
+const { StabilityImageProvider } = require("./stabilityProvider");
+
+/** Registry with the built-in adapters. Register extra providers on the result. */
+function createImageProviderRegistry({ pipelineService, stabilityService }) {
+  return new ImageProviderRegistry()
+    .register(new OpenAiImageProvider(pipelineService))
+    .register(new KieImageProvider(pipelineService))
+    .register(new StabilityImageProvider(stabilityService));
+}
+
+module.exports = {
+  createImageProviderRegistry,
+};
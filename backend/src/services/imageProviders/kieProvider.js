@@ -0,0 +1,64 @@
+const log = require("../../utils/logger");
+
+const DEFAULT_KIE_URL = "https://api.kie.ai/api/v1/gpt4o-image/generate";
+
+/**
+ * KIE.ai adapter (gpt4o-image / flux-kontext task API).
+ * KIE fetches reference images itself, so stored references are passed as
+ * a presigned or app URL (see PodPipelineService.toPublicImageUrl).
+ */
+class KieImageProvider {
+  constructor(pipelineService) {
+    this.pipeline = pipelineService;
+    this.id = "kie";
+    this.label = "KIE.ai";
+    this.capabilities = { generate: true, edit: true, sceneEdit: true, referenceImage: true, transparency: false, upscale: false };
+  }
+
+  isConfigured(settings) {
+    return this.pipeline.isUsableApiKey(settings?.keiAiApiKey);
+  }
+
+  estimateCost() {
+    return 0.02;
+  }
+
+  async generate({ prompt, imageShape, settings, shopDomain, maxWaitMs, pollIntervalMs }) {
+    const remoteUrl = await this.pipeline.requestKieImage({
+      prompt,
+      keiAiApiKey: settings.keiAiApiKey,
+      generateUrl: settings.kieGenerateUrl || DEFAULT_KIE_URL,
+      imageShape,
+      maxWaitMs,
+      pollIntervalMs,
+    });
+    return this.pipeline.saveRemoteImage(shopDomain, remoteUrl);
+  }
+
+  async edit({ prompt, referenceImageUrl, imageShape, settings, shopDomain, maxWaitMs, pollIntervalMs }) {
+    const inputImageUrl = this.pipeline.toPublicImageUrl(referenceImageUrl);
+    if (!inputImageUrl) {
+      log.debug({ referenceImageUrl: String(referenceImageUrl || "").slice(0, 40) }, "KIE edit skipped — reference image is not publicly reachable");
+      return null;
+    }
+    const remoteUrl = await this.pipeline.requestKieImage({
+      prompt,
+      inputImageUrl,
+      keiAiApiKey: settings.keiAiApiKey,
+      generateUrl: settings.kieEditUrl || settings.kieGenerateUrl || DEFAULT_KIE_URL,
+      imageShape,
+      maxWaitMs,
+      pollIntervalMs,
+    });
+    return this.pipeline.saveRemoteImage(shopDomain, remoteUrl);
+  }
+
+  /** Its edit can also place the design into a scene. */
+  async sceneEdit(params) {
+    return this.edit(params);
+  }
+}
+
+module.exports = {
+  KieImageProvider,
+};
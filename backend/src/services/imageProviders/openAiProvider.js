@@ -0,0 +1,48 @@
+/**
+ * OpenAI gpt-image-1 adapter. The HTTP calls live on PodPipelineService
+ * (generateOpenAiImage / generateOpenAiImageEdit); this only describes them.
+ */
+class OpenAiImageProvider {
+  constructor(pipelineService) {
+    this.pipeline = pipelineService;
+    this.id = "openai";
+    this.label = "OpenAI (gpt-image-1)";
+    this.capabilities = { generate: true, edit: true, sceneEdit: true, referenceImage: true, transparency: true, upscale: false };
+  }
+
+  isConfigured(settings) {
+    return this.pipeline.isUsableApiKey(settings?.openAiApiKey);
+  }
+
+  estimateCost() {
+    return 0.04; // gpt-image-1, 1024px medium quality
+  }
+
+  async generate({ prompt, imageShape, settings, shopDomain }) {
+    return this.pipeline.generateOpenAiImage({
+      prompt,
+      openAiApiKey: settings.openAiApiKey,
+      imageShape,
+      shopDomain,
+    });
+  }
+
+  async edit({ prompt, referenceImageUrl, imageShape, settings, shopDomain }) {
+    return this.pipeline.generateOpenAiImageEdit({
+      prompt,
+      referenceImageUrl,
+      openAiApiKey: settings.openAiApiKey,
+      imageShape,
+      shopDomain,
+    });
+  }
+
+  /** Its edit can also place the design into a scene. */
+  async sceneEdit(params) {
+    return this.edit(params);
+  }
+}
+
+module.exports = {
+  OpenAiImageProvider,
+};
@@ -0,0 +1,52 @@
+/**
+ * Stability AI adapter. Stability is used image-to-image only (placing an
+ * existing design into a scene, or upscaling it for print). Its img2img
+ * re-renders the whole image, so it is a scene edit, never a design edit:
+ * it can't be asked to change one detail of an artwork.
+ */
+class StabilityImageProvider {
+  constructor(stabilityService) {
+    this.stability = stabilityService;
+    this.id = "stability";
+    this.label = "Stability AI";
+    this.capabilities = { generate: false, edit: false, sceneEdit: true, referenceImage: true, transparency: false, upscale: true };
+  }
+
+  isConfigured(settings) {
+    return this.stability.isUsableKey(settings?.stabilityApiKey);
+  }
+
+  estimateCost(operation) {
+    return operation === "upscale" ? 0.02 : 0.006;
+  }
+
+  async generate() {
+    return null;
+  }
+
+  async edit() {
+    return null;
+  }
+
+  async sceneEdit({ prompt, referenceImageUrl, settings, shopDomain, strength }) {
+    return this.stability.generateSceneImage({
+      stabilityApiKey: settings.stabilityApiKey,
+      productImageRef: referenceImageUrl,
+      scenePrompt: prompt,
+      shopDomain,
+      ...(strength !== undefined ? { strength } : {}),
+    });
+  }
+
+  async upscale({ imageUrl, settings, shopDomain }) {
+    return this.stability.upscaleImage({
+      stabilityApiKey: settings.stabilityApiKey,
+      imageRef: imageUrl,
+      shopDomain,
+    });
+  }
+}
+
+module.exports = {
+  StabilityImageProvider,
+};
@@ -0,0 +1,291 @@
+/**
+ * Persisted background job queue.
+ *
+ * Long-running pipeline steps (design generation, mockups, finalize) are
+ * enqueued as job records in the store and executed by an in-process worker,
+ * so HTTP requests return immediately with a job id instead of being held
+ * open while providers are polled.
+ *
+ * Jobs survive restarts: a job left "running" whose heartbeat has gone stale
+ * (the process died mid-run) is put back in the queue on the next sweep if
+ * its type was registered as `restartable` (safe to run again from the
+ * start), and failed otherwise so partly-done work (a Shopify product, new
+ * designs, charged credits) is never repeated.
+ * A job enqueued with `runAt` (epoch ms) waits in the queue until that time,
+ * which is how scheduled publishing is driven.
+ *
+ * Every progress update is appended to the job's `events` log and emitted as
+ * a "job-event" (and "job-finished" at the end) so routes can stream them.
+ */
+const { EventEmitter } = require("events");
+const { randomUUID } = require("crypto");
+const log = require("../utils/logger");
+
+const POLL_INTERVAL_MS = 1000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+const MAX_ATTEMPTS = 2;
+const RETENTION_MS = 24 * 60 * 60 * 1000; // keep finished jobs for a day
+const MAX_EVENTS = 100;
+
+class JobQueueService extends EventEmitter {
+  constructor(jobRepository, { concurrency } = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per open progress stream
+    this.jobRepository = jobRepository;
+    this.concurrency = Number(concurrency || process.env.JOB_CONCURRENCY) || 2;
+    this.handlers = new Map();
+    this.restartable = new Set();
+    this.active = new Set();
+    this._timer = null;
+    this._ticking = false;
+    this._lastPruneAt = 0;
+  }
+
+  /**
+   * Register the async handler for a job type: (job, { progress }) => result.
+   * Pass `restartable` when running the handler again after an interruption
+   * is harmless.
+   */
+  register(type, handler, { restartable = false } = {}) {
+    this.handlers.set(type, handler);
+    if (restartable) this.restartable.add(type);
+    else this.restartable.delete(type);
+  }
+
+  /**
+   * Pass `id` when the caller has to record the job id somewhere before the
+   * job can run (e.g. a scheduled publish checks it against the design).
+   */
+  async enqueue({ id, type, shopDomain, designId, payload, runAt }) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No job handler registered for "${type}"`);
+    }
+    const now = Date.now();
+    const job = await this.jobRepository.create({
+      id: id || randomUUID(),
+      type,
+      shopDomain,
+      designId: designId || null,
+      status: "queued",
+      payload: payload || {},
+      runAt: runAt || null,
+      progress: null,
+      events: [],
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      heartbeatAt: null,
+      finishedAt: null,
+    });
+    log.info({ jobId: job.id, type, shopDomain }, "Job enqueued");
+    setImmediate(() => this._tick());
+    return job;
+  }
+
+  async getJob(jobId, shopDomain) {
+    return this.jobRepository.findById(jobId, shopDomain);
+  }
+
+  /** Most recent job of a type for a design (e.g. the current finalize run). */
+  async getLatestForDesign(designId, type, shopDomain) {
+    return this.jobRepository.findLatestByDesign(designId, type, shopDomain);
+  }
+
+  /** Cancel a job that has not started yet (e.g. a scheduled publish). */
+  async cancel(jobId, reason = "Cancelled") {
+    const job = await this._updateIfQueued(jobId, { status: "failed", error: { message: reason }, finishedAt: Date.now() });
+    if (!job) return false;
+    log.info({ jobId, type: job.type }, "Job cancelled");
+    return true;
+  }
+
+  /**
+   * Merge `changes` into a job only if it is still queued, checked inside the
+   * store's atomic update. Claiming and cancelling both go through here, so
+   * with several instances on one database a job is claimed once and a
+   * cancelled job can't be claimed. Returns the updated job, or null.
+   */
+  async _updateIfQueued(jobId, changes) {
+    return this.jobRepository.update(jobId, (current) => (current.status === "queued"
+      ? { ...current, ...(typeof changes === "function" ? changes(current) : changes) }
+      : null));
+  }
+
+  isFinished(job) {
+    return job?.status === "succeeded" || job?.status === "failed";
+  }
+
+  /** Public view of a job (payload is internal and may be large). */
+  toResponse(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      designId: job.designId,
+      status: job.status,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      runAt: job.runAt || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this._tick(), POLL_INTERVAL_MS);
+    this._timer.unref();
+    log.info({ concurrency: this.concurrency, handlers: [...this.handlers.keys()] }, "Job worker started");
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async _tick() {
+    // Ticks come from the timer and from enqueue/finish; one at a time so a job isn't picked twice
+    if (this._ticking) return;
+    this._ticking = true;
+    try {
+      await this._recoverStaleJobs();
+      await this._prune();
+      while (this.active.size < this.concurrency) {
+        const now = Date.now();
+        const next = (await this.jobRepository.listByStatus("queued"))
+          .find((job) => !this.active.has(job.id) && !(job.runAt > now));
+        if (!next) break;
+
+        const claimed = await this._updateIfQueued(next.id, (current) => ({
+          status: "running",
+          attempts: Number(current.attempts || 0) + 1,
+          startedAt: now,
+          heartbeatAt: now,
+        }));
+        if (!claimed) {
+          log.info({ jobId: next.id }, "Job claimed elsewhere or cancelled, skipping");
+          continue;
+        }
+        this._run(claimed).catch((err) => log.error({ jobId: claimed.id, err: err?.message }, "Job worker run error"));
+      }
+    } catch (err) {
+      log.error({ err: err?.message }, "Job worker tick error");
+    } finally {
+      this._ticking = false;
+    }
+  }
+
+  /**
+   * Requeue or fail jobs whose worker has stopped heartbeating. The change is
+   * only applied if the job is still running with the heartbeat seen here, so
+   * a job that just finished or heartbeated (or that another instance has
+   * already recovered) is left alone.
+   */
+  async _recoverStaleJobs() {
+    const cutoff = Date.now() - STALE_AFTER_MS;
+    for (const job of await this.jobRepository.listByStatus("running")) {
+      if (this.active.has(job.id)) continue;
+      if ((job.heartbeatAt || job.startedAt || 0) > cutoff) continue;
+
+      const requeue = this.restartable.has(job.type) && job.attempts < MAX_ATTEMPTS;
+      const changes = requeue
+        ? { status: "queued", heartbeatAt: null }
+        : {
+          status: "failed",
+          error: {
+            message: this.restartable.has(job.type)
+              ? "Job was interrupted and could not be resumed. Please try again."
+              : "Job was interrupted and was not restarted because it may have partly completed. Check the design before trying again.",
+          },
+          finishedAt: Date.now(),
+        };
+      const recovered = await this.jobRepository.update(job.id, (current) => (
+        current.status === "running" && current.heartbeatAt === job.heartbeatAt && current.attempts === job.attempts
+          ? { ...current, ...changes }
+          : null));
+      if (!recovered) continue;
+      log.warn({ jobId: job.id, type: job.type, attempts: job.attempts }, requeue ? "Stale job requeued" : "Stale job marked failed");
+    }
+  }
+
+  async _prune() {
+    if (Date.now() - this._lastPruneAt < 60 * 60 * 1000) return;
+    this._lastPruneAt = Date.now();
+    const removed = await this.jobRepository.deleteFinishedBefore(Date.now() - RETENTION_MS);
+    if (removed > 0) log.info({ removed }, "Pruned finished jobs");
+  }
+
+  /** Run a job this worker has already claimed (status "running"). */
+  async _run(job) {
+    const handler = this.handlers.get(job.type);
+    this.active.add(job.id);
+
+    // Updates to this job are chained so heartbeats and progress events land in order
+    let writes = Promise.resolve();
+    const update = (updater) => {
+      writes = writes
+        .then(() => this.jobRepository.update(job.id, updater))
+        .catch((err) => log.error({ jobId: job.id, err: err?.message }, "Job update failed"));
+      return writes;
+    };
+
+    const now = job.startedAt;
+    const heartbeat = setInterval(() => {
+      update({ heartbeatAt: Date.now() });
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    const progress = (message, details = {}) => {
+      const event = { message, ...details, at: Date.now() };
+      update((current) => ({
+        ...current,
+        progress: event,
+        events: [...(current.events || []), event].slice(-MAX_EVENTS),
+        heartbeatAt: Date.now(),
+      }));
+      this.emit("job-event", { jobId: job.id, event });
+    };
+
+    log.info({ jobId: job.id, type: job.type }, "Job started");
+    try {
+      if (!handler) throw new Error(`No job handler registered for "${job.type}"`);
+      const result = await handler(job, { progress });
+      await update((current) => ({
+        ...current,
+        status: "succeeded",
+        designId: current.designId || result?.designId || null,
+        result: result ?? null,
+        finishedAt: Date.now(),
+      }));
+      log.info({ jobId: job.id, type: job.type, ms: Date.now() - now }, "Job succeeded");
+    } catch (err) {
+      await update({
+        status: "failed",
+        error: {
+          message: err instanceof Error ? err.message : String(err || "Job failed"),
+          ...(err?.details || {}),
+        },
+        finishedAt: Date.now(),
+      });
+      log.error({ jobId: job.id, type: job.type, err: err?.message }, "Job failed");
+    } finally {
+      clearInterval(heartbeat);
+      this.active.delete(job.id);
+      try {
+        this.emit("job-finished", await this.jobRepository.findById(job.id));
+      } catch (err) {
+        log.error({ jobId: job.id, err: err?.message }, "Job finished but could not be reloaded");
+      }
+      setImmediate(() => this._tick());
+    }
+  }
+}
+
+module.exports = {
+  JobQueueService,
+};
@@ -76,7 +76,7 @@ class MemberAuthService {
       throw new Error("Password must be at least 8 characters");
     }
 
-    const existing = this.memberRepository.findByEmail(normalizedEmail, shopDomain);
+    const existing = await this.memberRepository.findByEmail(normalizedEmail, shopDomain);
     if (existing) {
       throw new Error("Email is already registered");
     }
@@ -84,7 +84,7 @@ class MemberAuthService {
     const passwordSalt = randomBytes(16).toString("hex");
     const passwordHash = this.hashPassword(rawPassword, passwordSalt);
 
-    const member = this.memberRepository.create({
+    const member = await this.memberRepository.create({
       email: normalizedEmail,
       fullName: normalizedName || normalizedEmail,
       passwordHash,
@@ -99,7 +99,7 @@ class MemberAuthService {
     const normalizedEmail = String(email || "").trim().toLowerCase();
     const rawPassword = String(password || "");
 
-    const member = this.memberRepository.findByEmail(normalizedEmail, shopDomain);
+    const member = await this.memberRepository.findByEmail(normalizedEmail, shopDomain);
     if (!member) {
       throw new Error("Invalid email or password");
     }
@@ -111,7 +111,7 @@ class MemberAuthService {
     }
 
     const token = `member_${this.generateToken()}`;
-    const updated = this.memberRepository.update(member.id, {
+    const updated = await this.memberRepository.update(member.id, {
       authToken: token,
       tokenIssuedAt: Date.now(),
       lastLoginAt: Date.now(),
@@ -129,7 +129,7 @@ class MemberAuthService {
       return null;
     }
 
-    const member = this.memberRepository.findByAuthToken(token);
+    const member = await this.memberRepository.findByAuthToken(token);
     if (!member) {
       return null;
     }
@@ -137,7 +137,7 @@ class MemberAuthService {
     // Check token expiry (24 hours)
     if (member.tokenIssuedAt && Date.now() - member.tokenIssuedAt > TOKEN_EXPIRY_MS) {
       // Revoke expired token
-      this.memberRepository.update(member.id, { authToken: "" });
+      await this.memberRepository.update(member.id, { authToken: "" });
       return null;
     }
 
@@ -1,123 +1,68 @@
 const { randomUUID } = require("crypto");
-const fs = require("fs");
-const path = require("path");
 const log = require("../utils/logger");
+const { sniffImageType } = require("../storage/imageStore");
+const { StabilityImageService } = require("./stabilityImageService");
+const { createImageProviderRegistry } = require("./imageProviders");
+const { fallbackListingCopy, toHandle, MAX_SEO_TITLE_LENGTH, MAX_SEO_DESCRIPTION_LENGTH } = require("../utils/listingCopy");
+const { applyBrandVoice, brandVoiceInstructions } = require("../utils/brandVoice");
+const { removeWhiteBackground } = require("../utils/backgroundRemoval");
 
-/**
- * Save a base64 image to the database via store.saveImage().
- * Falls back to disk if store is not available (dev/JSON mode).
- */
-async function saveBase64Image(store, shopDomain, base64Data, mimeType = "image/png") {
-  try {
-    const id = randomUUID();
-    const buffer = Buffer.from(base64Data, "base64");
-
-    if (store?.saveImage) {
-      await store.saveImage({ id, shopDomain, data: buffer, mimeType });
-      log.info({ sizeKB: (buffer.length / 1024).toFixed(0), id, shopDomain }, "Image saved to database");
-      return `/images/${id}`;
+class PodPipelineService {
+  constructor(imageStore) {
+    this.imageStore = imageStore;
+    this.appBaseUrl = (process.env.SHOPIFY_HOST_NAME || process.env.APP_URL || "").replace(/\/+$/, "");
+    if (this.appBaseUrl && !this.appBaseUrl.startsWith("http")) {
+      this.appBaseUrl = `https://${this.appBaseUrl}`;
     }
-
-    // Fallback: save to disk (dev mode with JsonStore)
-    const uploadsDir = path.join(__dirname, "..", "..", "data", "uploads");
-    if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-    const ext = mimeType.includes("webp") ? "webp" : mimeType.includes("jpeg") || mimeType.includes("jpg") ? "jpg" : "png";
-    const filename = `${id}.${ext}`;
-    fs.writeFileSync(path.join(uploadsDir, filename), buffer);
-    log.info({ sizeKB: (buffer.length / 1024).toFixed(0), filename }, "Image saved to disk (fallback)");
-    return `/uploads/${filename}`;
-  } catch (err) {
-    log.error({ err: err?.message }, "Failed to save base64 image");
-    return null;
+    this.stabilityService = new StabilityImageService(this.imageStore);
+    // Image generation/edit steps go through the registry so the provider
+    // order comes from shop settings instead of being hard-coded here.
+    this.imageProviders = createImageProviderRegistry({
+      pipelineService: this,
+      stabilityService: this.stabilityService,
+    });
   }
-}
 
-/**
- * Download an external URL and save the image to the database.
- * Falls back to disk if store is not available.
- */
-async function downloadAndSaveImage(store, shopDomain, imageUrl) {
-  try {
-    if (!imageUrl || typeof imageUrl !== "string") return null;
-    if (!imageUrl.startsWith("http://") && !imageUrl.startsWith("https://")) return null;
-
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      log.error({ status: response.status, url: imageUrl.slice(0, 80) }, "Failed to download image URL");
-      return null;
-    }
-    const contentType = response.headers.get("content-type") || "image/png";
-    const buffer = Buffer.from(await response.arrayBuffer());
-    const id = randomUUID();
-
-    if (store?.saveImage) {
-      await store.saveImage({ id, shopDomain, data: buffer, mimeType: contentType });
-      log.info({ sizeKB: (buffer.length / 1024).toFixed(0), id, shopDomain }, "Image downloaded and saved to database");
-      return `/images/${id}`;
+  /** Persist a provider's remote result URL (they expire) and return our own path. */
+  async saveRemoteImage(shopDomain, imageUrl) {
+    if (!imageUrl) return null;
+    try {
+      return (await this.imageStore.putFromUrl(shopDomain, imageUrl)) || imageUrl;
+    } catch (err) {
+      log.error({ err: err?.message }, "Failed to download and save image");
+      return imageUrl;
     }
-
-    // Fallback: save to disk
-    const uploadsDir = path.join(__dirname, "..", "..", "data", "uploads");
-    if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-    const ext = contentType.includes("webp") ? "webp" : contentType.includes("jpeg") || contentType.includes("jpg") ? "jpg" : "png";
-    const filename = `${id}.${ext}`;
-    fs.writeFileSync(path.join(uploadsDir, filename), buffer);
-    log.info({ sizeKB: (buffer.length / 1024).toFixed(0), filename }, "Image downloaded to disk (fallback)");
-    return `/uploads/${filename}`;
-  } catch (err) {
-    log.error({ err: err?.message }, "Failed to download and save image");
-    return null;
   }
-}
 
-// Keep old functions for backward compatibility during transition
-function saveBase64ToDisk(uploadsDir, base64Data, mimeType = "image/png") {
-  try {
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    const ext = mimeType.includes("webp") ? "webp" : mimeType.includes("jpeg") || mimeType.includes("jpg") ? "jpg" : "png";
-    const filename = `${randomUUID()}.${ext}`;
-    const filePath = path.join(uploadsDir, filename);
-    fs.writeFileSync(filePath, Buffer.from(base64Data, "base64"));
-    log.info({ sizeKB: (Buffer.byteLength(base64Data, "base64") / 1024).toFixed(0), filename }, "Image saved to disk");
-    return `/uploads/${filename}`;
-  } catch (err) {
-    log.error({ err: err?.message }, "Failed to save base64 image to disk");
-    return null;
+  /**
+   * URL a provider that fetches images itself (KIE) can download a reference
+   * from: a presigned bucket URL for S3 images, else the app's own URL for
+   * stored paths. Null for data URIs or when no APP_URL is configured.
+   */
+  toPublicImageUrl(imageRef) {
+    const ref = String(imageRef || "");
+    if (ref.startsWith("http://") || ref.startsWith("https://")) return ref;
+    const signedUrl = this.imageStore?.toPublicUrl(ref);
+    if (signedUrl) return signedUrl;
+    return this.appBaseUrl && ref.startsWith("/") ? `${this.appBaseUrl}${ref}` : null;
   }
-}
 
-async function downloadUrlToDisk(uploadsDir, imageUrl) {
-  try {
-    if (!imageUrl || typeof imageUrl !== "string") return null;
-    if (!imageUrl.startsWith("http://") && !imageUrl.startsWith("https://")) return null;
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      log.error({ status: response.status, url: imageUrl.slice(0, 80) }, "Failed to download image URL");
+  /** Store base64 image data from a provider; null when it can't be stored. */
+  async saveBase64Image(shopDomain, base64Data) {
+    try {
+      return await this.imageStore.put({ shopDomain, data: Buffer.from(base64Data, "base64") });
+    } catch (err) {
+      log.error({ err: err?.message }, "Failed to save base64 image");
       return null;
     }
-    const contentType = response.headers.get("content-type") || "image/png";
-    const ext = contentType.includes("webp") ? "webp" : contentType.includes("jpeg") || contentType.includes("jpg") ? "jpg" : "png";
-    const filename = `${randomUUID()}.${ext}`;
-    const filePath = path.join(uploadsDir, filename);
-    const buffer = Buffer.from(await response.arrayBuffer());
-    fs.writeFileSync(filePath, buffer);
-    log.info({ sizeKB: (buffer.length / 1024).toFixed(0), filename }, "Image downloaded to disk");
-    return `/uploads/${filename}`;
-  } catch (err) {
-    log.error({ err: err?.message }, "Failed to download URL to disk");
-    return null;
   }
-}
 
-class PodPipelineService {
-  constructor(uploadsDir, store) {
-    this.uploadsDir = uploadsDir || path.join(__dirname, "..", "..", "data", "uploads");
-    this.store = store || null;
+  /** Any image ref as a Blob for a multipart upload, with a matching file name; null when unreadable. */
+  async _loadImageBlob(imageRef) {
+    const buffer = await this.imageStore.resolveToBuffer(imageRef);
+    if (!buffer) return null;
+    const type = sniffImageType(buffer) || { mimeType: "image/png", ext: "png" };
+    return { blob: new Blob([buffer], { type: type.mimeType }), filename: `reference.${type.ext}` };
   }
 
   _trackCost({ provider, model, operation }) {
@@ -457,62 +402,67 @@ class PodPipelineService {
     return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
   }
 
-  async generateDesignImage({ artworkPrompt, openAiApiKey, keiAiApiKey, kieGenerateUrl, referenceImageUrl, imageShape, maxWaitMs, pollIntervalMs, shopDomain }) {
-    if (!this.isUsableApiKey(openAiApiKey)) {
+  /**
+   * Generate (or, with a reference image, edit) a single image using the
+   * shop's ranked image providers. `settings` is the effective shop settings
+   * (API keys plus imageProviderPriority / imageProviderStrategy).
+   * `providerIds` restricts the run to specific providers (connection tests).
+   */
+  async generateDesignImage({ artworkPrompt, settings, referenceImageUrl, imageShape, maxWaitMs, pollIntervalMs, shopDomain, providerIds }) {
+    const providerSettings = settings || {};
+    const common = { imageShape, maxWaitMs, pollIntervalMs, shopDomain, settings: providerSettings, only: providerIds };
+
+    const hasGenerateProvider = this.imageProviders.rank({ operation: "generate", settings: providerSettings, only: providerIds }).length > 0;
+    const hasEditProvider = Boolean(referenceImageUrl) && this.imageProviders.rank({ operation: "edit", settings: providerSettings, only: providerIds }).length > 0;
+    if (!hasGenerateProvider && !hasEditProvider) {
       return {
         imageUrl: this._placeholderDataUri(artworkPrompt.slice(0, 48)),
         provider: "fallback-no-key",
-        providerMessage: "OpenAI API key is missing or invalid.",
+        providerMessage: "No image provider is configured. Add an OpenAI or KIE API key.",
       };
     }
 
-    let openAiImageUrl = null;
+    let result = { imageUrl: null, attempted: [] };
     let usedReferenceImage = false;
+    const attempted = [];
 
     if (referenceImageUrl) {
       log.info({ referenceImageUrl: String(referenceImageUrl).slice(0, 80), imageShape }, "generateDesignImage: attempting image edit with reference");
-      openAiImageUrl = await this.generateOpenAiImageEdit({
-        prompt: artworkPrompt,
-        referenceImageUrl,
-        openAiApiKey,
-        imageShape,
-        shopDomain,
-      });
-      usedReferenceImage = Boolean(openAiImageUrl);
+      result = await this.imageProviders.run({ operation: "edit", prompt: artworkPrompt, referenceImageUrl, ...common });
+      attempted.push(...result.attempted);
+      usedReferenceImage = Boolean(result.imageUrl);
       if (!usedReferenceImage) {
         log.warn({ referenceImageUrl: String(referenceImageUrl).slice(0, 80) }, "generateDesignImage: edit with reference FAILED, falling back to text-only");
       }
     }
 
-    if (!openAiImageUrl) {
-      const openAiPrompt = referenceImageUrl
+    if (!result.imageUrl) {
+      const prompt = referenceImageUrl
         ? `${artworkPrompt}\n\nKeep the updated design very close to the previous version and apply only the requested change.`
         : artworkPrompt;
 
-      openAiImageUrl = await this.generateOpenAiImage({
-        prompt: openAiPrompt,
-        openAiApiKey,
-        imageShape,
-        shopDomain,
-      });
+      result = await this.imageProviders.run({ operation: "generate", prompt, ...common });
+      attempted.push(...result.attempted);
     }
 
-    if (openAiImageUrl) {
+    if (result.imageUrl) {
+      const { provider } = result;
       const providerMessage = usedReferenceImage
-        ? "OpenAI image edit used. Reference image provided: true."
-        : `OpenAI image generation used${referenceImageUrl ? " without reference image" : ""}. Reference image requested: ${Boolean(referenceImageUrl)}.`;
+        ? `${provider.label} image edit used. Reference image provided: true.`
+        : `${provider.label} image generation used${referenceImageUrl ? " without reference image" : ""}. Reference image requested: ${Boolean(referenceImageUrl)}.`;
 
       return {
-        imageUrl: openAiImageUrl,
-        provider: "openai",
+        imageUrl: result.imageUrl,
+        provider: provider.id,
         providerMessage,
+        estimatedCost: provider.estimateCost(usedReferenceImage ? "edit" : "generate"),
       };
     }
 
     return {
       imageUrl: this._placeholderDataUri(artworkPrompt.slice(0, 48)),
       provider: "fallback-error",
-      providerMessage: "OpenAI image generation failed.",
+      providerMessage: `Image generation failed (tried: ${[...new Set(attempted)].join(", ") || "none"}).`,
     };
   }
 
@@ -546,13 +496,12 @@ class PodPipelineService {
       const payload = await response.json();
       const url = payload?.data?.[0]?.url;
       if (url) {
-        const savedUrl = await downloadAndSaveImage(this.store, shopDomain, url);
-        return savedUrl || url;
+        return this.saveRemoteImage(shopDomain, url);
       }
 
       const b64 = payload?.data?.[0]?.b64_json;
       if (b64) {
-        const savedUrl = await saveBase64Image(this.store, shopDomain, b64, "image/png");
+        const savedUrl = await this.saveBase64Image(shopDomain, b64);
         if (savedUrl) return savedUrl;
         return `data:image/png;base64,${b64}`;
       }
@@ -572,53 +521,12 @@ class PodPipelineService {
     }
 
     try {
-      let imageBlob;
-      let filename;
-
-      if (String(referenceImageUrl).startsWith("data:")) {
-        const match = referenceImageUrl.match(/^data:(image\/\w+);base64,(.+)$/);
-        if (!match) {
-          log.warn({}, "OpenAI generateOpenAiImageEdit: invalid data-URI format");
-          return null;
-        }
-        const mimeType = match[1];
-        const base64Data = match[2];
-        const buffer = Buffer.from(base64Data, "base64");
-        imageBlob = new Blob([buffer], { type: mimeType });
-        filename = `reference.${mimeType.includes("jpeg") ? "jpg" : "png"}`;
-      } else if (String(referenceImageUrl).startsWith("/images/") && this.store?.getImage) {
-        // Read from PostgreSQL images table
-        const imageId = referenceImageUrl.replace("/images/", "");
-        const imgRecord = await this.store.getImage(imageId);
-        if (imgRecord) {
-          imageBlob = new Blob([imgRecord.data], { type: imgRecord.mimeType });
-          filename = `reference.${imgRecord.mimeType.includes("jpeg") ? "jpg" : "png"}`;
-        } else {
-          log.warn({ imageId }, "OpenAI generateOpenAiImageEdit: image not found in database");
-          return null;
-        }
-      } else if (String(referenceImageUrl).startsWith("/uploads/")) {
-        // Legacy: read from local uploads directory
-        const localPath = path.join(this.uploadsDir, path.basename(referenceImageUrl));
-        if (fs.existsSync(localPath)) {
-          const buffer = fs.readFileSync(localPath);
-          const ext = path.extname(localPath).toLowerCase();
-          const mimeType = ext === ".jpg" || ext === ".jpeg" ? "image/jpeg" : ext === ".webp" ? "image/webp" : "image/png";
-          imageBlob = new Blob([buffer], { type: mimeType });
-          filename = `reference${ext}`;
-        } else {
-          log.warn({ localPath }, "OpenAI generateOpenAiImageEdit: local file not found");
-          return null;
-        }
-      } else {
-        const sourceResponse = await fetch(referenceImageUrl);
-        if (!sourceResponse.ok) {
-          return null;
-        }
-        const contentType = sourceResponse.headers.get("content-type") || "image/png";
-        imageBlob = await sourceResponse.blob();
-        filename = `reference.${contentType.includes("jpeg") ? "jpg" : "png"}`;
+      const reference = await this._loadImageBlob(referenceImageUrl);
+      if (!reference) {
+        log.warn({ refUrl: String(referenceImageUrl).slice(0, 80) }, "OpenAI generateOpenAiImageEdit: reference image not readable");
+        return null;
       }
+      const { blob: imageBlob, filename } = reference;
 
       const size = this.getOpenAiSize(imageShape);
 
@@ -651,13 +559,12 @@ class PodPipelineService {
       const payload = await response.json();
       const url = payload?.data?.[0]?.url;
       if (url) {
-        const savedUrl = await downloadAndSaveImage(this.store, shopDomain, url);
-        return savedUrl || url;
+        return this.saveRemoteImage(shopDomain, url);
       }
 
       const b64Edit = payload?.data?.[0]?.b64_json;
       if (b64Edit) {
-        const savedUrl = await saveBase64Image(this.store, shopDomain, b64Edit, "image/png");
+        const savedUrl = await this.saveBase64Image(shopDomain, b64Edit);
         if (savedUrl) return savedUrl;
         return `data:image/png;base64,${b64Edit}`;
       }
@@ -677,31 +584,7 @@ class PodPipelineService {
     if (!this.isUsableApiKey(openAiApiKey)) return null;
 
     try {
-      const resolveBlob = async (url) => {
-        if (String(url).startsWith("data:")) {
-          const match = url.match(/^data:(image\/\w+);base64,(.+)$/);
-          if (!match) return null;
-          return new Blob([Buffer.from(match[2], "base64")], { type: match[1] });
-        }
-        if (String(url).startsWith("/images/") && this.store?.getImage) {
-          const rec = await this.store.getImage(url.replace("/images/", ""));
-          if (rec) return new Blob([rec.data], { type: rec.mimeType });
-          return null;
-        }
-        if (String(url).startsWith("/uploads/")) {
-          const localPath = path.join(this.uploadsDir, path.basename(url));
-          if (fs.existsSync(localPath)) {
-            const buffer = fs.readFileSync(localPath);
-            const ext = path.extname(localPath).toLowerCase();
-            const mimeType = ext === ".jpg" || ext === ".jpeg" ? "image/jpeg" : "image/png";
-            return new Blob([buffer], { type: mimeType });
-          }
-          return null;
-        }
-        const resp = await fetch(url);
-        if (!resp.ok) return null;
-        return resp.blob();
-      };
+      const resolveBlob = async (url) => (await this._loadImageBlob(url))?.blob || null;
 
       const [artworkBlob, productBlob] = await Promise.all([
         resolveBlob(artworkUrl),
@@ -740,12 +623,11 @@ class PodPipelineService {
       const payload = await response.json();
       const url = payload?.data?.[0]?.url;
       if (url) {
-        const savedUrl = await downloadAndSaveImage(this.store, shopDomain, url);
-        return savedUrl || url;
+        return this.saveRemoteImage(shopDomain, url);
       }
       const b64 = payload?.data?.[0]?.b64_json;
       if (b64) {
-        const savedUrl = await saveBase64Image(this.store, shopDomain, b64, "image/png");
+        const savedUrl = await this.saveBase64Image(shopDomain, b64);
         if (savedUrl) return savedUrl;
         return `data:image/png;base64,${b64}`;
       }
@@ -756,15 +638,16 @@ class PodPipelineService {
     }
   }
 
-  async generateLifestyleImages({ productType, baseDesignImageUrl, designConcept, keiAiApiKey, kieEditUrl, openAiApiKey, stabilityApiKey, lifestylePrompts, maxWaitMs, pollIntervalMs, shopDomain }) {
+  async generateLifestyleImages({ productType, baseDesignImageUrl, designConcept, settings, lifestylePrompts, maxWaitMs, pollIntervalMs, shopDomain, onImage }) {
     const defaultPrompts = [
       `Place this exact ${productType} product on a kitchen table in a bright room with natural daylight. Keep the product design exactly as shown in the reference image.`,
       `Show this exact ${productType} product in a clean, minimal flat-lay arrangement on a light surface. Keep the product design exactly as shown in the reference image.`,
       `Show a person holding this exact ${productType} product in a lifestyle setting. Keep the product design exactly as shown in the reference image.`,
     ];
 
+    const providerSettings = settings || {};
     const hasReferenceImage = Boolean(baseDesignImageUrl);
-    log.info({ productType, hasReferenceImage, referenceIsDataUri: String(baseDesignImageUrl || "").startsWith("data:") }, "Lifestyle generation starting (OpenAI)");
+    log.info({ productType, hasReferenceImage, referenceIsDataUri: String(baseDesignImageUrl || "").startsWith("data:") }, "Lifestyle generation starting");
 
     const prompts = Array.isArray(lifestylePrompts)
       ? lifestylePrompts.map((item) => String(item || "").trim()).filter(Boolean)
@@ -772,80 +655,194 @@ class PodPipelineService {
 
     const promptsToUse = prompts.length > 0 ? prompts : defaultPrompts;
 
-    if (!this.isUsableApiKey(openAiApiKey)) {
+    if (hasReferenceImage && this.resolveLifestyleMode(providerSettings) === "cost-optimised") {
+      return this._generateLifestyleCostOptimised({
+        productType,
+        baseDesignImageUrl,
+        prompts: promptsToUse,
+        settings: providerSettings,
+        shopDomain,
+        onImage,
+      });
+    }
+
+    const canEdit = hasReferenceImage && this.imageProviders.rank({ operation: "sceneEdit", settings: providerSettings }).length > 0;
+    const canGenerate = this.imageProviders.rank({ operation: "generate", settings: providerSettings }).length > 0;
+    if (!canEdit && !canGenerate) {
       return {
         imageUrls: promptsToUse.map((prompt) => this._placeholderDataUri(prompt.slice(0, 60))),
         provider: "fallback-no-key",
-        providerMessage: "OpenAI API key is missing or invalid.",
+        providerMessage: "No image provider is configured. Add an OpenAI, KIE or Stability API key.",
       };
     }
 
-    const openAiResults = [];
+    const common = { maxWaitMs, pollIntervalMs, shopDomain, settings: providerSettings };
+    const results = [];
+    const usedProviders = [];
+    const usedOperations = [];
     let usedReferenceImageCount = 0;
-    for (const prompt of promptsToUse) {
-      let imageUrl = null;
-      if (baseDesignImageUrl) {
+    for (const [index, prompt] of promptsToUse.entries()) {
+      let result = { imageUrl: null };
+      let editResult = null;
+      if (canEdit) {
         log.debug({ promptPreview: prompt.slice(0, 60) }, "Attempting image edit with reference image");
-        imageUrl = await this.generateOpenAiImageEdit({
-          prompt,
-          referenceImageUrl: baseDesignImageUrl,
-          openAiApiKey,
-          shopDomain,
-        });
-        if (imageUrl) {
-          log.info({}, "Lifestyle image edit succeeded — reference design used");
+        result = editResult = await this.imageProviders.run({ operation: "sceneEdit", prompt, referenceImageUrl: baseDesignImageUrl, ...common });
+        if (result.imageUrl) {
+          log.info({ provider: result.provider.id }, "Lifestyle image edit succeeded — reference design used");
           usedReferenceImageCount += 1;
         } else {
           log.warn({}, "Lifestyle image edit returned null — falling back to generation without reference");
         }
       }
 
-      if (!imageUrl) {
-        imageUrl = await this.generateOpenAiImage({
-          prompt,
-          openAiApiKey,
-          shopDomain,
-        });
+      if (!result.imageUrl && canGenerate) {
+        result = await this.imageProviders.run({ operation: "generate", prompt, ...common });
       }
 
-      if (imageUrl) {
-        openAiResults.push(imageUrl);
+      if (result.imageUrl) {
+        results.push(result.imageUrl);
+        usedProviders.push(result.provider);
+        usedOperations.push(result === editResult ? "sceneEdit" : "generate");
+      }
+      // Optional per-image callback (used for live finalize progress)
+      if (typeof onImage === "function") {
+        onImage({ index: index + 1, total: promptsToUse.length, ok: Boolean(result.imageUrl), provider: result.provider?.id || null });
       }
     }
 
-    if (openAiResults.length > 0) {
-      let providerMessage = "OpenAI lifestyle generation used.";
+    if (results.length > 0) {
+      const providerIds = [...new Set(usedProviders.map((provider) => provider.id))];
+      const labels = [...new Set(usedProviders.map((provider) => provider.label))].join(" + ");
+      let providerMessage = `${labels} lifestyle generation used.`;
       if (usedReferenceImageCount === promptsToUse.length) {
-        providerMessage = "OpenAI lifestyle image edits used with reference design image for all results.";
+        providerMessage = `${labels} lifestyle image edits used with reference design image for all results.`;
       } else if (usedReferenceImageCount > 0) {
-        providerMessage = `OpenAI lifestyle generation used. Reference design image applied to ${usedReferenceImageCount}/${promptsToUse.length} results.`;
+        providerMessage = `${labels} lifestyle generation used. Reference design image applied to ${usedReferenceImageCount}/${promptsToUse.length} results.`;
       } else if (baseDesignImageUrl) {
-        providerMessage = "OpenAI lifestyle generation used without reference design image (edit API unavailable for this request).";
+        providerMessage = `${labels} lifestyle generation used without reference design image (edit unavailable for this request).`;
       }
 
       return {
-        imageUrls: openAiResults,
-        provider: "openai",
+        imageUrls: results,
+        provider: providerIds.join("+"),
         providerMessage,
+        ...this._summarizeLifestyleProviders(usedProviders.map((provider, i) => ({
+          provider: provider.id,
+          estimatedCost: provider.estimateCost(usedOperations[i]),
+        }))),
       };
     }
 
     return {
       imageUrls: promptsToUse.map((prompt) => this._placeholderDataUri(prompt.slice(0, 60))),
       provider: "fallback-error",
-      providerMessage: "OpenAI image generation failed for all lifestyle images.",
+      providerMessage: "Image generation failed for all lifestyle images.",
+    };
+  }
+
+  /**
+   * Lifestyle mode for a shop. "cost-optimised" renders every scene with
+   * Stability image-to-image first and only pays for OpenAI on the failures;
+   * it is the default once a Stability key is configured.
+   */
+  resolveLifestyleMode(settings) {
+    if (settings?.lifestyleMode === "standard") return "standard";
+    const stability = this.imageProviders.get("stability");
+    return stability?.isConfigured(settings || {}) ? "cost-optimised" : "standard";
+  }
+
+  async _generateLifestyleCostOptimised({ productType, baseDesignImageUrl, prompts, settings, shopDomain, onImage }) {
+    const stability = this.imageProviders.get("stability");
+    const openai = this.imageProviders.get("openai");
+    const total = prompts.length;
+    log.info({ productType, total }, "Lifestyle generation: cost-optimised (Stability first, OpenAI fill-in)");
+
+    const stabilityResult = await this.stabilityService.generateProductImages({
+      stabilityApiKey: settings.stabilityApiKey,
+      productImageRef: baseDesignImageUrl,
+      productType,
+      scenePrompts: prompts,
+      shopDomain,
+      onScene: ({ index, ok }) => {
+        // Failed scenes are reported once the OpenAI fill-in has run
+        if (ok && typeof onImage === "function") onImage({ index, total, ok, provider: stability.id });
+      },
+    });
+
+    const slots = stabilityResult.imageUrls.map((imageUrl) => (imageUrl
+      ? { imageUrl, provider: stability.id, estimatedCost: stability.estimateCost("sceneEdit") }
+      : null));
+
+    const canFill = openai.isConfigured(settings);
+    for (let i = 0; i < slots.length; i++) {
+      if (slots[i]) continue;
+      const imageUrl = canFill
+        ? await this.generateOpenAiImageEdit({
+            prompt: prompts[i],
+            referenceImageUrl: baseDesignImageUrl,
+            openAiApiKey: settings.openAiApiKey,
+            shopDomain,
+          })
+        : null;
+      if (imageUrl) {
+        slots[i] = { imageUrl, provider: openai.id, estimatedCost: openai.estimateCost("edit") };
+      }
+      if (typeof onImage === "function") {
+        onImage({ index: i + 1, total, ok: Boolean(imageUrl), provider: imageUrl ? openai.id : null });
+      }
+    }
+
+    const filled = slots.filter(Boolean);
+    if (filled.length === 0) {
+      return {
+        imageUrls: prompts.map((prompt) => this._placeholderDataUri(prompt.slice(0, 60))),
+        provider: "fallback-error",
+        providerMessage: canFill
+          ? "Stability AI and the OpenAI fill-in both failed for all lifestyle images."
+          : "Stability AI failed for all lifestyle images and no OpenAI key is configured for fill-in.",
+      };
+    }
+
+    const summary = this._summarizeLifestyleProviders(filled);
+    const stabilityCount = summary.providerMix[stability.id] || 0;
+    const openAiCount = summary.providerMix[openai.id] || 0;
+    const parts = [`${stabilityCount}/${total} product images via Stability AI`];
+    if (openAiCount > 0) parts.push(`${openAiCount} filled in with OpenAI`);
+    if (filled.length < total) parts.push(`${total - filled.length} failed`);
+
+    return {
+      imageUrls: filled.map((slot) => slot.imageUrl),
+      provider: Object.keys(summary.providerMix).join("+"),
+      providerMessage: `${parts.join(", ")} (cost-optimised, est. $${summary.estimatedCost.toFixed(3)}).`,
+      ...summary,
     };
   }
 
-  async generateListingCopy({ prompt, productType, openAiApiKey }) {
+  /** Per-image provider/cost breakdown plus totals for the response and usage log. */
+  _summarizeLifestyleProviders(entries) {
+    const breakdown = entries.map(({ provider, estimatedCost }) => ({ provider, estimatedCost }));
+    const providerMix = {};
+    for (const entry of breakdown) {
+      providerMix[entry.provider] = (providerMix[entry.provider] || 0) + 1;
+    }
+    const estimatedCost = Math.round(breakdown.reduce((sum, entry) => sum + (entry.estimatedCost || 0), 0) * 10000) / 10000;
+    return { breakdown, providerMix, estimatedCost };
+  }
+
+  /**
+   * Title, description, tags, SEO fields and URL handle for a listing. The
+   * shop's brand voice (see utils/brandVoice.js) steers the prompt and is
+   * applied to the result, including the no-key fallback.
+   */
+  async generateListingCopy({ prompt, productType, openAiApiKey, brandVoice }) {
+    const withBrandVoice = (copy) => {
+      const voiced = applyBrandVoice(copy, brandVoice, { prompt, productType });
+      return { ...voiced, handle: toHandle(voiced.title) };
+    };
+
     if (!this.isUsableApiKey(openAiApiKey)) {
       return {
-        copy: {
-          title: `${productType.toUpperCase()} - ${prompt.slice(0, 45)}`,
-          descriptionHtml: `<p>${prompt}</p><p>Professionally generated POD design and lifestyle visuals.</p>`,
-          descriptionText: `${prompt}. Professionally generated POD design and lifestyle visuals.`,
-          tags: ["ai-generated", "pod", productType],
-        },
+        copy: withBrandVoice(fallbackListingCopy({ prompt, productType })),
         provider: "fallback-no-key",
         providerMessage: "OpenAI API key is missing or invalid format.",
       };
@@ -865,7 +862,7 @@ class PodPipelineService {
             {
               role: "system",
               content:
-                "You generate ecommerce listing copy for Shopify POD products. Return strict JSON with title, descriptionText, and tags (array of short lowercase strings).",
+                ["You generate ecommerce listing copy for Shopify POD products. Return strict JSON with title, descriptionText, tags (array of short lowercase strings), seoTitle (at most 70 characters) and seoDescription (at most 160 characters).", brandVoiceInstructions(brandVoice)].filter(Boolean).join(" "),
             },
             {
               role: "user",
@@ -893,30 +890,99 @@ class PodPipelineService {
       const tags = Array.isArray(parsed.tags) ? parsed.tags.map((tag) => String(tag).trim()).filter(Boolean) : [];
 
       return {
-        copy: {
+        copy: withBrandVoice({
           title,
           descriptionHtml: `<p>${descriptionText}</p>`,
           descriptionText,
           tags: tags.length > 0 ? tags : ["ai-generated", "pod", productType],
-        },
+          seoTitle: String(parsed.seoTitle || title).trim().slice(0, MAX_SEO_TITLE_LENGTH),
+          seoDescription: String(parsed.seoDescription || descriptionText).trim().slice(0, MAX_SEO_DESCRIPTION_LENGTH),
+        }),
         provider: "openai",
         providerMessage: "Live OpenAI copy generation used.",
       };
     } catch (error) {
+      return {
+        copy: withBrandVoice(fallbackListingCopy({ prompt, productType })),
+        provider: "fallback-error",
+        providerMessage: error instanceof Error ? error.message : "OpenAI request failed.",
+      };
+    }
+  }
+
+  /**
+   * Translate listing copy into one locale (e.g. "fr", "pt-BR"). Without a
+   * usable key the source copy is returned unchanged so it can be translated
+   * by hand in the review step.
+   */
+  async translateListingCopy({ copy, locale, openAiApiKey, brandVoice }) {
+    const source = {
+      title: copy.title,
+      descriptionHtml: copy.descriptionHtml,
+      seoTitle: copy.seoTitle || "",
+      seoDescription: copy.seoDescription || "",
+    };
+    if (!this.isUsableApiKey(openAiApiKey)) {
+      return { copy: source, provider: "fallback-no-key", providerMessage: "OpenAI API key is missing — edit the translation by hand." };
+    }
+
+    let language = locale;
+    try {
+      language = `${new Intl.DisplayNames(["en"], { type: "language" }).of(locale)} (${locale})`;
+    } catch (_) { /* unknown to ICU — use the code */ }
+
+    try {
+      const response = await fetch("https://api.openai.com/v1/chat/completions", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${openAiApiKey}`,
+        },
+        body: JSON.stringify({
+          model: "gpt-4o-mini",
+          temperature: 0.3,
+          messages: [
+            {
+              role: "system",
+              content: [
+                `You translate Shopify product listing copy into ${language} for shoppers in that market. Keep every HTML tag exactly as it is and translate only the text. Return strict JSON with title, descriptionHtml, seoTitle (at most 70 characters) and seoDescription (at most 160 characters).`,
+                brandVoice?.tone ? `Keep this brand voice: ${brandVoice.tone}.` : "",
+              ].filter(Boolean).join(" "),
+            },
+            { role: "user", content: JSON.stringify(source) },
+          ],
+          response_format: {
+            type: "json_object",
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI translation failed (${response.status})`);
+      }
+
+      const payload = await response.json();
+      const parsed = JSON.parse(payload?.choices?.[0]?.message?.content || "{}");
       return {
         copy: {
-          title: `${productType.toUpperCase()} - ${prompt.slice(0, 45)}`,
-          descriptionHtml: `<p>${prompt}</p><p>Professionally generated POD design and lifestyle visuals.</p>`,
-          descriptionText: `${prompt}. Professionally generated POD design and lifestyle visuals.`,
-          tags: ["ai-generated", "pod", productType],
+          title: String(parsed.title || source.title).trim(),
+          descriptionHtml: String(parsed.descriptionHtml || source.descriptionHtml).trim(),
+          seoTitle: String(parsed.seoTitle || "").trim().slice(0, MAX_SEO_TITLE_LENGTH),
+          seoDescription: String(parsed.seoDescription || "").trim().slice(0, MAX_SEO_DESCRIPTION_LENGTH),
         },
+        provider: "openai",
+        providerMessage: `Translated to ${language}.`,
+      };
+    } catch (error) {
+      return {
+        copy: source,
         provider: "fallback-error",
         providerMessage: error instanceof Error ? error.message : "OpenAI request failed.",
       };
     }
   }
 
-  async extractArtwork({ designImageUrl, openAiApiKey }) {
+  async extractArtwork({ designImageUrl, openAiApiKey, shopDomain }) {
     if (!this.isUsableApiKey(openAiApiKey) || !String(designImageUrl || "").trim()) {
       return null;
     }
@@ -925,21 +991,9 @@ class PodPipelineService {
       const prompt = "Extract only the artwork/design from this product image. Remove ALL background completely. Output ONLY the artwork element (logo, illustration, graphic) on a fully transparent background. No product, no surface, no shadows — just the isolated artwork as a clean transparent PNG.";
 
       // Use the image edit API with transparency request
-      let imageBlob;
-      let filename;
-
-      if (String(designImageUrl).startsWith("data:")) {
-        const match = designImageUrl.match(/^data:(image\/\w+);base64,(.+)$/);
-        if (!match) return null;
-        const buffer = Buffer.from(match[2], "base64");
-        imageBlob = new Blob([buffer], { type: match[1] });
-        filename = "reference.png";
-      } else {
-        const srcResp = await fetch(designImageUrl);
-        if (!srcResp.ok) return null;
-        imageBlob = await srcResp.blob();
-        filename = "reference.png";
-      }
+      const reference = await this._loadImageBlob(designImageUrl);
+      if (!reference) return null;
+      const { blob: imageBlob, filename } = reference;
 
       const buildForm = (model) => {
         const form = new FormData();
@@ -986,8 +1040,8 @@ class PodPipelineService {
 
       const b64Extract = payload?.data?.[0]?.b64_json;
       if (b64Extract) {
-        const localUrl = saveBase64ToDisk(this.uploadsDir, b64Extract, "image/png");
-        if (localUrl) return localUrl;
+        const savedUrl = await this.saveBase64Image(shopDomain, b64Extract);
+        if (savedUrl) return savedUrl;
         return `data:image/png;base64,${b64Extract}`;
       }
 
@@ -998,6 +1052,31 @@ class PodPipelineService {
     }
   }
 
+  /**
+   * Transparent version of an artwork. Runs the local white-background
+   * removal first; artwork it can't handle (no white border) falls back to
+   * extractArtwork when an OpenAI key is configured.
+   * @returns {Promise<{ url: string, method: "local"|"openai", backgroundRatio?: number }|null>}
+   */
+  async removeBackground({ imageUrl, settings, shopDomain }) {
+    try {
+      const source = await this.imageStore.resolveToBuffer(imageUrl);
+      const result = source ? await removeWhiteBackground(source) : null;
+      if (result) {
+        const url = await this.imageStore.put({ shopDomain, data: result.buffer });
+        log.info({ backgroundRatio: result.backgroundRatio.toFixed(3) }, "Background removed locally");
+        return { url, method: "local", backgroundRatio: result.backgroundRatio };
+      } else if (source) {
+        log.info({}, "Artwork has no white background — skipping local background removal");
+      }
+    } catch (err) {
+      log.warn({ err: err?.message }, "Local background removal failed");
+    }
+
+    const extracted = await this.extractArtwork({ designImageUrl: imageUrl, openAiApiKey: settings?.openAiApiKey || "", shopDomain });
+    return extracted ? { url: extracted, method: "openai" } : null;
+  }
+
   createDesignRecord({ shopDomain, prompt, productType, publishImmediately, artworkPrompt, designImageUrl, createdBy }) {
     const now = Date.now();
     return {
@@ -0,0 +1,99 @@
+const sharp = require("sharp");
+const log = require("../utils/logger");
+
+/**
+ * PrintFileService — turns a design's artwork into a print-ready file at the
+ * exact Printful print area (e.g. 4500×5400 px at 300 DPI for a t-shirt front).
+ *
+ * Flow:
+ *  1. Read the print area for the product from Printful's printfiles endpoint
+ *  2. When the artwork is smaller than the area, upscale it through an image
+ *     provider with the "upscale" capability if one is configured
+ *  3. Resize locally (Lanczos) onto a transparent canvas of exactly the print
+ *     area and embed the DPI in the PNG
+ */
+class PrintFileService {
+  constructor({ printfulMockupService, imageProviders, imageStore }) {
+    this.printful = printfulMockupService;
+    this.imageProviders = imageProviders;
+    this.imageStore = imageStore;
+  }
+
+  /**
+   * @param {Object} opts
+   * @param {string} opts.artworkUrl - URL/path/data-URI of the current artwork
+   * @param {string} opts.productType - One of our product type keys (tshirt, mug, etc.)
+   * @param {number} [opts.printfulProductId] - Printful catalog product, overrides productType
+   * @param {Object} opts.settings - Effective shop settings (Printful and provider keys)
+   * @param {string} [opts.shopDomain] - Owner shop, used when saving to the database
+   * @param {Function} [opts.onProgress] - Called with a short status message per step
+   * @returns {Promise<{ url, width, height, dpi, placement, printfileId, productId, sourceWidth, sourceHeight, upscaler }>}
+   */
+  async createPrintFile({ artworkUrl, productType, printfulProductId, settings, shopDomain, onProgress = () => {} }) {
+    onProgress("Reading the Printful print area");
+    const area = await this.printful.getPrintArea({
+      printfulApiKey: settings?.printfulApiKey,
+      productType,
+      printfulProductId,
+    });
+    if (!area) {
+      throw new Error("Could not read the print area for this product from Printful");
+    }
+
+    let source = await this.imageStore.resolveToBuffer(artworkUrl);
+    if (!source) {
+      throw new Error("Could not load the artwork");
+    }
+    const { width: sourceWidth, height: sourceHeight } = await sharp(source).metadata();
+
+    // Local resizing can't add detail, so a provider upscale goes first when the artwork is too small
+    let upscaler = "local";
+    const scale = Math.min(area.width / sourceWidth, area.height / sourceHeight);
+    if (scale <= 1) {
+      upscaler = "none";
+    } else if (this.imageProviders.rank({ operation: "upscale", settings }).length > 0) {
+      onProgress("Upscaling artwork");
+      const result = await this.imageProviders.run({ operation: "upscale", imageUrl: artworkUrl, settings, shopDomain });
+      const upscaled = result.imageUrl ? await this.imageStore.resolveToBuffer(result.imageUrl) : null;
+      if (upscaled) {
+        source = upscaled;
+        upscaler = result.provider.id;
+      } else {
+        log.warn({ attempted: result.attempted }, "Print file: provider upscale failed, resizing locally");
+      }
+    }
+
+    onProgress(`Rendering ${area.width}×${area.height} px at ${area.dpi} DPI`);
+    const buffer = await sharp(source)
+      .resize({
+        width: area.width,
+        height: area.height,
+        fit: area.fillMode === "cover" ? "cover" : "contain",
+        background: { r: 0, g: 0, b: 0, alpha: 0 },
+        kernel: "lanczos3",
+      })
+      .withMetadata({ density: area.dpi })
+      .png()
+      .toBuffer();
+
+    const url = await this.imageStore.put({ shopDomain, data: buffer });
+    log.info({ productId: area.productId, width: area.width, height: area.height, dpi: area.dpi, upscaler, sizeKB: (buffer.length / 1024).toFixed(0) }, "Print file created");
+
+    return {
+      url,
+      width: area.width,
+      height: area.height,
+      dpi: area.dpi,
+      placement: area.placement,
+      printfileId: area.printfileId,
+      productId: area.productId,
+      sourceWidth,
+      sourceHeight,
+      upscaler,
+    };
+  }
+}
+
+module.exports = {
+  PrintFileService,
+};
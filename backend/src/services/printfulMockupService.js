@@ -7,9 +7,8 @@
  * Docs: https://developers.printful.com/docs/#tag/Mockup-Generator-API
  */
 
-const path = require("path");
-const fs = require("fs");
 const log = require("../utils/logger");
+const { sniffImageType } = require("../storage/imageStore");
 
 const PRINTFUL_BASE = "https://api.printful.com";
 
@@ -25,9 +24,19 @@ const PRODUCT_MAP = {
   totebag:     { productId: 297, variant: "front",  label: "AOP Tote Bag" },
 };
 
+// Closest product type key for a Printful catalog type
+const CATALOG_TYPE_MAP = {
+  "T-SHIRT": "tshirt", "CUT-SEW": "tshirt", "DTFILM": "tshirt",
+  "EMBROIDERY": "hoodie", "KNITWEAR": "sweatshirt",
+  "MUG": "mug", "DRINKWARE": "mug",
+  "POSTER": "poster", "FRAMED-POSTER": "poster", "POSTCARD": "poster",
+  "CANVAS": "canvasprint",
+  "DECOR": "pillow",
+};
+
 class PrintfulMockupService {
-  constructor(uploadsDir) {
-    this.uploadsDir = uploadsDir || path.join(__dirname, "..", "..", "data", "uploads");
+  constructor(imageStore) {
+    this.imageStore = imageStore;
   }
 
   /**
@@ -35,13 +44,14 @@ class PrintfulMockupService {
    *
    * @param {object} opts
    * @param {string} opts.printfulApiKey  – Printful API token
-   * @param {string} opts.artworkUrl      – Public URL (or data-URI) of the artwork image
+   * @param {string} opts.artworkUrl      – Public URL, data-URI or stored image path of the artwork
    * @param {string} opts.productType     – One of our product type keys (tshirt, mug, etc.)
    * @param {number} [opts.maxWaitMs]     – Max polling time (default 60s)
    * @param {number} [opts.pollIntervalMs]– Polling interval (default 3s)
-   * @returns {{ mockupUrls: string[], provider: string, providerMessage: string }}
+   * @param {number[]} [opts.variantIds]  – Printful variant IDs to render (default: first available)
+   * @returns {{ mockupUrls: string[], variantMockups?: Object[], provider: string, providerMessage: string }}
    */
-  async generateMockup({ printfulApiKey, artworkUrl, productType, printfulProductId, maxWaitMs = 60000, pollIntervalMs = 3000 }) {
+  async generateMockup({ printfulApiKey, artworkUrl, productType, printfulProductId, variantIds, maxWaitMs = 60000, pollIntervalMs = 3000 }) {
     if (!printfulApiKey || !String(printfulApiKey).trim()) {
       return {
         mockupUrls: [],
@@ -67,25 +77,21 @@ class PrintfulMockupService {
       Authorization: `Bearer ${printfulApiKey}`,
     };
 
-    // If artwork is a data URI or local file, we need to upload it to Printful first
+    // Printful can't fetch our own paths: stored images go by signed URL
+    // when the backend has one, else their bytes are uploaded like a data URI
     let imageUrl = artworkUrl;
-    if (String(artworkUrl).startsWith("/uploads/")) {
-      // Convert local file to data URI then upload
-      const localPath = path.join(this.uploadsDir, path.basename(artworkUrl));
-      if (fs.existsSync(localPath)) {
-        const buffer = fs.readFileSync(localPath);
-        const ext = path.extname(localPath).toLowerCase();
-        const mime = ext === ".jpg" || ext === ".jpeg" ? "image/jpeg" : ext === ".webp" ? "image/webp" : "image/png";
-        const dataUri = `data:${mime};base64,${buffer.toString("base64")}`;
-        imageUrl = await this._uploadDataUri(dataUri, printfulApiKey);
-      } else {
-        imageUrl = null;
+    if (this.imageStore?.backendFor(artworkUrl)) {
+      imageUrl = this.imageStore.toPublicUrl(artworkUrl);
+      if (!imageUrl) {
+        const buffer = await this.imageStore.resolveToBuffer(artworkUrl);
+        const type = buffer ? sniffImageType(buffer) : null;
+        imageUrl = type ? await this._uploadDataUri(`data:${type.mimeType};base64,${buffer.toString("base64")}`, printfulApiKey) : null;
       }
       if (!imageUrl) {
         return {
           mockupUrls: [],
           provider: "printful-upload-failed",
-          providerMessage: "Failed to read local artwork file for Printful upload.",
+          providerMessage: "Failed to read stored artwork for Printful upload.",
         };
       }
     } else if (String(artworkUrl).startsWith("data:")) {
@@ -116,9 +122,11 @@ class PrintfulMockupService {
       }
       const printfilesData = await printfilesRes.json();
 
-      // Find a variant ID to use (pick the first available)
+      // Find the variant IDs to render (requested ones, else the first available)
       const availableVariants = printfilesData?.result?.variant_ids || [];
-      const variantId = availableVariants[0];
+      const requestedVariants = (variantIds || []).filter((id) => availableVariants.includes(id));
+      const renderVariantIds = requestedVariants.length > 0 ? requestedVariants : availableVariants.slice(0, 1);
+      const variantId = renderVariantIds[0];
       if (!variantId) {
         return {
           mockupUrls: [],
@@ -135,7 +143,7 @@ class PrintfulMockupService {
 
       // Step 2: Create mock-up generation task
       const taskBody = {
-        variant_ids: [variantId],
+        variant_ids: renderVariantIds,
         files: [
           {
             placement: placementKey,
@@ -152,7 +160,7 @@ class PrintfulMockupService {
         ],
       };
 
-      log.info({ productId: mapping.productId, label: mapping.label, variantId }, "Creating Printful mockup task");
+      log.info({ productId: mapping.productId, label: mapping.label, variantIds: renderVariantIds }, "Creating Printful mockup task");
       const createRes = await fetch(
         `${PRINTFUL_BASE}/mockup-generator/create-task/${mapping.productId}`,
         {
@@ -201,6 +209,9 @@ class PrintfulMockupService {
 
         if (status === "completed") {
           const mockups = statusData?.result?.mockups || [];
+          const variantMockups = mockups
+            .filter((m) => m.mockup_url)
+            .map((m) => ({ variantIds: m.variant_ids || [], url: m.mockup_url }));
           const mockupUrls = mockups.flatMap((m) =>
             (m.extra || []).map((e) => e.url).concat(m.mockup_url ? [m.mockup_url] : [])
           );
@@ -211,6 +222,7 @@ class PrintfulMockupService {
             if (altUrls.length > 0) {
               return {
                 mockupUrls: altUrls,
+                variantMockups,
                 provider: "printful",
                 providerMessage: `Printful mockup generated: ${mapping.label}. ${altUrls.length} image(s).`,
               };
@@ -220,6 +232,7 @@ class PrintfulMockupService {
           log.info({ imageCount: mockupUrls.length }, "Printful mockup complete");
           return {
             mockupUrls,
+            variantMockups,
             provider: "printful",
             providerMessage: `Printful mockup generated: ${mapping.label}. ${mockupUrls.length} image(s).`,
           };
@@ -252,6 +265,160 @@ class PrintfulMockupService {
     }
   }
 
+  /**
+   * Render one mockup per garment color, for attaching to color variants.
+   * Colors are matched by name against the Printful product's catalog variants;
+   * colors Printful does not stock are skipped.
+   *
+   * @returns {Promise<Object>} map of color name → mockup URL
+   */
+  async generateColorMockups({ printfulApiKey, artworkUrl, productType, colors, maxWaitMs = 90000, pollIntervalMs = 3000 }) {
+    const mapping = PRODUCT_MAP[productType];
+    if (!printfulApiKey || !mapping || !Array.isArray(colors) || colors.length === 0) return {};
+
+    try {
+      const res = await fetch(`${PRINTFUL_BASE}/products/${mapping.productId}`, {
+        headers: { Authorization: `Bearer ${printfulApiKey}` },
+      });
+      if (!res.ok) {
+        log.warn({ status: res.status, productId: mapping.productId }, "Printful product lookup failed — no color mockups");
+        return {};
+      }
+      const catalogVariants = (await res.json())?.result?.variants || [];
+
+      // One representative Printful variant per requested color
+      const variantByColor = {};
+      for (const color of colors) {
+        const match = catalogVariants.find((v) => String(v.color || "").toLowerCase() === color.toLowerCase());
+        if (match) variantByColor[color] = match.id;
+      }
+      const variantIds = Object.values(variantByColor);
+      if (variantIds.length === 0) {
+        log.warn({ colors, productType }, "No Printful variants match the requested colors");
+        return {};
+      }
+
+      const result = await this.generateMockup({ printfulApiKey, artworkUrl, productType, variantIds, maxWaitMs, pollIntervalMs });
+      const colorMockups = {};
+      for (const [color, variantId] of Object.entries(variantByColor)) {
+        const mockup = (result.variantMockups || []).find((m) => m.variantIds.includes(variantId));
+        if (mockup) colorMockups[color] = mockup.url;
+      }
+      log.info({ productType, colors: Object.keys(colorMockups) }, "Printful color mockups generated");
+      return colorMockups;
+    } catch (err) {
+      log.warn({ err: err?.message }, "Printful color mockups failed");
+      return {};
+    }
+  }
+
+  /**
+   * Create a Printful sync product for a published Shopify product so orders
+   * can be fulfilled without rebuilding the product in Printful by hand.
+   *
+   * Each Shopify variant is matched to a Printful catalog variant by size and
+   * color (single-variant products use the first catalog variant) and gets the
+   * print file at the product's placement. Shopify ids are stored as external
+   * ids on the Printful side.
+   *
+   * @param {object} opts
+   * @param {string} opts.printfulApiKey
+   * @param {string} opts.productType        – One of our product type keys
+   * @param {string} opts.title
+   * @param {string} opts.printFileUrl       – Public URL or data-URI of the print file
+   * @param {string} [opts.thumbnailUrl]     – Public URL of a preview image
+   * @param {string} opts.shopifyProductId   – Shopify product GID
+   * @param {Object[]} opts.shopifyVariants  – [{ id, size, color, sku, price }]
+   * @returns {{ syncProductId: number|null, variants: Object[], unmatched: Object[], error: string|null }}
+   */
+  async createSyncProduct({ printfulApiKey, productType, title, printFileUrl, thumbnailUrl, shopifyProductId, shopifyVariants }) {
+    const mapping = PRODUCT_MAP[productType];
+    if (!printfulApiKey) return { syncProductId: null, variants: [], unmatched: [], error: "Printful API key is not configured." };
+    if (!mapping) return { syncProductId: null, variants: [], unmatched: [], error: `Product type "${productType}" is not mapped to a Printful product.` };
+
+    const headers = {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${printfulApiKey}`,
+    };
+    const numericId = (gid) => String(gid || "").split("/").pop();
+
+    try {
+      let fileUrl = printFileUrl;
+      if (String(fileUrl || "").startsWith("data:")) {
+        fileUrl = await this._uploadDataUri(fileUrl, printfulApiKey);
+      }
+      if (!fileUrl || !/^https?:\/\//.test(fileUrl)) {
+        return { syncProductId: null, variants: [], unmatched: [], error: "Print file is not reachable by Printful (no public URL)." };
+      }
+
+      const catalogRes = await fetch(`${PRINTFUL_BASE}/products/${mapping.productId}`, { headers });
+      if (!catalogRes.ok) {
+        return { syncProductId: null, variants: [], unmatched: [], error: `Printful catalog lookup failed (${catalogRes.status})` };
+      }
+      const catalogVariants = (await catalogRes.json())?.result?.variants || [];
+
+      const same = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+      const matched = [];
+      const unmatched = [];
+      for (const variant of shopifyVariants || []) {
+        const catalogVariant = variant.size || variant.color
+          ? catalogVariants.find((c) => (!variant.size || same(c.size, variant.size)) && (!variant.color || same(c.color, variant.color)))
+          : catalogVariants[0];
+        if (catalogVariant) matched.push({ variant, catalogVariant });
+        else unmatched.push({ shopifyVariantId: variant.id, size: variant.size, color: variant.color });
+      }
+      if (matched.length === 0) {
+        return { syncProductId: null, variants: [], unmatched, error: "No Shopify variant matches a Printful catalog variant." };
+      }
+
+      const createRes = await fetch(`${PRINTFUL_BASE}/store/products`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          sync_product: {
+            name: String(title || mapping.label).slice(0, 200),
+            external_id: numericId(shopifyProductId),
+            ...(thumbnailUrl ? { thumbnail: thumbnailUrl } : {}),
+          },
+          sync_variants: matched.map(({ variant, catalogVariant }) => ({
+            variant_id: catalogVariant.id,
+            external_id: numericId(variant.id),
+            ...(variant.price ? { retail_price: String(variant.price) } : {}),
+            ...(variant.sku ? { sku: variant.sku } : {}),
+            files: [{ type: mapping.variant, url: fileUrl }],
+          })),
+        }),
+      });
+      if (!createRes.ok) {
+        const err = await createRes.json().catch(() => ({}));
+        log.error({ err }, "Printful sync product error");
+        return { syncProductId: null, variants: [], unmatched, error: `Printful sync product failed: ${err?.error?.message || err?.result || createRes.status}` };
+      }
+      const syncProductId = (await createRes.json())?.result?.id || null;
+
+      // Sync variant ids are only returned by the product lookup
+      let syncVariants = [];
+      if (syncProductId) {
+        const detailRes = await fetch(`${PRINTFUL_BASE}/store/products/${syncProductId}`, { headers });
+        if (detailRes.ok) syncVariants = (await detailRes.json())?.result?.sync_variants || [];
+      }
+
+      const variants = matched.map(({ variant, catalogVariant }) => ({
+        shopifyVariantId: variant.id,
+        printfulVariantId: catalogVariant.id,
+        syncVariantId: syncVariants.find((sv) => String(sv.external_id) === numericId(variant.id))?.id || null,
+        size: variant.size || null,
+        color: variant.color || null,
+        sku: variant.sku || null,
+      }));
+      log.info({ syncProductId, mapped: variants.length, unmatched: unmatched.length }, "Printful sync product created");
+      return { syncProductId, variants, unmatched, error: null };
+    } catch (err) {
+      log.error({ err: err?.message }, "Printful sync product exception");
+      return { syncProductId: null, variants: [], unmatched: [], error: err?.message || "Printful request failed." };
+    }
+  }
+
   /**
    * Upload a data-URI artwork image to Printful's File Library.
    * Returns the hosted preview URL, or null on failure.
@@ -390,6 +557,108 @@ class PrintfulMockupService {
     }
   }
 
+  /**
+   * Printful's base cost for a product type: the cheapest catalog variant
+   * price of the mapped product. Cached per product for an hour.
+   * @returns {Promise<{ baseCost: number, currency: string }|null>} null when unmapped or unavailable
+   */
+  async getBaseCost({ printfulApiKey, productType }) {
+    const mapping = PRODUCT_MAP[productType];
+    if (!printfulApiKey || !mapping) return null;
+
+    if (!this._baseCostCache) this._baseCostCache = new Map();
+    const cached = this._baseCostCache.get(mapping.productId);
+    if (cached && Date.now() - cached.at < 3600000) return cached.value;
+
+    try {
+      const res = await fetch(`${PRINTFUL_BASE}/products/${mapping.productId}`, {
+        headers: { Authorization: `Bearer ${printfulApiKey}` },
+      });
+      if (!res.ok) {
+        log.warn({ status: res.status, productType }, "Printful base cost lookup failed");
+        return null;
+      }
+      const variants = (await res.json())?.result?.variants || [];
+      const prices = variants
+        .filter((v) => v.in_stock !== false)
+        .map((v) => Number(v.price))
+        .filter((price) => Number.isFinite(price) && price > 0);
+      if (prices.length === 0) return null;
+
+      const value = { baseCost: Math.min(...prices), currency: variants[0]?.currency || "USD" };
+      this._baseCostCache.set(mapping.productId, { value, at: Date.now() });
+      return value;
+    } catch (err) {
+      log.warn({ err: err?.message, productType }, "Printful base cost exception");
+      return null;
+    }
+  }
+
+  /**
+   * Print area of a product from Printful's printfiles endpoint: the exact
+   * pixel size and DPI a print file must have for the placement. Cached per
+   * product for an hour.
+   * @returns {Promise<{ productId, placement, printfileId, width, height, dpi, fillMode }|null>} null when unmapped or unavailable
+   */
+  async getPrintArea({ printfulApiKey, productType, printfulProductId, variantId }) {
+    const mapping = printfulProductId
+      ? { productId: Number(printfulProductId), variant: "front" }
+      : PRODUCT_MAP[productType];
+    if (!printfulApiKey || !mapping) return null;
+
+    if (!this._printfilesCache) this._printfilesCache = new Map();
+    let printfiles = this._printfilesCache.get(mapping.productId);
+    if (!printfiles || Date.now() - printfiles.at >= 3600000) {
+      try {
+        const res = await fetch(`${PRINTFUL_BASE}/mockup-generator/printfiles/${mapping.productId}`, {
+          headers: { Authorization: `Bearer ${printfulApiKey}` },
+        });
+        if (!res.ok) {
+          log.warn({ status: res.status, productId: mapping.productId }, "Printful printfiles lookup failed");
+          return null;
+        }
+        printfiles = { result: (await res.json())?.result || {}, at: Date.now() };
+        this._printfilesCache.set(mapping.productId, printfiles);
+      } catch (err) {
+        log.warn({ err: err?.message, productId: mapping.productId }, "Printful printfiles exception");
+        return null;
+      }
+    }
+
+    const { available_placements: placements = {}, printfiles: files = [], variant_printfiles: variants = [] } = printfiles.result;
+    const placement = placements[mapping.variant] ? mapping.variant : Object.keys(placements)[0];
+    const variant = variants.find((v) => v.variant_id === Number(variantId)) || variants[0];
+    const printfileId = variant?.placements?.[placement];
+    const file = files.find((f) => f.printfile_id === printfileId) || files[0];
+    if (!file?.width || !file?.height) return null;
+
+    return {
+      productId: mapping.productId,
+      placement: placement || mapping.variant,
+      printfileId: file.printfile_id,
+      width: file.width,
+      height: file.height,
+      dpi: file.dpi || 300,
+      fillMode: file.fill_mode || "fit",
+    };
+  }
+
+  /**
+   * Our product type for a Printful catalog product: the PRODUCT_MAP entry
+   * using it, else the closest match for its catalog type.
+   * @returns {Promise<{ productType: string, label: string }|null>} null when the product isn't in the catalog
+   */
+  async resolveCatalogProduct({ printfulApiKey, printfulProductId }) {
+    const id = Number(printfulProductId);
+    const mapped = Object.entries(PRODUCT_MAP).find(([, mapping]) => mapping.productId === id);
+    if (mapped) return { productType: mapped[0], label: mapped[1].label };
+
+    const { products } = await this.getProductCatalog(printfulApiKey);
+    const product = products.find((p) => p.id === id);
+    if (!product) return null;
+    return { productType: CATALOG_TYPE_MAP[product.type] || "tshirt", label: product.title };
+  }
+
   /**
    * Check if a product type is supported by Printful mapping.
    */
@@ -1,10 +1,12 @@
 const { retryWithBackoff } = require("../utils/retry");
+const { categoryForProductType, imageAltText } = require("../utils/productTaxonomy");
 const log = require("../utils/logger");
 
 class ShopifyPublishService {
-  constructor(config, settingsRepository) {
+  constructor(config, settingsRepository, imageStore) {
     this.config = config;
     this.settingsRepository = settingsRepository;
+    this.imageStore = imageStore || null;
     // Base URL for converting relative /uploads/ paths to full public URLs
     this.appBaseUrl = (process.env.SHOPIFY_HOST_NAME || process.env.APP_URL || "").replace(/\/+$/, "");
     if (this.appBaseUrl && !this.appBaseUrl.startsWith("http")) {
@@ -14,11 +16,15 @@ class ShopifyPublishService {
 
   /**
    * Convert a potentially relative URL to a full public URL that Shopify can fetch.
+   * Images kept in an S3 bucket get a presigned URL, so Shopify fetches them
+   * straight from the bucket.
    */
   _toPublicUrl(url) {
     if (!url) return null;
     // Already a full URL
     if (url.startsWith("http://") || url.startsWith("https://")) return url;
+    const signedUrl = this.imageStore?.toPublicUrl(url);
+    if (signedUrl) return signedUrl;
     // Relative path like /uploads/abc.png — prepend base URL
     if (this.appBaseUrl && url.startsWith("/")) {
       return `${this.appBaseUrl}${url}`;
@@ -32,17 +38,17 @@ class ShopifyPublishService {
    * Uses per-shop OAuth token from settingsRepository (stored during /auth/callback).
    * Falls back to SHOPIFY_ADMIN_ACCESS_TOKEN only in non-production (dev/test).
    */
-  _getAccessToken(shopDomain) {
+  async _getAccessToken(shopDomain) {
     // 1. Per-shop OAuth token (stored during /auth/callback)
     if (this.settingsRepository) {
       // Log all stored shops for diagnostics
-      const allSettings = this.settingsRepository.store?.read?.()?.settings || [];
+      const allSettings = await this.settingsRepository.listAll();
       const realShops = allSettings
         .filter(s => s.shopDomain && !s.shopDomain.startsWith("_nonce:") && s.shopDomain !== "_analytics")
         .map(s => ({ domain: s.shopDomain, hasToken: Boolean(s.shopifyAccessToken) }));
       log.info({ shopDomain, storedShops: realShops, storeType: this.settingsRepository.store?.constructor?.name || "unknown" }, "Token lookup — all stored shops");
 
-      const shopSettings = this.settingsRepository.findByShop(shopDomain);
+      const shopSettings = await this.settingsRepository.findByShop(shopDomain);
       if (shopSettings?.shopifyAccessToken) {
         log.info({ shopDomain }, "Token found for shop (exact match)");
         return shopSettings.shopifyAccessToken;
@@ -72,6 +78,21 @@ class ShopifyPublishService {
     return "";
   }
 
+  /**
+   * Current access token for a shop, throwing a 401 error when there is none.
+   */
+  async _requireAccessToken(shopDomain) {
+    const accessToken = await this._getAccessToken(shopDomain);
+    if (!accessToken) {
+      const err = new Error(
+        "No Shopify access token for this store. Please re-install the app: visit /auth/reinstall?shop=" + shopDomain
+      );
+      err.status = 401;
+      throw err;
+    }
+    return accessToken;
+  }
+
   /**
    * Helper: make a GraphQL call to Shopify.
    */
@@ -95,8 +116,8 @@ class ShopifyPublishService {
       // If 401, the token is stale/revoked — clear it
       if (response.status === 401 && this.settingsRepository) {
         log.warn({ shopDomain }, "Clearing stale token after GraphQL 401");
-        this.settingsRepository.upsertByShop(shopDomain, { shopifyAccessToken: "", shopifyScopes: "" });
-        this.settingsRepository.flush().catch(() => {});
+        await this.settingsRepository.upsertByShop(shopDomain, { shopifyAccessToken: "", shopifyScopes: "" })
+          .catch((clearErr) => log.error({ shopDomain, err: clearErr?.message }, "Failed to clear stale token"));
       }
 
       const err = new Error(
@@ -124,57 +145,63 @@ class ShopifyPublishService {
    * Strategy (all GraphQL — REST Admin API removed in 2025-04+):
    *  1. Create product via GraphQL productCreate (without images).
    *  2. Attach images via GraphQL productCreateMedia.
-   *  3. Set variant pricing via GraphQL productVariantsBulkUpdate.
+   *  3. Set variant pricing via GraphQL productVariantsBulkUpdate, or — when a
+   *     variant matrix is given (see utils/variantMatrix.js) — create the
+   *     product with Size/Color options and every variant via
+   *     productVariantsBulkCreate, then link each color's mockup image.
+   *
+   * @param {Object} [variants] - { options, variants } matrix from buildVariantMatrix
+   * @param {Object} [colorImages] - color name → mockup URL for color variants
+   * @param {Object} [seo] - { title, description } for search engine listings
+   * @param {string} [handle] - URL handle; a suffix is added if the store already uses it
+   * @param {string} [vendor]
+   * @param {string[]} [imageAlts] - alt text for each of imageUrls (color mockups get "<title> – <type> in <color>")
+   * @param {string[]} [collectionIds] - manual collections to add the product to
+   * @param {string[]} [publicationIds] - sales channels to publish the product on
+   *
+   * The Shopify standard product category is looked up from productType
+   * (see utils/productTaxonomy.js) and left unset when it cannot be resolved.
+   * Collection and channel failures don't fail the publish; they are reported
+   * per id in the returned `collections` and `publications`.
    */
-  async publish({ shopDomain, title, descriptionHtml, tags, imageUrls, publishImmediately, price, compareAtPrice, productType }) {
+  async publish({ shopDomain, title, descriptionHtml, tags, imageUrls, publishImmediately, price, compareAtPrice, productType, variants, colorImages, seo, handle, vendor, imageAlts, collectionIds, publicationIds }) {
     return retryWithBackoff(
       async () => {
-        // Refresh cache from Postgres before token lookup to catch tokens
-        // updated by OAuth callback (especially after reinstall)
-        if (typeof this.settingsRepository?.store?.refreshCacheFromDb === "function") {
-          try { await this.settingsRepository.store.refreshCacheFromDb(); } catch (_) { /* logged inside */ }
-        }
-
         // Fetch token inside retry loop so a refreshed token is used after 401 clears the stale one
-        const accessToken = this._getAccessToken(shopDomain);
-
-        if (!accessToken) {
-          const err = new Error(
-            "No Shopify access token for this store. Please re-install the app: visit /auth/reinstall?shop=" + shopDomain
-          );
-          err.status = 401;
-          throw err;
-        }
+        const accessToken = await this._requireAccessToken(shopDomain);
 
         let productId = null;
         let numericId = null;
 
         // ── Create product via GraphQL productCreate ──
-        const payload = await this._graphql(shopDomain, accessToken,
-          `mutation productCreate($input: ProductInput!) {
-            productCreate(input: $input) {
-              product {
-                id
-                handle
-                variants(first: 1) {
-                  edges { node { id } }
-                }
-              }
-              userErrors { field message }
-            }
-          }`,
-          {
-            input: {
-              title,
-              descriptionHtml,
-              status: publishImmediately ? "ACTIVE" : "DRAFT",
-              tags,
-              ...(productType ? { productType } : {}),
-            },
-          }
-        );
+        const category = await this._resolveCategoryId(shopDomain, accessToken, productType);
+        const input = {
+          title,
+          descriptionHtml,
+          status: publishImmediately ? "ACTIVE" : "DRAFT",
+          tags,
+          ...(productType ? { productType } : {}),
+          ...(category ? { category } : {}),
+          ...(vendor ? { vendor } : {}),
+          ...(handle ? { handle } : {}),
+          ...(seo?.title || seo?.description ? { seo: { title: seo.title || null, description: seo.description || null } } : {}),
+          ...(variants ? {
+            productOptions: variants.options.map((option) => ({
+              name: option.name,
+              values: option.values.map((name) => ({ name })),
+            })),
+          } : {}),
+        };
 
-        const userErrors = payload?.data?.productCreate?.userErrors || [];
+        let payload = await this._createProductGraphQL(shopDomain, accessToken, input);
+        let userErrors = payload?.data?.productCreate?.userErrors || [];
+        if (handle && userErrors.some((e) => (e.field || []).includes("handle"))) {
+          // Handle already taken by another product — keep it readable with a short suffix
+          input.handle = `${handle.slice(0, 94)}-${Math.random().toString(36).slice(2, 6)}`;
+          log.info({ handle, retryHandle: input.handle }, "Product handle in use, retrying with suffix");
+          payload = await this._createProductGraphQL(shopDomain, accessToken, input);
+          userErrors = payload?.data?.productCreate?.userErrors || [];
+        }
         if (userErrors.length > 0) {
           throw new Error(userErrors.map((e) => e.message).join("; ") || "productCreate failed");
         }
@@ -187,15 +214,77 @@ class ShopifyPublishService {
 
         productId = product.id;
         numericId = product.id.split("/").pop();
-        log.info({ productId }, "Product created via GraphQL");
+        log.info({ productId, handle: product.handle, category: category || null }, "Product created via GraphQL");
 
         // ── Attach images via GraphQL productCreateMedia ──
-        if (imageUrls && imageUrls.length > 0) {
-          const publicUrls = imageUrls.map(u => this._toPublicUrl(u)).filter(Boolean);
-          if (publicUrls.length > 0) {
-            log.info({ imageCount: publicUrls.length, productId, urls: publicUrls }, "Attaching images to product");
-            await this._attachImagesGraphQL(shopDomain, accessToken, productId, publicUrls);
+        // Color mockups are appended so they can be linked to their variants.
+        // Each path is resolved once: presigned URLs differ from call to call,
+        // and the maps below are keyed by the public URL.
+        const resolvedUrls = new Map();
+        const toPublicUrl = (u) => {
+          if (!resolvedUrls.has(u)) resolvedUrls.set(u, this._toPublicUrl(u));
+          return resolvedUrls.get(u);
+        };
+        const altByUrl = new Map();
+        (imageUrls || []).forEach((u, i) => {
+          const url = toPublicUrl(u);
+          if (url && imageAlts?.[i] && !altByUrl.has(url)) altByUrl.set(url, imageAlts[i]);
+        });
+        for (const [color, u] of Object.entries(colorImages || {})) {
+          const url = toPublicUrl(u);
+          if (url && !altByUrl.has(url)) altByUrl.set(url, imageAltText({ title, productType, kind: "color", detail: color }));
+        }
+        const colorImageUrls = Object.values(colorImages || {}).map(u => toPublicUrl(u)).filter(Boolean);
+        const publicUrls = [...new Set([...(imageUrls || []).map(u => toPublicUrl(u)).filter(Boolean), ...colorImageUrls])];
+        let createdMedia = [];
+        if (publicUrls.length > 0) {
+          log.info({ imageCount: publicUrls.length, productId, urls: publicUrls }, "Attaching images to product");
+          createdMedia = await this._attachImagesGraphQL(
+            shopDomain, accessToken, productId, publicUrls,
+            publicUrls.map((url) => altByUrl.get(url) || title)
+          );
+        }
+
+        // ── Multi-variant products: create every Size/Color variant ──
+        if (variants) {
+          // Not thrown: the product already exists, and a retry would duplicate it
+          let createdVariants = [];
+          let variantError = null;
+          try {
+            createdVariants = await this._createVariantsGraphQL(shopDomain, accessToken, productId, variants.variants);
+          } catch (variantErr) {
+            log.error({ err: variantErr.message, productId }, "Variant creation failed");
+            variantError = variantErr.message;
           }
+
+          // productCreateMedia returns media in input order, so index maps back to URL
+          const mediaIdByUrl = new Map(publicUrls.map((url, i) => [url, createdMedia[i]?.id]).filter(([, id]) => id));
+          const variantMedia = [];
+          for (const [color, url] of Object.entries(colorImages || {})) {
+            const mediaId = mediaIdByUrl.get(toPublicUrl(url));
+            if (!mediaId) continue;
+            for (const variant of createdVariants.filter((v) => v.color === color)) {
+              variantMedia.push({ variantId: variant.id, mediaIds: [mediaId] });
+            }
+          }
+          if (variantMedia.length > 0) {
+            try {
+              await this._appendVariantMediaGraphQL(shopDomain, accessToken, productId, variantMedia);
+            } catch (mediaErr) {
+              log.warn({ err: mediaErr.message }, "Linking color mockups to variants failed (non-fatal)");
+            }
+          }
+
+          const merchandising = await this._merchandiseProduct(shopDomain, accessToken, productId, { collectionIds, publicationIds });
+          const shopSubdomain = shopDomain.split(".")[0];
+          return {
+            productId,
+            adminUrl: `https://admin.shopify.com/store/${shopSubdomain}/products/${numericId}`,
+            handle: product.handle,
+            variants: createdVariants,
+            variantError,
+            ...merchandising,
+          };
         }
 
         // ── Set variant pricing via GraphQL ──
@@ -212,16 +301,405 @@ class ShopifyPublishService {
           }
         }
 
+        const merchandising = await this._merchandiseProduct(shopDomain, accessToken, productId, { collectionIds, publicationIds });
         const shopSubdomain = shopDomain.split(".")[0];
+        const defaultVariantId = product.variants?.edges?.[0]?.node?.id;
         return {
           productId,
           adminUrl: `https://admin.shopify.com/store/${shopSubdomain}/products/${numericId}`,
+          handle: product.handle,
+          variants: defaultVariantId ? [{ id: defaultVariantId, size: null, color: null, sku: null, price: price || null }] : [],
+          ...merchandising,
         };
       },
       { maxRetries: 2, baseDelayMs: 1000, label: "ShopifyPublish" }
     );
   }
 
+  async _createProductGraphQL(shopDomain, accessToken, input) {
+    return this._graphql(shopDomain, accessToken,
+      `mutation productCreate($input: ProductInput!) {
+        productCreate(input: $input) {
+          product {
+            id
+            handle
+            variants(first: 1) {
+              edges { node { id } }
+            }
+          }
+          userErrors { field message }
+        }
+      }`,
+      { input }
+    );
+  }
+
+  /**
+   * Standard product taxonomy category ID for one of our product types.
+   * Resolved by name through the taxonomy search and cached per process;
+   * returns null (category left unset) when there is no confident match.
+   */
+  async _resolveCategoryId(shopDomain, accessToken, productType) {
+    const mapping = categoryForProductType(productType);
+    if (!mapping) return null;
+    if (!this._categoryCache) this._categoryCache = new Map();
+    if (this._categoryCache.has(mapping.name)) return this._categoryCache.get(mapping.name);
+
+    try {
+      const payload = await this._graphql(shopDomain, accessToken,
+        `query taxonomyCategory($search: String!) {
+          taxonomy {
+            categories(search: $search, first: 10) {
+              nodes { id name fullName }
+            }
+          }
+        }`,
+        { search: mapping.name }
+      );
+      const nodes = payload?.data?.taxonomy?.categories?.nodes || [];
+      const inRoot = nodes.filter((n) => String(n.fullName || "").startsWith(mapping.root));
+      const match = inRoot.find((n) => n.name.toLowerCase() === mapping.name.toLowerCase()) || inRoot[0] || null;
+      this._categoryCache.set(mapping.name, match?.id || null);
+      if (match) log.info({ productType, category: match.fullName }, "Resolved product category");
+      return match?.id || null;
+    } catch (err) {
+      // Not cached, so the next publish tries again
+      log.warn({ productType, err: err?.message }, "Product category lookup failed (non-fatal)");
+      return null;
+    }
+  }
+
+  /**
+   * The shop's collections for the publish picker. Smart collections pick
+   * their products by rules, so only manual ones can be chosen.
+   * @returns {Promise<Array<{ id, title, handle, smart, productsCount }>>}
+   */
+  async listCollections({ shopDomain }) {
+    const accessToken = await this._requireAccessToken(shopDomain);
+    const collections = [];
+    let after = null;
+    do {
+      const payload = await this._graphql(shopDomain, accessToken,
+        `query collections($after: String) {
+          collections(first: 250, after: $after, sortKey: TITLE) {
+            nodes { id title handle ruleSet { appliedDisjunctively } productsCount { count } }
+            pageInfo { hasNextPage endCursor }
+          }
+        }`,
+        { after }
+      );
+      const page = payload?.data?.collections;
+      for (const node of page?.nodes || []) {
+        collections.push({
+          id: node.id,
+          title: node.title,
+          handle: node.handle,
+          smart: Boolean(node.ruleSet),
+          productsCount: node.productsCount?.count ?? null,
+        });
+      }
+      after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after && collections.length < 1000);
+    return collections;
+  }
+
+  /**
+   * Sales channels (publications) the app can publish products to.
+   * @returns {Promise<Array<{ id, name }>>}
+   */
+  async listPublications({ shopDomain }) {
+    const accessToken = await this._requireAccessToken(shopDomain);
+    const payload = await this._graphql(shopDomain, accessToken,
+      `query publications {
+        publications(first: 50) {
+          nodes { id name }
+        }
+      }`
+    );
+    return (payload?.data?.publications?.nodes || []).map((node) => ({ id: node.id, name: node.name }));
+  }
+
+  /**
+   * Add a new product to collections (collectionAddProducts) and sales
+   * channels (publishablePublish). Each id is tried on its own and reported
+   * as { id, ok, error } so one bad id doesn't undo the publish.
+   */
+  async _merchandiseProduct(shopDomain, accessToken, productGid, { collectionIds = [], publicationIds = [] } = {}) {
+    const collections = [];
+    for (const id of collectionIds || []) {
+      try {
+        const payload = await this._graphql(shopDomain, accessToken,
+          `mutation collectionAddProducts($id: ID!, $productIds: [ID!]!) {
+            collectionAddProducts(id: $id, productIds: $productIds) {
+              collection { id }
+              userErrors { field message }
+            }
+          }`,
+          { id, productIds: [productGid] }
+        );
+        const userErrors = payload?.data?.collectionAddProducts?.userErrors || [];
+        if (userErrors.length > 0) throw new Error(userErrors.map((e) => e.message).join("; "));
+        collections.push({ id, ok: true, error: null });
+      } catch (err) {
+        log.warn({ productGid, collectionId: id, err: err?.message }, "Adding product to collection failed (non-fatal)");
+        collections.push({ id, ok: false, error: err?.message || "collectionAddProducts failed" });
+      }
+    }
+
+    let publications = [];
+    if (publicationIds?.length > 0) {
+      try {
+        const payload = await this._graphql(shopDomain, accessToken,
+          `mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+            publishablePublish(id: $id, input: $input) {
+              userErrors { field message }
+            }
+          }`,
+          { id: productGid, input: publicationIds.map((publicationId) => ({ publicationId })) }
+        );
+        const userErrors = payload?.data?.publishablePublish?.userErrors || [];
+        if (userErrors.length > 0) throw new Error(userErrors.map((e) => e.message).join("; "));
+        publications = publicationIds.map((id) => ({ id, ok: true, error: null }));
+      } catch (err) {
+        log.warn({ productGid, publicationIds, err: err?.message }, "Publishing product to sales channels failed (non-fatal)");
+        publications = publicationIds.map((id) => ({ id, ok: false, error: err?.message || "publishablePublish failed" }));
+      }
+    }
+
+    if (collections.length > 0 || publications.length > 0) {
+      log.info({
+        productGid,
+        collections: collections.filter((c) => c.ok).length,
+        publications: publications.filter((p) => p.ok).length,
+      }, "Product merchandised");
+    }
+    return { collections, publications };
+  }
+
+  /**
+   * Load the current listing of a published product (for the edit form).
+   * @returns {Promise<Object|null>} null when the product no longer exists
+   */
+  async getProduct({ shopDomain, productId }) {
+    const accessToken = await this._requireAccessToken(shopDomain);
+    const payload = await this._graphql(shopDomain, accessToken,
+      `query product($id: ID!) {
+        product(id: $id) {
+          id title descriptionHtml tags status
+          variants(first: 100) { nodes { id price compareAtPrice sku selectedOptions { name value } } }
+          media(first: 50) { nodes { id alt status preview { image { url } } } }
+        }
+      }`,
+      { id: productId }
+    );
+
+    const product = payload?.data?.product;
+    if (!product) return null;
+    return {
+      productId: product.id,
+      title: product.title,
+      descriptionHtml: product.descriptionHtml,
+      tags: product.tags || [],
+      status: product.status,
+      variants: (product.variants?.nodes || []).map((node) => {
+        const option = (name) => node.selectedOptions?.find((o) => o.name === name)?.value || null;
+        return { id: node.id, size: option("Size"), color: option("Color"), sku: node.sku, price: node.price, compareAtPrice: node.compareAtPrice };
+      }),
+      media: (product.media?.nodes || []).map((node) => ({
+        id: node.id,
+        alt: node.alt,
+        status: node.status,
+        url: node.preview?.image?.url || null,
+      })),
+    };
+  }
+
+  /**
+   * Push edits to an already-published product.
+   *
+   *  1. productUpdate for title, description, tags and status.
+   *  2. productVariantsBulkUpdate for per-variant prices.
+   *  3. productDeleteMedia / productCreateMedia for removed and added images.
+   *
+   * Only the fields that are present are changed.
+   * @param {Object[]} [variantPrices] - [{ id, price, compareAtPrice }]
+   * @param {string[]} [removeMediaIds]
+   * @param {string[]} [addImageUrls]
+   * @param {string[]} [addImageAlts] - alt text for each of addImageUrls
+   */
+  async updateProduct({ shopDomain, productId, title, descriptionHtml, tags, status, variantPrices, removeMediaIds, addImageUrls, addImageAlts }) {
+    const accessToken = await this._requireAccessToken(shopDomain);
+
+    // Only the idempotent mutations are retried; re-running them after a
+    // partial success leaves the product in the same state
+    await retryWithBackoff(
+      async () => {
+        const input = {
+          id: productId,
+          ...(title !== undefined ? { title } : {}),
+          ...(descriptionHtml !== undefined ? { descriptionHtml } : {}),
+          ...(tags !== undefined ? { tags } : {}),
+          ...(status !== undefined ? { status } : {}),
+        };
+        if (Object.keys(input).length > 1) {
+          const payload = await this._graphql(shopDomain, accessToken,
+            `mutation productUpdate($input: ProductInput!) {
+              productUpdate(input: $input) {
+                product { id }
+                userErrors { field message }
+              }
+            }`,
+            { input }
+          );
+          const userErrors = payload?.data?.productUpdate?.userErrors || [];
+          if (userErrors.length > 0) {
+            throw new Error(userErrors.map((e) => e.message).join("; ") || "productUpdate failed");
+          }
+          log.info({ productId, fields: Object.keys(input).filter((k) => k !== "id") }, "Product updated via GraphQL");
+        }
+
+        if (variantPrices && variantPrices.length > 0) {
+          await this._updateVariantPricesGraphQL(shopDomain, accessToken, productId, variantPrices);
+        }
+
+        if (removeMediaIds && removeMediaIds.length > 0) {
+          const payload = await this._graphql(shopDomain, accessToken,
+            `mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+              productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+                deletedMediaIds
+                mediaUserErrors { field message code }
+              }
+            }`,
+            { productId, mediaIds: removeMediaIds }
+          );
+          // Media that is already gone (removed in Shopify, or by an attempt
+          // whose response was lost) counts as removed
+          const userErrors = (payload?.data?.productDeleteMedia?.mediaUserErrors || [])
+            .filter((e) => e.code !== "MEDIA_DOES_NOT_EXIST");
+          if (userErrors.length > 0) {
+            throw new Error(userErrors.map((e) => e.message).join("; "));
+          }
+          log.info({ productId, removed: removeMediaIds.length }, "Product media removed");
+        }
+      },
+      { maxRetries: 2, baseDelayMs: 1000, label: "ShopifyUpdate" }
+    );
+
+    // Media creation is not idempotent, so it runs once, outside the retry
+    if (addImageUrls && addImageUrls.length > 0) {
+      const images = addImageUrls
+        .map((u, i) => ({ url: this._toPublicUrl(u), alt: addImageAlts?.[i] || title }))
+        .filter((image) => image.url);
+      if (images.length > 0) {
+        await this._attachImagesGraphQL(shopDomain, accessToken, productId, images.map((i) => i.url), images.map((i) => i.alt));
+      }
+    }
+
+    return this.getProduct({ shopDomain, productId });
+  }
+
+  /**
+   * Register translated listing copy on a product via translationsRegister.
+   *
+   * Each translated field needs the digest of the source content it
+   * translates, so the product's translatable content is read first. A
+   * locale must be added under the store's languages before Shopify accepts
+   * it; locales are registered one at a time so one failure does not block
+   * the others.
+   *
+   * @param {Object[]} translations - [{ locale, title, descriptionHtml, seoTitle, seoDescription }]
+   * @returns {Promise<Object[]>} [{ locale, ok, keys, error }]
+   */
+  async registerTranslations({ shopDomain, productId, translations }) {
+    const accessToken = await this._requireAccessToken(shopDomain);
+    const payload = await this._graphql(shopDomain, accessToken,
+      `query translatable($id: ID!) {
+        shopLocales { locale published }
+        translatableResource(resourceId: $id) {
+          translatableContent { key digest }
+        }
+      }`,
+      { id: productId }
+    );
+
+    const shopLocales = (payload?.data?.shopLocales || []).map((l) => String(l.locale).toLowerCase());
+    const digests = Object.fromEntries(
+      (payload?.data?.translatableResource?.translatableContent || []).map((c) => [c.key, c.digest])
+    );
+    const fieldsByKey = { title: "title", body_html: "descriptionHtml", meta_title: "seoTitle", meta_description: "seoDescription" };
+
+    const results = [];
+    for (const translation of translations) {
+      const locale = translation.locale;
+      if (!shopLocales.includes(String(locale).toLowerCase())) {
+        results.push({ locale, ok: false, keys: [], error: `${locale} is not one of this store's languages. Add it under Settings → Languages.` });
+        continue;
+      }
+
+      const inputs = Object.entries(fieldsByKey)
+        .filter(([key, field]) => digests[key] && translation[field])
+        .map(([key, field]) => ({ locale, key, value: translation[field], translatableContentDigest: digests[key] }));
+      if (inputs.length === 0) {
+        results.push({ locale, ok: false, keys: [], error: "Nothing to translate" });
+        continue;
+      }
+
+      try {
+        const result = await retryWithBackoff(
+          () => this._graphql(shopDomain, accessToken,
+            `mutation translationsRegister($resourceId: ID!, $translations: [TranslationInput!]!) {
+              translationsRegister(resourceId: $resourceId, translations: $translations) {
+                translations { key locale }
+                userErrors { field message }
+              }
+            }`,
+            { resourceId: productId, translations: inputs }
+          ),
+          { maxRetries: 2, baseDelayMs: 1000, label: "ShopifyTranslations" }
+        );
+        const userErrors = result?.data?.translationsRegister?.userErrors || [];
+        if (userErrors.length > 0) {
+          throw new Error(userErrors.map((e) => e.message).join("; "));
+        }
+        log.info({ productId, locale, keys: inputs.map((i) => i.key) }, "Product translations registered");
+        results.push({ locale, ok: true, keys: inputs.map((i) => i.key), error: null });
+      } catch (err) {
+        if (err?.status === 401) throw err;
+        log.warn({ productId, locale, err: err?.message }, "Product translation failed");
+        results.push({ locale, ok: false, keys: [], error: err?.message || "translationsRegister failed" });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Set prices on several variants at once via productVariantsBulkUpdate.
+   */
+  async _updateVariantPricesGraphQL(shopDomain, accessToken, productGid, variantPrices) {
+    const payload = await this._graphql(shopDomain, accessToken,
+      `mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants { id price compareAtPrice }
+          userErrors { field message }
+        }
+      }`,
+      {
+        productId: productGid,
+        variants: variantPrices.map((variant) => ({
+          id: variant.id,
+          price: variant.price,
+          compareAtPrice: variant.compareAtPrice || null,
+        })),
+      }
+    );
+
+    const userErrors = payload?.data?.productVariantsBulkUpdate?.userErrors || [];
+    if (userErrors.length > 0) {
+      throw new Error(userErrors.map((e) => e.message).join("; "));
+    }
+    log.info({ productGid, variantCount: variantPrices.length }, "Variant prices updated via GraphQL");
+  }
+
   /**
    * Set variant pricing via GraphQL productVariantsBulkUpdate.
    */
@@ -251,15 +729,94 @@ class ShopifyPublishService {
     log.info({ variantGid, price, compareAtPrice: compareAtPrice || "none" }, "Variant pricing set via GraphQL");
   }
 
+  /**
+   * Create all variants of a Size/Color product via productVariantsBulkCreate.
+   * REMOVE_STANDALONE_VARIANT drops the default variant productCreate made.
+   * @returns {Promise<Array<{ id, size, color, sku, price }>>}
+   */
+  async _createVariantsGraphQL(shopDomain, accessToken, productGid, variants) {
+    const payload = await this._graphql(shopDomain, accessToken,
+      `mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!, $strategy: ProductVariantsBulkCreateStrategy) {
+        productVariantsBulkCreate(productId: $productId, variants: $variants, strategy: $strategy) {
+          productVariants { id sku price selectedOptions { name value } }
+          userErrors { field message }
+        }
+      }`,
+      {
+        productId: productGid,
+        strategy: "REMOVE_STANDALONE_VARIANT",
+        variants: variants.map((variant) => ({
+          optionValues: [
+            { optionName: "Size", name: variant.size },
+            { optionName: "Color", name: variant.color },
+          ],
+          ...(variant.price ? { price: variant.price } : {}),
+          ...(variant.compareAtPrice ? { compareAtPrice: variant.compareAtPrice } : {}),
+          inventoryItem: { sku: variant.sku },
+        })),
+      }
+    );
+
+    const userErrors = payload?.data?.productVariantsBulkCreate?.userErrors || [];
+    if (userErrors.length > 0) {
+      throw new Error(userErrors.map((e) => e.message).join("; ") || "productVariantsBulkCreate failed");
+    }
+
+    const created = (payload?.data?.productVariantsBulkCreate?.productVariants || []).map((node) => {
+      const option = (name) => node.selectedOptions?.find((o) => o.name === name)?.value || null;
+      return { id: node.id, size: option("Size"), color: option("Color"), sku: node.sku, price: node.price };
+    });
+    log.info({ productGid, variantCount: created.length }, "Variants created via GraphQL");
+    return created;
+  }
+
+  /**
+   * Link product media to variants via productVariantAppendMedia.
+   * Shopify only links media that has finished processing, so wait until
+   * the product's media is READY first.
+   */
+  async _appendVariantMediaGraphQL(shopDomain, accessToken, productGid, variantMedia) {
+    const deadline = Date.now() + 30000;
+    while (Date.now() < deadline) {
+      const payload = await this._graphql(shopDomain, accessToken,
+        `query productMedia($id: ID!) {
+          product(id: $id) { media(first: 50) { nodes { id status } } }
+        }`,
+        { id: productGid }
+      );
+      const nodes = payload?.data?.product?.media?.nodes || [];
+      if (nodes.some((m) => m.status === "FAILED")) break;
+      if (nodes.every((m) => m.status === "READY")) break;
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+
+    const payload = await this._graphql(shopDomain, accessToken,
+      `mutation productVariantAppendMedia($productId: ID!, $variantMedia: [ProductVariantAppendMediaInput!]!) {
+        productVariantAppendMedia(productId: $productId, variantMedia: $variantMedia) {
+          productVariants { id }
+          userErrors { field message }
+        }
+      }`,
+      { productId: productGid, variantMedia }
+    );
+
+    const userErrors = payload?.data?.productVariantAppendMedia?.userErrors || [];
+    if (userErrors.length > 0) {
+      throw new Error(userErrors.map((e) => e.message).join("; "));
+    }
+    log.info({ productGid, linked: variantMedia.length }, "Color mockups linked to variants");
+  }
+
   /**
    * Attach images to a product via GraphQL productCreateMedia.
+   * @returns {Promise<Array<{ id, status }>>} created media in input order (empty on failure)
    */
-  async _attachImagesGraphQL(shopDomain, accessToken, productGid, imageUrls) {
+  async _attachImagesGraphQL(shopDomain, accessToken, productGid, imageUrls, altTexts = []) {
     try {
-      const media = imageUrls.map((url) => ({
+      const media = imageUrls.map((url, i) => ({
         originalSource: url,
         mediaContentType: "IMAGE",
-        alt: "Product image",
+        alt: String(altTexts[i] || "Product image").slice(0, 512),
       }));
 
       const payload = await this._graphql(shopDomain, accessToken,
@@ -275,15 +832,15 @@ class ShopifyPublishService {
       const userErrors = payload?.data?.productCreateMedia?.mediaUserErrors || [];
       if (userErrors.length > 0) {
         log.warn({ userErrors }, "GraphQL productCreateMedia errors");
-        return false;
+        return [];
       }
 
       const createdMedia = payload?.data?.productCreateMedia?.media || [];
       log.info({ mediaCount: createdMedia.length, productGid }, "GraphQL media attached to product");
-      return createdMedia.length > 0;
+      return createdMedia;
     } catch (err) {
       log.warn({ err: err.message }, "GraphQL productCreateMedia failed");
-      return false;
+      return [];
     }
   }
 }
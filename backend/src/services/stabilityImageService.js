@@ -1,6 +1,3 @@
-const { randomUUID } = require("crypto");
-const fs = require("fs");
-const path = require("path");
 const log = require("../utils/logger");
 
 /**
@@ -15,9 +12,8 @@ const log = require("../utils/logger");
  * Cost: ~$0.003–$0.006 per image vs ~$0.04–$0.08 with OpenAI
  */
 class StabilityImageService {
-  constructor(uploadsDir) {
-    this.uploadsDir =
-      uploadsDir || path.join(__dirname, "..", "..", "data", "uploads");
+  constructor(imageStore) {
+    this.imageStore = imageStore;
   }
 
   /**
@@ -28,58 +24,6 @@ class StabilityImageService {
     return k.length > 10;
   }
 
-  /**
-   * Save raw image bytes to disk and return a /uploads/ path.
-   */
-  _saveToDisk(buffer, ext = "png") {
-    if (!fs.existsSync(this.uploadsDir)) {
-      fs.mkdirSync(this.uploadsDir, { recursive: true });
-    }
-    const filename = `${randomUUID()}.${ext}`;
-    const filePath = path.join(this.uploadsDir, filename);
-    fs.writeFileSync(filePath, buffer);
-    log.info({ sizeKB: (buffer.length / 1024).toFixed(0), filename }, "Stability image saved");
-    return `/uploads/${filename}`;
-  }
-
-  /**
-   * Load an image (local path, data URI, or remote URL) and return a Buffer.
-   */
-  async _loadImageBuffer(imageRef) {
-    if (!imageRef) return null;
-
-    // Data URI
-    if (String(imageRef).startsWith("data:")) {
-      const match = imageRef.match(/^data:image\/\w+;base64,(.+)$/);
-      if (match) return Buffer.from(match[1], "base64");
-      return null;
-    }
-
-    // Local /uploads/ path
-    if (String(imageRef).startsWith("/uploads/")) {
-      const localPath = path.join(
-        this.uploadsDir,
-        path.basename(imageRef)
-      );
-      if (fs.existsSync(localPath)) {
-        return fs.readFileSync(localPath);
-      }
-      return null;
-    }
-
-    // Remote URL
-    if (
-      String(imageRef).startsWith("http://") ||
-      String(imageRef).startsWith("https://")
-    ) {
-      const resp = await fetch(imageRef);
-      if (!resp.ok) return null;
-      return Buffer.from(await resp.arrayBuffer());
-    }
-
-    return null;
-  }
-
   /**
    * Generate a single product-in-scene image using Stability AI.
    *
@@ -91,20 +35,22 @@ class StabilityImageService {
    * @param {string} opts.productImageRef - URL/path/data-URI of the product image
    * @param {string} opts.scenePrompt - Description of the scene to place the product in
    * @param {number} [opts.strength=0.55] - How much creative freedom (0=exact copy, 1=full reimagine)
-   * @returns {string|null} Local /uploads/ path or null on failure
+   * @param {string} [opts.shopDomain] - Owner shop, used when saving to the database
+   * @returns {string|null} /images/ or /uploads/ path, or null on failure
    */
   async generateSceneImage({
     stabilityApiKey,
     productImageRef,
     scenePrompt,
     strength = 0.55,
+    shopDomain,
   }) {
     if (!this.isUsableKey(stabilityApiKey)) {
       log.warn({}, "Stability API key missing or invalid");
       return null;
     }
 
-    const imageBuffer = await this._loadImageBuffer(productImageRef);
+    const imageBuffer = await this.imageStore.resolveToBuffer(productImageRef);
     if (!imageBuffer) {
       log.warn({}, "Stability could not load product image for scene generation");
       return null;
@@ -116,6 +62,7 @@ class StabilityImageService {
       imageBuffer,
       scenePrompt,
       strength,
+      shopDomain,
     });
 
     if (result) return result;
@@ -126,11 +73,63 @@ class StabilityImageService {
       imageBuffer,
       scenePrompt,
       strength,
+      shopDomain,
     });
 
     return sdxlResult;
   }
 
+  /**
+   * Upscale an image 4× with Stability's fast upscaler (inputs up to about
+   * one megapixel, so 1024×1024 artwork becomes 4096×4096).
+   *
+   * @param {Object} opts
+   * @param {string} opts.stabilityApiKey - Stability AI API key
+   * @param {string} opts.imageRef - URL/path/data-URI of the image
+   * @param {string} [opts.shopDomain] - Owner shop, used when saving to the database
+   * @returns {string|null} /images/ or /uploads/ path, or null on failure
+   */
+  async upscaleImage({ stabilityApiKey, imageRef, shopDomain }) {
+    if (!this.isUsableKey(stabilityApiKey)) {
+      log.warn({}, "Stability API key missing or invalid");
+      return null;
+    }
+
+    const imageBuffer = await this.imageStore.resolveToBuffer(imageRef);
+    if (!imageBuffer) {
+      log.warn({}, "Stability could not load image for upscaling");
+      return null;
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append("image", new Blob([imageBuffer], { type: "image/png" }), "artwork.png");
+      formData.append("output_format", "png");
+
+      log.info({ sizeKB: (imageBuffer.length / 1024).toFixed(0) }, "Stability fast upscale request");
+
+      const response = await fetch("https://api.stability.ai/v2beta/stable-image/upscale/fast", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${stabilityApiKey}`,
+          Accept: "image/*",
+        },
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const errText = await response.text().catch(() => "");
+        log.warn({ status: response.status, errText: errText.slice(0, 200) }, "Stability fast upscale failed");
+        return null;
+      }
+
+      return await this.imageStore.put({ shopDomain, data: Buffer.from(await response.arrayBuffer()) });
+    } catch (err) {
+      log.warn({ err: err?.message }, "Stability fast upscale exception");
+      return null;
+    }
+  }
+
   /**
    * Stable Image Ultra image-to-image via Stability's v2beta API.
    * (Replaces deprecated sd3 endpoint)
@@ -140,6 +139,7 @@ class StabilityImageService {
     imageBuffer,
     scenePrompt,
     strength,
+    shopDomain,
   }) {
     try {
       const formData = new FormData();
@@ -175,7 +175,7 @@ class StabilityImageService {
         return null;
       }
 
-      return this._saveToDisk(buffer, "png");
+      return await this.imageStore.put({ shopDomain, data: buffer });
     } catch (err) {
       log.warn({ err: err?.message }, "Stability Ultra img2img exception");
       return null;
@@ -191,6 +191,7 @@ class StabilityImageService {
     imageBuffer,
     scenePrompt,
     strength,
+    shopDomain,
   }) {
     try {
       const formData = new FormData();
@@ -227,7 +228,7 @@ class StabilityImageService {
         return null;
       }
 
-      return this._saveToDisk(buffer, "png");
+      return await this.imageStore.put({ shopDomain, data: buffer });
     } catch (err) {
       log.warn({ err: err?.message }, "Stability Core img2img exception");
       return null;
@@ -243,6 +244,8 @@ class StabilityImageService {
    * @param {string} opts.productType - e.g. "mug", "t-shirt"
    * @param {string[]} [opts.scenePrompts] - Custom prompts; defaults generated if omitted
    * @param {number} [opts.strength=0.55]
+   * @param {string} [opts.shopDomain] - Owner shop, used when saving to the database
+   * @param {Function} [opts.onScene] - Called after each scene with { index, total, ok }
    * @returns {{ imageUrls: string[], provider: string, providerMessage: string }}
    */
   async generateProductImages({
@@ -251,6 +254,8 @@ class StabilityImageService {
     productType,
     scenePrompts,
     strength = 0.55,
+    shopDomain,
+    onScene,
   }) {
     const defaultPrompts = [
       `Professional product photography of this ${productType} on a marble kitchen counter with soft morning sunlight streaming through a window. The ${productType} design is exactly preserved. Clean, bright, lifestyle photography style.`,
@@ -266,13 +271,17 @@ class StabilityImageService {
     const results = [];
     let successCount = 0;
 
-    for (const prompt of prompts) {
+    for (const [index, prompt] of prompts.entries()) {
       const imageUrl = await this.generateSceneImage({
         stabilityApiKey,
         productImageRef,
         scenePrompt: prompt,
         strength,
+        shopDomain,
       });
+      if (typeof onScene === "function") {
+        onScene({ index: index + 1, total: prompts.length, ok: Boolean(imageUrl) });
+      }
 
       if (imageUrl) {
         results.push(imageUrl);
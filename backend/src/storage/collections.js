@@ -0,0 +1,92 @@
+/**
+ * Collections kept by the stores and, for PostgresStore, the table behind
+ * each one. A record is stored whole in the table's JSONB `data` column; the
+ * fields listed in `columns` are copied to their own indexed columns so
+ * lookups by key, shop, design or status don't scan the JSON. `key` is the
+ * field that identifies a record (the table's primary key).
+ *
+ * Only fields listed in `columns` can be used in find()/remove() filters.
+ *
+ * Every stored record carries a `version` number: 1 on insert, +1 on each
+ * put()/update(). update() can compare-and-swap on it (`expectedVersion`) so
+ * a request working from a stale copy gets a conflict instead of silently
+ * overwriting a newer change. Records written before versioning count as 0.
+ * Adding a collection or column here needs a matching migration in
+ * storage/migrations/.
+ */
+const COLLECTIONS = {
+  designs: {
+    table: "designs",
+    key: "id",
+    columns: { id: "id", shopDomain: "shop_domain" },
+  },
+  assets: {
+    table: "assets",
+    key: "id",
+    columns: { id: "id", shopDomain: "shop_domain", designId: "design_id", type: "type" },
+  },
+  products: {
+    table: "products",
+    key: "designId",
+    columns: { designId: "design_id", shopDomain: "shop_domain" },
+  },
+  settings: {
+    table: "shop_settings",
+    key: "shopDomain",
+    columns: { shopDomain: "shop_domain" },
+  },
+  members: {
+    table: "members",
+    key: "id",
+    columns: { id: "id", shopDomain: "shop_domain", email: "email", authToken: "auth_token" },
+  },
+  jobs: {
+    table: "jobs",
+    key: "id",
+    columns: { id: "id", shopDomain: "shop_domain", designId: "design_id", type: "type", status: "status" },
+  },
+  batches: {
+    table: "batches",
+    key: "id",
+    columns: { id: "id", shopDomain: "shop_domain" },
+  },
+};
+
+function getCollection(name) {
+  const collection = COLLECTIONS[name];
+  if (!collection) throw new Error(`Unknown collection: ${name}`);
+  return collection;
+}
+
+/** Whether a record matches a filter: { field: value } or { field: [values] } (any of). */
+function matchesFilter(record, where = {}) {
+  return Object.entries(where).every(([field, expected]) => {
+    const actual = record[field] ?? null;
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+}
+
+/**
+ * Error for a failed compare-and-swap: the record is no longer at the
+ * version the caller read. `status` is 409; `current` is the stored record.
+ */
+function versionConflict(collection, current) {
+  const err = new Error(`The ${collection} record was changed by another request (now version ${current.version || 0})`);
+  err.status = 409;
+  err.code = "VERSION_CONFLICT";
+  err.current = current;
+  return err;
+}
+
+/** Check `expectedVersion` (when given) against the stored record; throws versionConflict on a mismatch. */
+function assertVersion(collection, current, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null) return;
+  if ((current.version || 0) !== Number(expectedVersion)) throw versionConflict(collection, current);
+}
+
+module.exports = {
+  COLLECTIONS,
+  getCollection,
+  matchesFilter,
+  assertVersion,
+};
@@ -0,0 +1,43 @@
+const UUID_PATH = /^\/images\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * Postgres `images` table (BYTEA rows), served by the app at /images/<uuid>.
+ * No signed URLs: outside services fetch these through the app's own host.
+ */
+class DatabaseImageBackend {
+  constructor(store) {
+    this.store = store;
+    this.id = "database";
+    this.requiresShop = true;
+  }
+
+  owns(ref) {
+    return UUID_PATH.test(ref);
+  }
+
+  async save({ id, shopDomain, data, mimeType }) {
+    await this.store.saveImage({ id, shopDomain, data, mimeType });
+    return `/images/${id}`;
+  }
+
+  async load(ref) {
+    const image = await this.store.getImage(ref.match(UUID_PATH)[1]);
+    return image ? { data: Buffer.from(image.data), mimeType: image.mimeType, shopDomain: image.shopDomain } : null;
+  }
+
+  signedUrl() {
+    return null;
+  }
+
+  async remove(ref) {
+    return this.store.deleteImage(ref.match(UUID_PATH)[1]);
+  }
+
+  async removeShop(shopDomain) {
+    return this.store.deleteShopImages(shopDomain);
+  }
+}
+
+module.exports = {
+  DatabaseImageBackend,
+};
@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIME_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp", ".gif": "image/gif" };
+
+/**
+ * Files in the uploads directory, served statically at /uploads/<file>.
+ * Local development only in practice: the directory is ephemeral on most
+ * hosts and utils/uploadsCleaner.js deletes files after MAX_UPLOAD_AGE_DAYS.
+ * Files are not tagged with a shop, so shop deletion goes ref by ref.
+ */
+class DiskImageBackend {
+  constructor(uploadsDir) {
+    this.uploadsDir = uploadsDir;
+    this.id = "disk";
+    this.requiresShop = false;
+  }
+
+  owns(ref) {
+    return ref.startsWith("/uploads/");
+  }
+
+  _path(ref) {
+    return path.join(this.uploadsDir, path.basename(ref));
+  }
+
+  async save({ id, data, ext }) {
+    if (!fs.existsSync(this.uploadsDir)) fs.mkdirSync(this.uploadsDir, { recursive: true });
+    const filename = `${id}.${ext}`;
+    const filePath = path.join(this.uploadsDir, filename);
+    if (fs.existsSync(filePath)) {
+      // Same content saved again: restart its clock for the uploads cleaner
+      const now = new Date();
+      fs.utimesSync(filePath, now, now);
+    } else {
+      fs.writeFileSync(filePath, data);
+    }
+    return `/uploads/${filename}`;
+  }
+
+  async load(ref) {
+    const filePath = this._path(ref);
+    if (!fs.existsSync(filePath)) return null;
+    return {
+      data: fs.readFileSync(filePath),
+      mimeType: MIME_TYPES[path.extname(filePath).toLowerCase()] || "image/png",
+    };
+  }
+
+  signedUrl() {
+    return null;
+  }
+
+  async remove(ref) {
+    try {
+      fs.unlinkSync(this._path(ref));
+      return true;
+    } catch (_) {
+      return false; // already deleted
+    }
+  }
+}
+
+module.exports = {
+  DiskImageBackend,
+};
@@ -0,0 +1,27 @@
+const { ImageStore } = require("../imageStore");
+const { S3Client } = require("../s3Client");
+const { S3ImageBackend } = require("./s3Backend");
+const { DatabaseImageBackend } = require("./databaseBackend");
+const { DiskImageBackend } = require("./diskBackend");
+
+/**
+ * Image store for this deployment. New images go to the S3 bucket when
+ * config.storage.s3 has a bucket, else to the Postgres images table when the
+ * data store has one, else to the uploads directory. The other backends stay
+ * registered so existing /images/ and /uploads/ paths still resolve.
+ */
+function createImageStore({ config, store, uploadsDir }) {
+  const s3Config = config?.storage?.s3 || {};
+  const disk = new DiskImageBackend(uploadsDir);
+  const database = store?.saveImage ? new DatabaseImageBackend(store) : null;
+  const s3 = s3Config.bucket
+    ? new S3ImageBackend(new S3Client(s3Config), { prefix: s3Config.prefix, signedUrlSeconds: s3Config.signedUrlSeconds })
+    : null;
+
+  const backends = [s3, database, disk].filter(Boolean);
+  return new ImageStore({ writer: backends[0], backends, maxBytes: config?.storage?.maxImageBytes });
+}
+
+module.exports = {
+  createImageStore,
+};
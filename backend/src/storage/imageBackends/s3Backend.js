@@ -0,0 +1,75 @@
+const S3_PATH = /^\/images\/([a-z0-9][a-z0-9.-]*)\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.[a-z]{3,4})$/;
+const SHARED_FOLDER = "shared";
+
+/** Shop domains become key folders, e.g. "my-shop.myshopify.com/<uuid>.png". */
+function shopFolder(shopDomain) {
+  const folder = String(shopDomain || "").toLowerCase().replace(/[^a-z0-9.-]/g, "-").replace(/^[^a-z0-9]+/, "");
+  return folder || SHARED_FOLDER;
+}
+
+/**
+ * S3-compatible bucket. Objects are stored under `<prefix><shop>/<uuid>.<ext>`
+ * and served by the app at /images/<shop>/<uuid>.<ext>, or handed to outside
+ * services as presigned GET URLs so they fetch straight from the bucket.
+ */
+class S3ImageBackend {
+  /**
+   * @param {import("../s3Client").S3Client} client
+   * @param {Object} [opts]
+   * @param {string} [opts.prefix] - key prefix inside the bucket, e.g. "images/"
+   * @param {number} [opts.signedUrlSeconds] - lifetime of presigned URLs
+   */
+  constructor(client, { prefix = "", signedUrlSeconds = 24 * 60 * 60 } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+    this.signedUrlSeconds = signedUrlSeconds;
+    this.id = "s3";
+    this.requiresShop = false;
+  }
+
+  owns(ref) {
+    return S3_PATH.test(ref);
+  }
+
+  _key(ref) {
+    const [, folder, filename] = ref.match(S3_PATH);
+    return `${this.prefix}${folder}/${filename}`;
+  }
+
+  async save({ id, shopDomain, data, mimeType, ext }) {
+    const ref = `/images/${shopFolder(shopDomain)}/${id}.${ext}`;
+    const key = this._key(ref);
+    if (!(await this.client.hasObject(key))) {
+      await this.client.putObject(key, data, mimeType);
+    }
+    return ref;
+  }
+
+  async load(ref) {
+    const object = await this.client.getObject(this._key(ref));
+    return object ? { data: object.data, mimeType: object.contentType, shopDomain: ref.match(S3_PATH)[1] } : null;
+  }
+
+  signedUrl(ref) {
+    return this.client.presignGetUrl(this._key(ref), this.signedUrlSeconds);
+  }
+
+  async remove(ref) {
+    await this.client.deleteObject(this._key(ref));
+    return true;
+  }
+
+  async removeShop(shopDomain) {
+    const folder = shopFolder(shopDomain);
+    if (folder === SHARED_FOLDER) return 0;
+    const keys = await this.client.listKeys(`${this.prefix}${folder}/`);
+    for (const key of keys) {
+      await this.client.deleteObject(key);
+    }
+    return keys.length;
+  }
+}
+
+module.exports = {
+  S3ImageBackend,
+};
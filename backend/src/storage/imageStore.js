@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const log = require("../utils/logger");
+
+/**
+ * ImageStore — the one place images are saved and read back. Everything
+ * else refers to an image by a ref: the app path stored on designs and
+ * assets ("/images/…", "/uploads/…"), a data: URI or a remote http(s) URL.
+ *
+ *   put({ shopDomain, data })  → app path of the stored image
+ *   get(ref)                   → { data, mimeType } for a stored image, or null
+ *   resolveToBuffer(ref)       → bytes of any ref (stored, data: URI, http), or null
+ *   toPublicUrl(ref)           → URL an outside service can fetch, or null
+ *   delete(ref) / deleteShop(shopDomain)
+ *
+ * put() sniffs the bytes (PNG, JPEG, WebP or GIF only; the declared type is
+ * not trusted), enforces maxBytes and dedupes: the id is derived from the
+ * shop and the content, so saving the same image twice returns the same path
+ * and stores it once.
+ *
+ * New images go to one writer backend; reads, signed URLs and deletes go to
+ * whichever backend owns the path, so images saved before a backend change
+ * keep working.
+ *
+ * A backend is a plain object/class instance with:
+ *   id                 short identifier ("s3", "database", "disk")
+ *   requiresShop       true when images must belong to a shop
+ *   owns(ref)          → boolean (the path is one of this backend's images)
+ *   save({ id, shopDomain, data, mimeType, ext }) → app path; saving an id
+ *                      that already exists must keep (and refresh) that image
+ *   load(ref)          → { data: Buffer, mimeType, shopDomain? } or null
+ *   signedUrl(ref)     → URL anyone can fetch until it expires, or null
+ *   remove(ref)        → boolean
+ *   removeShop(shopDomain) → number of images deleted
+ */
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+const IMAGE_TYPES = [
+  { mimeType: "image/png", ext: "png", matches: (b) => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  { mimeType: "image/jpeg", ext: "jpg", matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: "image/webp", ext: "webp", matches: (b) => b.length >= 12 && b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP" },
+  { mimeType: "image/gif", ext: "gif", matches: (b) => b.length >= 6 && /^GIF8[79]a$/.test(b.toString("latin1", 0, 6)) },
+];
+
+/** Image type from the file's magic bytes. @returns {{ mimeType, ext }|null} */
+function sniffImageType(buffer) {
+  const type = Buffer.isBuffer(buffer) ? IMAGE_TYPES.find((candidate) => candidate.matches(buffer)) : null;
+  return type ? { mimeType: type.mimeType, ext: type.ext } : null;
+}
+
+/** UUID-formatted (RFC 9562 version 8) SHA-256 of the shop and the bytes. */
+function contentId(shopDomain, data) {
+  const hex = crypto.createHash("sha256").update(`${shopDomain || ""}\n`).update(data).digest("hex");
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function invalidImage(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = "INVALID_IMAGE";
+  return err;
+}
+
+class ImageStore {
+  /**
+   * @param {Object} opts
+   * @param {Object} opts.writer - backend new images are saved to
+   * @param {Object[]} opts.backends - every backend that can own a path (writer included)
+   * @param {number} [opts.maxBytes] - largest image put() or resolveToBuffer() accepts
+   */
+  constructor({ writer, backends, maxBytes = DEFAULT_MAX_BYTES }) {
+    this.writer = writer;
+    this.backends = backends;
+    this.fallback = backends.find((backend) => !backend.requiresShop) || writer;
+    this.maxBytes = maxBytes;
+  }
+
+  backendFor(ref) {
+    if (!ref || typeof ref !== "string") return null;
+    return this.backends.find((backend) => backend.owns(ref)) || null;
+  }
+
+  /**
+   * Save image bytes. Throws an error with code "INVALID_IMAGE" and status
+   * 413 (too large) or 415 (not a supported image).
+   * @returns {Promise<string>} app path of the stored image
+   */
+  async put({ shopDomain, data }) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data || []);
+    if (buffer.length > this.maxBytes) {
+      throw invalidImage(413, `Image is too large (${(buffer.length / 1048576).toFixed(1)} MB, max ${(this.maxBytes / 1048576).toFixed(0)} MB)`);
+    }
+    const type = sniffImageType(buffer);
+    if (!type) throw invalidImage(415, "Unsupported image: expected PNG, JPEG, WebP or GIF data");
+
+    const backend = shopDomain || !this.writer.requiresShop ? this.writer : this.fallback;
+    const id = contentId(shopDomain, buffer);
+    const ref = await backend.save({ id, shopDomain: shopDomain || null, data: buffer, mimeType: type.mimeType, ext: type.ext });
+    log.info({ backend: backend.id, ref, sizeKB: (buffer.length / 1024).toFixed(0), shopDomain }, "Image saved");
+    return ref;
+  }
+
+  /** Download an http(s) URL and save it. @returns {Promise<string|null>} app path, or null when the download fails */
+  async putFromUrl(shopDomain, imageUrl) {
+    const data = await this._download(imageUrl);
+    return data ? this.put({ shopDomain, data }) : null;
+  }
+
+  /** @returns {Promise<{ data: Buffer, mimeType: string, shopDomain?: string }|null>} */
+  async get(ref) {
+    const backend = this.backendFor(ref);
+    return backend ? backend.load(ref) : null;
+  }
+
+  /**
+   * Bytes of any image ref: a stored path, a data: URI or an http(s) URL.
+   * Returns null (logged) when the ref can't be read or is over maxBytes.
+   */
+  async resolveToBuffer(ref) {
+    const value = String(ref || "");
+    try {
+      if (value.startsWith("data:")) {
+        const match = value.match(/^data:[\w/+.-]*(?:;[\w=.-]+)*;base64,(.+)$/s);
+        if (!match || match[1].length * 0.75 > this.maxBytes) return null;
+        return Buffer.from(match[1], "base64");
+      }
+      if (value.startsWith("http://") || value.startsWith("https://")) {
+        return await this._download(value);
+      }
+      return (await this.get(value))?.data || null;
+    } catch (err) {
+      log.warn({ err: err?.message, ref: value.slice(0, 80) }, "Could not read image");
+      return null;
+    }
+  }
+
+  async _download(imageUrl) {
+    const response = await fetch(imageUrl);
+    if (!response.ok) {
+      log.error({ status: response.status, url: String(imageUrl).slice(0, 80) }, "Failed to download image URL");
+      return null;
+    }
+    if (Number(response.headers.get("content-length")) > this.maxBytes) {
+      log.error({ url: String(imageUrl).slice(0, 80), maxBytes: this.maxBytes }, "Remote image is too large");
+      return null;
+    }
+    // Content-Length can be missing or wrong, so the size is checked again
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > this.maxBytes) {
+      log.error({ url: String(imageUrl).slice(0, 80), maxBytes: this.maxBytes }, "Remote image is too large");
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Time-limited URL an outside service (Shopify, Printful) can fetch the
+   * image from directly, or null when the owning backend has none; callers
+   * then fall back to the app's own public URL.
+   */
+  toPublicUrl(ref) {
+    const backend = this.backendFor(ref);
+    return backend?.signedUrl ? backend.signedUrl(ref) : null;
+  }
+
+  async delete(ref) {
+    const backend = this.backendFor(ref);
+    return backend ? backend.remove(ref) : false;
+  }
+
+  /** Delete every image a shop owns, in every backend that tracks ownership. */
+  async deleteShop(shopDomain) {
+    let deleted = 0;
+    for (const backend of this.backends) {
+      if (backend.removeShop) deleted += await backend.removeShop(shopDomain);
+    }
+    return deleted;
+  }
+}
+
+module.exports = {
+  ImageStore,
+  sniffImageType,
+};
@@ -1,5 +1,7 @@
 const fs = require("fs");
 const path = require("path");
+const { getCollection, matchesFilter, assertVersion } = require("./collections");
+const { MIGRATIONS, planMigrations } = require("./migrations");
 
 const INITIAL_STORE = {
   designs: [],
@@ -7,6 +9,8 @@ const INITIAL_STORE = {
   products: [],
   settings: [],
   members: [],
+  jobs: [],
+  batches: [],
 };
 
 function ensureStoreFile(filePath) {
@@ -20,6 +24,13 @@ function ensureStoreFile(filePath) {
   }
 }
 
+/**
+ * File-backed store for local development. Keeps every collection in one
+ * JSON file and implements the same async entity API as PostgresStore
+ * (find/get/insert/put/remove), so repositories don't care which is used.
+ * The latest applied migration (storage/migrations/) is kept as
+ * `schemaVersion` in the file.
+ */
 class JsonStore {
   constructor(filePath) {
     this.filePath = filePath;
@@ -31,17 +42,128 @@ class JsonStore {
     const raw = fs.readFileSync(this.filePath, "utf8");
     const parsed = JSON.parse(raw || "{}");
     return {
+      schemaVersion: Number(parsed.schemaVersion) || 0,
       designs: Array.isArray(parsed.designs) ? parsed.designs : [],
       assets: Array.isArray(parsed.assets) ? parsed.assets : [],
       products: Array.isArray(parsed.products) ? parsed.products : [],
       settings: Array.isArray(parsed.settings) ? parsed.settings : [],
       members: Array.isArray(parsed.members) ? parsed.members : [],
+      jobs: Array.isArray(parsed.jobs) ? parsed.jobs : [],
+      batches: Array.isArray(parsed.batches) ? parsed.batches : [],
     };
   }
 
   write(nextState) {
     fs.writeFileSync(this.filePath, JSON.stringify(nextState, null, 2), "utf8");
   }
+
+  /** Apply pending migrations. Call this during server startup. */
+  async waitForReady() {
+    await this.migrate();
+  }
+
+  /**
+   * Apply (or with `direction: "down"`, roll back) migrations — see
+   * planMigrations() for what `to` means; `force` is passed on to down
+   * migrations as in PostgresStore.
+   * @returns {Promise<number[]>} versions applied or rolled back
+   */
+  async migrate({ direction = "up", to, force = false } = {}) {
+    const db = this.read();
+    const applied = MIGRATIONS.filter((m) => m.version <= db.schemaVersion).map((m) => m.version);
+    const pending = planMigrations(applied, { direction, to });
+    if (pending.length === 0) return [];
+    for (const migration of pending) {
+      migration.json?.[direction]?.(db, { force });
+    }
+    if (direction === "up") {
+      db.schemaVersion = pending[pending.length - 1].version;
+    } else {
+      // Down runs newest first, so the last one run is the oldest rolled back
+      const remaining = MIGRATIONS.filter((m) => m.version < pending[pending.length - 1].version);
+      db.schemaVersion = remaining.length ? remaining[remaining.length - 1].version : 0;
+    }
+    this.write(db);
+    return pending.map((migration) => migration.version);
+  }
+
+  /** Applied migrations, oldest first: [{ version, name }]. */
+  async migrationStatus() {
+    const { schemaVersion } = this.read();
+    return MIGRATIONS
+      .filter((migration) => migration.version <= schemaVersion)
+      .map(({ version, name }) => ({ version, name }));
+  }
+
+  /** Records of a collection matching `where` ({ field: value } or { field: [values] }), in insertion order. */
+  async find(collection, where = {}) {
+    getCollection(collection);
+    return this.read()[collection].filter((record) => matchesFilter(record, where));
+  }
+
+  /** A record by its key field, or null. */
+  async get(collection, key) {
+    const { key: keyField } = getCollection(collection);
+    return this.read()[collection].find((record) => record[keyField] === key) || null;
+  }
+
+  async insert(collection, record) {
+    const { key: keyField } = getCollection(collection);
+    const db = this.read();
+    if (db[collection].some((item) => item[keyField] === record[keyField])) {
+      throw new Error(`Duplicate ${collection} key: ${record[keyField]}`);
+    }
+    const stored = { ...record, version: 1 };
+    db[collection].push(stored);
+    this.write(db);
+    return stored;
+  }
+
+  /** Insert or replace a record by its key field. */
+  async put(collection, record) {
+    const { key: keyField } = getCollection(collection);
+    const db = this.read();
+    const index = db[collection].findIndex((item) => item[keyField] === record[keyField]);
+    const stored = { ...record, version: index === -1 ? 1 : (db[collection][index].version || 0) + 1 };
+    if (index === -1) db[collection].push(stored);
+    else db[collection][index] = stored;
+    this.write(db);
+    return stored;
+  }
+
+  /**
+   * Read-modify-write a record by its key field. `updater` gets the current
+   * record and returns the next one (or null to leave it unchanged). With
+   * `expectedVersion`, throws a 409 conflict when the record has moved on.
+   * With `keepVersion`, the version is not bumped (bookkeeping such as usage
+   * counters, which must not conflict with a pending user edit). Returns the
+   * stored record, or null when there is none or the updater declined.
+   */
+  async update(collection, key, updater, { expectedVersion, keepVersion = false } = {}) {
+    const { key: keyField } = getCollection(collection);
+    const db = this.read();
+    const index = db[collection].findIndex((item) => item[keyField] === key);
+    if (index === -1) return null;
+    const current = db[collection][index];
+    assertVersion(collection, current, expectedVersion);
+    const next = updater(current);
+    if (!next) return null;
+    const stored = { ...next, version: (current.version || 0) + (keepVersion ? 0 : 1) };
+    db[collection][index] = stored;
+    this.write(db);
+    return stored;
+  }
+
+  /** Delete the records matching `where`. Returns how many were deleted. */
+  async remove(collection, where) {
+    getCollection(collection);
+    if (!where || Object.keys(where).length === 0) throw new Error("remove() needs a filter");
+    const db = this.read();
+    const before = db[collection].length;
+    db[collection] = db[collection].filter((record) => !matchesFilter(record, where));
+    if (db[collection].length !== before) this.write(db);
+    return before - db[collection].length;
+  }
 }
 
 module.exports = {
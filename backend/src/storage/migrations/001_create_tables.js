@@ -0,0 +1,85 @@
+/**
+ * Per-collection tables (see storage/collections.js) and the images table.
+ *
+ * Written with IF NOT EXISTS so databases created before migrations existed
+ * (which already have these tables) are adopted as-is.
+ */
+const log = require("../../utils/logger");
+
+const TABLES = [
+  { table: "designs", columns: ["id", "shop_domain"] },
+  { table: "assets", columns: ["id", "shop_domain", "design_id", "type"] },
+  { table: "products", columns: ["design_id", "shop_domain"] },
+  { table: "shop_settings", columns: ["shop_domain"] },
+  { table: "members", columns: ["id", "shop_domain", "email", "auth_token"] },
+  { table: "jobs", columns: ["id", "shop_domain", "design_id", "type", "status"] },
+  { table: "batches", columns: ["id", "shop_domain"] },
+];
+
+const COLLECTION_NAMES = ["designs", "assets", "products", "settings", "members", "jobs", "batches"];
+
+module.exports = {
+  postgres: {
+    async up(client) {
+      // The first column of each table is its primary key; the others get an index
+      for (const { table, columns: [key, ...indexed] } of TABLES) {
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS ${table} (
+            seq BIGSERIAL,
+            ${key} TEXT PRIMARY KEY,
+            ${indexed.map((column) => `${column} TEXT,`).join("\n            ")}
+            data JSONB NOT NULL,
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+        `);
+        for (const column of indexed) {
+          await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_${column} ON ${table} (${column});`);
+        }
+      }
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS images (
+          id UUID PRIMARY KEY,
+          shop_domain TEXT NOT NULL,
+          data BYTEA NOT NULL,
+          mime_type TEXT NOT NULL DEFAULT 'image/png',
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+      `);
+      await client.query("CREATE INDEX IF NOT EXISTS idx_images_shop ON images (shop_domain);");
+    },
+
+    // The images table predates migrations and holds every stored image;
+    // like the JSON down, rolling back must not discard that data. The other
+    // tables hold the app's records too, so they are only dropped while
+    // empty unless the caller passes `force` (`npm run migrate:down -- --force`).
+    async down(client, { force = false } = {}) {
+      const withData = [];
+      for (const { table } of TABLES) {
+        const { rows } = await client.query(`SELECT to_regclass('${table}') IS NOT NULL AS present`);
+        if (!rows[0].present) continue;
+        const { rows: [{ count }] } = await client.query(`SELECT COUNT(*)::int AS count FROM ${table}`);
+        if (count > 0) withData.push(`${table} (${count})`);
+      }
+      if (withData.length > 0) {
+        if (!force) {
+          throw new Error(`Not rolling back 001: these tables still hold data: ${withData.join(", ")}. Back them up and rerun with --force to drop them.`);
+        }
+        log.warn({ tables: withData }, "Migration 001 down: dropping tables that still hold data (--force)");
+      }
+      for (const { table } of [...TABLES].reverse()) {
+        await client.query(`DROP TABLE IF EXISTS ${table};`);
+      }
+    },
+  },
+
+  json: {
+    up(state) {
+      for (const name of COLLECTION_NAMES) {
+        if (!Array.isArray(state[name])) state[name] = [];
+      }
+    },
+    // Dropping the collections would discard the file's data; nothing to undo
+    down() {},
+  },
+};
@@ -0,0 +1,61 @@
+/**
+ * One-time import of the single-row `app_data` JSONB blob used before
+ * per-collection tables. Every record is copied into its table (existing rows
+ * win) and the old table is renamed to `app_data_imported`, so a rerun finds
+ * nothing to import. Databases created after the split have no `app_data`
+ * and skip straight through.
+ */
+const log = require("../../utils/logger");
+
+// Collection → [table, { field: column }, key field] as of this migration
+const TARGETS = {
+  designs: ["designs", { id: "id", shopDomain: "shop_domain" }, "id"],
+  assets: ["assets", { id: "id", shopDomain: "shop_domain", designId: "design_id", type: "type" }, "id"],
+  products: ["products", { designId: "design_id", shopDomain: "shop_domain" }, "designId"],
+  settings: ["shop_settings", { shopDomain: "shop_domain" }, "shopDomain"],
+  members: ["members", { id: "id", shopDomain: "shop_domain", email: "email", authToken: "auth_token" }, "id"],
+  jobs: ["jobs", { id: "id", shopDomain: "shop_domain", designId: "design_id", type: "type", status: "status" }, "id"],
+  batches: ["batches", { id: "id", shopDomain: "shop_domain" }, "id"],
+};
+
+function columnValue(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+module.exports = {
+  postgres: {
+    async up(client) {
+      const { rows } = await client.query("SELECT to_regclass('app_data') IS NOT NULL AS present");
+      if (!rows[0].present) return;
+
+      const result = await client.query("SELECT data FROM app_data WHERE id = 1");
+      const blob = result.rows[0]?.data || {};
+      const imported = {};
+      for (const [name, [table, columns, keyField]] of Object.entries(TARGETS)) {
+        const records = Array.isArray(blob[name]) ? blob[name] : [];
+        imported[name] = 0;
+        for (const record of records) {
+          if (!record || record[keyField] == null) {
+            log.warn({ collection: name }, "Skipping legacy record without a key");
+            continue;
+          }
+          const names = [...Object.values(columns), "data"];
+          const values = [...Object.keys(columns).map((field) => columnValue(record[field])), JSON.stringify(record)];
+          const { rowCount } = await client.query(
+            `INSERT INTO ${table} (${names.join(", ")}) VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")})
+             ON CONFLICT (${columns[keyField]}) DO NOTHING`,
+            values
+          );
+          imported[name] += rowCount;
+        }
+      }
+      await client.query("ALTER TABLE app_data RENAME TO app_data_imported");
+      log.info({ imported }, "Imported legacy app_data blob into per-entity tables");
+    },
+
+    // Imported rows stay; a rerun of up() skips them
+    async down(client) {
+      await client.query("ALTER TABLE IF EXISTS app_data_imported RENAME TO app_data");
+    },
+  },
+};
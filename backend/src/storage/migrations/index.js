@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Schema migrations, one numbered file per change (`001_create_tables.js`,
+ * `002_import_app_data.js`, …), applied in order. Each file exports
+ *
+ *   {
+ *     postgres: { up(client), down(client, options) },  // run inside one transaction
+ *     json:     { up(state),  down(state, options)  },  // mutate the JSON store's state in place
+ *   }
+ *
+ * Either half may be left out when a change only concerns one store. A down
+ * that would discard data should refuse unless `options.force` is set.
+ * PostgresStore records applied versions in `schema_migrations`; JsonStore
+ * keeps the latest applied version as `schemaVersion` in its file.
+ *
+ * Never edit a migration that has shipped — add a new one.
+ */
+function loadMigrations() {
+  return fs.readdirSync(__dirname)
+    .map((file) => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      ...require(path.join(__dirname, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+const MIGRATIONS = loadMigrations();
+const LATEST_VERSION = MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+/**
+ * Migrations to run, in the order to run them.
+ * - up:   every unapplied migration up to `to` (default: the latest)
+ * - down: every applied migration above `to` (default: only the last one), newest first
+ * @param {number[]} applied versions already applied
+ */
+function planMigrations(applied, { direction = "up", to } = {}) {
+  const done = new Set(applied);
+  if (direction === "up") {
+    const target = to ?? LATEST_VERSION;
+    return MIGRATIONS.filter((m) => !done.has(m.version) && m.version <= target);
+  }
+  if (direction === "down") {
+    const appliedMigrations = MIGRATIONS.filter((m) => done.has(m.version));
+    const last = appliedMigrations[appliedMigrations.length - 1];
+    const target = to ?? (last ? last.version - 1 : 0);
+    return appliedMigrations.filter((m) => m.version > target).reverse();
+  }
+  throw new Error(`Unknown migration direction: ${direction}`);
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  planMigrations,
+};
@@ -1,24 +1,75 @@
 const { Pool } = require("pg");
 const log = require("../utils/logger");
+const { getCollection, assertVersion } = require("./collections");
+const { planMigrations } = require("./migrations");
 
-const INITIAL_STORE = {
-  designs: [],
-  assets: [],
-  products: [],
-  settings: [],
-  members: [],
-};
+function columnValue(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function buildWhere({ columns }, where = {}) {
+  const conditions = [];
+  const values = [];
+  for (const [field, expected] of Object.entries(where)) {
+    const column = columns[field];
+    if (!column) throw new Error(`Cannot filter on unindexed field: ${field}`);
+    if (Array.isArray(expected)) {
+      values.push(expected.map(columnValue));
+      conditions.push(`${column} = ANY($${values.length})`);
+    } else if (expected === null) {
+      conditions.push(`${column} IS NULL`);
+    } else {
+      values.push(columnValue(expected));
+      conditions.push(`${column} = $${values.length}`);
+    }
+  }
+  return { clause: conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "", values };
+}
+
+function buildInsert({ table, columns }, record) {
+  const names = [...Object.values(columns), "data"];
+  const values = [...Object.keys(columns).map((field) => columnValue(record[field])), JSON.stringify(record)];
+  const placeholders = names.map((_, i) => `$${i + 1}`);
+  return {
+    sql: `INSERT INTO ${table} (${names.join(", ")}) VALUES (${placeholders.join(", ")})`,
+    values,
+  };
+}
+
+/** Insert, or replace the existing row and bump its version past the stored one. */
+function buildUpsert(collection, record) {
+  const { sql, values } = buildInsert(collection, { ...record, version: 1 });
+  const { table } = collection;
+  const keyColumn = collection.columns[collection.key];
+  const updates = Object.values(collection.columns).filter((column) => column !== keyColumn)
+    .map((column) => `${column} = EXCLUDED.${column}`);
+  const data = `EXCLUDED.data || jsonb_build_object('version', COALESCE((${table}.data->>'version')::int, 0) + 1)`;
+  return {
+    sql: `${sql} ON CONFLICT (${keyColumn}) DO UPDATE SET ${[...updates, `data = ${data}`].join(", ")}, updated_at = NOW() RETURNING data`,
+    values,
+  };
+}
+
+function buildUpdate({ table, key, columns }, keyValue, record) {
+  const fields = Object.keys(columns).filter((field) => field !== key);
+  const assignments = [...fields.map((field, i) => `${columns[field]} = $${i + 2}`), `data = $${fields.length + 2}`];
+  return {
+    sql: `UPDATE ${table} SET ${assignments.join(", ")}, updated_at = NOW() WHERE ${columns[key]} = $1`,
+    values: [String(keyValue), ...fields.map((field) => columnValue(record[field])), JSON.stringify(record)],
+  };
+}
+
+// Serialises migrations when several instances start together
+const SCHEMA_LOCK_ID = 7310021;
 
 /**
- * PostgreSQL-backed store that implements the same read()/write() interface
- * as JsonStore. Uses a single JSONB row in an `app_data` table.
- *
- * This is a drop-in replacement — all existing repository classes work
- * without any changes.
+ * PostgreSQL-backed store. Each collection (see storage/collections.js) has
+ * its own table: the record as JSONB in `data`, plus the lookup fields as
+ * indexed columns. Reads and writes go straight to the database one row at a
+ * time, so several app instances can share it.
  *
- * For a high-concurrency production app you'd eventually migrate to proper
- * normalised tables, but this approach is correct, persistent, and far
- * better than an ephemeral JSON file.
+ * The schema is created and changed by the numbered files in
+ * storage/migrations/; applied versions are recorded in `schema_migrations`.
  */
 class PostgresStore {
   constructor(databaseUrl) {
@@ -28,153 +79,157 @@ class PostgresStore {
         ? false
         : { rejectUnauthorized: false },
     });
-
-    // In-memory cache so synchronous read() works (repos call it synchronously)
-    this._cache = { ...INITIAL_STORE };
-    this._ready = false;
-    this._initPromise = this._init();
   }
 
-  async _init() {
+  /**
+   * Apply (or with `direction: "down"`, roll back) migrations — see
+   * planMigrations() for what `to` means. All of them run in one
+   * transaction under an advisory lock, so a failure leaves the schema as it
+   * was and concurrent starts apply each migration once. `force` lets a down
+   * migration discard data it would otherwise refuse to.
+   * @returns {Promise<number[]>} versions applied or rolled back
+   */
+  async migrate({ direction = "up", to, force = false } = {}) {
     const client = await this.pool.connect();
     try {
-      // Create JSONB table if not exists
+      await client.query("BEGIN");
+      await client.query("SELECT pg_advisory_xact_lock($1)", [SCHEMA_LOCK_ID]);
       await client.query(`
-        CREATE TABLE IF NOT EXISTS app_data (
-          id INTEGER PRIMARY KEY DEFAULT 1,
-          data JSONB NOT NULL DEFAULT '{}'::jsonb,
-          updated_at TIMESTAMPTZ DEFAULT NOW()
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ DEFAULT NOW()
         );
       `);
 
-      // Create images table for per-shop image storage
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS images (
-          id UUID PRIMARY KEY,
-          shop_domain TEXT NOT NULL,
-          data BYTEA NOT NULL,
-          mime_type TEXT NOT NULL DEFAULT 'image/png',
-          created_at TIMESTAMPTZ DEFAULT NOW()
-        );
-      `);
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_images_shop ON images (shop_domain);
-      `);
-
-      // Ensure a row exists
-      await client.query(`
-        INSERT INTO app_data (id, data)
-        VALUES (1, $1::jsonb)
-        ON CONFLICT (id) DO NOTHING;
-      `, [JSON.stringify(INITIAL_STORE)]);
-
-      // Load into cache
-      const result = await client.query("SELECT data FROM app_data WHERE id = 1");
-      if (result.rows.length > 0) {
-        const parsed = result.rows[0].data;
-        this._cache = {
-          designs: Array.isArray(parsed.designs) ? parsed.designs : [],
-          assets: Array.isArray(parsed.assets) ? parsed.assets : [],
-          products: Array.isArray(parsed.products) ? parsed.products : [],
-          settings: Array.isArray(parsed.settings) ? parsed.settings : [],
-          members: Array.isArray(parsed.members) ? parsed.members : [],
-        };
+      const { rows } = await client.query("SELECT version FROM schema_migrations");
+      const pending = planMigrations(rows.map((row) => row.version), { direction, to });
+      for (const migration of pending) {
+        log.info({ version: migration.version, migration: migration.name, direction }, "Running migration");
+        await migration.postgres?.[direction]?.(client, { force });
+        if (direction === "up") {
+          await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [migration.version, migration.name]);
+        } else {
+          await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+        }
       }
-
-      const settingsCount = this._cache.settings.filter(s => !s.shopDomain?.startsWith("_nonce:")).length;
-      const hasTokens = this._cache.settings.some(s => Boolean(s.shopifyAccessToken));
-      this._ready = true;
-      log.info({ settingsCount, hasTokens }, "PostgresStore connected and initialised");
+      await client.query("COMMIT");
+      return pending.map((migration) => migration.version);
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
     } finally {
       client.release();
     }
   }
 
-  /** Wait for the store to be ready. Call this during server startup. */
+  /** Applied migrations, oldest first: [{ version, name, appliedAt }]. */
+  async migrationStatus() {
+    const table = await this.pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS present");
+    if (!table.rows[0].present) return [];
+    const { rows } = await this.pool.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+    return rows.map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+  }
+
+  async _init() {
+    await this.migrate();
+    const { rows } = await this.pool.query(
+      "SELECT COUNT(*)::int AS count, COUNT(*) FILTER (WHERE data->>'shopifyAccessToken' <> '')::int AS with_tokens FROM shop_settings WHERE shop_domain NOT LIKE '\\_nonce:%'"
+    );
+    log.info({ settingsCount: rows[0].count, hasTokens: rows[0].with_tokens > 0 }, "PostgresStore connected and initialised");
+  }
+
+  /** Apply pending migrations and wait for the store to be ready. Call this during server startup. */
   async waitForReady() {
+    this._initPromise = this._initPromise || this._init();
     await this._initPromise;
   }
 
-  /**
-   * Synchronous read — returns the in-memory cache.
-   * Kept synchronous so existing repository classes work unchanged.
-   */
-  read() {
-    return {
-      designs: [...this._cache.designs],
-      assets: [...this._cache.assets],
-      products: [...this._cache.products],
-      settings: [...this._cache.settings],
-      members: [...this._cache.members],
-    };
+  /** Records of a collection matching `where` ({ field: value } or { field: [values] }), in insertion order. */
+  async find(collection, where = {}) {
+    const { table } = getCollection(collection);
+    const { clause, values } = buildWhere(getCollection(collection), where);
+    const result = await this.pool.query(`SELECT data FROM ${table}${clause} ORDER BY seq`, values);
+    return result.rows.map((row) => row.data);
   }
 
-  /**
-   * Synchronous-looking write that updates cache immediately
-   * and persists to PostgreSQL asynchronously.
-   */
-  write(nextState) {
-    // Update cache immediately (so the next read() sees the change)
-    this._cache = {
-      designs: Array.isArray(nextState.designs) ? nextState.designs : [],
-      assets: Array.isArray(nextState.assets) ? nextState.assets : [],
-      products: Array.isArray(nextState.products) ? nextState.products : [],
-      settings: Array.isArray(nextState.settings) ? nextState.settings : [],
-      members: Array.isArray(nextState.members) ? nextState.members : [],
-    };
-
-    // Persist to PostgreSQL (fire and forget — errors are logged)
-    this._persist().catch((err) => {
-      log.error({ err: err.message }, "PostgresStore failed to persist");
-    });
+  /** A record by its key field, or null. */
+  async get(collection, key) {
+    const { table, key: keyField, columns } = getCollection(collection);
+    const result = await this.pool.query(`SELECT data FROM ${table} WHERE ${columns[keyField]} = $1`, [String(key)]);
+    return result.rows[0]?.data || null;
   }
 
-  async _persist() {
-    await this.pool.query(
-      "UPDATE app_data SET data = $1::jsonb, updated_at = NOW() WHERE id = 1",
-      [JSON.stringify(this._cache)]
-    );
+  async insert(collection, record) {
+    const stored = { ...record, version: 1 };
+    const { sql, values } = buildInsert(getCollection(collection), stored);
+    await this.pool.query(sql, values);
+    return stored;
   }
 
-  /**
-   * Explicitly flush the in-memory cache to PostgreSQL and AWAIT the result.
-   * Use this whenever you must guarantee the data is persisted before
-   * continuing (e.g. after storing an OAuth token).
-   */
-  async flush() {
-    await this._persist();
+  /** Insert or replace a record by its key field. */
+  async put(collection, record) {
+    const { sql, values } = buildUpsert(getCollection(collection), record);
+    const result = await this.pool.query(sql, values);
+    return result.rows[0].data;
   }
 
   /**
-   * Reload the in-memory cache from PostgreSQL.
-   * Use this when the cache may be stale (e.g. after app reinstall, or when
-   * another instance may have written a new token).
+   * Read-modify-write a record by its key field, holding a row lock so
+   * concurrent updates (from this or another instance) apply one after the
+   * other. `updater` gets the current record and returns the next one (or
+   * null to leave it unchanged). With `expectedVersion`, throws a 409
+   * conflict when the record has moved on. With `keepVersion`, the version is
+   * not bumped (bookkeeping that must not conflict with a pending user edit).
+   * Returns the stored record, or null when there is none or the updater
+   * declined.
    */
-  async refreshCacheFromDb() {
+  async update(collection, key, updater, { expectedVersion, keepVersion = false } = {}) {
+    const definition = getCollection(collection);
+    const client = await this.pool.connect();
     try {
-      const result = await this.pool.query("SELECT data FROM app_data WHERE id = 1");
-      if (result.rows.length > 0) {
-        const parsed = result.rows[0].data;
-        this._cache = {
-          designs: Array.isArray(parsed.designs) ? parsed.designs : [],
-          assets: Array.isArray(parsed.assets) ? parsed.assets : [],
-          products: Array.isArray(parsed.products) ? parsed.products : [],
-          settings: Array.isArray(parsed.settings) ? parsed.settings : [],
-          members: Array.isArray(parsed.members) ? parsed.members : [],
-        };
-        log.debug({}, "PostgresStore cache refreshed from DB");
+      await client.query("BEGIN");
+      const result = await client.query(
+        `SELECT data FROM ${definition.table} WHERE ${definition.columns[definition.key]} = $1 FOR UPDATE`,
+        [String(key)]
+      );
+      const current = result.rows[0]?.data;
+      if (current) assertVersion(collection, current, expectedVersion);
+      const next = current ? updater(current) : null;
+      if (!next) {
+        await client.query("ROLLBACK");
+        return null;
       }
+      const stored = { ...next, version: (current.version || 0) + (keepVersion ? 0 : 1) };
+      const { sql, values } = buildUpdate(definition, key, stored);
+      await client.query(sql, values);
+      await client.query("COMMIT");
+      return stored;
     } catch (err) {
-      log.error({ err: err.message }, "PostgresStore refreshCacheFromDb failed");
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
     }
   }
 
+  /** Delete the records matching `where`. Returns how many were deleted. */
+  async remove(collection, where) {
+    if (!where || Object.keys(where).length === 0) throw new Error("remove() needs a filter");
+    const { table } = getCollection(collection);
+    const { clause, values } = buildWhere(getCollection(collection), where);
+    const result = await this.pool.query(`DELETE FROM ${table}${clause}`, values);
+    return result.rowCount;
+  }
+
   /**
-   * Save an image to the images table. Returns the UUID id.
+   * Save an image to the images table. Returns the UUID id. Ids are content
+   * hashes, so saving an existing id keeps the row and only refreshes its
+   * age for deleteOldImages().
    */
   async saveImage({ id, shopDomain, data, mimeType }) {
     await this.pool.query(
-      "INSERT INTO images (id, shop_domain, data, mime_type) VALUES ($1, $2, $3, $4)",
+      "INSERT INTO images (id, shop_domain, data, mime_type) VALUES ($1, $2, $3, $4) ON CONFLICT (id) DO UPDATE SET created_at = NOW()",
       [id, shopDomain, data, mimeType]
     );
     return id;
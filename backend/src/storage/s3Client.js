@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+
+/**
+ * Minimal S3 API client (AWS Signature Version 4) for the object calls the
+ * image store needs: put, get, head, delete, list by prefix and presigned GET URLs.
+ * Works with AWS S3 and S3-compatible services (MinIO, R2, Spaces, ...);
+ * those usually need `forcePathStyle` (bucket in the path, not the host).
+ */
+const SERVICE = "s3";
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/** RFC 3986 encoding as SigV4 expects it; "/" is kept when encoding a key path. */
+function encodeRfc3986(value, keepSlash = false) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlash ? encoded.replace(/%2F/g, "/") : encoded;
+}
+
+function canonicalQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map((key) => `${encodeRfc3986(key)}=${encodeRfc3986(params[key])}`)
+    .join("&");
+}
+
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g");
+  return [...xml.matchAll(pattern)].map((match) => match[1]
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'").replace(/&amp;/g, "&"));
+}
+
+class S3Client {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.bucket
+   * @param {string} opts.region - e.g. "us-east-1" (MinIO accepts any)
+   * @param {string} opts.accessKeyId
+   * @param {string} opts.secretAccessKey
+   * @param {string} [opts.endpoint] - e.g. "http://localhost:9000"; defaults to AWS for the region
+   * @param {boolean} [opts.forcePathStyle] - https://endpoint/bucket/key instead of https://bucket.endpoint/key
+   */
+  constructor({ bucket, region, accessKeyId, secretAccessKey, endpoint, forcePathStyle = false }) {
+    this.bucket = bucket;
+    this.region = region || "us-east-1";
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.endpoint = new URL(endpoint || `https://s3.${this.region}.amazonaws.com`);
+    this.forcePathStyle = Boolean(forcePathStyle);
+  }
+
+  _objectUrl(key = "") {
+    const base = this.endpoint.origin;
+    const basePath = this.endpoint.pathname.replace(/\/+$/, "");
+    const keyPath = key ? `/${encodeRfc3986(key, true)}` : "/";
+    if (this.forcePathStyle) {
+      return new URL(`${base}${basePath}/${encodeRfc3986(this.bucket)}${key ? keyPath : ""}`);
+    }
+    return new URL(`${this.endpoint.protocol}//${this.bucket}.${this.endpoint.host}${basePath}${keyPath}`);
+  }
+
+  /** Request timestamp, e.g. "20130524T000000Z" (tests pin it to check the AWS signing examples). */
+  _amzDate() {
+    return new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  }
+
+  _signingKey(dateStamp) {
+    const kDate = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const kRegion = hmac(kDate, this.region);
+    const kService = hmac(kRegion, SERVICE);
+    return hmac(kService, "aws4_request");
+  }
+
+  _signature({ method, url, query, headers, payloadHash, amzDate }) {
+    const dateStamp = amzDate.slice(0, 8);
+    const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      names.map((name) => `${name}:${lower[name]}\n`).join(""),
+      names.join(";"),
+      payloadHash,
+    ].join("\n");
+    const scope = `${dateStamp}/${this.region}/${SERVICE}/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    return {
+      scope,
+      signedHeaders: names.join(";"),
+      signature: crypto.createHmac("sha256", this._signingKey(dateStamp)).update(stringToSign).digest("hex"),
+    };
+  }
+
+  async _request(method, key, { query = {}, body, contentType } = {}) {
+    const url = this._objectUrl(key);
+    const amzDate = this._amzDate();
+    const payloadHash = body ? sha256Hex(body) : EMPTY_SHA256;
+    const headers = {
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+      ...(contentType ? { "content-type": contentType } : {}),
+    };
+    const { scope, signedHeaders, signature } = this._signature({ method, url, query, headers, payloadHash, amzDate });
+    const search = canonicalQuery(query);
+    const { host: _host, ...sendHeaders } = headers;
+    return fetch(`${url.origin}${url.pathname}${search ? `?${search}` : ""}`, {
+      method,
+      headers: {
+        ...sendHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+      ...(body ? { body } : {}),
+    });
+  }
+
+  async _fail(response, action, key) {
+    const text = await response.text().catch(() => "");
+    const code = xmlValues(text, "Code")[0] || "";
+    const err = new Error(`S3 ${action} failed for ${key || this.bucket}: ${response.status} ${code}`.trim());
+    err.status = response.status;
+    throw err;
+  }
+
+  async putObject(key, body, contentType = "application/octet-stream") {
+    const response = await this._request("PUT", key, { body, contentType });
+    if (!response.ok) await this._fail(response, "PUT", key);
+  }
+
+  /** @returns {Promise<{ data: Buffer, contentType: string }|null>} null when the object does not exist */
+  async getObject(key) {
+    const response = await this._request("GET", key);
+    if (response.status === 404) return null;
+    if (!response.ok) await this._fail(response, "GET", key);
+    return {
+      data: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get("content-type") || "application/octet-stream",
+    };
+  }
+
+  async hasObject(key) {
+    const response = await this._request("HEAD", key);
+    if (response.status === 404) return false;
+    if (!response.ok) await this._fail(response, "HEAD", key);
+    return true;
+  }
+
+  /** Deleting a missing key is not an error (S3 returns 204 either way). */
+  async deleteObject(key) {
+    const response = await this._request("DELETE", key);
+    if (!response.ok && response.status !== 404) await this._fail(response, "DELETE", key);
+  }
+
+  /** Every key under a prefix (ListObjectsV2, following continuation tokens). */
+  async listKeys(prefix) {
+    const keys = [];
+    let continuationToken = null;
+    do {
+      const query = { "list-type": "2", prefix, ...(continuationToken ? { "continuation-token": continuationToken } : {}) };
+      const response = await this._request("GET", "", { query });
+      if (!response.ok) await this._fail(response, "LIST", prefix);
+      const xml = await response.text();
+      keys.push(...xmlValues(xml, "Key"));
+      continuationToken = xmlValues(xml, "IsTruncated")[0] === "true" ? xmlValues(xml, "NextContinuationToken")[0] : null;
+    } while (continuationToken);
+    return keys;
+  }
+
+  /** Query-string signed GET URL that anyone (e.g. Shopify) can fetch until it expires. */
+  presignGetUrl(key, expiresInSeconds = 3600) {
+    const url = this._objectUrl(key);
+    const amzDate = this._amzDate();
+    const dateStamp = amzDate.slice(0, 8);
+    const query = {
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${this.accessKeyId}/${dateStamp}/${this.region}/${SERVICE}/aws4_request`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(Math.min(Math.max(1, Math.floor(expiresInSeconds)), MAX_PRESIGN_SECONDS)),
+      "X-Amz-SignedHeaders": "host",
+    };
+    const { signature } = this._signature({
+      method: "GET", url, query, headers: { host: url.host }, payloadHash: "UNSIGNED-PAYLOAD", amzDate,
+    });
+    return `${url.origin}${url.pathname}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+}
+
+module.exports = {
+  S3Client,
+};
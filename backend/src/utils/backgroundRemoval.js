@@ -0,0 +1,121 @@
+const sharp = require("sharp");
+
+/**
+ * Local, deterministic background removal for artwork generated on a white
+ * background:
+ *
+ *  1. Flood-fill from the image border through white/near-white pixels, so
+ *     white areas inside the artwork (eyes, lettering) stay opaque
+ *  2. Turn the one-pixel ring where artwork meets background into a soft
+ *     matte: its alpha comes from how far it is from white, and the white
+ *     is un-blended from its colour so no light fringe is left
+ *  3. Feather the alpha slightly so the cut edge isn't jagged
+ *
+ * Images whose border is mostly not white (photos, full-bleed patterns) are
+ * left alone — the caller decides whether to fall back to a provider.
+ */
+const DEFAULTS = {
+  tolerance: 24,          // channel values >= 255 - tolerance count as "white"
+  feather: 0.8,           // blur sigma (px) applied to the alpha edge; 0 = hard edge
+  minBorderCoverage: 0.6, // share of border pixels that must be white to proceed
+};
+
+/**
+ * @param {Buffer} input - PNG/JPEG/WebP image bytes
+ * @param {Object} [options] - overrides for DEFAULTS
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number, backgroundRatio: number }|null>}
+ *          a transparent PNG, or null when the image has no white background to remove
+ */
+async function removeWhiteBackground(input, options = {}) {
+  const { tolerance, feather, minBorderCoverage } = { ...DEFAULTS, ...options };
+  const { data, info } = await sharp(input).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const pixels = width * height;
+  const threshold = 255 - tolerance;
+  const isWhite = (i) => {
+    const o = i * 4;
+    return data[o + 3] === 0 || (data[o] >= threshold && data[o + 1] >= threshold && data[o + 2] >= threshold);
+  };
+
+  // 1. Flood fill from every white border pixel (4-connected)
+  const background = new Uint8Array(pixels);
+  const queue = new Uint32Array(pixels);
+  let head = 0;
+  let tail = 0;
+  let borderTotal = 0;
+  let borderWhite = 0;
+  const seed = (i) => {
+    borderTotal++;
+    if (!isWhite(i)) return;
+    borderWhite++;
+    if (!background[i]) {
+      background[i] = 1;
+      queue[tail++] = i;
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    seed(x);
+    if (height > 1) seed((height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    seed(y * width);
+    if (width > 1) seed(y * width + width - 1);
+  }
+  if (borderTotal === 0 || borderWhite / borderTotal < minBorderCoverage) {
+    return null;
+  }
+
+  const visit = (n) => {
+    if (!background[n] && isWhite(n)) {
+      background[n] = 1;
+      queue[tail++] = n;
+    }
+  };
+  while (head < tail) {
+    const i = queue[head++];
+    const x = i % width;
+    if (x > 0) visit(i - 1);
+    if (x < width - 1) visit(i + 1);
+    if (i >= width) visit(i - width);
+    if (i < pixels - width) visit(i + width);
+  }
+
+  // 2. Hard alpha, with colour-to-alpha on the ring of artwork pixels touching the background
+  const alpha = Buffer.alloc(pixels);
+  let removed = 0;
+  for (let i = 0; i < pixels; i++) {
+    const o = i * 4;
+    if (background[i]) {
+      removed++;
+      continue;
+    }
+    const x = i % width;
+    const onEdge = (x > 0 && background[i - 1]) || (x < width - 1 && background[i + 1])
+      || (i >= width && background[i - width]) || (i < pixels - width && background[i + width]);
+    if (!onEdge) {
+      alpha[i] = data[o + 3];
+      continue;
+    }
+    const a = Math.max(1, 255 - Math.min(data[o], data[o + 1], data[o + 2]));
+    const f = a / 255;
+    for (let c = 0; c < 3; c++) {
+      data[o + c] = Math.max(0, Math.min(255, Math.round((data[o + c] - 255 * (1 - f)) / f)));
+    }
+    alpha[i] = Math.min(a, data[o + 3]);
+  }
+
+  // 3. Feather: soften the edge inwards only, so the background stays fully clear
+  const soft = feather > 0
+    ? await sharp(alpha, { raw: { width, height, channels: 1 } }).blur(Math.max(0.3, feather)).extractChannel(0).raw().toBuffer()
+    : alpha;
+  for (let i = 0; i < pixels; i++) {
+    data[i * 4 + 3] = Math.min(alpha[i], soft[i]);
+  }
+
+  const buffer = await sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+  return { buffer, width, height, backgroundRatio: removed / pixels };
+}
+
+module.exports = {
+  removeWhiteBackground,
+};
@@ -0,0 +1,139 @@
+/**
+ * Input parsing for bulk design batches.
+ *
+ * Recognised columns (case-insensitive):
+ *   prompt (required), productType, imageShape, price, compareAtPrice,
+ *   lifestylePrompts — several scene prompts separated by "|"
+ */
+const MAX_BATCH_ROWS = 50;
+const MAX_LIFESTYLE_PROMPTS = 6;
+const DEFAULT_LIFESTYLE_COUNT = 3;
+
+const COLUMN_ALIASES = {
+  prompt: "prompt",
+  producttype: "productType",
+  imageshape: "imageShape",
+  price: "price",
+  compareatprice: "compareAtPrice",
+  lifestyleprompts: "lifestylePrompts",
+};
+
+/** Split CSV text into records, honouring quoted fields ("" escapes a quote). */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((r) => r.some((value) => value.trim()));
+}
+
+function csvToObjects(text) {
+  const [header, ...records] = parseCsv(String(text || "").replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const keys = header.map((name) => COLUMN_ALIASES[name.trim().toLowerCase().replace(/[\s_-]/g, "")] || null);
+  return records.map((record) => {
+    const row = {};
+    keys.forEach((key, i) => {
+      if (key) row[key] = record[i];
+    });
+    return row;
+  });
+}
+
+function cleanPrice(value) {
+  const text = String(value ?? "").trim().replace(/^\$/, "");
+  return text && Number.isFinite(Number(text)) ? text : null;
+}
+
+function normalizeRow(raw, index) {
+  const prompt = String(raw?.prompt || "").trim().slice(0, 5000);
+  if (!prompt) {
+    return { error: `Row ${index + 1}: prompt is required` };
+  }
+
+  const lifestylePrompts = (Array.isArray(raw.lifestylePrompts)
+    ? raw.lifestylePrompts
+    : String(raw.lifestylePrompts || "").split("|"))
+    .map((item) => String(item || "").trim())
+    .filter(Boolean)
+    .slice(0, MAX_LIFESTYLE_PROMPTS);
+
+  return {
+    row: {
+      prompt,
+      productType: String(raw.productType || "mug").trim().toLowerCase().slice(0, 50),
+      imageShape: String(raw.imageShape || "square").trim().toLowerCase().slice(0, 20),
+      price: cleanPrice(raw.price),
+      compareAtPrice: cleanPrice(raw.compareAtPrice),
+      lifestylePrompts,
+    },
+  };
+}
+
+/**
+ * Parse the rows of a batch from a JSON array of row objects or CSV text
+ * with a header row.
+ * @returns {{ rows: Object[], errors: string[] }}
+ */
+function parseBatchRows({ rows, csv }) {
+  const rawRows = Array.isArray(rows) ? rows : (csv ? csvToObjects(csv) : []);
+  if (rawRows.length === 0) {
+    return { rows: [], errors: ["Provide rows as a JSON array or CSV text with a header row"] };
+  }
+  if (rawRows.length > MAX_BATCH_ROWS) {
+    return { rows: [], errors: [`A batch can contain at most ${MAX_BATCH_ROWS} rows (got ${rawRows.length})`] };
+  }
+
+  const parsed = [];
+  const errors = [];
+  rawRows.forEach((raw, index) => {
+    const result = normalizeRow(raw, index);
+    if (result.error) errors.push(result.error);
+    else parsed.push(result.row);
+  });
+  return { rows: parsed, errors };
+}
+
+/** Credits a row will use: design preview + mockup + one per product image. */
+function creditsForRow(row) {
+  return 2 + (row.lifestylePrompts?.length || DEFAULT_LIFESTYLE_COUNT);
+}
+
+module.exports = {
+  parseBatchRows,
+  creditsForRow,
+  MAX_BATCH_ROWS,
+};
@@ -0,0 +1,124 @@
+/**
+ * Per-shop brand voice for listing copy (stored as settings.brandVoice).
+ *
+ *   {
+ *     tone:                "Playful, warm, a little cheeky",
+ *     bannedWords:         ["cheap", "best ever"],
+ *     disclaimers:         ["Colours may vary slightly from the mockup."],
+ *     defaultTags:         ["gift", "my-brand"],
+ *     descriptionTemplate: "<p>{{description}}</p><p>Printed on demand as a {{productType}}.</p>"
+ *   }
+ *
+ * Template placeholders: {{title}}, {{description}}, {{concept}} (the design
+ * prompt) and {{productType}}. The template may contain HTML; values are escaped.
+ */
+const { cleanTags, htmlToText, sanitizeDescriptionHtml } = require("./listingCopy");
+
+const MAX_TONE_LENGTH = 300;
+const MAX_BANNED_WORDS = 50;
+const MAX_DISCLAIMERS = 5;
+const MAX_DISCLAIMER_LENGTH = 500;
+const MAX_DEFAULT_TAGS = 20;
+const MAX_TEMPLATE_LENGTH = 5000;
+
+function toList(value, separator) {
+  const list = Array.isArray(value) ? value : String(value || "").split(separator);
+  return [...new Set(list.map((item) => String(item || "").replace(/<[^>]*>/g, "").trim()).filter(Boolean))];
+}
+
+function escapeHtml(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Validate a submitted brand voice; comma-separated words/tags and one disclaimer per line are accepted. */
+function normalizeBrandVoice(input) {
+  const source = input && typeof input === "object" ? input : {};
+  return {
+    tone: String(source.tone || "").replace(/<[^>]*>/g, "").trim().slice(0, MAX_TONE_LENGTH),
+    bannedWords: toList(source.bannedWords, ",").map((word) => word.slice(0, 40)).slice(0, MAX_BANNED_WORDS),
+    disclaimers: toList(source.disclaimers, "\n").map((line) => line.slice(0, MAX_DISCLAIMER_LENGTH)).slice(0, MAX_DISCLAIMERS),
+    defaultTags: cleanTags(source.defaultTags).slice(0, MAX_DEFAULT_TAGS),
+    descriptionTemplate: sanitizeDescriptionHtml(source.descriptionTemplate).trim().slice(0, MAX_TEMPLATE_LENGTH),
+  };
+}
+
+function hasBrandVoice(brandVoice) {
+  return Boolean(brandVoice && (
+    brandVoice.tone
+    || brandVoice.bannedWords?.length
+    || brandVoice.disclaimers?.length
+    || brandVoice.defaultTags?.length
+    || brandVoice.descriptionTemplate
+  ));
+}
+
+/** Extra system-prompt lines for the copy model. Disclaimers, tags and the template are applied afterwards. */
+function brandVoiceInstructions(brandVoice) {
+  if (!hasBrandVoice(brandVoice)) return "";
+  const lines = [];
+  if (brandVoice.tone) lines.push(`Write in this brand voice: ${brandVoice.tone}.`);
+  if (brandVoice.bannedWords?.length) lines.push(`Never use these words or phrases: ${brandVoice.bannedWords.join(", ")}.`);
+  return lines.join(" ");
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(values, key) ? escapeHtml(values[key]) : match
+  ));
+}
+
+function removeBannedWords(text, bannedWords) {
+  return bannedWords.reduce((result, word) => (
+    result.replace(new RegExp(`\\b${escapeRegExp(word)}\\b`, "gi"), "")
+  ), String(text || "")).replace(/[ \t]{2,}/g, " ").replace(/\s+([,.!?;:])/g, "$1").trim();
+}
+
+/**
+ * Apply a shop's brand voice to generated (or fallback) copy: description
+ * template, banned-word removal, default tags and required disclaimers.
+ */
+function applyBrandVoice(copy, brandVoice, { prompt, productType }) {
+  if (!hasBrandVoice(brandVoice)) return copy;
+  const banned = brandVoice.bannedWords || [];
+
+  const title = removeBannedWords(copy.title, banned) || copy.title;
+  const description = removeBannedWords(copy.descriptionText, banned);
+  let descriptionHtml = brandVoice.descriptionTemplate
+    ? renderTemplate(brandVoice.descriptionTemplate, { title, description, concept: prompt, productType })
+    : removeBannedWords(copy.descriptionHtml, banned);
+
+  for (const disclaimer of brandVoice.disclaimers || []) {
+    if (!descriptionHtml.includes(escapeHtml(disclaimer))) {
+      descriptionHtml += `<p>${escapeHtml(disclaimer)}</p>`;
+    }
+  }
+
+  const bannedPattern = banned.length ? new RegExp(`\\b(${banned.map(escapeRegExp).join("|")})\\b`, "i") : null;
+  const tags = cleanTags([...(copy.tags || []), ...(brandVoice.defaultTags || [])])
+    .filter((tag) => !bannedPattern || !bannedPattern.test(tag));
+
+  return {
+    ...copy,
+    title,
+    descriptionHtml,
+    descriptionText: htmlToText(descriptionHtml),
+    tags,
+    seoTitle: removeBannedWords(copy.seoTitle, banned),
+    seoDescription: removeBannedWords(copy.seoDescription, banned),
+  };
+}
+
+module.exports = {
+  normalizeBrandVoice,
+  brandVoiceInstructions,
+  applyBrandVoice,
+  hasBrandVoice,
+};
@@ -0,0 +1,163 @@
+/**
+ * Listing copy helpers.
+ *
+ * Listing copy is generated once per design, stored on the design record and
+ * edited by the merchant before finalize/retry-publish send it to Shopify
+ * unchanged:
+ *
+ *   {
+ *     title, descriptionHtml, descriptionText, tags: [],
+ *     seoTitle, seoDescription, handle,
+ *     provider, generatedAt, editedAt
+ *   }
+ */
+const sanitizeHtml = require("sanitize-html");
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_DESCRIPTION_LENGTH = 20000;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 60;
+// Search engines truncate beyond these lengths; Shopify uses the same limits in its SEO preview
+const MAX_SEO_TITLE_LENGTH = 70;
+const MAX_SEO_DESCRIPTION_LENGTH = 320;
+const MAX_HANDLE_LENGTH = 100;
+
+function cleanText(value, maxLength) {
+  return String(value ?? "")
+    .replace(/<[^>]*>/g, "")
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+}
+
+// Formatting a product description needs; anything else (scripts, frames,
+// forms, styles, event handlers) is dropped
+const DESCRIPTION_HTML_OPTIONS = {
+  allowedTags: [
+    "p", "br", "hr", "div", "span", "blockquote",
+    "h1", "h2", "h3", "h4", "h5", "h6",
+    "strong", "b", "em", "i", "u", "s", "small", "sub", "sup",
+    "ul", "ol", "li",
+    "table", "thead", "tbody", "tr", "th", "td",
+    "a", "img",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "width", "height"],
+    th: ["colspan", "rowspan"],
+    td: ["colspan", "rowspan"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["https"] },
+  allowProtocolRelative: false,
+  // Dropped together with their content rather than left as text
+  nonTextTags: ["script", "style", "textarea", "option", "noscript", "iframe", "object", "embed", "template"],
+};
+
+/**
+ * Listing descriptions are HTML from the model, the merchant or a brand
+ * voice template; keep an allow-list of formatting tags and safe attributes.
+ */
+function sanitizeDescriptionHtml(html) {
+  return sanitizeHtml(String(html || ""), DESCRIPTION_HTML_OPTIONS).slice(0, MAX_DESCRIPTION_LENGTH);
+}
+
+function htmlToText(html) {
+  return cleanText(String(html || "").replace(/<\/(p|div|li|h\d)>|<br\s*\/?>/gi, " "), MAX_DESCRIPTION_LENGTH);
+}
+
+/** URL handle for /products/<handle>: lowercase ASCII words joined by hyphens. */
+function toHandle(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_HANDLE_LENGTH)
+    .replace(/-+$/, "");
+}
+
+function cleanTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map((tag) => cleanText(tag, MAX_TAG_LENGTH)).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+const MAX_TARGET_LOCALES = 10;
+// ISO 639 language with an optional region or script, e.g. "fr", "pt-BR", "zh-Hant"
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2}|-[A-Z][a-z]{3})?$/;
+
+/** Validate a shop's target locales (array or comma-separated), e.g. ["fr", "de", "pt-BR"]. */
+function normalizeLocales(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(",");
+  const locales = list
+    .map((value) => String(value || "").trim().replace("_", "-"))
+    .map((value) => {
+      const [language, region] = value.split("-");
+      if (!region) return language.toLowerCase();
+      return `${language.toLowerCase()}-${region.length === 2 ? region.toUpperCase() : region[0].toUpperCase() + region.slice(1).toLowerCase()}`;
+    })
+    .filter((locale) => LOCALE_PATTERN.test(locale));
+  return [...new Set(locales)].slice(0, MAX_TARGET_LOCALES);
+}
+
+/** Copy used when no OpenAI key is configured or generation fails. */
+function fallbackListingCopy({ prompt, productType }) {
+  const title = `${String(productType || "").toUpperCase()} - ${String(prompt || "").slice(0, 45)}`;
+  const descriptionText = `${prompt}. Professionally generated POD design and lifestyle visuals.`;
+  return {
+    title,
+    descriptionHtml: `<p>${prompt}</p><p>Professionally generated POD design and lifestyle visuals.</p>`,
+    descriptionText,
+    tags: ["ai-generated", "pod", productType],
+    seoTitle: title.slice(0, MAX_SEO_TITLE_LENGTH),
+    seoDescription: descriptionText.slice(0, MAX_SEO_DESCRIPTION_LENGTH),
+    handle: toHandle(title),
+  };
+}
+
+/**
+ * Validate merchant edits and merge them onto the existing copy. Fields that
+ * are not present keep their current value.
+ * @returns {{ copy?: Object, error?: string }}
+ */
+function applyListingCopyEdits(current, edits = {}) {
+  const copy = { ...current };
+
+  if (edits.title !== undefined) {
+    copy.title = cleanText(edits.title, MAX_TITLE_LENGTH);
+    if (!copy.title) return { error: "Title cannot be empty" };
+  }
+  if (edits.descriptionHtml !== undefined) {
+    copy.descriptionHtml = sanitizeDescriptionHtml(edits.descriptionHtml);
+    copy.descriptionText = htmlToText(copy.descriptionHtml);
+  }
+  if (edits.tags !== undefined) {
+    copy.tags = cleanTags(edits.tags);
+  }
+  if (edits.seoTitle !== undefined) {
+    copy.seoTitle = cleanText(edits.seoTitle, MAX_SEO_TITLE_LENGTH);
+  }
+  if (edits.seoDescription !== undefined) {
+    copy.seoDescription = cleanText(edits.seoDescription, MAX_SEO_DESCRIPTION_LENGTH);
+  }
+  if (edits.handle !== undefined) {
+    // An emptied handle falls back to one built from the title
+    copy.handle = toHandle(edits.handle) || toHandle(copy.title);
+  }
+  return { copy };
+}
+
+module.exports = {
+  applyListingCopyEdits,
+  normalizeLocales,
+  fallbackListingCopy,
+  sanitizeDescriptionHtml,
+  toHandle,
+  htmlToText,
+  cleanTags,
+  MAX_SEO_TITLE_LENGTH,
+  MAX_SEO_DESCRIPTION_LENGTH,
+};
@@ -0,0 +1,101 @@
+/**
+ * Per-shop pricing rules (stored as settings.pricingRules), used when a
+ * product is finalized without an explicit price:
+ *
+ *   {
+ *     enabled:             true,
+ *     baseCostSource:      "manual" | "printful",  // printful falls back to baseCosts when unavailable
+ *     baseCosts:           { tshirt: 12.95, mug: 7.5 },
+ *     markupType:          "percent" | "fixed",
+ *     markupValue:         80,                     // +80% of cost, or +$80 when fixed
+ *     rounding:            "none" | "99" | "95" | "whole",
+ *     compareAtMultiplier: 1.3                     // 0 = no compare-at price
+ *   }
+ *
+ * Size upcharges from utils/variantMatrix.js are added on top of the computed
+ * base price as usual.
+ */
+const BASE_COST_SOURCES = ["manual", "printful"];
+const MARKUP_TYPES = ["percent", "fixed"];
+const ROUNDING_MODES = ["none", "99", "95", "whole"];
+const MAX_AMOUNT = 100000;
+const MAX_COMPARE_AT_MULTIPLIER = 10;
+const MAX_BASE_COSTS = 50;
+const PRODUCT_TYPE_KEY = /^[a-z0-9-]{1,40}$/;
+
+function toAmount(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? Math.min(Math.round(amount * 100) / 100, MAX_AMOUNT) : null;
+}
+
+/** Validate submitted rules; malformed product type keys and invalid amounts are dropped. */
+function normalizePricingRules(input) {
+  const source = input && typeof input === "object" ? input : {};
+  const baseCosts = {};
+  for (const [productType, cost] of Object.entries(source.baseCosts || {}).slice(0, MAX_BASE_COSTS)) {
+    const amount = toAmount(cost);
+    if (amount !== null && amount > 0 && PRODUCT_TYPE_KEY.test(productType)) {
+      baseCosts[productType] = amount;
+    }
+  }
+  const multiplier = Number(source.compareAtMultiplier);
+  return {
+    enabled: Boolean(source.enabled),
+    baseCostSource: BASE_COST_SOURCES.includes(source.baseCostSource) ? source.baseCostSource : "manual",
+    baseCosts,
+    markupType: MARKUP_TYPES.includes(source.markupType) ? source.markupType : "percent",
+    markupValue: toAmount(source.markupValue) ?? 100,
+    rounding: ROUNDING_MODES.includes(String(source.rounding)) ? String(source.rounding) : "99",
+    compareAtMultiplier: Number.isFinite(multiplier) && multiplier > 1
+      ? Math.min(Math.round(multiplier * 100) / 100, MAX_COMPARE_AT_MULTIPLIER)
+      : 0,
+  };
+}
+
+/** Round up to the configured price ending, e.g. 23.40 → 23.99 ("99") or 24.00 ("whole"). */
+function roundPrice(amount, rounding) {
+  const cents = Math.round(amount * 100) / 100;
+  if (rounding === "whole") return Math.ceil(cents);
+  if (rounding === "99" || rounding === "95") {
+    const ending = Number(rounding) / 100;
+    const candidate = Math.floor(cents) + ending;
+    return candidate >= cents ? candidate : candidate + 1;
+  }
+  return cents;
+}
+
+function describeMargin(price, baseCost) {
+  const margin = price - baseCost;
+  return {
+    margin: margin.toFixed(2),
+    marginPercent: price > 0 ? Math.round((margin / price) * 1000) / 10 : 0,
+  };
+}
+
+/**
+ * Price a product from its base cost.
+ * @returns {{ baseCost, price, compareAtPrice, margin, marginPercent }} amounts as "0.00" strings
+ */
+function computePrice(rules, baseCost) {
+  const cost = Number(baseCost);
+  const raw = rules.markupType === "fixed"
+    ? cost + rules.markupValue
+    : cost * (1 + rules.markupValue / 100);
+  const price = roundPrice(raw, rules.rounding);
+  const compareAtPrice = rules.compareAtMultiplier > 1
+    ? roundPrice(price * rules.compareAtMultiplier, rules.rounding)
+    : null;
+  return {
+    baseCost: cost.toFixed(2),
+    price: price.toFixed(2),
+    compareAtPrice: compareAtPrice !== null ? compareAtPrice.toFixed(2) : null,
+    ...describeMargin(price, cost),
+  };
+}
+
+module.exports = {
+  normalizePricingRules,
+  computePrice,
+  describeMargin,
+  roundPrice,
+};
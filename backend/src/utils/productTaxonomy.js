@@ -0,0 +1,47 @@
+/**
+ * Shopify Standard Product Taxonomy mapping for our product type keys.
+ *
+ * Category IDs differ between taxonomy versions, so each key names the
+ * category to look up (`name`, matched under the `root` vertical) and the
+ * publish service resolves it to a TaxonomyCategory ID through the Admin API.
+ */
+const PRODUCT_CATEGORIES = {
+  tshirt:      { label: "T-Shirt",      name: "T-Shirts",                  root: "Apparel & Accessories" },
+  hoodie:      { label: "Hoodie",       name: "Hoodies",                   root: "Apparel & Accessories" },
+  sweatshirt:  { label: "Sweatshirt",   name: "Sweatshirts",               root: "Apparel & Accessories" },
+  mug:         { label: "Mug",          name: "Mugs",                      root: "Home & Garden" },
+  poster:      { label: "Poster",       name: "Posters, Prints, & Visual Artwork", root: "Home & Garden" },
+  canvas:      { label: "Canvas Print", name: "Posters, Prints, & Visual Artwork", root: "Home & Garden" },
+  canvasprint: { label: "Canvas Print", name: "Posters, Prints, & Visual Artwork", root: "Home & Garden" },
+  pillow:      { label: "Pillow",       name: "Throw Pillows",             root: "Home & Garden" },
+  totebag:     { label: "Tote Bag",     name: "Tote Bags",                 root: "Luggage & Bags" },
+};
+
+function categoryForProductType(productType) {
+  return PRODUCT_CATEGORIES[String(productType || "").toLowerCase()] || null;
+}
+
+function productTypeLabel(productType) {
+  return categoryForProductType(productType)?.label || String(productType || "Product");
+}
+
+/**
+ * Alt text for a listing image, e.g. "Retro Sunset Tee – T-Shirt lifestyle photo 2".
+ * @param {string} kind - "mockup" | "lifestyle" | "color"
+ * @param {string|number} [detail] - lifestyle image number or color name
+ */
+function imageAltText({ title, productType, kind, detail }) {
+  const label = productTypeLabel(productType);
+  const suffix = {
+    mockup: `${label} mockup`,
+    lifestyle: `${label} lifestyle photo${detail ? ` ${detail}` : ""}`,
+    color: `${label} in ${detail}`,
+  }[kind] || label;
+  return `${String(title || "").trim()} – ${suffix}`.slice(0, 512);
+}
+
+module.exports = {
+  categoryForProductType,
+  productTypeLabel,
+  imageAltText,
+};
@@ -0,0 +1,92 @@
+/**
+ * Size/Color variant matrix for multi-variant products.
+ *
+ * Apparel product types get Size and Color options by default; any product
+ * type can opt in by sending variantOptions. The matrix is the full
+ * Size × Color product with a price and SKU per variant:
+ *
+ *   {
+ *     options:  [{ name: "Size", values: [...] }, { name: "Color", values: [...] }],
+ *     variants: [{ size, color, price, compareAtPrice, sku }]
+ *   }
+ */
+const APPAREL_TYPES = ["tshirt", "hoodie", "sweatshirt"];
+const DEFAULT_SIZES = ["S", "M", "L", "XL", "2XL"];
+const DEFAULT_COLORS = ["Black", "White"];
+// Added to the base price for larger sizes (Printful charges more for them)
+const DEFAULT_SIZE_UPCHARGES = { "2XL": 2, "3XL": 4, "4XL": 6, "5XL": 8 };
+const MAX_VALUES_PER_OPTION = 10;
+
+function isApparel(productType) {
+  return APPAREL_TYPES.includes(String(productType || "").toLowerCase());
+}
+
+function cleanValues(values, fallback) {
+  const list = Array.isArray(values)
+    ? [...new Set(values.map((v) => String(v || "").trim().slice(0, 40)).filter(Boolean))]
+    : [];
+  return (list.length > 0 ? list : fallback).slice(0, MAX_VALUES_PER_OPTION);
+}
+
+function formatPrice(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount.toFixed(2) : null;
+}
+
+function skuPart(value) {
+  return String(value).toUpperCase().replace(/[^A-Z0-9]+/g, "").slice(0, 6);
+}
+
+/**
+ * Build the variant matrix for a product.
+ * @param {Object} opts
+ * @param {string} opts.productType
+ * @param {Object} [opts.variantOptions] - { sizes, colors, sizeUpcharges, variants: [{ size, color, price, compareAtPrice, sku }] }
+ *   (variants entries override the generated price/SKU for one combination; variantOptions === false disables variants)
+ * @param {string} [opts.price] - base price
+ * @param {string} [opts.compareAtPrice]
+ * @param {string} [opts.skuPrefix]
+ * @returns {Object|null} null when the product keeps a single default variant
+ */
+function buildVariantMatrix({ productType, variantOptions, price, compareAtPrice, skuPrefix = "POD" }) {
+  if (variantOptions === false) return null;
+  if (!variantOptions && !isApparel(productType)) return null;
+
+  const input = variantOptions || {};
+  const sizes = cleanValues(input.sizes, DEFAULT_SIZES);
+  const colors = cleanValues(input.colors, DEFAULT_COLORS);
+  const upcharges = { ...DEFAULT_SIZE_UPCHARGES, ...(input.sizeUpcharges || {}) };
+  const overrides = Array.isArray(input.variants) ? input.variants : [];
+  const basePrice = formatPrice(price);
+  const baseCompareAt = formatPrice(compareAtPrice);
+
+  const variants = [];
+  for (const color of colors) {
+    for (const size of sizes) {
+      const upcharge = Number(upcharges[size]) || 0;
+      const override = overrides.find((v) => v?.size === size && v?.color === color) || {};
+      variants.push({
+        size,
+        color,
+        price: formatPrice(override.price) || (basePrice ? formatPrice(Number(basePrice) + upcharge) : null),
+        compareAtPrice: formatPrice(override.compareAtPrice) || (baseCompareAt ? formatPrice(Number(baseCompareAt) + upcharge) : null),
+        sku: String(override.sku || `${skuPrefix}-${skuPart(color)}-${skuPart(size)}`).slice(0, 64),
+      });
+    }
+  }
+
+  return {
+    options: [
+      { name: "Size", values: sizes },
+      { name: "Color", values: colors },
+    ],
+    variants,
+  };
+}
+
+module.exports = {
+  buildVariantMatrix,
+  isApparel,
+  DEFAULT_SIZES,
+  DEFAULT_COLORS,
+};
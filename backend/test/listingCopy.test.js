@@ -0,0 +1,61 @@
+/**
+ * Listing description sanitizer tests.
+ *
+ * Descriptions come from the model, merchant edits and brand voice templates
+ * and end up on the storefront, so each case here is markup a browser would
+ * run if it got through.
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeDescriptionHtml, applyListingCopyEdits } = require("../src/utils/listingCopy");
+
+describe("sanitizeDescriptionHtml", () => {
+  it("keeps formatting, lists, tables and safe links", () => {
+    const html = '<h2>Soft tee</h2><p><strong>100%</strong> cotton, <em>pre-shrunk</em>.</p>'
+      + '<ul><li>Unisex fit</li></ul><table><tbody><tr><td colspan="2">S–XL</td></tr></tbody></table>'
+      + '<p><a href="https://example.com/care" title="Care">Care guide</a></p>';
+    assert.equal(sanitizeDescriptionHtml(html), html);
+  });
+
+  it("drops event handlers however they are quoted", () => {
+    assert.equal(sanitizeDescriptionHtml('<p onclick="alert(1)">a</p>'), "<p>a</p>");
+    assert.equal(sanitizeDescriptionHtml("<p onmouseover='alert(1)'>a</p>"), "<p>a</p>");
+    assert.equal(sanitizeDescriptionHtml("<p onmouseover=alert(1)>a</p>"), "<p>a</p>");
+    assert.equal(sanitizeDescriptionHtml('<img src="https://cdn.example.com/a.png" onerror="alert(1)">'), '<img src="https://cdn.example.com/a.png" />');
+    assert.equal(sanitizeDescriptionHtml('<p/onclick="alert(1)">a</p>'), "<p>a</p>");
+  });
+
+  it("drops script URLs", () => {
+    assert.equal(sanitizeDescriptionHtml('<a href="javascript:alert(1)">x</a>'), "<a>x</a>");
+    assert.equal(sanitizeDescriptionHtml('<a href=" JaVaScRiPt:alert(1)">x</a>'), "<a>x</a>");
+    assert.equal(sanitizeDescriptionHtml('<a href="jav&#x09;ascript:alert(1)">x</a>'), "<a>x</a>");
+    assert.equal(sanitizeDescriptionHtml('<a href="data:text/html,<script>alert(1)</script>">x</a>'), "<a>x</a>");
+    assert.equal(sanitizeDescriptionHtml('<img src="http://example.com/a.png">'), "<img />");
+  });
+
+  it("removes active and embedded content with what is inside it", () => {
+    assert.equal(sanitizeDescriptionHtml('<p>a</p><script>alert(1)</script><p>b</p>'), "<p>a</p><p>b</p>");
+    assert.equal(sanitizeDescriptionHtml('<iframe src="https://evil.example"></iframe>ok'), "ok");
+    assert.equal(sanitizeDescriptionHtml('<object data="x.swf"><embed src="x.swf"></object>ok'), "ok");
+    assert.equal(sanitizeDescriptionHtml("<style>body{display:none}</style>ok"), "ok");
+    assert.equal(sanitizeDescriptionHtml('<p style="position:fixed;inset:0">a</p>'), "<p>a</p>");
+    assert.equal(sanitizeDescriptionHtml('<form action="https://evil.example"><input name="card"></form>ok'), "ok");
+  });
+
+  it("does not let an unclosed or split script tag through", () => {
+    assert.doesNotMatch(sanitizeDescriptionHtml("<p>a</p><script>alert(1)"), /<script|alert/i);
+    assert.doesNotMatch(sanitizeDescriptionHtml("<p>a</p><script src=//evil.example/x.js"), /<script/i);
+    assert.doesNotMatch(sanitizeDescriptionHtml("<scr<script>ipt>alert(1)</script>"), /<script/i);
+    assert.doesNotMatch(sanitizeDescriptionHtml("<svg><script>alert(1)</script></svg>"), /<script|<svg/i);
+  });
+
+  it("keeps template placeholders and caps the length", () => {
+    assert.equal(sanitizeDescriptionHtml("<p>{{description}}</p>"), "<p>{{description}}</p>");
+    assert.equal(sanitizeDescriptionHtml(`<p>${"a".repeat(30000)}</p>`).length, 20000);
+  });
+
+  it("is applied to merchant edits", () => {
+    const { copy } = applyListingCopyEdits({ title: "Tee" }, { descriptionHtml: "<p onclick=alert(1)>Hi</p><iframe></iframe>" });
+    assert.equal(copy.descriptionHtml, "<p>Hi</p>");
+  });
+});
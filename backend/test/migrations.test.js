@@ -0,0 +1,130 @@
+/**
+ * Migration planning and bookkeeping tests.
+ *
+ * planMigrations() decides what `npm run migrate` / `migrate:down` run, so
+ * its up/down plans and `--to` targets are checked against the migration
+ * files. JsonStore records the result as `schemaVersion`; 001's Postgres down
+ * must not drop tables that still hold data unless forced.
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MIGRATIONS, LATEST_VERSION, planMigrations } = require("../src/storage/migrations");
+const createTables = require("../src/storage/migrations/001_create_tables");
+const { JsonStore } = require("../src/storage/jsonStore");
+
+const ALL = MIGRATIONS.map((m) => m.version);
+const versions = (plan) => plan.map((m) => m.version);
+
+describe("planMigrations", () => {
+  it("finds the migration files in order", () => {
+    assert.deepEqual(ALL.slice(0, 2), [1, 2]);
+    assert.deepEqual([...ALL].sort((a, b) => a - b), ALL);
+    assert.equal(LATEST_VERSION, ALL[ALL.length - 1]);
+  });
+
+  it("plans every unapplied migration up to the latest", () => {
+    assert.deepEqual(versions(planMigrations([])), ALL);
+    assert.deepEqual(versions(planMigrations([1])), ALL.filter((v) => v > 1));
+    assert.deepEqual(planMigrations(ALL), []);
+  });
+
+  it("stops an up at --to", () => {
+    assert.deepEqual(versions(planMigrations([], { to: 1 })), [1]);
+    assert.deepEqual(planMigrations([1], { to: 1 }), []);
+    assert.deepEqual(planMigrations([], { to: 0 }), []);
+  });
+
+  it("rolls back only the last applied migration by default", () => {
+    assert.deepEqual(versions(planMigrations(ALL, { direction: "down" })), [LATEST_VERSION]);
+    assert.deepEqual(versions(planMigrations([1], { direction: "down" })), [1]);
+    assert.deepEqual(planMigrations([], { direction: "down" }), []);
+  });
+
+  it("rolls back everything above --to, newest first", () => {
+    assert.deepEqual(versions(planMigrations(ALL, { direction: "down", to: 0 })), [...ALL].reverse());
+    assert.deepEqual(versions(planMigrations(ALL, { direction: "down", to: 1 })), ALL.filter((v) => v > 1).reverse());
+    assert.deepEqual(planMigrations(ALL, { direction: "down", to: LATEST_VERSION }), []);
+  });
+
+  it("ignores applied versions it has no file for", () => {
+    assert.deepEqual(versions(planMigrations([...ALL, 999], { direction: "down" })), [LATEST_VERSION]);
+  });
+
+  it("rejects an unknown direction", () => {
+    assert.throws(() => planMigrations([], { direction: "sideways" }), /Unknown migration direction/);
+  });
+});
+
+describe("JsonStore schemaVersion", () => {
+  let dir;
+  let file;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-test-"));
+    file = path.join(dir, "store.json");
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const schemaVersion = () => JSON.parse(fs.readFileSync(file, "utf8")).schemaVersion;
+
+  it("applies up to --to, then the rest, recording the latest", async () => {
+    const store = new JsonStore(file);
+    assert.deepEqual(await store.migrate({ to: 1 }), [1]);
+    assert.equal(schemaVersion(), 1);
+    assert.deepEqual(await store.migrate(), ALL.filter((v) => v > 1));
+    assert.equal(schemaVersion(), LATEST_VERSION);
+    assert.deepEqual((await store.migrationStatus()).map((m) => m.version), ALL);
+    assert.deepEqual(await store.migrate(), []);
+  });
+
+  it("steps schemaVersion back on down and keeps the data", async () => {
+    const store = new JsonStore(file);
+    await store.insert("designs", { id: "d1", shopDomain: "shop.myshopify.com" });
+    assert.deepEqual(await store.migrate({ direction: "down" }), [LATEST_VERSION]);
+    assert.equal(schemaVersion(), ALL[ALL.length - 2] ?? 0);
+    assert.deepEqual(await store.migrate({ direction: "down", to: 0 }), ALL.slice(0, -1).reverse());
+    assert.equal(schemaVersion(), 0);
+    assert.deepEqual(await store.migrationStatus(), []);
+    assert.equal((await store.get("designs", "d1")).shopDomain, "shop.myshopify.com");
+  });
+});
+
+/** Client stand-in: every table exists and has `counts[table]` rows (default 0). */
+function fakeClient(counts = {}) {
+  const dropped = [];
+  return {
+    dropped,
+    async query(sql) {
+      if (sql.includes("to_regclass")) return { rows: [{ present: true }] };
+      const count = /COUNT\(\*\)::int AS count FROM (\w+)/.exec(sql);
+      if (count) return { rows: [{ count: counts[count[1]] || 0 }] };
+      const drop = /DROP TABLE IF EXISTS (\w+)/.exec(sql);
+      if (drop) dropped.push(drop[1]);
+      return { rows: [] };
+    },
+  };
+}
+
+describe("001_create_tables down (Postgres)", () => {
+  it("drops the empty collection tables but never images", async () => {
+    const client = fakeClient();
+    await createTables.postgres.down(client);
+    assert.equal(client.dropped.length, 7);
+    assert.ok(client.dropped.includes("designs"));
+    assert.ok(!client.dropped.includes("images"));
+  });
+
+  it("refuses while a table holds data", async () => {
+    const client = fakeClient({ designs: 3, jobs: 1 });
+    await assert.rejects(createTables.postgres.down(client), /designs \(3\), jobs \(1\).*--force/);
+    assert.deepEqual(client.dropped, []);
+  });
+
+  it("drops them anyway with force", async () => {
+    const client = fakeClient({ designs: 3 });
+    await createTables.postgres.down(client, { force: true });
+    assert.ok(client.dropped.includes("designs"));
+  });
+});
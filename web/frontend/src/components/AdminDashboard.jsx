@@ -6,12 +6,14 @@ import {
   Box,
   Button,
   Card,
+  Checkbox,
   DataTable,
   Divider,
   FormLayout,
   Icon,
   InlineGrid,
   InlineStack,
+  Select,
   Spinner,
   Text,
   TextField,
@@ -23,6 +25,8 @@ import {
   RefreshIcon,
 } from "@shopify/polaris-icons";
 import { getSessionToken } from "../utils/sessionToken";
+import { BrandVoiceSettings } from "./BrandVoiceSettings";
+import { PricingRulesSettings } from "./PricingRulesSettings";
 
 function StatCard({ label, value, tone = "base" }) {
   const bg = { base: "#f6f6f7", info: "#e8f5ff", success: "#f0fff4", warning: "#fff8e1", critical: "#fff0f0" };
@@ -70,6 +74,13 @@ export function AdminDashboard() {
   const [kieGenerateUrl, setKieGenerateUrl] = useState("https://api.kie.ai/api/v1/gpt4o-image/generate");
   const [kieEditUrl, setKieEditUrl] = useState("https://api.kie.ai/api/v1/gpt4o-image/generate");
   const [printfulApiKey, setPrintfulApiKey] = useState("");
+  const [stabilityApiKey, setStabilityApiKey] = useState("");
+  const [imageProviders, setImageProviders] = useState([]);
+  const [providerPriority, setProviderPriority] = useState([]);
+  const [providerStrategy, setProviderStrategy] = useState("priority");
+  const [lifestyleMode, setLifestyleMode] = useState("auto");
+  const [printfulSyncProducts, setPrintfulSyncProducts] = useState(false);
+  const [settingsVersion, setSettingsVersion] = useState(null);
   const [isSavingSettings, setIsSavingSettings] = useState(false);
   const [settingsMessage, setSettingsMessage] = useState("");
   const [settingsError, setSettingsError] = useState("");
@@ -131,6 +142,15 @@ export function AdminDashboard() {
       setKieGenerateUrl(data.kieGenerateUrl || "https://api.kie.ai/api/v1/gpt4o-image/generate");
       setKieEditUrl(data.kieEditUrl || "https://api.kie.ai/api/v1/gpt4o-image/generate");
       setPrintfulApiKey(data.printfulApiKey || "");
+      setStabilityApiKey(data.stabilityApiKey || "");
+      const providers = data.imageProviders || [];
+      const saved = data.imageProviderPriority || [];
+      setImageProviders(providers);
+      setProviderPriority([...saved, ...providers.map((p) => p.id).filter((id) => !saved.includes(id))]);
+      setProviderStrategy(data.imageProviderStrategy || "priority");
+      setLifestyleMode(data.lifestyleMode || "auto");
+      setPrintfulSyncProducts(Boolean(data.printfulSyncProducts));
+      setSettingsVersion(data.version ?? null);
     } catch (err) {
       setSettingsError(err.message || "Failed to load API keys");
     }
@@ -147,19 +167,41 @@ export function AdminDashboard() {
       const response = await fetch("/api/settings", {
         method: "PUT",
         headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
-        body: JSON.stringify({ keiAiApiKey, openAiApiKey, kieGenerateUrl, kieEditUrl, printfulApiKey }),
+        body: JSON.stringify({
+          keiAiApiKey, openAiApiKey, kieGenerateUrl, kieEditUrl, printfulApiKey, stabilityApiKey,
+          imageProviderPriority: providerPriority,
+          imageProviderStrategy: providerStrategy,
+          lifestyleMode: lifestyleMode === "auto" ? "" : lifestyleMode,
+          printfulSyncProducts,
+          ...(settingsVersion === null ? {} : { expectedVersion: settingsVersion }),
+        }),
       });
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data.error || "Failed to save settings");
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 409 && data.conflict) {
+        // Changed elsewhere since loading: keep the form as typed and save against the latest version
+        setSettingsVersion(data.currentVersion);
+        throw new Error("Settings were changed elsewhere (another tab or admin) since you opened this page. Your edits are still here — check them and save again to apply them.");
       }
+      if (!response.ok) throw new Error(data.error || "Failed to save settings");
+      setImageProviders(data.imageProviders || []);
+      setSettingsVersion(data.version ?? null);
       setSettingsMessage("Settings saved successfully.");
     } catch (err) {
       setSettingsError(err.message || "Failed to save API keys");
     } finally {
       setIsSavingSettings(false);
     }
-  }, [keiAiApiKey, openAiApiKey, kieGenerateUrl, kieEditUrl, printfulApiKey]);
+  }, [keiAiApiKey, openAiApiKey, kieGenerateUrl, kieEditUrl, printfulApiKey, stabilityApiKey, providerPriority, providerStrategy, lifestyleMode, printfulSyncProducts, settingsVersion]);
+
+  const moveProvider = useCallback((index, delta) => {
+    setProviderPriority((prev) => {
+      const next = [...prev];
+      const target = index + delta;
+      if (target < 0 || target >= next.length) return prev;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, []);
 
   const testKieConnection = useCallback(async () => {
     setKieTestMessage("");
@@ -365,7 +407,7 @@ export function AdminDashboard() {
         <BlockStack gap="400">
           <SectionHeader icon={SettingsIcon} title="API Configuration" />
           <Banner tone="info">
-            <p><strong>OpenAI</strong> is the primary provider for images and copy. <strong>KIE</strong> is the fallback.</p>
+            <p><strong>OpenAI</strong> writes listing copy. Images use the providers below in your chosen order, falling back to the next one if a provider fails.</p>
           </Banner>
           <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
             <Box background="bg-surface-secondary" borderRadius="300" padding="400" borderWidth="025" borderColor="border">
@@ -389,6 +431,12 @@ export function AdminDashboard() {
                 </InlineStack>
                 <FormLayout>
                   <TextField label="API Token" type="password" value={printfulApiKey} onChange={setPrintfulApiKey} autoComplete="off" placeholder="Your Printful API token" helpText="Free at printful.com → Dashboard → Settings → API" />
+                  <Checkbox
+                    label="Create a Printful product when publishing"
+                    helpText="Adds the print file and maps every Shopify variant to a Printful variant, so orders can be fulfilled without rebuilding the product in Printful."
+                    checked={printfulSyncProducts}
+                    onChange={setPrintfulSyncProducts}
+                  />
                 </FormLayout>
               </BlockStack>
             </Box>
@@ -409,7 +457,66 @@ export function AdminDashboard() {
                 {kieTestMessage && <Banner tone={kieTestTone}><p>{kieTestMessage}</p></Banner>}
               </BlockStack>
             </Box>
+            <Box background="bg-surface-secondary" borderRadius="300" padding="400" borderWidth="025" borderColor="border">
+              <BlockStack gap="300">
+                <InlineStack gap="200" blockAlign="center">
+                  <Badge tone="info">Product images</Badge>
+                  <Text variant="headingSm" as="h3">Stability AI</Text>
+                </InlineStack>
+                <FormLayout>
+                  <TextField label="API Key" type="password" value={stabilityApiKey} onChange={setStabilityApiKey} autoComplete="off" placeholder="sk-..." helpText="Image-to-image only — used for lifestyle scenes, not new artwork." />
+                  <Select
+                    label="Lifestyle images"
+                    options={[
+                      { label: "Auto — cost-optimised when a Stability key is set", value: "auto" },
+                      { label: "Cost-optimised — Stability first, OpenAI fills failures", value: "cost-optimised" },
+                      { label: "Standard — use the provider order below", value: "standard" },
+                    ]}
+                    value={lifestyleMode}
+                    onChange={setLifestyleMode}
+                  />
+                </FormLayout>
+              </BlockStack>
+            </Box>
           </InlineGrid>
+          <Box background="bg-surface-secondary" borderRadius="300" padding="400" borderWidth="025" borderColor="border">
+            <BlockStack gap="300">
+              <Text variant="headingSm" as="h3">Image provider order</Text>
+              <Select
+                label="Selection strategy"
+                options={[
+                  { label: "Use my priority order", value: "priority" },
+                  { label: "Cheapest capable provider first", value: "cheapest" },
+                ]}
+                value={providerStrategy}
+                onChange={setProviderStrategy}
+              />
+              <BlockStack gap="200">
+                {providerPriority.map((id, index) => {
+                  const provider = imageProviders.find((p) => p.id === id);
+                  if (!provider) return null;
+                  const costs = [
+                    provider.costs?.generate != null ? `generate ~$${provider.costs.generate}` : null,
+                    provider.costs?.edit != null ? `edit ~$${provider.costs.edit}` : null,
+                    provider.costs?.edit == null && provider.costs?.sceneEdit != null ? `scene ~$${provider.costs.sceneEdit}` : null,
+                  ].filter(Boolean).join(" · ");
+                  return (
+                    <InlineStack key={id} align="space-between" blockAlign="center">
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="span" fontWeight="semibold">{index + 1}. {provider.label}</Text>
+                        <Badge tone={provider.configured ? "success" : undefined}>{provider.configured ? "Configured" : "No key"}</Badge>
+                        <Text as="span" tone="subdued" variant="bodySm">{costs}</Text>
+                      </InlineStack>
+                      <InlineStack gap="100">
+                        <Button size="slim" onClick={() => moveProvider(index, -1)} disabled={index === 0}>Up</Button>
+                        <Button size="slim" onClick={() => moveProvider(index, 1)} disabled={index === providerPriority.length - 1}>Down</Button>
+                      </InlineStack>
+                    </InlineStack>
+                  );
+                })}
+              </BlockStack>
+            </BlockStack>
+          </Box>
           <Divider />
           <InlineStack align="end" gap="300">
             {settingsError   && <Text tone="critical" as="span">{settingsError}</Text>}
@@ -419,6 +526,12 @@ export function AdminDashboard() {
         </BlockStack>
       </Card>
 
+      {/* ── Brand Voice ────────────────────────────────────────────────────── */}
+      <BrandVoiceSettings />
+
+      {/* ── Pricing Rules ──────────────────────────────────────────────────── */}
+      <PricingRulesSettings />
+
     </BlockStack>
   );
 }
@@ -0,0 +1,229 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  DataTable,
+  InlineStack,
+  Link,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { getSessionToken } from "../utils/sessionToken";
+
+const POLL_INTERVAL_MS = 3000;
+
+const SAMPLE_CSV = `prompt,productType,imageShape,price,compareAtPrice,lifestylePrompts
+"Retro sunset over palm trees",tshirt,square,24.99,29.99,"beach cafe table|person wearing it outdoors"
+"Minimal line-art cat",mug,square,16.99,,`;
+
+const STATUS_TONES = {
+  queued: "info",
+  pending: undefined,
+  running: "attention",
+  succeeded: "success",
+  completed: "success",
+  failed: "critical",
+};
+
+function StatusBadge({ status }) {
+  return <Badge tone={STATUS_TONES[status]}>{status}</Badge>;
+}
+
+async function apiFetch(url, options = {}) {
+  const sessionToken = await getSessionToken();
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken, ...(options.headers || {}) },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+/**
+ * Bulk design generation: submit a CSV (or JSON array) of prompts and follow
+ * each row through design → mockup → finalize.
+ */
+export function BatchGenerator() {
+  const [input, setInput] = useState("");
+  const [name, setName] = useState("");
+  const [publishImmediately, setPublishImmediately] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [batches, setBatches] = useState([]);
+  const [selectedBatch, setSelectedBatch] = useState(null);
+
+  const loadBatches = useCallback(async () => {
+    try {
+      const data = await apiFetch("/api/batches");
+      setBatches(data.batches || []);
+    } catch (err) {
+      setError(err.message || "Failed to load batches");
+    }
+  }, []);
+
+  const loadBatch = useCallback(async (batchId) => {
+    try {
+      setSelectedBatch(await apiFetch(`/api/batches/${encodeURIComponent(batchId)}`));
+    } catch (err) {
+      setError(err.message || "Failed to load batch");
+    }
+  }, []);
+
+  useEffect(() => { loadBatches(); }, [loadBatches]);
+
+  // Poll the open batch until every row has finished
+  const selectedId = selectedBatch?.batchId;
+  const selectedActive = selectedBatch && (selectedBatch.status === "queued" || selectedBatch.status === "running");
+  useEffect(() => {
+    if (!selectedActive) return undefined;
+    const timer = setInterval(() => {
+      loadBatch(selectedId);
+      loadBatches();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [selectedId, selectedActive, loadBatch, loadBatches]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    setInput(await file.text());
+    if (!name) setName(file.name.replace(/\.(csv|json)$/i, ""));
+    event.target.value = "";
+  };
+
+  const submit = async () => {
+    setError("");
+    const text = input.trim();
+    if (!text) {
+      setError("Paste CSV or JSON rows, or upload a file.");
+      return;
+    }
+
+    let body;
+    if (text.startsWith("[")) {
+      try {
+        body = { rows: JSON.parse(text) };
+      } catch {
+        setError("The JSON could not be parsed.");
+        return;
+      }
+    } else {
+      body = { csv: text };
+    }
+
+    setIsSubmitting(true);
+    try {
+      const batch = await apiFetch("/api/batches", {
+        method: "POST",
+        body: JSON.stringify({ ...body, name, publishImmediately }),
+      });
+      setSelectedBatch(batch);
+      setInput("");
+      setName("");
+      loadBatches();
+    } catch (err) {
+      setError(err.message || "Failed to start batch");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <BlockStack gap="400">
+      {error && (
+        <Banner tone="critical" onDismiss={() => setError("")}>
+          <p>{error}</p>
+        </Banner>
+      )}
+
+      <Card>
+        <BlockStack gap="300">
+          <Text variant="headingMd" as="h2">Bulk generate</Text>
+          <Text as="p" tone="subdued">
+            One row per design (up to 50). Columns: prompt, productType, imageShape, price, compareAtPrice and
+            lifestylePrompts (separate scenes with "|"). Credits for the whole batch are checked before it starts.
+          </Text>
+          <TextField label="Batch name" value={name} onChange={setName} autoComplete="off" placeholder="Summer collection" />
+          <TextField
+            label="CSV or JSON rows"
+            value={input}
+            onChange={setInput}
+            multiline={8}
+            autoComplete="off"
+            placeholder={SAMPLE_CSV}
+            monospaced
+          />
+          <InlineStack gap="300" blockAlign="center">
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+            <Button variant="plain" onClick={() => setInput(SAMPLE_CSV)}>Use example</Button>
+          </InlineStack>
+          <Checkbox label="Publish products immediately" checked={publishImmediately} onChange={setPublishImmediately} />
+          <InlineStack>
+            <Button variant="primary" onClick={submit} loading={isSubmitting}>Start batch</Button>
+          </InlineStack>
+        </BlockStack>
+      </Card>
+
+      {selectedBatch && (
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack align="space-between" blockAlign="center">
+              <InlineStack gap="200" blockAlign="center">
+                <Text variant="headingMd" as="h2">{selectedBatch.name}</Text>
+                <StatusBadge status={selectedBatch.status} />
+              </InlineStack>
+              <Text as="span" tone="subdued">
+                {selectedBatch.summary.succeeded} done · {selectedBatch.summary.failed} failed · {selectedBatch.summary.pending} pending
+              </Text>
+            </InlineStack>
+            {selectedBatch.error && <Banner tone="critical"><p>{selectedBatch.error}</p></Banner>}
+            <DataTable
+              columnContentTypes={["numeric", "text", "text", "text", "text"]}
+              headings={["#", "Prompt", "Status", "Design", "Details"]}
+              rows={(selectedBatch.rows || []).map((row) => [
+                row.row,
+                <Text as="span" truncate>{row.prompt}</Text>,
+                <StatusBadge status={row.status} />,
+                row.designId ? <Text as="span" variant="bodySm">{row.designId.slice(0, 8)}</Text> : "—",
+                row.error
+                  ? <Text as="span" tone="critical">{row.error}</Text>
+                  : row.adminUrl
+                    ? <Link url={row.adminUrl} target="_blank">View product</Link>
+                    : (row.publishError || row.message || "—"),
+              ])}
+            />
+          </BlockStack>
+        </Card>
+      )}
+
+      <Card>
+        <BlockStack gap="300">
+          <InlineStack align="space-between" blockAlign="center">
+            <Text variant="headingMd" as="h2">Batches</Text>
+            <Button variant="plain" onClick={loadBatches}>Refresh</Button>
+          </InlineStack>
+          {batches.length === 0 ? (
+            <Text as="p" tone="subdued">No batches yet.</Text>
+          ) : (
+            <DataTable
+              columnContentTypes={["text", "text", "text", "text", "text"]}
+              headings={["Name", "Status", "Rows", "Created", ""]}
+              rows={batches.map((batch) => [
+                batch.name,
+                <StatusBadge status={batch.status} />,
+                `${batch.summary.succeeded}/${batch.summary.total} done${batch.summary.failed ? `, ${batch.summary.failed} failed` : ""}`,
+                new Date(batch.createdAt).toLocaleString("en-GB", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" }),
+                <Button variant="plain" onClick={() => loadBatch(batch.batchId)}>View</Button>,
+              ])}
+            />
+          )}
+        </BlockStack>
+      </Card>
+    </BlockStack>
+  );
+}
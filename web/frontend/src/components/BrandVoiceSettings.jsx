@@ -0,0 +1,170 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  BlockStack,
+  Button,
+  Card,
+  Divider,
+  FormLayout,
+  InlineStack,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { getSessionToken } from "../utils/sessionToken";
+
+const TEMPLATE_PLACEHOLDER = "<p>{{description}}</p>\n<p>Printed on demand as a {{productType}}. Inspired by: {{concept}}.</p>";
+
+/**
+ * Per-shop brand voice and translation languages for generated listing copy.
+ * Saved with the shop settings and applied whenever copy is generated (with
+ * or without OpenAI).
+ */
+export function BrandVoiceSettings() {
+  const [tone, setTone] = useState("");
+  const [bannedWords, setBannedWords] = useState("");
+  const [disclaimers, setDisclaimers] = useState("");
+  const [defaultTags, setDefaultTags] = useState("");
+  const [descriptionTemplate, setDescriptionTemplate] = useState("");
+  const [targetLocales, setTargetLocales] = useState("");
+  const [vendor, setVendor] = useState("");
+  const [settingsVersion, setSettingsVersion] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const applyBrandVoice = (brandVoice = {}) => {
+    setTone(brandVoice.tone || "");
+    setBannedWords((brandVoice.bannedWords || []).join(", "));
+    setDisclaimers((brandVoice.disclaimers || []).join("\n"));
+    setDefaultTags((brandVoice.defaultTags || []).join(", "));
+    setDescriptionTemplate(brandVoice.descriptionTemplate || "");
+  };
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const sessionToken = await getSessionToken();
+        const response = await fetch("/api/settings", { headers: { "X-Shopify-Session-Token": sessionToken } });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || "Failed to load brand voice");
+        applyBrandVoice(data.brandVoice);
+        setTargetLocales((data.targetLocales || []).join(", "));
+        setVendor(data.vendor || "");
+        setSettingsVersion(data.version ?? null);
+      } catch (err) {
+        setError(err.message || "Failed to load brand voice");
+      }
+    })();
+  }, []);
+
+  const save = useCallback(async () => {
+    setError("");
+    setMessage("");
+    setIsSaving(true);
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch("/api/settings", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
+        body: JSON.stringify({
+          brandVoice: { tone, bannedWords, disclaimers, defaultTags, descriptionTemplate },
+          targetLocales,
+          vendor,
+          ...(settingsVersion === null ? {} : { expectedVersion: settingsVersion }),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 409 && data.conflict) {
+        // Changed elsewhere since loading: keep the form as typed and save against the latest version
+        setSettingsVersion(data.currentVersion);
+        throw new Error("Settings were changed elsewhere (another tab or admin) since you opened this page. Your edits are still here — check them and save again to apply them.");
+      }
+      if (!response.ok) throw new Error(data.error || "Failed to save brand voice");
+      applyBrandVoice(data.brandVoice);
+      setTargetLocales((data.targetLocales || []).join(", "));
+      setVendor(data.vendor || "");
+      setSettingsVersion(data.version ?? null);
+      setMessage("Saved. New listing copy will use these settings.");
+    } catch (err) {
+      setError(err.message || "Failed to save brand voice");
+    } finally {
+      setIsSaving(false);
+    }
+  }, [tone, bannedWords, disclaimers, defaultTags, descriptionTemplate, targetLocales, vendor, settingsVersion]);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <Text variant="headingMd" as="h2" fontWeight="semibold">Brand Voice & Languages</Text>
+        <Text variant="bodySm" tone="subdued" as="p">
+          Applied to every generated listing. Existing copy is not changed — regenerate it to pick up new settings.
+        </Text>
+        <FormLayout>
+          <TextField
+            label="Vendor"
+            value={vendor}
+            onChange={setVendor}
+            maxLength={255}
+            helpText="Shown as the product vendor in Shopify. Leave empty to use your store name."
+            autoComplete="off"
+          />
+          <TextField
+            label="Tone"
+            value={tone}
+            onChange={setTone}
+            placeholder="e.g. Playful and warm, with a touch of dry humour"
+            maxLength={300}
+            autoComplete="off"
+          />
+          <FormLayout.Group>
+            <TextField
+              label="Banned words"
+              value={bannedWords}
+              onChange={setBannedWords}
+              helpText="Comma-separated. Removed from titles, descriptions and tags."
+              autoComplete="off"
+            />
+            <TextField
+              label="Default tags"
+              value={defaultTags}
+              onChange={setDefaultTags}
+              helpText="Comma-separated. Added to every listing."
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+          <TextField
+            label="Required disclaimers"
+            value={disclaimers}
+            onChange={setDisclaimers}
+            multiline={3}
+            helpText="One per line. Appended to every description."
+            autoComplete="off"
+          />
+          <TextField
+            label="Description template (HTML)"
+            value={descriptionTemplate}
+            onChange={setDescriptionTemplate}
+            multiline={4}
+            monospaced
+            placeholder={TEMPLATE_PLACEHOLDER}
+            helpText="Placeholders: {{description}}, {{title}}, {{concept}} (the design prompt), {{productType}}. Leave empty to use the generated description as-is."
+            autoComplete="off"
+          />
+          <TextField
+            label="Translation languages"
+            value={targetLocales}
+            onChange={setTargetLocales}
+            placeholder="e.g. fr, de, es, pt-BR"
+            helpText="Comma-separated locale codes. Listing copy is translated into each for review; approved translations are registered on the Shopify product. Each language must also be added in Shopify under Settings → Languages."
+            autoComplete="off"
+          />
+        </FormLayout>
+        <Divider />
+        <InlineStack align="end" gap="300">
+          {error && <Text tone="critical" as="span">{error}</Text>}
+          {message && <Text tone="success" as="span">{message}</Text>}
+          <Button variant="primary" onClick={save} loading={isSaving}>Save</Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -5,6 +5,7 @@ import {
   BlockStack,
   Button,
   Card,
+  ChoiceList,
   EmptyState,
   InlineStack,
   Link,
@@ -14,31 +15,71 @@ import {
 } from "@shopify/polaris";
 import { DeleteIcon } from "@shopify/polaris-icons";
 import { getSessionToken } from "../utils/sessionToken";
+import { EditListingModal } from "./EditListingModal";
 import JSZip from "jszip";
 import { saveAs } from "file-saver";
 
-function DesignCard({ design, onDelete }) {
+const PRODUCT_TYPES = [
+  { label: "T-shirt", value: "tshirt" },
+  { label: "Hoodie", value: "hoodie" },
+  { label: "Sweatshirt", value: "sweatshirt" },
+  { label: "Mug", value: "mug" },
+  { label: "Poster", value: "poster" },
+  { label: "Canvas Print", value: "canvas" },
+  { label: "Pillow", value: "pillow" },
+  { label: "Tote Bag", value: "totebag" },
+];
+
+/**
+ * Order designs so each family (a design and the clones made from it) sits
+ * together: families newest first, the original leading its clones.
+ */
+function groupFamilies(designs) {
+  const ids = new Set(designs.map((d) => d.id));
+  const familyOf = (d) => (d.parentDesignId && ids.has(d.parentDesignId) ? d.parentDesignId : d.id);
+  const families = new Map();
+  for (const design of designs) {
+    const key = familyOf(design);
+    if (!families.has(key)) families.set(key, []);
+    families.get(key).push(design);
+  }
+  return [...families.values()]
+    .map((members) => members.sort((a, b) => Number(Boolean(a.parentDesignId)) - Number(Boolean(b.parentDesignId)) || (a.createdAt || 0) - (b.createdAt || 0)))
+    .sort((a, b) => Math.max(...b.map((d) => d.updatedAt || 0)) - Math.max(...a.map((d) => d.updatedAt || 0)))
+    .flatMap((members) => members.map((design) => ({ design, familySize: members.length })));
+}
+
+function DesignCard({ design, familySize = 1, onDelete, onPrintfulSynced, onCloned }) {
   const [deleting, setDeleting] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [syncError, setSyncError] = useState("");
   const [confirmOpen, setConfirmOpen] = useState(false);
   const [downloading, setDownloading] = useState(false);
+  const [editOpen, setEditOpen] = useState(false);
+  const [cloneOpen, setCloneOpen] = useState(false);
+  const [cloneTargets, setCloneTargets] = useState([]);
+  const [cloning, setCloning] = useState(false);
+  const [cloneError, setCloneError] = useState("");
+
+  // A published design waiting for its scheduled go-live shows as "Scheduled"
+  const schedule = design.publishSchedule;
+  const displayStatus = design.status === "published" && schedule?.status === "scheduled" ? "scheduled" : design.status;
 
   const statusTone = {
     published: "success",
+    scheduled: "info",
     draft: "info",
     preview: "attention",
-  }[design.status] || "default";
+  }[displayStatus] || "default";
 
   const statusLabel = {
     published: "Published",
+    scheduled: "Scheduled",
     draft: "Draft",
     preview: "Preview",
-  }[design.status] || design.status || "Unknown";
+  }[displayStatus] || displayStatus || "Unknown";
 
-  const productTypeLabel = {
-    tshirt: "T-shirt",
-    mug: "Mug",
-    poster: "Poster",
-  }[design.productType] || design.productType;
+  const productTypeLabel = PRODUCT_TYPES.find((t) => t.value === design.productType)?.label || design.productType;
 
   const dateStr = design.updatedAt
     ? new Date(design.updatedAt).toLocaleDateString("en-GB", {
@@ -48,6 +89,26 @@ function DesignCard({ design, onDelete }) {
       })
     : "";
 
+  const handlePrintfulSync = async () => {
+    setSyncing(true);
+    setSyncError("");
+    try {
+      const sessionToken = await getSessionToken();
+      const res = await fetch(`/api/designs/${design.id}/printful-sync`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${sessionToken}` },
+        body: JSON.stringify({}),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || "Printful sync failed");
+      onPrintfulSynced(design.id, data.printful);
+    } catch (err) {
+      setSyncError(err.message);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
   const handleDownload = async () => {
     setDownloading(true);
     try {
@@ -138,6 +199,28 @@ function DesignCard({ design, onDelete }) {
     }
   };
 
+  const handleClone = async () => {
+    setCloning(true);
+    setCloneError("");
+    try {
+      const sessionToken = await getSessionToken();
+      const res = await fetch(`/api/designs/${design.id}/clone`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${sessionToken}` },
+        body: JSON.stringify({ targets: cloneTargets }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || "Failed to clone design");
+      setCloneOpen(false);
+      setCloneTargets([]);
+      onCloned();
+    } catch (err) {
+      setCloneError(err.message);
+    } finally {
+      setCloning(false);
+    }
+  };
+
   const handleDelete = async () => {
     setDeleting(true);
     await onDelete(design.id);
@@ -199,8 +282,22 @@ function DesignCard({ design, onDelete }) {
         <InlineStack gap="200" blockAlign="center" wrap>
           <Badge tone={statusTone}>{statusLabel}</Badge>
           <Badge>{productTypeLabel}</Badge>
+          {design.printfulSyncProductId && <Badge tone="success">Printful</Badge>}
+          {familySize > 1 && <Badge tone="magic">{design.parentDesignId ? "Clone" : `Family of ${familySize}`}</Badge>}
+          {schedule?.status === "failed" && <Badge tone="critical">Go-live failed</Badge>}
         </InlineStack>
 
+        {displayStatus === "scheduled" && (
+          <Text variant="bodySm" tone="subdued" as="p">
+            Goes live {new Date(schedule.publishAt).toLocaleString()}
+          </Text>
+        )}
+        {schedule?.status === "failed" && schedule.error && (
+          <Text variant="bodySm" tone="critical" as="p">
+            {schedule.error}
+          </Text>
+        )}
+
         <Text variant="bodySm" as="p" truncate>
           {design.prompt || "Untitled design"}
         </Text>
@@ -211,6 +308,12 @@ function DesignCard({ design, onDelete }) {
           </Text>
         )}
 
+        {syncError && (
+          <Text variant="bodySm" tone="critical" as="p">
+            {syncError}
+          </Text>
+        )}
+
         {/* Actions */}
         <div style={{ marginTop: "auto", display: "flex", gap: 6, flexWrap: "wrap" }}>
           {design.previewImageUrl && (
@@ -223,6 +326,21 @@ function DesignCard({ design, onDelete }) {
               Shopify
             </Button>
           )}
+          {design.previewImageUrl && (
+            <Button size="slim" onClick={() => setCloneOpen(true)}>
+              Clone to…
+            </Button>
+          )}
+          {design.status === "published" && design.shopifyProductId && (
+            <Button size="slim" onClick={() => setEditOpen(true)}>
+              Edit listing
+            </Button>
+          )}
+          {design.shopifyProductId && !design.printfulSyncProductId && (
+            <Button size="slim" onClick={handlePrintfulSync} loading={syncing}>
+              Send to Printful
+            </Button>
+          )}
           <Button
             size="slim"
             tone="critical"
@@ -235,6 +353,42 @@ function DesignCard({ design, onDelete }) {
         </div>
       </div>
 
+      {editOpen && (
+        <EditListingModal design={design} open={editOpen} onClose={() => setEditOpen(false)} />
+      )}
+
+      {cloneOpen && (
+        <Modal
+          open={cloneOpen}
+          onClose={() => setCloneOpen(false)}
+          title="Clone onto other products"
+          primaryAction={{
+            content: cloneTargets.length > 1 ? `Create ${cloneTargets.length} designs` : "Create design",
+            loading: cloning,
+            disabled: cloneTargets.length === 0,
+            onAction: handleClone,
+          }}
+          secondaryActions={[{ content: "Cancel", onAction: () => setCloneOpen(false) }]}
+        >
+          <Modal.Section>
+            <BlockStack gap="300">
+              <Text as="p">
+                Each product gets its own design using this artwork, grouped with it in the library. No credits are used;
+                generate a mockup for each before publishing.
+              </Text>
+              {cloneError && <Banner tone="critical"><p>{cloneError}</p></Banner>}
+              <ChoiceList
+                title="Products"
+                allowMultiple
+                choices={PRODUCT_TYPES.filter((t) => t.value !== design.productType)}
+                selected={cloneTargets}
+                onChange={setCloneTargets}
+              />
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
+      )}
+
       {/* Delete confirmation modal */}
       {confirmOpen && (
         <Modal
@@ -309,12 +463,17 @@ export function DesignLibrary() {
     }
   };
 
+  const handlePrintfulSynced = (designId, printful) => {
+    setDesigns((prev) => prev.map((d) => (d.id === designId ? { ...d, printfulSyncProductId: printful?.syncProductId || null } : d)));
+  };
+
   const filtered = search.trim()
     ? designs.filter(
         (d) =>
           (d.prompt || "").toLowerCase().includes(search.toLowerCase()) ||
           (d.productType || "").toLowerCase().includes(search.toLowerCase()) ||
-          (d.status || "").toLowerCase().includes(search.toLowerCase())
+          (d.status || "").toLowerCase().includes(search.toLowerCase()) ||
+          (d.publishSchedule?.status === "scheduled" && "scheduled".includes(search.toLowerCase()))
       )
     : designs;
 
@@ -390,8 +549,15 @@ export function DesignLibrary() {
             gap: 16,
           }}
         >
-          {filtered.map((design) => (
-            <DesignCard key={design.id} design={design} onDelete={handleDelete} />
+          {groupFamilies(filtered).map(({ design, familySize }) => (
+            <DesignCard
+              key={design.id}
+              design={design}
+              familySize={familySize}
+              onDelete={handleDelete}
+              onPrintfulSynced={handlePrintfulSynced}
+              onCloned={fetchDesigns}
+            />
           ))}
         </div>
       )}
@@ -0,0 +1,153 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Box,
+  Button,
+  Card,
+  InlineGrid,
+  InlineStack,
+  Select,
+  Text,
+} from "@shopify/polaris";
+import { getSessionToken } from "../utils/sessionToken";
+
+const ROLE_LABELS = {
+  base: "Original",
+  variation: "Variation",
+  revision: "Revision",
+  "canvas-edit": "Canvas edit",
+};
+
+function describeVersion(version) {
+  if (version.role === "revision") return version.amendment ? `"${version.amendment}"` : "AI revision";
+  if (version.role === "canvas-edit") return "Edited in the design editor";
+  if (version.role === "variation") return "One of the variations generated from your prompt";
+  return "Generated from your prompt";
+}
+
+function VersionPane({ version, onRestore, isRestoring, disabled }) {
+  if (!version) return null;
+  return (
+    <Box background="bg-surface-secondary" borderRadius="300" padding="300" borderWidth="025" borderColor="border">
+      <BlockStack gap="200">
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="headingSm" as="h3">Version {version.version}</Text>
+          <Badge>{ROLE_LABELS[version.role] || version.role}</Badge>
+          {version.current && <Badge tone="success">Current</Badge>}
+        </InlineStack>
+        <img
+          src={version.url}
+          alt={`Version ${version.version}`}
+          style={{ width: "100%", aspectRatio: "1", objectFit: "contain", background: "#fff", borderRadius: 8 }}
+        />
+        <Text variant="bodySm" tone="subdued" as="p">{describeVersion(version)}</Text>
+        <Text variant="bodySm" tone="subdued" as="p">{new Date(version.createdAt).toLocaleString()}</Text>
+        {!version.current && (
+          <Button onClick={() => onRestore(version)} loading={isRestoring} disabled={disabled}>
+            Restore version {version.version}
+          </Button>
+        )}
+      </BlockStack>
+    </Box>
+  );
+}
+
+/**
+ * Artwork version history for a design: the original (or each generated
+ * variation), each revision (with its amendment) and each canvas edit, two
+ * of them side by side, and a restore action that makes an earlier version
+ * current again. `designVersion` is sent with a restore so it is refused (and
+ * `onConflict` called) when the design changed since it was loaded.
+ */
+export function DesignVersionHistory({ designId, designVersion = null, refreshKey, onRestored, onConflict, disabled = false }) {
+  const [versions, setVersions] = useState([]);
+  const [left, setLeft] = useState("");
+  const [right, setRight] = useState("");
+  const [restoring, setRestoring] = useState(null);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch(`/api/designs/${encodeURIComponent(designId)}/versions`, {
+        headers: { "X-Shopify-Session-Token": sessionToken },
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || "Failed to load version history");
+      const list = data.versions || [];
+      setVersions(list);
+      // Default comparison: the version before the current one vs the current one
+      const currentIndex = Math.max(0, list.findIndex((v) => v.current));
+      const current = list[currentIndex] || list[list.length - 1];
+      const previous = list[currentIndex - 1] || list.find((v) => v !== current);
+      setLeft(previous ? String(previous.version) : "");
+      setRight(current ? String(current.version) : "");
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [designId]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  const restore = async (version) => {
+    setRestoring(version.version);
+    setError("");
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch(`/api/designs/${encodeURIComponent(designId)}/versions/${version.version}/restore`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
+        body: JSON.stringify(designVersion === null ? {} : { expectedVersion: designVersion }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 409 && data.conflict) {
+        await onConflict?.();
+        await load();
+        return;
+      }
+      if (!response.ok) throw new Error(data.error || "Failed to restore version");
+      onRestored?.(data);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (versions.length < 2) return null;
+
+  const options = versions.map((v) => ({
+    label: `Version ${v.version} — ${ROLE_LABELS[v.role] || v.role}${v.current ? " (current)" : ""}`,
+    value: String(v.version),
+  }));
+  const byNumber = (value) => versions.find((v) => String(v.version) === value);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2" fontWeight="semibold">Version history</Text>
+          <Badge tone="info">{versions.length} versions</Badge>
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued" as="p">
+          Compare any two versions of the artwork. Restoring a version makes it the current artwork (the product mockup
+          is regenerated from it); later versions stay in the history.
+        </Text>
+        {error && <Banner tone="critical" onDismiss={() => setError("")}><p>{error}</p></Banner>}
+        <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+          <BlockStack gap="300">
+            <Select label="Compare" options={options} value={left} onChange={setLeft} />
+            <VersionPane version={byNumber(left)} onRestore={restore} isRestoring={restoring === Number(left)} disabled={disabled || restoring !== null} />
+          </BlockStack>
+          <BlockStack gap="300">
+            <Select label="With" options={options} value={right} onChange={setRight} />
+            <VersionPane version={byNumber(right)} onRestore={restore} isRestoring={restoring === Number(right)} disabled={disabled || restoring !== null} />
+          </BlockStack>
+        </InlineGrid>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,197 @@
+import { useState, useEffect } from "react";
+import {
+  Banner,
+  BlockStack,
+  Checkbox,
+  InlineGrid,
+  Modal,
+  Select,
+  Spinner,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { getSessionToken } from "../utils/sessionToken";
+
+const STATUS_OPTIONS = [
+  { label: "Active", value: "ACTIVE" },
+  { label: "Draft", value: "DRAFT" },
+];
+
+function ImageTile({ url, label, checked, onChange }) {
+  return (
+    <div style={{ border: "1px solid #e1e3e5", borderRadius: 8, overflow: "hidden", opacity: checked ? 1 : 0.45 }}>
+      <div style={{ aspectRatio: "1", background: "#f6f6f7" }}>
+        {url && <img src={url} alt={label} style={{ width: "100%", height: "100%", objectFit: "cover" }} />}
+      </div>
+      <div style={{ padding: 6 }}>
+        <Checkbox label={label} checked={checked} onChange={onChange} />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Edit the Shopify listing of a published design: title, description, tags,
+ * price, status and images. Saves through PUT /api/designs/:id/product.
+ */
+export function EditListingModal({ design, open, onClose, onSaved }) {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [original, setOriginal] = useState(null);
+  const [assets, setAssets] = useState([]);
+  const [title, setTitle] = useState("");
+  const [descriptionHtml, setDescriptionHtml] = useState("");
+  const [tags, setTags] = useState("");
+  const [status, setStatus] = useState("DRAFT");
+  const [price, setPrice] = useState("");
+  const [compareAtPrice, setCompareAtPrice] = useState("");
+  const [keptMedia, setKeptMedia] = useState({});
+  const [addedAssets, setAddedAssets] = useState({});
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const sessionToken = await getSessionToken();
+        const res = await fetch(`/api/designs/${design.id}/product`, {
+          headers: { Authorization: `Bearer ${sessionToken}` },
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || "Failed to load listing");
+        if (cancelled) return;
+        const { listing } = data;
+        // The cheapest variant carries the base price (larger sizes add upcharges)
+        const base = [...listing.variants].sort((a, b) => Number(a.price) - Number(b.price))[0];
+        setOriginal(listing);
+        setAssets(data.assets || []);
+        setTitle(listing.title || "");
+        setDescriptionHtml(listing.descriptionHtml || "");
+        setTags((listing.tags || []).join(", "));
+        setStatus(listing.status === "ACTIVE" ? "ACTIVE" : "DRAFT");
+        setPrice(base?.price || "");
+        setCompareAtPrice(base?.compareAtPrice || "");
+        setKeptMedia(Object.fromEntries(listing.media.map((m) => [m.id, true])));
+        setAddedAssets({});
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [open, design.id]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const base = [...original.variants].sort((a, b) => Number(a.price) - Number(b.price))[0];
+      const priceChanged = price !== (base?.price || "") || compareAtPrice !== (base?.compareAtPrice || "");
+      const body = {
+        title,
+        descriptionHtml,
+        tags: tags.split(",").map((t) => t.trim()).filter(Boolean),
+        status,
+        ...(priceChanged && price ? { price, compareAtPrice: compareAtPrice || null } : {}),
+        removeMediaIds: Object.entries(keptMedia).filter(([, kept]) => !kept).map(([id]) => id),
+        addImageUrls: Object.entries(addedAssets).filter(([, added]) => added).map(([url]) => url),
+      };
+      const sessionToken = await getSessionToken();
+      const res = await fetch(`/api/designs/${design.id}/product`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${sessionToken}` },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (data.needsReauth && data.authUrl) {
+        window.open(data.authUrl, "_top");
+        return;
+      }
+      if (!res.ok) throw new Error(data.error || "Failed to update listing");
+      onSaved?.(data.listing);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      title="Edit listing"
+      large
+      primaryAction={{ content: "Save to Shopify", onAction: handleSave, loading: saving, disabled: loading || !original }}
+      secondaryActions={[{ content: "Cancel", onAction: onClose }]}
+    >
+      <Modal.Section>
+        {loading ? (
+          <div style={{ display: "flex", justifyContent: "center", padding: 24 }}>
+            <Spinner size="large" />
+          </div>
+        ) : (
+          <BlockStack gap="400">
+            {error && <Banner tone="critical"><p>{error}</p></Banner>}
+            {original && (
+              <>
+                <TextField label="Title" value={title} onChange={setTitle} autoComplete="off" maxLength={255} />
+                <TextField label="Description (HTML)" value={descriptionHtml} onChange={setDescriptionHtml} multiline={6} autoComplete="off" />
+                <TextField label="Tags" value={tags} onChange={setTags} helpText="Comma-separated" autoComplete="off" />
+                <InlineGrid columns={{ xs: 1, sm: 3 }} gap="300">
+                  <TextField
+                    label="Price"
+                    type="number"
+                    prefix="$"
+                    value={price}
+                    onChange={setPrice}
+                    helpText={original.variants.length > 1 ? `Base price for all ${original.variants.length} variants` : undefined}
+                    autoComplete="off"
+                  />
+                  <TextField label="Compare at price" type="number" prefix="$" value={compareAtPrice} onChange={setCompareAtPrice} autoComplete="off" />
+                  <Select label="Status" options={STATUS_OPTIONS} value={status} onChange={setStatus} />
+                </InlineGrid>
+
+                <Text variant="headingSm" as="h3">Product images</Text>
+                <Text variant="bodySm" tone="subdued" as="p">Untick an image to remove it from the product.</Text>
+                <InlineGrid columns={{ xs: 2, sm: 4 }} gap="200">
+                  {original.media.map((media, i) => (
+                    <ImageTile
+                      key={media.id}
+                      url={media.url}
+                      label={`Image ${i + 1}`}
+                      checked={keptMedia[media.id] !== false}
+                      onChange={(checked) => setKeptMedia((prev) => ({ ...prev, [media.id]: checked }))}
+                    />
+                  ))}
+                </InlineGrid>
+
+                {assets.length > 0 && (
+                  <>
+                    <Text variant="headingSm" as="h3">Add from this design</Text>
+                    <InlineGrid columns={{ xs: 2, sm: 4 }} gap="200">
+                      {assets.map((asset) => (
+                        <ImageTile
+                          key={asset.id}
+                          url={asset.url}
+                          label={asset.role && asset.role !== "final" ? `${asset.type} (${asset.role})` : asset.type}
+                          checked={Boolean(addedAssets[asset.url])}
+                          onChange={(checked) => setAddedAssets((prev) => ({ ...prev, [asset.url]: checked }))}
+                        />
+                      ))}
+                    </InlineGrid>
+                  </>
+                )}
+              </>
+            )}
+          </BlockStack>
+        )}
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,75 @@
+import { BlockStack, InlineStack, Spinner, Text, Icon } from "@shopify/polaris";
+import { CheckIcon } from "@shopify/polaris-icons";
+
+const FINALIZE_STEPS = [
+  { step: 1, label: "Generate product images" },
+  { step: 2, label: "Prepare transparent artwork" },
+  { step: 3, label: "Write listing copy" },
+  { step: 4, label: "Save assets" },
+  { step: 5, label: "Publish to Shopify" },
+  { step: 6, label: "Update design status" },
+];
+
+/** Detail lines shown under a step for the events that belong to it. */
+function describeEvent(event) {
+  if (event.event === "image") return event.message;
+  if (event.event === "copy") return event.title ? `Title: ${event.title}` : event.message;
+  if (event.event === "publish") return event.ok ? event.message : `${event.message}: ${event.publishError || "unknown error"}`;
+  if (event.event === "pricing") return `${event.message}: $${event.price} (margin $${event.margin}, ${event.marginPercent}%)`;
+  if (event.event === "schedule") return `${event.message}: ${new Date(event.publishAt).toLocaleString()}`;
+  if (event.event === "merchandising") {
+    const failed = event.failed?.length ? ` (failed: ${event.failed.join("; ")})` : "";
+    return `${event.message}: ${event.collections} collection(s), ${event.publications} channel(s)${failed}`;
+  }
+  if (event.event === "printful" && event.ok === false) return `${event.message}: ${event.error || "unknown error"}`;
+  if (event.event === "printful") return event.mapped ? `${event.message} (${event.mapped} variants mapped)` : event.message;
+  if (event.event === "translations" && event.locales) return `${event.message}: ${event.locales.join(", ")}`;
+  if (event.event === "translations") {
+    const failed = event.failed?.length ? ` (failed: ${event.failed.join(", ")})` : "";
+    return `${event.message}: ${(event.registered || []).join(", ") || "none"}${failed}`;
+  }
+  return null;
+}
+
+/**
+ * Step-by-step progress for a finalize run, built from the streamed events
+ * of /api/designs/:id/finalize-events.
+ */
+export function FinalizeTimeline({ events, finished = false }) {
+  const currentStep = events.reduce((max, e) => (e.event === "step" && e.step > max ? e.step : max), 0);
+
+  return (
+    <BlockStack gap="200">
+      {FINALIZE_STEPS.map(({ step, label }) => {
+        const isDone = finished || step < currentStep;
+        const isActive = !finished && step === currentStep;
+        const details = events
+          .filter((e) => e.step === step)
+          .map(describeEvent)
+          .filter(Boolean);
+
+        return (
+          <BlockStack key={step} gap="050">
+            <InlineStack gap="200" blockAlign="center" wrap={false}>
+              <div style={{ width: 20, display: "flex", justifyContent: "center" }}>
+                {isDone && <Icon source={CheckIcon} tone="success" />}
+                {isActive && <Spinner size="small" />}
+                {!isDone && !isActive && (
+                  <span style={{ width: 10, height: 10, borderRadius: "50%", border: "2px solid #c9cccf", display: "inline-block" }} />
+                )}
+              </div>
+              <Text as="span" variant="bodyMd" fontWeight={isActive ? "semibold" : "regular"} tone={isDone || isActive ? undefined : "subdued"}>
+                {step}. {label}
+              </Text>
+            </InlineStack>
+            {details.map((line, i) => (
+              <div key={i} style={{ paddingLeft: 28 }}>
+                <Text as="span" variant="bodySm" tone="subdued">{line}</Text>
+              </div>
+            ))}
+          </BlockStack>
+        );
+      })}
+    </BlockStack>
+  );
+}
@@ -0,0 +1,112 @@
+import {
+  Badge,
+  BlockStack,
+  Button,
+  Card,
+  InlineStack,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+
+const SEO_TITLE_LIMIT = 70;
+const SEO_DESCRIPTION_LIMIT = 320;
+
+/** Server listing copy → editable form values (tags as a comma-separated string). */
+export function toCopyDraft(copy) {
+  if (!copy) return null;
+  return {
+    title: copy.title || "",
+    descriptionHtml: copy.descriptionHtml || "",
+    tags: (copy.tags || []).join(", "),
+    seoTitle: copy.seoTitle || "",
+    seoDescription: copy.seoDescription || "",
+    handle: copy.handle || "",
+  };
+}
+
+/** Form values → PUT /api/designs/:id/listing-copy body. */
+export function fromCopyDraft(draft) {
+  return {
+    ...draft,
+    tags: draft.tags.split(",").map((tag) => tag.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * Review step for the listing copy: generate it, edit title, HTML
+ * description, tags, SEO fields and URL handle, and save it on the design. Finalize and
+ * retry-publish then publish exactly what was saved.
+ */
+export function ListingCopyEditor({ draft, dirty, onChange, onGenerate, onSave, isGenerating, isSaving, disabled }) {
+  const update = (field) => (value) => onChange({ ...draft, [field]: value });
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingMd" as="h2" fontWeight="semibold">Listing copy</Text>
+            {draft && <Badge tone={dirty ? "attention" : "success"}>{dirty ? "Unsaved changes" : "Saved"}</Badge>}
+          </InlineStack>
+          <Button onClick={onGenerate} loading={isGenerating} disabled={disabled || isSaving}>
+            {draft ? "Regenerate" : "Generate copy"}
+          </Button>
+        </InlineStack>
+
+        {!draft ? (
+          <Text variant="bodySm" tone="subdued" as="p">
+            Generate the title, description and tags now to review them before the product is created. If you skip this
+            step, copy is generated automatically when you create the product.
+          </Text>
+        ) : (
+          <>
+            <TextField label="Title" value={draft.title} onChange={update("title")} maxLength={255} autoComplete="off" />
+            <TextField
+              label="Description (HTML)"
+              value={draft.descriptionHtml}
+              onChange={update("descriptionHtml")}
+              multiline={5}
+              autoComplete="off"
+              monospaced
+            />
+            <TextField label="Tags" value={draft.tags} onChange={update("tags")} helpText="Comma-separated" autoComplete="off" />
+            <TextField
+              label="SEO title"
+              value={draft.seoTitle}
+              onChange={update("seoTitle")}
+              maxLength={SEO_TITLE_LIMIT}
+              showCharacterCount
+              autoComplete="off"
+            />
+            <TextField
+              label="SEO description"
+              value={draft.seoDescription}
+              onChange={update("seoDescription")}
+              maxLength={SEO_DESCRIPTION_LIMIT}
+              showCharacterCount
+              multiline={2}
+              autoComplete="off"
+            />
+            <TextField
+              label="URL handle"
+              value={draft.handle}
+              onChange={update("handle")}
+              prefix="/products/"
+              maxLength={100}
+              helpText="Lowercase letters, numbers and hyphens. Leave empty to build it from the title."
+              autoComplete="off"
+            />
+            <InlineStack gap="200" blockAlign="center">
+              <Button onClick={onSave} loading={isSaving} disabled={disabled || !dirty || isGenerating}>
+                Save copy
+              </Button>
+              {dirty && (
+                <Text variant="bodySm" tone="subdued" as="span">Unsaved edits are saved automatically when you create the product.</Text>
+              )}
+            </InlineStack>
+          </>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
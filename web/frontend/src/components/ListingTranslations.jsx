@@ -0,0 +1,199 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Box,
+  Button,
+  Card,
+  InlineStack,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { getSessionToken } from "../utils/sessionToken";
+
+function languageName(locale) {
+  try {
+    return `${new Intl.DisplayNames(["en"], { type: "language" }).of(locale)} (${locale})`;
+  } catch {
+    return locale;
+  }
+}
+
+async function apiFetch(url, options = {}) {
+  const sessionToken = await getSessionToken();
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken, ...(options.headers || {}) },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (data.needsReauth && data.authUrl) {
+    window.open(data.authUrl, "_top");
+  }
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+}
+
+function TranslationStatus({ translation }) {
+  if (translation.registerError) return <Badge tone="critical">Not live</Badge>;
+  if (translation.registeredAt) return <Badge tone="success">Live</Badge>;
+  if (translation.status === "approved") return <Badge tone="info">Approved</Badge>;
+  return <Badge tone="attention">Draft</Badge>;
+}
+
+function TranslationEditor({ designId, translation, onSaved }) {
+  const [fields, setFields] = useState(translation);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setFields(translation);
+    setDirty(false);
+  }, [translation]);
+
+  const update = (field) => (value) => {
+    setFields((prev) => ({ ...prev, [field]: value }));
+    setDirty(true);
+  };
+
+  const save = async (approved) => {
+    setSaving(true);
+    setError("");
+    try {
+      const data = await apiFetch(
+        `/api/designs/${encodeURIComponent(designId)}/listing-copy/translations/${encodeURIComponent(translation.locale)}`,
+        {
+          method: "PUT",
+          body: JSON.stringify({
+            title: fields.title,
+            descriptionHtml: fields.descriptionHtml,
+            seoTitle: fields.seoTitle,
+            seoDescription: fields.seoDescription,
+            ...(approved !== undefined ? { approved } : {}),
+          }),
+        },
+      );
+      onSaved(data.translation, data.designVersion);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const approved = translation.status === "approved";
+
+  return (
+    <Box background="bg-surface-secondary" borderRadius="300" padding="400" borderWidth="025" borderColor="border">
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingSm" as="h3">{languageName(translation.locale)}</Text>
+            <TranslationStatus translation={translation} />
+          </InlineStack>
+          {translation.provider !== "openai" && (
+            <Text variant="bodySm" tone="subdued" as="span">Not machine-translated — edit before approving</Text>
+          )}
+        </InlineStack>
+        {translation.registerError && <Banner tone="critical"><p>{translation.registerError}</p></Banner>}
+        {error && <Banner tone="critical"><p>{error}</p></Banner>}
+        <TextField label="Title" value={fields.title} onChange={update("title")} autoComplete="off" />
+        <TextField label="Description (HTML)" value={fields.descriptionHtml} onChange={update("descriptionHtml")} multiline={4} monospaced autoComplete="off" />
+        <TextField label="SEO title" value={fields.seoTitle} onChange={update("seoTitle")} maxLength={70} showCharacterCount autoComplete="off" />
+        <TextField label="SEO description" value={fields.seoDescription} onChange={update("seoDescription")} maxLength={320} showCharacterCount multiline={2} autoComplete="off" />
+        <InlineStack gap="200">
+          <Button onClick={() => save(undefined)} loading={saving} disabled={!dirty}>Save</Button>
+          {approved ? (
+            <Button onClick={() => save(false)} loading={saving}>Back to draft</Button>
+          ) : (
+            <Button variant="primary" onClick={() => save(true)} loading={saving}>Approve</Button>
+          )}
+        </InlineStack>
+      </BlockStack>
+    </Box>
+  );
+}
+
+/**
+ * Review step for translated listing copy. Each target language is drafted
+ * (machine-translated when an OpenAI key is set) and only goes live on the
+ * Shopify product once approved — straight away if the product is already
+ * published, otherwise when it is published.
+ *
+ * Every write changes the design, so its new version is passed to
+ * onDesignVersion to keep the parent's later saves from conflicting.
+ */
+export function ListingTranslations({ designId, published = false, onDesignVersion }) {
+  const [targetLocales, setTargetLocales] = useState([]);
+  const [translations, setTranslations] = useState([]);
+  const [isTranslating, setIsTranslating] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const data = await apiFetch(`/api/designs/${encodeURIComponent(designId)}/listing-copy/translations`);
+      setTargetLocales(data.targetLocales || []);
+      setTranslations(data.translations || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [designId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const translate = async () => {
+    setIsTranslating(true);
+    setError("");
+    try {
+      const data = await apiFetch(`/api/designs/${encodeURIComponent(designId)}/listing-copy/translations`, {
+        method: "POST",
+        body: JSON.stringify({}),
+      });
+      setTranslations(data.translations || []);
+      onDesignVersion?.(data.designVersion ?? null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsTranslating(false);
+    }
+  };
+
+  const handleSaved = (translation, designVersion) => {
+    setTranslations((prev) => prev.map((t) => (t.locale === translation.locale ? translation : t)));
+    onDesignVersion?.(designVersion ?? null);
+  };
+
+  // Nothing to review for shops that sell in one language
+  if (targetLocales.length === 0 && translations.length === 0) return null;
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2" fontWeight="semibold">Translations</Text>
+          <Button onClick={translate} loading={isTranslating}>
+            {translations.length > 0 ? "Re-translate" : "Translate"}
+          </Button>
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued" as="p">
+          {published
+            ? "Approved translations are sent to the Shopify product straight away."
+            : "Approved translations are sent to Shopify when the product is published."}
+          {" "}Re-translating replaces the drafts and approvals.
+        </Text>
+        {error && <Banner tone="critical" onDismiss={() => setError("")}><p>{error}</p></Banner>}
+        {translations.length === 0 ? (
+          <Text variant="bodySm" tone="subdued" as="p">
+            Target languages: {targetLocales.map(languageName).join(", ")}. Translate now to review them, or drafts are
+            created when the product is created.
+          </Text>
+        ) : (
+          translations.map((translation) => (
+            <TranslationEditor key={translation.locale} designId={designId} translation={translation} onSaved={handleSaved} />
+          ))
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
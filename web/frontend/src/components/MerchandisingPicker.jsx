@@ -0,0 +1,99 @@
+import { useEffect, useState } from "react";
+import {
+  Banner,
+  BlockStack,
+  ChoiceList,
+  InlineGrid,
+  Spinner,
+  Text,
+} from "@shopify/polaris";
+import { getSessionToken } from "../utils/sessionToken";
+
+async function loadList(url, key) {
+  const sessionToken = await getSessionToken();
+  const response = await fetch(url, { headers: { "X-Shopify-Session-Token": sessionToken } });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data[key] || [];
+}
+
+/**
+ * Collections and sales channels a new product is added to when it is
+ * created. Lists come from the shop via /api/shopify/collections and
+ * /api/shopify/publications; smart collections are shown but can't be picked
+ * because Shopify fills them by their own rules.
+ */
+export function MerchandisingPicker({ collectionIds, publicationIds, onCollectionsChange, onPublicationsChange }) {
+  const [collections, setCollections] = useState(null);
+  const [publications, setPublications] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      loadList("/api/shopify/collections", "collections"),
+      loadList("/api/shopify/publications", "publications"),
+    ])
+      .then(([collectionList, publicationList]) => {
+        if (cancelled) return;
+        setCollections(collectionList);
+        setPublications(publicationList);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setCollections([]);
+        setPublications([]);
+        setError(err.message || "Could not load collections and sales channels");
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  if (!collections || !publications) {
+    return (
+      <BlockStack gap="200">
+        <Text variant="headingMd" as="h2" fontWeight="semibold">Collections & sales channels</Text>
+        <Spinner size="small" accessibilityLabel="Loading collections" />
+      </BlockStack>
+    );
+  }
+
+  const collectionChoices = collections.map((collection) => ({
+    label: collection.title,
+    value: collection.id,
+    disabled: collection.smart,
+    helpText: collection.smart ? "Smart collection — filled automatically by its conditions" : undefined,
+  }));
+  const publicationChoices = publications.map((publication) => ({ label: publication.name, value: publication.id }));
+
+  return (
+    <BlockStack gap="300">
+      <Text variant="headingMd" as="h2" fontWeight="semibold">Collections & sales channels</Text>
+      <Text variant="bodySm" tone="subdued" as="p">
+        The new product is added to these as soon as it is created. Leave empty to organise it later in Shopify.
+      </Text>
+      {error && <Banner tone="warning"><p>{error}</p></Banner>}
+      <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+        {collectionChoices.length > 0 ? (
+          <ChoiceList
+            title="Collections"
+            allowMultiple
+            choices={collectionChoices}
+            selected={collectionIds}
+            onChange={onCollectionsChange}
+          />
+        ) : (
+          <Text variant="bodySm" tone="subdued" as="p">No collections in this store yet.</Text>
+        )}
+        {publicationChoices.length > 0 && (
+          <ChoiceList
+            title="Sales channels"
+            allowMultiple
+            choices={publicationChoices}
+            selected={publicationIds}
+            onChange={onPublicationsChange}
+          />
+        )}
+      </InlineGrid>
+    </BlockStack>
+  );
+}
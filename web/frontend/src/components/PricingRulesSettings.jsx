@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  Divider,
+  FormLayout,
+  InlineGrid,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { getSessionToken } from "../utils/sessionToken";
+
+const PRODUCT_TYPES = [
+  { label: "T-shirt", value: "tshirt" },
+  { label: "Hoodie", value: "hoodie" },
+  { label: "Sweatshirt", value: "sweatshirt" },
+  { label: "Mug", value: "mug" },
+  { label: "Poster", value: "poster" },
+  { label: "Canvas Print", value: "canvas" },
+  { label: "Pillow", value: "pillow" },
+  { label: "Tote Bag", value: "totebag" },
+];
+
+const ROUNDING_OPTIONS = [
+  { label: "Round up to .99", value: "99" },
+  { label: "Round up to .95", value: "95" },
+  { label: "Round up to a whole amount", value: "whole" },
+  { label: "No rounding", value: "none" },
+];
+
+/**
+ * Per-shop pricing rules: base cost per product type (or Printful's catalog
+ * price), markup, price endings and a compare-at multiplier. Applied by
+ * finalize and retry-publish whenever no price is entered.
+ */
+export function PricingRulesSettings() {
+  const [enabled, setEnabled] = useState(false);
+  const [baseCostSource, setBaseCostSource] = useState("manual");
+  const [baseCosts, setBaseCosts] = useState({});
+  const [markupType, setMarkupType] = useState("percent");
+  const [markupValue, setMarkupValue] = useState("100");
+  const [rounding, setRounding] = useState("99");
+  const [compareAtMultiplier, setCompareAtMultiplier] = useState("");
+  const [settingsVersion, setSettingsVersion] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const applyRules = (rules = {}) => {
+    setEnabled(Boolean(rules.enabled));
+    setBaseCostSource(rules.baseCostSource || "manual");
+    setBaseCosts(Object.fromEntries(Object.entries(rules.baseCosts || {}).map(([type, cost]) => [type, String(cost)])));
+    setMarkupType(rules.markupType || "percent");
+    setMarkupValue(String(rules.markupValue ?? 100));
+    setRounding(rules.rounding || "99");
+    setCompareAtMultiplier(rules.compareAtMultiplier ? String(rules.compareAtMultiplier) : "");
+  };
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const sessionToken = await getSessionToken();
+        const response = await fetch("/api/settings", { headers: { "X-Shopify-Session-Token": sessionToken } });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || "Failed to load pricing rules");
+        applyRules(data.pricingRules);
+        setSettingsVersion(data.version ?? null);
+      } catch (err) {
+        setError(err.message || "Failed to load pricing rules");
+      }
+    })();
+  }, []);
+
+  const save = useCallback(async () => {
+    setError("");
+    setMessage("");
+    setIsSaving(true);
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch("/api/settings", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
+        body: JSON.stringify({
+          pricingRules: { enabled, baseCostSource, baseCosts, markupType, markupValue, rounding, compareAtMultiplier },
+          ...(settingsVersion === null ? {} : { expectedVersion: settingsVersion }),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 409 && data.conflict) {
+        // Changed elsewhere since loading: keep the form as typed and save against the latest version
+        setSettingsVersion(data.currentVersion);
+        throw new Error("Settings were changed elsewhere (another tab or admin) since you opened this page. Your edits are still here — check them and save again to apply them.");
+      }
+      if (!response.ok) throw new Error(data.error || "Failed to save pricing rules");
+      applyRules(data.pricingRules);
+      setSettingsVersion(data.version ?? null);
+      setMessage("Saved. Products created without a price will use these rules.");
+    } catch (err) {
+      setError(err.message || "Failed to save pricing rules");
+    } finally {
+      setIsSaving(false);
+    }
+  }, [enabled, baseCostSource, baseCosts, markupType, markupValue, rounding, compareAtMultiplier, settingsVersion]);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <Text variant="headingMd" as="h2" fontWeight="semibold">Pricing Rules</Text>
+        <Text variant="bodySm" tone="subdued" as="p">
+          Used when a product is created without a price. Size upcharges (2XL and up) are added on top as usual.
+        </Text>
+        <Checkbox label="Price new products automatically" checked={enabled} onChange={setEnabled} />
+        <FormLayout>
+          <Select
+            label="Base cost"
+            options={[
+              { label: "My costs below", value: "manual" },
+              { label: "Printful catalog price (falls back to my costs)", value: "printful" },
+            ]}
+            value={baseCostSource}
+            onChange={setBaseCostSource}
+          />
+          <InlineGrid columns={{ xs: 2, sm: 4 }} gap="300">
+            {PRODUCT_TYPES.map(({ label, value }) => (
+              <TextField
+                key={value}
+                label={label}
+                type="number"
+                prefix="$"
+                value={baseCosts[value] || ""}
+                onChange={(cost) => setBaseCosts((prev) => ({ ...prev, [value]: cost }))}
+                autoComplete="off"
+              />
+            ))}
+          </InlineGrid>
+          <FormLayout.Group>
+            <Select
+              label="Markup"
+              options={[
+                { label: "Percentage of cost", value: "percent" },
+                { label: "Fixed margin", value: "fixed" },
+              ]}
+              value={markupType}
+              onChange={setMarkupType}
+            />
+            <TextField
+              label={markupType === "percent" ? "Markup (%)" : "Margin ($)"}
+              type="number"
+              value={markupValue}
+              onChange={setMarkupValue}
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+          <FormLayout.Group>
+            <Select label="Price ending" options={ROUNDING_OPTIONS} value={rounding} onChange={setRounding} />
+            <TextField
+              label="Compare-at multiplier"
+              type="number"
+              value={compareAtMultiplier}
+              onChange={setCompareAtMultiplier}
+              placeholder="e.g. 1.3"
+              helpText="Compare-at price = price × multiplier. Leave empty for none."
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+        </FormLayout>
+        <Divider />
+        <InlineStack align="end" gap="300">
+          {error && <Text tone="critical" as="span">{error}</Text>}
+          {message && <Text tone="success" as="span">{message}</Text>}
+          <Button variant="primary" onClick={save} loading={isSaving}>Save</Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
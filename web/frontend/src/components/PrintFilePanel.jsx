@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  InlineStack,
+  Text,
+} from "@shopify/polaris";
+import { getSessionToken } from "../utils/sessionToken";
+import { waitForJob } from "../utils/jobs";
+
+const UPSCALER_LABELS = {
+  none: "No upscaling needed",
+  local: "Upscaled locally",
+  stability: "Upscaled with Stability AI",
+};
+
+/**
+ * Print-ready file for a design: the current artwork upscaled to the exact
+ * Printful print area, with its size and DPI. Flags a file made from an
+ * earlier artwork version so it can be recreated.
+ */
+export function PrintFilePanel({ designId, refreshKey, disabled = false }) {
+  const [printFile, setPrintFile] = useState(null);
+  const [stale, setStale] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [progress, setProgress] = useState("");
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch(`/api/designs/${encodeURIComponent(designId)}/print-file`, {
+        headers: { "X-Shopify-Session-Token": sessionToken },
+      });
+      if (response.status === 404) {
+        setPrintFile(null);
+        return;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || "Failed to load print file");
+      setPrintFile(data.printFile);
+      setStale(Boolean(data.stale));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [designId]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  const create = async () => {
+    setIsCreating(true);
+    setError("");
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch(`/api/designs/${encodeURIComponent(designId)}/print-file`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || "Failed to create print file");
+      const result = await waitForJob(data, { onProgress: (p) => setProgress(p.message) });
+      setPrintFile(result.printFile);
+      setStale(false);
+    } catch (err) {
+      setError(err.message || "Failed to create print file");
+    } finally {
+      setIsCreating(false);
+      setProgress("");
+    }
+  };
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2" fontWeight="semibold">Print file</Text>
+          {printFile && <Badge tone={stale ? "attention" : "success"}>{stale ? "Out of date" : "Ready"}</Badge>}
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued" as="p">
+          A print-ready PNG at the exact size and DPI of Printful's print area for this product, made from the current artwork.
+        </Text>
+        {error && <Banner tone="critical" onDismiss={() => setError("")}><p>{error}</p></Banner>}
+        {printFile && (
+          <BlockStack gap="100">
+            <Text variant="bodyMd" as="p">
+              {printFile.width} × {printFile.height} px at {printFile.dpi} DPI ({printFile.placement})
+            </Text>
+            <Text variant="bodySm" tone="subdued" as="p">
+              From {printFile.sourceWidth} × {printFile.sourceHeight} px artwork · {UPSCALER_LABELS[printFile.upscaler] || `Upscaled with ${printFile.upscaler}`}
+              {" · "}{printFile.transparent ? "Transparent background" : "Background kept"}
+            </Text>
+            {stale && (
+              <Text variant="bodySm" tone="caution" as="p">
+                The artwork has changed since this file was made.
+              </Text>
+            )}
+          </BlockStack>
+        )}
+        <InlineStack gap="200" blockAlign="center">
+          <Button onClick={create} loading={isCreating} disabled={disabled}>
+            {printFile ? "Recreate print file" : "Create print file"}
+          </Button>
+          {printFile && (
+            <Button url={printFile.url} target="_blank" download>
+              Download
+            </Button>
+          )}
+          {progress && <Text variant="bodySm" tone="subdued" as="span">{progress}…</Text>}
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -7,6 +7,7 @@ import {
   Button,
   Card,
   Checkbox,
+  ChoiceList,
   Divider,
   EmptyState,
   Form,
@@ -27,11 +28,26 @@ import {
   ProductIcon,
 } from "@shopify/polaris-icons";
 import { getSessionToken } from "../utils/sessionToken";
+import { waitForJob, streamJob } from "../utils/jobs";
 import { DesignLibrary } from "./DesignLibrary";
+import { BatchGenerator } from "./BatchGenerator";
+import { FinalizeTimeline } from "./FinalizeTimeline";
+import { ListingCopyEditor, toCopyDraft, fromCopyDraft } from "./ListingCopyEditor";
+import { ListingTranslations } from "./ListingTranslations";
+import { MerchandisingPicker } from "./MerchandisingPicker";
+import { DesignVersionHistory } from "./DesignVersionHistory";
+import { PrintFilePanel } from "./PrintFilePanel";
 import { AdminDashboard } from "./AdminDashboard";
 import { CanvasEditor } from "./CanvasEditor";
 import { BillingPage } from "./BillingPage";
 
+const PROVIDER_LABELS = { openai: "OpenAI", kie: "KIE", stability: "Stability AI" };
+
+// Apparel is published with Size and Color variants (see backend utils/variantMatrix.js)
+const APPAREL_TYPES = ["tshirt", "hoodie", "sweatshirt"];
+const SIZE_CHOICES = ["XS", "S", "M", "L", "XL", "2XL", "3XL"].map((v) => ({ label: v, value: v }));
+const COLOR_CHOICES = ["Black", "White", "Navy", "Heather Grey", "Red", "Forest Green"].map((v) => ({ label: v, value: v }));
+
 function buildDefaultLifestylePrompt(productType, index) {
   const defaults = [
     `${productType} product image scene on a kitchen table with natural daylight`,
@@ -107,13 +123,27 @@ export function ProductGenerator() {
   const [prompt, setPrompt] = useState("");
   const [productType, setProductType] = useState("tshirt");
   const [imageShape, setImageShape] = useState("square");
+  const [variationCount, setVariationCount] = useState("1");
+  const [designVariations, setDesignVariations] = useState([]);
+  const [selectingVariation, setSelectingVariation] = useState(null);
   const [publishImmediately, setPublishImmediately] = useState(false);
   const [productPrice, setProductPrice] = useState("");
   const [compareAtPrice, setCompareAtPrice] = useState("");
+  const [variantSizes, setVariantSizes] = useState(["S", "M", "L", "XL", "2XL"]);
+  const [variantColors, setVariantColors] = useState(["Black", "White"]);
+  const [collectionIds, setCollectionIds] = useState([]);
+  const [publicationIds, setPublicationIds] = useState([]);
+  const [publishAt, setPublishAt] = useState("");
+  const [pricingPreview, setPricingPreview] = useState(null);
   const [isGeneratingDesign, setIsGeneratingDesign] = useState(false);
   const [isGeneratingMockup, setIsGeneratingMockup] = useState(false);
   const [isFinalizing, setIsFinalizing] = useState(false);
+  const [jobProgress, setJobProgress] = useState("");
+  const [finalizeEvents, setFinalizeEvents] = useState([]);
   const [designId, setDesignId] = useState("");
+  // Design record version; edits send it back so a stale copy gets a 409
+  const [designVersion, setDesignVersion] = useState(null);
+  const [conflictNotice, setConflictNotice] = useState("");
   const [designImageUrl, setDesignImageUrl] = useState("");
   const [rawArtworkUrl, setRawArtworkUrl] = useState("");
   const [showCanvasEditor, setShowCanvasEditor] = useState(false);
@@ -127,6 +157,10 @@ export function ProductGenerator() {
     buildDefaultLifestylePrompt("tshirt", 2),
   ]);
   const [listingCopy, setListingCopy] = useState(null);
+  const [copyDraft, setCopyDraft] = useState(null);
+  const [copyDirty, setCopyDirty] = useState(false);
+  const [isGeneratingCopy, setIsGeneratingCopy] = useState(false);
+  const [isSavingCopy, setIsSavingCopy] = useState(false);
   const [transparentArtworkUrl, setTransparentArtworkUrl] = useState("");
   const [finalProduct, setFinalProduct] = useState(null);
   const [error, setError] = useState(null);
@@ -268,6 +302,27 @@ export function ProductGenerator() {
     });
   }, []);
 
+  // Rule-based price (or margin at the typed price) shown before publishing
+  useEffect(() => {
+    if (!designImageUrl) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const sessionToken = await getSessionToken();
+        const params = new URLSearchParams({ productType, ...(productPrice.trim() ? { price: productPrice.trim() } : {}) });
+        const response = await fetch(`/api/pricing/preview?${params}`, { headers: { "X-Shopify-Session-Token": sessionToken } });
+        const data = await response.json().catch(() => null);
+        if (!cancelled) setPricingPreview(response.ok ? data : null);
+      } catch {
+        if (!cancelled) setPricingPreview(null);
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [designImageUrl, productType, productPrice]);
+
   const productTypeOptions = [
     { label: "T-shirt", value: "tshirt" },
     { label: "Hoodie", value: "hoodie" },
@@ -285,6 +340,12 @@ export function ProductGenerator() {
     { label: "Tall Portrait (2:3)", value: "tall_portrait" },
     { label: "Wide Landscape (3:2)", value: "wide_landscape" },
   ];
+  const variationCountOptions = [
+    { label: "1 design", value: "1" },
+    { label: "2 variations (2 credits)", value: "2" },
+    { label: "3 variations (3 credits)", value: "3" },
+    { label: "4 variations (4 credits)", value: "4" },
+  ];
   const lifestyleCountOptions = ["1", "2", "3", "4", "5", "6"].map((v) => ({ label: v, value: v }));
 
   // Determine which tabs are unlocked
@@ -372,12 +433,78 @@ export function ProductGenerator() {
     }
   };
 
+  const versionFields = designVersion === null ? {} : { expectedVersion: designVersion };
+
+  /**
+   * Load the latest saved state of the design after a 409 conflict (it was
+   * changed in another tab or by another request), so the merchant can redo
+   * their change on top of it. Unsaved listing copy edits are kept, so
+   * saving again applies them to the latest version.
+   */
+  const reloadDesign = useCallback(async () => {
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch(`/api/designs/${encodeURIComponent(designId)}`, {
+        headers: { "X-Shopify-Session-Token": sessionToken },
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || "Failed to reload the design.");
+      const { design } = data;
+      setDesignVersion(design.version);
+      setRawArtworkUrl(design.rawArtworkUrl || "");
+      setDesignImageUrl(design.mockupImageUrl || "");
+      if (!copyDirty) {
+        setCopyDraft(toCopyDraft(design.listingCopy));
+      }
+      setConflictNotice(copyDirty
+        ? "This design was changed elsewhere (another tab or request) while you were working on it. The latest version is loaded below and your unsaved listing copy edits are kept — check them and save again."
+        : "This design was changed elsewhere (another tab or request) while you were working on it. The latest version is loaded below — check it and redo your change.");
+    } catch (err) {
+      setError(err.message || "Failed to reload the design.");
+    }
+  }, [designId, copyDirty]);
+
+  /** Reload the design and report true when the response is a version conflict. */
+  const handledConflict = async (response, data) => {
+    if (response.status !== 409 || !data?.conflict) return false;
+    await reloadDesign();
+    return true;
+  };
+
+  /** Make one of the generated variations the design's current artwork. */
+  const handleSelectVariation = async (variation) => {
+    setSelectingVariation(variation.assetId);
+    setError(null);
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch(`/api/designs/${encodeURIComponent(designId)}/variations/${encodeURIComponent(variation.assetId)}/select`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
+        body: JSON.stringify(versionFields),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (await handledConflict(response, data)) return;
+      if (!response.ok) throw new Error(data.error || "Failed to select variation.");
+      setDesignVersion(data.designVersion ?? null);
+      setRawArtworkUrl(data.rawArtworkUrl);
+      setDesignImageUrl(""); // Mockup is regenerated from the chosen artwork
+    } catch (err) {
+      setError(err.message || "Failed to select variation.");
+    } finally {
+      setSelectingVariation(null);
+    }
+  };
+
   const handleGenerateDesign = async () => {
     setError(null);
-    if (!(await checkCreditsAvailable(1))) return;
+    const variations = Number(variationCount) || 1;
+    if (!(await checkCreditsAvailable(variations))) return;
     setDesignImageUrl("");
     setRawArtworkUrl("");
     setDesignId("");
+    setDesignVersion(null);
+    setConflictNotice("");
+    setDesignVariations([]);
     setLifestyleImages([]);
     setListingCopy(null);
     setTransparentArtworkUrl("");
@@ -393,7 +520,7 @@ export function ProductGenerator() {
       const response = await fetch("/api/design-preview", {
         method: "POST",
         headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
-        body: JSON.stringify({ prompt, productType, imageShape, publishImmediately, customProductImage: customProductImage || undefined }),
+        body: JSON.stringify({ prompt, productType, imageShape, publishImmediately, variations, customProductImage: customProductImage || undefined }),
       });
       if (!response.ok) {
         const data = await response.json().catch(() => ({}));
@@ -406,9 +533,11 @@ export function ProductGenerator() {
         }
         throw new Error(data.error || "Failed to generate design preview.");
       }
-      const data = await response.json();
+      const data = await waitForJob(await response.json(), { onProgress: (p) => setJobProgress(p.message) });
       setDesignId(data.designId);
+      setDesignVersion(data.designVersion ?? null);
       setRawArtworkUrl(data.rawArtworkUrl || "");
+      setDesignVariations(data.variations || []);
       setDesignImageUrl("");
       setProviderStatus((prev) => ({
         ...(prev || {}),
@@ -421,6 +550,7 @@ export function ProductGenerator() {
       setError(err.message || "Failed to generate design preview.");
     } finally {
       setIsGeneratingDesign(false);
+      setJobProgress("");
     }
   };
 
@@ -431,13 +561,15 @@ export function ProductGenerator() {
       const response = await fetch("/api/save-edited-artwork", {
         method: "POST",
         headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
-        body: JSON.stringify({ designId, imageData: dataUrl }),
+        body: JSON.stringify({ designId, imageData: dataUrl, ...versionFields }),
       });
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data.error || "Failed to save edited artwork.");
+      const data = await response.json().catch(() => ({}));
+      if (await handledConflict(response, data)) {
+        setShowCanvasEditor(false);
+        return;
       }
-      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to save edited artwork.");
+      setDesignVersion(data.designVersion ?? null);
       setRawArtworkUrl(data.rawArtworkUrl || data.designImageUrl);
       setDesignImageUrl(""); // Clear mockup since artwork was edited
       setShowCanvasEditor(false);
@@ -455,13 +587,12 @@ export function ProductGenerator() {
       const response = await fetch("/api/revise-design", {
         method: "POST",
         headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
-        body: JSON.stringify({ designId, amendment }),
+        body: JSON.stringify({ designId, amendment, ...versionFields }),
       });
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data.error || "Failed to revise design.");
-      }
-      const data = await response.json();
+      const data = await response.json().catch(() => ({}));
+      if (await handledConflict(response, data)) return;
+      if (!response.ok) throw new Error(data.error || "Failed to revise design.");
+      setDesignVersion(data.designVersion ?? null);
       setRawArtworkUrl(data.rawArtworkUrl || data.designImageUrl || rawArtworkUrl);
       setDesignImageUrl("");
       setAmendment("");
@@ -492,7 +623,8 @@ export function ProductGenerator() {
         const data = await response.json().catch(() => ({}));
         throw new Error(data.error || "Failed to generate product mockup.");
       }
-      const data = await response.json();
+      const data = await waitForJob(await response.json(), { onProgress: (p) => setJobProgress(p.message) });
+      setDesignVersion(data.designVersion ?? null);
       setDesignImageUrl(data.designImageUrl);
       setProviderStatus((prev) => ({
         ...(prev || {}),
@@ -503,6 +635,84 @@ export function ProductGenerator() {
       setError(err.message || "Failed to generate product mockup.");
     } finally {
       setIsGeneratingMockup(false);
+      setJobProgress("");
+    }
+  };
+
+  // Load the copy saved on the design (if any) whenever the design changes
+  useEffect(() => {
+    setCopyDraft(null);
+    setCopyDirty(false);
+    if (!designId) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const sessionToken = await getSessionToken();
+        const response = await fetch(`/api/designs/${encodeURIComponent(designId)}/listing-copy`, {
+          headers: { "X-Shopify-Session-Token": sessionToken },
+        });
+        const data = await response.json().catch(() => ({}));
+        if (cancelled || !response.ok) return;
+        setDesignVersion(data.designVersion ?? null);
+        if (data.listingCopy) setCopyDraft(toCopyDraft(data.listingCopy));
+      } catch {
+        // Copy is generated during finalize when none is saved
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [designId]);
+
+  const handleCopyChange = useCallback((draft) => {
+    setCopyDraft(draft);
+    setCopyDirty(true);
+  }, []);
+
+  const handleGenerateCopy = async () => {
+    setError(null);
+    setIsGeneratingCopy(true);
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch(`/api/designs/${encodeURIComponent(designId)}/listing-copy`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || "Failed to generate listing copy.");
+      setDesignVersion(data.designVersion ?? null);
+      setCopyDraft(toCopyDraft(data.listingCopy));
+      setCopyDirty(false);
+      setProviderStatus((prev) => ({ ...(prev || {}), listingCopy: data.provider || "unknown" }));
+    } catch (err) {
+      setError(err.message || "Failed to generate listing copy.");
+    } finally {
+      setIsGeneratingCopy(false);
+    }
+  };
+
+  /** Save the edited copy on the design; returns false when it was rejected. */
+  const handleSaveCopy = async () => {
+    setError(null);
+    setIsSavingCopy(true);
+    try {
+      const sessionToken = await getSessionToken();
+      const response = await fetch(`/api/designs/${encodeURIComponent(designId)}/listing-copy`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
+        body: JSON.stringify({ ...fromCopyDraft(copyDraft), ...versionFields }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (await handledConflict(response, data)) return false;
+      if (!response.ok) throw new Error(data.error || "Failed to save listing copy.");
+      setDesignVersion(data.designVersion ?? null);
+      setCopyDraft(toCopyDraft(data.listingCopy));
+      setCopyDirty(false);
+      return true;
+    } catch (err) {
+      setError(err.message || "Failed to save listing copy.");
+      return false;
+    } finally {
+      setIsSavingCopy(false);
     }
   };
 
@@ -510,6 +720,8 @@ export function ProductGenerator() {
     setError(null);
     const requestedCount = Math.max(1, Math.min(6, Number(lifestyleImageCount) || 3));
     if (!(await checkCreditsAvailable(requestedCount))) return;
+    if (copyDraft && copyDirty && !(await handleSaveCopy())) return;
+    setFinalizeEvents([]);
     setIsFinalizing(true);
     try {
       const sessionToken = await getSessionToken();
@@ -527,6 +739,10 @@ export function ProductGenerator() {
           lifestylePrompts: selectedLifestylePrompts,
           ...(productPrice.trim() ? { price: productPrice.trim() } : {}),
           ...(compareAtPrice.trim() ? { compareAtPrice: compareAtPrice.trim() } : {}),
+          ...(APPAREL_TYPES.includes(productType) ? { variantOptions: { sizes: variantSizes, colors: variantColors } } : {}),
+          collectionIds,
+          publicationIds,
+          ...(publishAt ? { publishAt: new Date(publishAt).toISOString() } : {}),
         }),
       });
       if (!response.ok) {
@@ -534,7 +750,11 @@ export function ProductGenerator() {
         const errorDetail = data.error || `Server error (${response.status})`;
         throw new Error(errorDetail);
       }
-      const data = await response.json();
+      const data = await streamJob(
+        await response.json(),
+        `/api/designs/${encodeURIComponent(designId)}/finalize-events`,
+        { onEvent: (event) => setFinalizeEvents((prev) => [...prev, event]) },
+      );
 
       // If publish failed with 401, auto-redirect to re-auth
       if (data.needsReauth && data.authUrl) {
@@ -544,14 +764,19 @@ export function ProductGenerator() {
 
       setLifestyleImages(data.lifestyleImages || []);
       setListingCopy(data.listingCopy || null);
+      setCopyDraft(toCopyDraft(data.listingCopy));
+      setCopyDirty(false);
       setTransparentArtworkUrl(data.transparentArtworkUrl || "");
       setProviderStatus((prev) => ({
         ...(prev || {}),
         lifestyleImages: data.provider?.lifestyleImages || "unknown",
         listingCopy: data.provider?.listingCopy || "unknown",
+        lifestyleProviders: data.lifestyleImageProviders || [],
+        lifestyleMix: data.provider?.lifestyleMix || null,
+        lifestyleCost: data.provider?.lifestyleCost ?? null,
         message: data.provider?.message || prev?.message || "",
       }));
-      setFinalProduct({ adminUrl: data.adminUrl, productId: data.productId, publishError: data.publishError || null });
+      setFinalProduct({ adminUrl: data.adminUrl, productId: data.productId, publishError: data.publishError || null, publishSchedule: data.publishSchedule || null });
       // Auto-advance to Lifestyle tab
       setSelectedTab(2);
     } catch (err) {
@@ -561,7 +786,7 @@ export function ProductGenerator() {
     }
   };
 
-  const isWorking = isGeneratingDesign || isGeneratingMockup || isFinalizing;
+  const isWorking = isGeneratingDesign || isGeneratingMockup || isFinalizing || isGeneratingCopy || isSavingCopy;
 
   return (
     <BlockStack gap="400">
@@ -647,6 +872,27 @@ export function ProductGenerator() {
             <span style={{ fontSize: 14 }}>{"\uD83D\uDCDA"}</span>
             Library
           </button>
+          <button
+            onClick={() => setSelectedTab(7)}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 6,
+              padding: "8px 16px",
+              fontSize: 13,
+              fontWeight: selectedTab === 7 ? 600 : 500,
+              color: selectedTab === 7 ? "#fff" : "#303030",
+              background: selectedTab === 7 ? "#005bd3" : "transparent",
+              border: "none",
+              borderRight: "1px solid #e3e5e7",
+              cursor: "pointer",
+              transition: "all 0.12s ease",
+              whiteSpace: "nowrap",
+            }}
+          >
+            <span style={{ fontSize: 14 }}>{"\uD83D\uDCE6"}</span>
+            Bulk
+          </button>
           {isAdmin && (
             <button
               onClick={() => setSelectedTab(5)}
@@ -700,20 +946,31 @@ export function ProductGenerator() {
         </Banner>
       )}
 
+      {conflictNotice && (
+        <Banner tone="warning" title="Design reloaded" onDismiss={() => setConflictNotice("")}>
+          <p>{conflictNotice}</p>
+        </Banner>
+      )}
+
       {/* Processing status banners */}
       {isGeneratingDesign && (
         <Banner tone="info" title="Generating your design...">
           <p>AI is creating your artwork. This usually takes 15–30 seconds — please don't close this page.</p>
+          {jobProgress && <p><strong>{jobProgress}…</strong></p>}
         </Banner>
       )}
       {isGeneratingMockup && (
         <Banner tone="info" title="Generating product mockup...">
           <p>Placing your design onto the product. This usually takes 15–30 seconds — please don't close this page.</p>
+          {jobProgress && <p><strong>{jobProgress}…</strong></p>}
         </Banner>
       )}
       {isFinalizing && (
         <Banner tone="info" title="Finalizing your product...">
-          <p>Generating lifestyle images, writing listing copy, and publishing to Shopify. This may take up to a minute — please don't close this page.</p>
+          <BlockStack gap="300">
+            <p>Generating lifestyle images, writing listing copy, and publishing to Shopify. This may take up to a minute — please don't close this page.</p>
+            <FinalizeTimeline events={finalizeEvents} />
+          </BlockStack>
         </Banner>
       )}
 
@@ -879,6 +1136,15 @@ export function ProductGenerator() {
                       )}
                     </div>
                     <Select label="Image shape" options={imageShapeOptions} onChange={handleImageShapeChange} value={imageShape} />
+                    {inputMode === "describe" && (
+                      <Select
+                        label="Variations"
+                        options={variationCountOptions}
+                        onChange={setVariationCount}
+                        value={variationCount}
+                        helpText="Generate several candidates from the same prompt and pick the one you like best."
+                      />
+                    )}
                     {inputMode === "describe" && (
                       <Button submit variant="primary" loading={isGeneratingDesign} disabled={!prompt.trim() || isWorking} size="large">
                         Generate Design
@@ -1090,6 +1356,9 @@ export function ProductGenerator() {
                               setDesignImageUrl("");
                               setRawArtworkUrl("");
                               setDesignId("");
+                              setDesignVersion(null);
+                              setConflictNotice("");
+                              setDesignVariations([]);
                               setLifestyleImages([]);
                               setListingCopy(null);
                               setTransparentArtworkUrl("");
@@ -1114,8 +1383,9 @@ export function ProductGenerator() {
                                   const data = await response.json().catch(() => ({}));
                                   throw new Error(data.error || "Failed to generate design preview.");
                                 }
-                                const data = await response.json();
+                                const data = await waitForJob(await response.json(), { onProgress: (p) => setJobProgress(p.message) });
                                 setDesignId(data.designId);
+                                setDesignVersion(data.designVersion ?? null);
                                 setDesignImageUrl("");
                                 setRawArtworkUrl(data.rawArtworkUrl || "");
                                 setProviderStatus((prev) => ({
@@ -1129,6 +1399,7 @@ export function ProductGenerator() {
                                 setError(err.message || "Failed to generate design preview.");
                               } finally {
                                 setIsGeneratingDesign(false);
+                                setJobProgress("");
                               }
                             }}
                           >
@@ -1160,6 +1431,48 @@ export function ProductGenerator() {
               </Text>
             </BlockStack>
           </Card>
+          {/* Variation picker — shown when several candidates were generated */}
+          {designVariations.length > 1 && (
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd" as="h2" fontWeight="semibold">Pick a winner</Text>
+                  <Badge tone="info">{designVariations.length} variations</Badge>
+                </InlineStack>
+                <Text variant="bodySm" tone="subdued" as="p">
+                  Choose the variation to continue with. The others stay in the version history below if you change your mind.
+                </Text>
+                <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.min(designVariations.length, 4)}, 1fr)`, gap: 12 }}>
+                  {designVariations.map((variation, index) => {
+                    const isCurrent = variation.url === rawArtworkUrl;
+                    return (
+                      <button
+                        key={variation.assetId}
+                        type="button"
+                        onClick={() => !isCurrent && handleSelectVariation(variation)}
+                        disabled={isWorking || selectingVariation !== null}
+                        style={{
+                          border: isCurrent ? "2px solid #005bd3" : "1px solid #e3e5e7",
+                          borderRadius: 8, padding: 6, cursor: isCurrent ? "default" : "pointer",
+                          background: isCurrent ? "#f0f7ff" : "#fff", textAlign: "center",
+                          opacity: selectingVariation && selectingVariation !== variation.assetId ? 0.6 : 1,
+                        }}
+                      >
+                        <img
+                          src={variation.url}
+                          alt={`Variation ${index + 1}`}
+                          style={{ width: "100%", aspectRatio: "1", objectFit: "contain", background: "#fff", borderRadius: 6 }}
+                        />
+                        <div style={{ fontSize: 12, fontWeight: 600, marginTop: 4, color: isCurrent ? "#005bd3" : "#333" }}>
+                          {selectingVariation === variation.assetId ? "Selecting…" : isCurrent ? "Selected" : `Variation ${index + 1}`}
+                        </div>
+                      </button>
+                    );
+                  })}
+                </div>
+              </BlockStack>
+            </Card>
+          )}
           {/* Artwork preview + revision controls */}
           <Card>
             <BlockStack gap="400">
@@ -1279,6 +1592,40 @@ export function ProductGenerator() {
             </BlockStack>
           </Card>
 
+          {designId && (
+            <DesignVersionHistory
+              designId={designId}
+              designVersion={designVersion}
+              refreshKey={rawArtworkUrl}
+              disabled={isWorking}
+              onConflict={reloadDesign}
+              onRestored={(data) => {
+                setDesignVersion(data.designVersion ?? null);
+                setRawArtworkUrl(data.rawArtworkUrl);
+                setDesignImageUrl(""); // Mockup is regenerated from the restored artwork
+              }}
+            />
+          )}
+
+          {designId && (
+            <PrintFilePanel designId={designId} refreshKey={rawArtworkUrl} disabled={isWorking} />
+          )}
+
+          {/* Listing copy review — generated and edited before publishing */}
+          {designImageUrl && designId && (
+            <ListingCopyEditor
+              draft={copyDraft}
+              dirty={copyDirty}
+              onChange={handleCopyChange}
+              onGenerate={handleGenerateCopy}
+              onSave={handleSaveCopy}
+              isGenerating={isGeneratingCopy}
+              isSaving={isSavingCopy}
+              disabled={isGeneratingDesign || isGeneratingMockup || isFinalizing}
+            />
+          )}
+          {designImageUrl && designId && <ListingTranslations designId={designId} onDesignVersion={setDesignVersion} />}
+
           {/* Lifestyle config + approve — only show after mockup is ready */}
           {designImageUrl && (
           <Card>
@@ -1307,7 +1654,11 @@ export function ProductGenerator() {
               </InlineGrid>
               <Divider />
               <Text variant="headingMd" as="h2" fontWeight="semibold">Pricing (optional)</Text>
-              <Text variant="bodySm" tone="subdued" as="p">Set a price now or leave blank to set it later in Shopify.</Text>
+              <Text variant="bodySm" tone="subdued" as="p">
+                {pricingPreview?.suggested
+                  ? "Set a price now or leave blank to use your pricing rules."
+                  : "Set a price now or leave blank to set it later in Shopify."}
+              </Text>
               <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
                 <TextField
                   label="Price"
@@ -1329,6 +1680,68 @@ export function ProductGenerator() {
                   autoComplete="off"
                 />
               </InlineGrid>
+              {!productPrice.trim() && pricingPreview?.suggested && (
+                <Banner tone="info">
+                  <p>
+                    Pricing rules: ${pricingPreview.suggested.price}
+                    {pricingPreview.suggested.compareAtPrice && !compareAtPrice.trim() ? ` (compare at $${pricingPreview.suggested.compareAtPrice})` : ""}
+                    {" "}— base cost ${pricingPreview.suggested.baseCost}
+                    {pricingPreview.baseCostSource === "printful" ? " from Printful" : ""}, margin ${pricingPreview.suggested.margin} ({pricingPreview.suggested.marginPercent}%).
+                  </p>
+                </Banner>
+              )}
+              {productPrice.trim() && pricingPreview?.manual && (
+                <Text variant="bodySm" tone={Number(pricingPreview.manual.margin) < 0 ? "critical" : "subdued"} as="p">
+                  Margin at this price: ${pricingPreview.manual.margin} ({pricingPreview.manual.marginPercent}%) on a ${pricingPreview.baseCost} base cost.
+                </Text>
+              )}
+              {APPAREL_TYPES.includes(productType) && (
+                <>
+                  <Divider />
+                  <Text variant="headingMd" as="h2" fontWeight="semibold">Sizes & colors</Text>
+                  <Text variant="bodySm" tone="subdued" as="p">
+                    Every size/color combination becomes a variant with its own SKU. 2XL and up add $2 per size step;
+                    each color gets its own mockup when Printful is connected.
+                  </Text>
+                  <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+                    <ChoiceList
+                      title="Sizes"
+                      allowMultiple
+                      choices={SIZE_CHOICES}
+                      selected={variantSizes}
+                      onChange={(value) => value.length > 0 && setVariantSizes(SIZE_CHOICES.map((c) => c.value).filter((v) => value.includes(v)))}
+                    />
+                    <ChoiceList
+                      title="Colors"
+                      allowMultiple
+                      choices={COLOR_CHOICES}
+                      selected={variantColors}
+                      onChange={(value) => value.length > 0 && setVariantColors(value)}
+                    />
+                  </InlineGrid>
+                </>
+              )}
+              <Divider />
+              <MerchandisingPicker
+                collectionIds={collectionIds}
+                publicationIds={publicationIds}
+                onCollectionsChange={setCollectionIds}
+                onPublicationsChange={setPublicationIds}
+              />
+              <Divider />
+              <Text variant="headingMd" as="h2" fontWeight="semibold">Go-live (optional)</Text>
+              <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+                <TextField
+                  label="Schedule publishing"
+                  type="datetime-local"
+                  value={publishAt}
+                  onChange={setPublishAt}
+                  helpText="The product is created as a draft and set live at this time (your local time). Leave empty to publish as usual."
+                  clearButton
+                  onClearButtonClick={() => setPublishAt("")}
+                  autoComplete="off"
+                />
+              </InlineGrid>
               <Divider />
               <InlineStack gap="300" blockAlign="center">
                 <Button
@@ -1368,7 +1781,11 @@ export function ProductGenerator() {
             <BlockStack gap="400">
               <InlineStack gap="200" blockAlign="center" align="space-between">
                 <Text variant="headingMd" as="h2" fontWeight="semibold">Product Images</Text>
-                <Text variant="bodySm" tone="subdued" as="p">{lifestyleImages.length} image{lifestyleImages.length !== 1 ? "s" : ""}</Text>
+                <Text variant="bodySm" tone="subdued" as="p">
+                  {lifestyleImages.length} image{lifestyleImages.length !== 1 ? "s" : ""}
+                  {providerStatus?.lifestyleMix && ` · ${Object.entries(providerStatus.lifestyleMix).map(([id, count]) => `${count} via ${PROVIDER_LABELS[id] || id}`).join(", ")}`}
+                  {providerStatus?.lifestyleCost != null && ` · est. $${providerStatus.lifestyleCost.toFixed(3)}`}
+                </Text>
               </InlineStack>
 
               <div
@@ -1382,7 +1799,9 @@ export function ProductGenerator() {
                   <ImagePreviewCard
                     key={imageUrl + index}
                     imageUrl={imageUrl}
-                    label={`Product Image ${index + 1}`}
+                    label={providerStatus?.lifestyleProviders?.[index]
+                      ? `Product Image ${index + 1} · ${PROVIDER_LABELS[providerStatus.lifestyleProviders[index].provider] || providerStatus.lifestyleProviders[index].provider}`
+                      : `Product Image ${index + 1}`}
                     size="medium"
                     onOpen={() => setFullSizeImageUrl(imageUrl)}
                   />
@@ -1446,6 +1865,16 @@ export function ProductGenerator() {
                         ))}
                       </InlineStack>
                     </BlockStack>
+                    {(listingCopy.seoTitle || listingCopy.seoDescription) && (
+                      <>
+                        <Divider />
+                        <BlockStack gap="100">
+                          <Text variant="headingSm" as="h3" tone="subdued">Search engine listing</Text>
+                          <Text variant="bodyMd" fontWeight="semibold" as="p">{listingCopy.seoTitle}</Text>
+                          <Text variant="bodySm" tone="subdued" as="p">{listingCopy.seoDescription}</Text>
+                        </BlockStack>
+                      </>
+                    )}
                   </BlockStack>
                 </Box>
               </BlockStack>
@@ -1477,6 +1906,7 @@ export function ProductGenerator() {
               </Text>
             </BlockStack>
           </Card>
+          {designId && <ListingTranslations designId={designId} published={hasPublished} onDesignVersion={setDesignVersion} />}
           <Card>
             <BlockStack gap="400">
               {hasPublished ? (
@@ -1486,7 +1916,7 @@ export function ProductGenerator() {
                       <Icon source={ProductIcon} tone="success" />
                     </div>
                     <Text variant="headingMd" as="h2" fontWeight="semibold">Product Created</Text>
-                    <Badge tone="success">Live</Badge>
+                    {finalProduct.publishSchedule ? <Badge tone="info">Scheduled</Badge> : <Badge tone="success">Live</Badge>}
                   </InlineStack>
                   <Banner tone="success">
                     <p>
@@ -1496,6 +1926,9 @@ export function ProductGenerator() {
                     {finalProduct.productId && (
                       <p>Product ID: {finalProduct.productId}</p>
                     )}
+                    {finalProduct.publishSchedule && (
+                      <p>Saved as a draft — goes live {new Date(finalProduct.publishSchedule.publishAt).toLocaleString()}.</p>
+                    )}
                   </Banner>
                 </>
               ) : (
@@ -1539,7 +1972,11 @@ export function ProductGenerator() {
                         const response = await fetch("/api/retry-publish", {
                           method: "POST",
                           headers: { "Content-Type": "application/json", "X-Shopify-Session-Token": sessionToken },
-                          body: JSON.stringify({ designId, publishImmediately }),
+                          body: JSON.stringify({
+                            designId,
+                            publishImmediately,
+                            ...(publishAt && new Date(publishAt).getTime() > Date.now() ? { publishAt: new Date(publishAt).toISOString() } : {}),
+                          }),
                         });
                         const data = await response.json();
                         // If the server says we need re-auth, redirect automatically
@@ -1550,8 +1987,9 @@ export function ProductGenerator() {
                         if (!response.ok) {
                           throw new Error(data.error || `Publish failed (${response.status})`);
                         }
+                        setDesignVersion(data.designVersion ?? null);
                         if (data.productId) {
-                          setFinalProduct({ adminUrl: data.adminUrl, productId: data.productId, publishError: null });
+                          setFinalProduct({ adminUrl: data.adminUrl, productId: data.productId, publishError: null, publishSchedule: data.publishSchedule || null });
                         } else {
                           setError(data.publishError || "Publish failed. Please try again.");
                         }
@@ -1581,6 +2019,9 @@ export function ProductGenerator() {
             <Button variant="primary" onClick={() => {
               setSelectedTab(0);
               setDesignId("");
+              setDesignVersion(null);
+              setConflictNotice("");
+              setDesignVariations([]);
               setDesignImageUrl("");
               setRawArtworkUrl("");
               setLifestyleImages([]);
@@ -1662,6 +2103,11 @@ export function ProductGenerator() {
         <DesignLibrary />
       )}
 
+      {/* Bulk generation */}
+      {selectedTab === 7 && (
+        <BatchGenerator />
+      )}
+
       {/* Tab 6: Admin */}
       {selectedTab === 5 && (
         <AdminDashboard />
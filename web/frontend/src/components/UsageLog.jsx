@@ -25,6 +25,12 @@ const ACTION_LABELS = {
   "generate-mockup": "Generate Mockup",
 };
 
+const PROVIDER_LABELS = {
+  openai: "OpenAI",
+  kie: "KIE",
+  stability: "Stability AI",
+};
+
 function formatTime(ts) {
   const d = new Date(ts);
   const now = new Date();
@@ -217,6 +223,12 @@ export function UsageLog() {
                       {entry.type === "credit" && (
                         <Text variant="bodySm" fontWeight="semibold">−1 credit</Text>
                       )}
+                      {entry.type === "credit" && entry.provider && (
+                        <Text variant="bodySm" tone="subdued">
+                          {PROVIDER_LABELS[entry.provider] || entry.provider}
+                          {entry.estimatedCost != null && ` · ~$${Number(entry.estimatedCost).toFixed(3)}`}
+                        </Text>
+                      )}
                       {entry.type === "error" && (
                         <Text variant="bodySm" tone="critical" truncate>{entry.error}</Text>
                       )}
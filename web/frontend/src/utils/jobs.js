@@ -0,0 +1,94 @@
+import { getSessionToken } from "./sessionToken";
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_WAIT_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Resolve the response body of a job-backed endpoint.
+ * If the server queued a background job ({ jobId }), poll /api/jobs/:id until
+ * it finishes and return the job result; otherwise return the body unchanged.
+ * onProgress receives the job's latest progress object ({ message, step }).
+ */
+export async function waitForJob(data, { onProgress } = {}) {
+  if (!data?.jobId) return data;
+
+  const deadline = Date.now() + MAX_WAIT_MS;
+  let lastMessage = null;
+  while (Date.now() < deadline) {
+    await sleep(POLL_INTERVAL_MS);
+    const sessionToken = await getSessionToken();
+    const response = await fetch(`/api/jobs/${encodeURIComponent(data.jobId)}`, {
+      headers: { "X-Shopify-Session-Token": sessionToken },
+    });
+    if (!response.ok) {
+      // Transient errors (rate limit, restart) — keep polling until the deadline
+      if (response.status === 404) throw new Error("Background job not found.");
+      continue;
+    }
+    const job = await response.json();
+    if (onProgress && job.progress?.message && job.progress.message !== lastMessage) {
+      lastMessage = job.progress.message;
+      onProgress(job.progress);
+    }
+    if (job.status === "succeeded") return job.result || {};
+    if (job.status === "failed") {
+      const err = new Error(job.error?.message || "Background job failed.");
+      err.data = job.error || {};
+      throw err;
+    }
+  }
+  throw new Error("Timed out waiting for the job to finish. Check the Design Library for the result.");
+}
+
+/**
+ * Follow a job through a Server-Sent Events endpoint, calling onEvent for each
+ * progress event. Resolves with the job result like waitForJob; if the stream
+ * cannot be read (proxy buffering, dropped connection) it falls back to polling.
+ */
+export async function streamJob(data, eventsPath, { onEvent } = {}) {
+  if (!data?.jobId) return data;
+
+  let finished = null;
+  try {
+    const sessionToken = await getSessionToken();
+    const response = await fetch(eventsPath, {
+      headers: { Accept: "text/event-stream", "X-Shopify-Session-Token": sessionToken },
+    });
+    if (!response.ok || !response.body) throw new Error(`Event stream unavailable (${response.status})`);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    while (!finished) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        const chunk = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const eventName = chunk.match(/^event: (.+)$/m)?.[1];
+        const payload = chunk.match(/^data: (.+)$/m)?.[1];
+        if (!eventName || !payload) continue; // keep-alive comment
+        const parsed = JSON.parse(payload);
+        if (eventName === "progress" && onEvent) onEvent(parsed);
+        if (eventName === "done") finished = parsed;
+      }
+    }
+    reader.cancel().catch(() => {});
+  } catch (err) {
+    console.warn("Job event stream failed, polling instead:", err.message);
+  }
+
+  if (!finished) {
+    return waitForJob(data, { onProgress: onEvent });
+  }
+  if (finished.status === "failed") {
+    const err = new Error(finished.error?.message || "Background job failed.");
+    err.data = finished.error || {};
+    throw err;
+  }
+  return finished.result || {};
+}